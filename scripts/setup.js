@@ -28,7 +28,8 @@ function createEnvFile() {
   try {
     fs.copyFileSync(envExamplePath, envPath);
     console.log('Created .env file from template');
-    console.log('Please edit .env file with your actual seedphrase');
+    console.log('Please edit .env file with your actual seedphrase, or keep');
+    console.log('the key encrypted with: node src/index.js keystore import');
   } catch (error) {
     console.error('Failed to create .env file:', error.message);
   }
@@ -125,7 +126,8 @@ async function setup() {
   if (isValid) {
     console.log('Setup completed successfully!');
     console.log('\nNext steps:');
-    console.log('1. Edit .env file with your Stellar seedphrase');
+    console.log('1. Encrypt your Stellar key: npm run keystore -- import');
+    console.log('   (or create a new one: npm run keystore -- create)');
     console.log('2. Run: npm run request-proof');
     console.log('3. Run: npm run verify-proof');
   } else {
@@ -0,0 +1,130 @@
+/**
+ * Assertions Module
+ *
+ * Declarative plausibility checks on a proof's extractedParameterValues. A
+ * provider lists rules per parameter:
+ *
+ *   assertions: {
+ *     price: { type: 'number', min: 0.01, max: 10 },
+ *     score1: { type: 'integer', min: 0 },
+ *     city: { pattern: /^"[A-Za-z ]+"$/, required: true },
+ *   },
+ *
+ * Extracted values are strings; `type` checks they parse as a number or an
+ * integer, `min` and `max` bound the parsed number and `pattern` tests the raw
+ * string. Rules apply to the values present; `required` also fails proofs
+ * without the parameter.
+ */
+
+import { ValueAssertionError } from './errors.js';
+
+const RULES = ['type', 'min', 'max', 'pattern', 'required'];
+const TYPES = {
+  number: (value) => value.trim() !== '' && Number.isFinite(Number(value)),
+  integer: (value) => /^\s*-?\d+\s*$/.test(value),
+  string: () => true,
+};
+
+/**
+ * Validates a provider's assertion declarations
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If a rule is unknown or has the wrong type
+ */
+export function validateAssertions(provider) {
+  for (const [param, rules] of Object.entries(provider.assertions || {})) {
+    const prefix = `Provider ${provider.name} assertion for ${param}`;
+
+    Object.keys(rules).forEach((rule) => {
+      if (!RULES.includes(rule)) {
+        throw new Error(`${prefix} has unknown rule: ${rule}`);
+      }
+    });
+
+    if (rules.type !== undefined && !TYPES[rules.type]) {
+      throw new Error(
+        `${prefix} type must be one of: ${Object.keys(TYPES).join(', ')}`
+      );
+    }
+
+    ['min', 'max'].forEach((rule) => {
+      if (rules[rule] !== undefined && !Number.isFinite(rules[rule])) {
+        throw new Error(`${prefix} ${rule} must be a number`);
+      }
+    });
+
+    if (rules.pattern !== undefined && !(rules.pattern instanceof RegExp)) {
+      throw new Error(`${prefix} pattern must be a RegExp`);
+    }
+  }
+}
+
+/**
+ * Evaluates a provider's assertions against extracted values
+ * @param {Object} provider - The provider definition
+ * @param {Object} values - The proof's extractedParameterValues
+ * @returns {Object[]} Failures: { param, rule, expected, actual, message }
+ */
+export function evaluateAssertions(provider, values = {}) {
+  const failures = [];
+
+  for (const [param, rules] of Object.entries(provider.assertions || {})) {
+    const actual = values[param];
+    const fail = (rule, expected, description) => {
+      const got = actual === undefined ? '' : `, got ${JSON.stringify(actual)}`;
+      failures.push({
+        param,
+        rule,
+        expected,
+        actual,
+        message: `${param} ${description} (${rule})${got}`,
+      });
+    };
+
+    if (actual === undefined || actual === null) {
+      if (rules.required) {
+        fail('required', true, 'is missing');
+      }
+      continue;
+    }
+
+    const text = String(actual);
+    const type = rules.type || 'string';
+    if (!TYPES[type](text)) {
+      fail('type', type, `must be ${type === 'integer' ? 'an' : 'a'} ${type}`);
+      continue;
+    }
+
+    if (rules.min !== undefined && !(Number(text) >= rules.min)) {
+      fail('min', rules.min, `must be at least ${rules.min}`);
+    }
+
+    if (rules.max !== undefined && !(Number(text) <= rules.max)) {
+      fail('max', rules.max, `must be at most ${rules.max}`);
+    }
+
+    if (rules.pattern && !rules.pattern.test(text)) {
+      fail('pattern', rules.pattern, `must match ${rules.pattern}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Refuses extracted values that fail the provider's assertions
+ * @param {Object} provider - The provider definition
+ * @param {Object} values - The proof's extractedParameterValues
+ * @throws {ValueAssertionError} Listing every failed assertion
+ */
+export function assertExtractedValues(provider, values) {
+  const failures = evaluateAssertions(provider, values);
+
+  if (failures.length > 0) {
+    throw new ValueAssertionError(
+      `Implausible values in ${provider.name} proof: ${failures
+        .map(({ message }) => message)
+        .join('; ')}`,
+      { failures }
+    );
+  }
+}
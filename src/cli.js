@@ -0,0 +1,359 @@
+/**
+ * CLI Module
+ *
+ * Argument parsing, help text and exit codes for the `src/index.js` command
+ * line. Commands are plain objects:
+ *
+ *   {
+ *     name: 'verify',
+ *     aliases: ['verify-proof'],
+ *     args: ['[proof]'],
+ *     summary: 'Verify a proof on Stellar',
+ *     flags: { proof: { type: 'string', value: '<path>', description: '...' } },
+ *   }
+ *
+ * Flag types are string, number (whole, non-negative), boolean and list
+ * (repeatable string). Commands with `params: true` take any other
+ * `--name <value>` as a template parameter, and a last argument ending in
+ * `...` takes any number of values. --json, --quiet and --help are accepted
+ * by every command; formatJsonResult builds the --json output.
+ */
+
+import { ERROR_CODES, UsageError } from './errors.js';
+
+export const PROGRAM = 'node src/index.js';
+
+export const GLOBAL_FLAGS = {
+  json: {
+    type: 'boolean',
+    description: 'Print the result as a single JSON document',
+  },
+  quiet: { type: 'boolean', description: 'Only print warnings and errors' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help' },
+};
+
+/**
+ * Process exit codes by error code. Anything unmapped exits with 1.
+ */
+export const EXIT_CODES = {
+  [ERROR_CODES.USAGE]: 2,
+  [ERROR_CODES.ATTESTOR_UNAVAILABLE]: 3,
+  [ERROR_CODES.UPSTREAM_HTTP_ERROR]: 4,
+  [ERROR_CODES.RESPONSE_MATCH_FAILED]: 5,
+  [ERROR_CODES.PROOF_GENERATION_FAILED]: 6,
+  [ERROR_CODES.VALUE_ASSERTION_FAILED]: 7,
+  [ERROR_CODES.PROOF_INVALID]: 8,
+  [ERROR_CODES.PROOF_STALE]: 9,
+  [ERROR_CODES.WITNESS_POLICY_FAILED]: 10,
+  [ERROR_CODES.TRANSACTION_FAILED]: 11,
+};
+
+/**
+ * Maps an error, or an error code, to a process exit code
+ * @param {Error|string} error - The error or its code
+ * @returns {number} The exit code, 1 for untyped errors
+ */
+export const exitCodeFor = (error) =>
+  EXIT_CODES[typeof error === 'string' ? error : error?.code] ?? 1;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single character edits between them
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Finds the candidate closest to a mistyped name
+ * @param {string} input - What was typed
+ * @param {string[]} candidates - Valid names
+ * @returns {string|undefined} The first candidate that starts with the
+ * input, else the nearest one within a third of its length in edits (at
+ * least 2)
+ */
+export function suggest(input, candidates) {
+  const prefixed = input && candidates.find((name) => name.startsWith(input));
+  if (prefixed) {
+    return prefixed;
+  }
+
+  let best;
+  let bestDistance = Infinity;
+
+  candidates.forEach((candidate) => {
+    const distance = editDistance(input, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return best && bestDistance <= Math.max(2, Math.floor(best.length / 3))
+    ? best
+    : undefined;
+}
+
+/**
+ * Appends a "Did you mean" hint to a message when there is a close match
+ * @param {string} message - The error message
+ * @param {string} input - What was typed
+ * @param {string[]} candidates - Valid names
+ * @returns {string} The message, with the hint if any
+ */
+export function withSuggestion(message, input, candidates) {
+  const match = suggest(input, candidates);
+  return match ? `${message}. Did you mean ${match}?` : message;
+}
+
+/**
+ * Finds a command by name or alias
+ * @param {Object[]} commands - Command definitions
+ * @param {string} name - Command name or alias
+ * @returns {Object|undefined} The command
+ */
+export const findCommand = (commands, name) =>
+  commands.find(
+    (command) => command.name === name || (command.aliases || []).includes(name)
+  );
+
+/**
+ * Converts a flag value to its declared type
+ * @param {string} flag - The flag as typed, for messages
+ * @param {Object} spec - The flag definition
+ * @param {string} value - The raw value
+ * @returns {string|number} The typed value
+ * @throws {UsageError} If a number flag is not a whole number
+ */
+const convertValue = (flag, spec, value) => {
+  if (spec.type !== 'number') {
+    return value;
+  }
+
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isInteger(number) || number < 0) {
+    throw new UsageError(`${flag} must be a whole number, got '${value}'`);
+  }
+  return number;
+};
+
+/**
+ * Splits command arguments into positionals, flags and template parameters
+ * @param {Object} command - The command definition
+ * @param {string[]} args - Arguments following the command name
+ * @returns {Object} { positionals, flags, params }
+ * @throws {UsageError} If a flag is unknown, lacks a value or there are too
+ * many positional arguments
+ */
+export function parseCommandArgs(command, args) {
+  const specs = { ...command.flags, ...GLOBAL_FLAGS };
+  const aliases = Object.fromEntries(
+    Object.entries(specs)
+      .filter(([, spec]) => spec.alias)
+      .map(([name, spec]) => [spec.alias, name])
+  );
+  const parsed = { positionals: [], flags: {}, params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      parsed.positionals.push(...args.slice(i + 1));
+      break;
+    }
+
+    const long = arg.match(/^--([^=]+)(?:=(.*))?$/s);
+    const short = arg.match(/^-(\w)$/);
+    const name = long ? long[1] : short && aliases[short[1]];
+    const inlineValue = long ? long[2] : undefined;
+    const spec = name && specs[name];
+
+    if (!spec) {
+      if (!long && !short) {
+        parsed.positionals.push(arg);
+        continue;
+      }
+      if (long && command.params && /^\w[\w-]*$/.test(name)) {
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+        if (value === undefined) {
+          throw new UsageError(`Missing value for --${name}`);
+        }
+        parsed.params[name] = value;
+        continue;
+      }
+      throw new UsageError(
+        withSuggestion(
+          `Unknown option ${arg} for ${command.name}`,
+          long ? `--${long[1]}` : arg,
+          Object.keys(specs).map((flag) => `--${flag}`)
+        )
+      );
+    }
+
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`--${name} does not take a value`);
+      }
+      parsed.flags[name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+
+    const typed = convertValue(`--${name}`, spec, value);
+    if (spec.type === 'list') {
+      parsed.flags[name] = [...(parsed.flags[name] || []), typed];
+    } else {
+      parsed.flags[name] = typed;
+    }
+  }
+
+  const declared = command.args || [];
+  const maxPositionals = declared.at(-1)?.endsWith('...')
+    ? Infinity
+    : declared.length;
+  if (parsed.positionals.length > maxPositionals) {
+    throw new UsageError(
+      `Unexpected argument for ${command.name}: ${parsed.positionals[maxPositionals]}`
+    );
+  }
+
+  return parsed;
+}
+
+/**
+ * Formats a list of flags as help lines
+ * @param {Object} flags - Flag definitions by name
+ * @returns {string[]} Aligned help lines
+ */
+const formatFlags = (flags) => {
+  const entries = Object.entries(flags)
+    .filter(([, spec]) => !spec.hidden)
+    .map(([name, spec]) => {
+      const value =
+        spec.type === 'boolean' ? '' : ` ${spec.value || '<value>'}`;
+      const alias = spec.alias ? `-${spec.alias}, ` : '';
+      const repeat = spec.type === 'list' ? '...' : '';
+      return [`${alias}--${name}${value}${repeat}`, spec.description];
+    });
+  const width = Math.max(...entries.map(([usage]) => usage.length));
+
+  return entries.map(
+    ([usage, description]) => `  ${usage.padEnd(width)}  ${description}`
+  );
+};
+
+/**
+ * Builds the help text for one command
+ * @param {Object} command - The command definition
+ * @returns {string} Usage, description, aliases and options
+ */
+export function formatCommandHelp(command) {
+  const args = [...(command.args || [])];
+  if (command.params) {
+    args.push('[--<param> <value>]...');
+  }
+
+  const lines = [
+    `Usage: ${PROGRAM} ${[command.name, ...args].join(' ')} [options]`,
+    '',
+    command.description || command.summary,
+  ];
+
+  if (command.aliases?.length) {
+    lines.push('', `Aliases: ${command.aliases.join(', ')}`);
+  }
+
+  if (command.details) {
+    lines.push('', ...command.details);
+  }
+
+  lines.push(
+    '',
+    'Options:',
+    ...formatFlags({ ...command.flags, ...GLOBAL_FLAGS })
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the command overview
+ * @param {Object[]} commands - Command definitions
+ * @returns {string[]} One line per visible command
+ */
+export function formatCommandList(commands) {
+  const visible = commands.filter((command) => !command.hidden);
+  const usages = visible.map((command) =>
+    [command.name, ...(command.args || [])].join(' ')
+  );
+  const width = Math.max(...usages.map((usage) => usage.length));
+
+  return visible.map(
+    (command, index) => `  ${usages[index].padEnd(width)}  ${command.summary}`
+  );
+}
+
+/**
+ * Builds the single JSON document a command prints with --json
+ * @param {Object} outcome - What the command did
+ * @param {string} outcome.command - The command name
+ * @param {Object} outcome.summary - { provider, extractedValues, proofPath,
+ * transactionHash, explorerLink }, whichever the command knows
+ * @param {*} outcome.result - The command's full result
+ * @param {Object} outcome.error - The error thrown or the failed check's
+ * { code, message }
+ * @param {number} outcome.exitCode - The process exit code
+ * @param {number} outcome.startedAt - Start time in milliseconds
+ * @param {number} outcome.durationMs - How long the command took
+ * @returns {string} The JSON document
+ */
+export function formatJsonResult({
+  command,
+  summary = {},
+  result,
+  error,
+  exitCode,
+  startedAt,
+  durationMs,
+}) {
+  return JSON.stringify(
+    {
+      command,
+      success: exitCode === 0,
+      provider: null,
+      extractedValues: null,
+      proofPath: null,
+      transactionHash: null,
+      explorerLink: null,
+      ...summary,
+      timings: { startedAt: new Date(startedAt).toISOString(), durationMs },
+      error: error
+        ? { code: error.code ?? null, message: error.message ?? null }
+        : null,
+      exitCode,
+      result: result ?? null,
+    },
+    null,
+    2
+  );
+}
@@ -4,6 +4,7 @@
  */
 
 import * as dotenv from 'dotenv';
+import * as fs from 'fs';
 
 // Load environment variables without extra console output
 dotenv.config({ quiet: true });
@@ -26,6 +27,13 @@ export const CONFIG = {
     EXPLORER_LINK: 'https://stellar.expert/explorer/public/tx/',
     FUNCTION_NAME: 'verify_proof',
     BASE_FEE: '100',
+    // Witness policy: attestors whose signatures count, and how many
+    // distinct attestors must have signed
+    ATTESTORS: ['0x244897572368eadf65bfbc5aec98d8e5443a9072'],
+    MIN_WITNESSES: 1,
+    // Contract function taking every qualifying signature at once
+    // (message, Vec<BytesN<64>>, Vec<u32>); null if it only takes one
+    MULTI_SIGNATURE_FUNCTION: null,
   },
 
   // Mainnet details
@@ -42,6 +50,13 @@ export const CONFIG = {
     EXPLORER_LINK: 'https://stellar.expert/explorer/testnet/tx/',
     FUNCTION_NAME: 'verify_proof',
     BASE_FEE: '100',
+    // Witness policy: attestors whose signatures count, and how many
+    // distinct attestors must have signed
+    ATTESTORS: ['0x244897572368eadf65bfbc5aec98d8e5443a9072'],
+    MIN_WITNESSES: 1,
+    // Contract function taking every qualifying signature at once
+    // (message, Vec<BytesN<64>>, Vec<u32>); null if it only takes one
+    MULTI_SIGNATURE_FUNCTION: null,
   },
 
   // Testnet details
@@ -51,19 +66,116 @@ export const CONFIG = {
     networkPassphrase: 'Test SDF Network ; September 2015',
   },
 
+  // Stellar futurenet configuration. No verifier contract is deployed here:
+  // set FUTURENET_CONTRACT_ID or use a profile with a contractId
+  STELLAR_FUTURENET: {
+    CONTRACT_ID: null,
+    SOROBAN_RPC_URL: 'https://rpc-futurenet.stellar.org',
+    EXPLORER_LINK: 'https://stellar.expert/explorer/futurenet/tx/',
+    FUNCTION_NAME: 'verify_proof',
+    BASE_FEE: '100',
+    ATTESTORS: ['0x244897572368eadf65bfbc5aec98d8e5443a9072'],
+    MIN_WITNESSES: 1,
+    MULTI_SIGNATURE_FUNCTION: null,
+  },
+
+  // Futurenet details
+  FUTURENET_DETAILS: {
+    network: 'FUTURENET',
+    networkUrl: 'https://horizon-futurenet.stellar.org',
+    networkPassphrase: 'Test SDF Future Network ; October 2022',
+  },
+
+  // Local standalone network (stellar/quickstart --local), with no explorer.
+  // Deploy the verifier contract and set LOCAL_CONTRACT_ID to use it
+  STELLAR_LOCAL: {
+    CONTRACT_ID: null,
+    SOROBAN_RPC_URL: 'http://localhost:8000/soroban/rpc',
+    EXPLORER_LINK: null,
+    FUNCTION_NAME: 'verify_proof',
+    BASE_FEE: '100',
+    ATTESTORS: ['0x244897572368eadf65bfbc5aec98d8e5443a9072'],
+    MIN_WITNESSES: 1,
+    MULTI_SIGNATURE_FUNCTION: null,
+  },
+
+  // Local network details
+  LOCAL_DETAILS: {
+    network: 'LOCAL',
+    networkUrl: 'http://localhost:8000',
+    networkPassphrase: 'Standalone Network ; February 2017',
+  },
+
   // API endpoints
   API: {
     COINGECKO_STELLAR_PRICE:
       'https://api.coingecko.com/api/v3/simple/price?ids=stellar&vs_currencies=usd',
+    COINGECKO_SIMPLE_PRICE:
+      'https://api.coingecko.com/api/v3/simple/price?ids=${coin}&vs_currencies=${vs}',
     TRADING_ECONOMICS_COUNTRIES: 'https://tradingeconomics.com/',
     FORBES_BILLIONAIRES: 'https://www.forbes.com/forbesapi/person/rtb/0/-estWorthPrev/true.json?fields=rank,personName,finalWorth',
     ACCUWEATHER_NYC: 'https://www.accuweather.com/en/us/new-york/10021/weather-forecast/349727',
+    ACCUWEATHER_FORECAST: 'https://www.accuweather.com/en/us/new-york/10021/weather-forecast/${location}',
     GOAL_LIVE_SCORES: 'https://www.goal.com/en-in/live-scores',
+    COINMARKETCAP_HOME: 'https://coinmarketcap.com/',
+    YAHOO_FINANCE_MOST_ACTIVE: 'https://finance.yahoo.com/markets/stocks/most-active/',
+    GITHUB_LINUX_REPO: 'https://github.com/torvalds/linux',
+    INTERNET_LIVE_STATS_WEBSITES: 'https://www.internetlivestats.com/total-number-of-websites/',
+    FLIGHTAWARE_JFK_WEATHER: 'https://www.flightaware.com/resources/airport/KJFK/weather',
+    SOCIAL_COUNTS_YOUTUBE: 'https://socialcounts.org/youtube-live-subscriber-count/UCX6OQ3DkcsbYNE6H8uQQuVA',
+    PLANET_OSM_STATS: 'https://planet.openstreetmap.org/statistics/data_stats.html',
+    ROTTEN_TOMATOES_POPULAR_TV: 'https://www.rottentomatoes.com/browse/tv_series_browse/sort:popular',
+    IPAPI_JSON: 'https://ipapi.co/json/',
+    SOLANA_STATUS: 'https://status.solana.com/',
+    SPEEDTEST_GLOBAL_INDEX: 'https://www.speedtest.net/global-index',
+    ARXIV_PAPER: 'https://arxiv.org/abs/2305.17989',
+    NPM_STELLAR_SDK: 'https://www.npmjs.com/package/@stellar/stellar-sdk',
+    UNIX_TIMESTAMP: 'https://www.unixtimestamp.com/',
+    WIKIPEDIA_STATISTICS: 'https://en.wikipedia.org/wiki/Special:Statistics',
+    WORLDOMETERS_COUNTRIES: 'https://www.worldometers.info/geography/countries-of-the-world/',
+    RANDOM_NUMBER_API: 'https://www.randomnumberapi.com/api/v1.0/random?min=1&max=100&count=1',
+    GITHUB_RATE_LIMIT: 'https://api.github.com/rate_limit',
+    USGS_EARTHQUAKE_COUNT: 'https://earthquake.usgs.gov/fdsnws/event/1/count?format=geojson',
+    OPENDOTA_PRO_PLAYERS: 'https://api.opendota.com/api/proPlayers',
+    POSTMAN_ECHO_GET: 'https://postman-echo.com/get',
+    CROSSREF_WORK: 'https://api.crossref.org/works/10.1038/nature12373',
   },
 
   // File paths
   PATHS: {
     PROOF_FILE: './src/proof.json',
+    PROOFS_DIR: './proofs',
+    PIPELINE_FILE: './zkfetch.pipeline.json',
+    NETWORKS_FILE: './zkfetch.networks.json',
+    SIGNERS_FILE: './zkfetch.signers.json',
+    KEYSTORE_FILE: './zkfetch.keystore.json',
+  },
+
+  // Retry policy for transient zkFetch failures (overridable per provider)
+  RETRY: {
+    RETRIES: 2,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 15000,
+  },
+
+  // Proof freshness: default max age for providers without maxAgeS, and
+  // how far in the future a timestamp may be
+  FRESHNESS: {
+    MAX_AGE_S: 86400,
+    CLOCK_SKEW_S: 60,
+  },
+
+  // How long to wait for a submitted transaction to reach a ledger
+  CONFIRMATION: {
+    TIMEOUT_MS: 60000,
+    POLL_INTERVAL_MS: 2000,
+  },
+
+  // scrypt cost of new keystores (N = 2^17 takes about a second to unlock)
+  KEYSTORE: {
+    SCRYPT_N: 131072,
+    SCRYPT_R: 8,
+    SCRYPT_P: 1,
   },
 
   // Environment variables
@@ -73,26 +185,36 @@ export const CONFIG = {
 };
 
 /**
- * Validates that all required environment variables are set
- * @throws {Error} If required environment variables are missing
+ * Validates that there is a key to sign with: a seed phrase or secret key in
+ * the environment, or an encrypted keystore
+ * @throws {Error} If required environment variables are missing and there is
+ * no keystore
  */
 export function validateEnvironment() {
-  const required = ['SEEDPHRASE'];
-  const missing = required.filter((key) => !process.env[key]);
+  const keys = ['SEEDPHRASE', 'STELLAR_SECRET_KEY'];
 
-  if (missing.length > 0) {
+  if (
+    !keys.some((key) => process.env[key]) &&
+    !fs.existsSync(CONFIG.PATHS.KEYSTORE_FILE)
+  ) {
     throw new Error(
-      `Missing required environment variables: ${missing.join(', ')}\n` +
-        'Please create a .env file with the required variables. See .env.example for reference.'
+      `Missing required environment variables: ${keys.join(' or ')}\n` +
+        'Please create a .env file with the required variables (see .env.example), ' +
+        'or an encrypted keystore with "node src/index.js keystore create".'
     );
   }
 }
 
 /**
  * Gets the Stellar server instance
+ * @param {string} network - Network profile name (default 'testnet')
  * @returns {Object} Stellar Horizon server instance
  */
-export async function getStellarServer() {
+export async function getStellarServer(network = 'testnet') {
   const { Horizon } = await import('@stellar/stellar-sdk');
-  return new Horizon.Server(CONFIG.TESTNET_DETAILS.networkUrl);
+  const { resolveNetwork } = await import('./networks.js');
+  const { networkUrl } = resolveNetwork(network).networkDetails;
+  return new Horizon.Server(networkUrl, {
+    allowHttp: networkUrl.startsWith('http://'),
+  });
 }
@@ -0,0 +1,182 @@
+/**
+ * Errors Module
+ *
+ * Typed errors for proof generation and verification. Every error carries a
+ * stable `code` and a `retryable` flag so callers can tell an attestor outage
+ * or an upstream 429/5xx, which are worth retrying, from a response that
+ * simply does not match the provider's regexes. The CLI maps codes to exit
+ * codes.
+ */
+
+export const ERROR_CODES = {
+  ATTESTOR_UNAVAILABLE: 'ATTESTOR_UNAVAILABLE',
+  UPSTREAM_HTTP_ERROR: 'UPSTREAM_HTTP_ERROR',
+  RESPONSE_MATCH_FAILED: 'RESPONSE_MATCH_FAILED',
+  PROOF_GENERATION_FAILED: 'PROOF_GENERATION_FAILED',
+  VALUE_ASSERTION_FAILED: 'VALUE_ASSERTION_FAILED',
+  PROOF_INVALID: 'PROOF_INVALID',
+  PROOF_STALE: 'PROOF_STALE',
+  WITNESS_POLICY_FAILED: 'WITNESS_POLICY_FAILED',
+  TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  USAGE: 'USAGE',
+};
+
+const HTTP_STATUS =
+  /\b(?:status(?:\s+code)?|returned error|HTTP(?:\/[\d.]+)?)\b\D{0,3}([1-5]\d\d)\b/i;
+const RESPONSE_MATCH = /regex|did(?:n't| not) match|no match/i;
+const ATTESTOR_UNAVAILABLE =
+  /websocket|socket hang up|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|timed? ?out|attestor|connection (?:closed|reset)/i;
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Base class for typed errors
+ */
+export class ZkFetchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { code, retryable, cause }
+   */
+  constructor(message, { code, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code || ERROR_CODES.PROOF_GENERATION_FAILED;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The attestor could not be reached or dropped the connection
+ */
+export class AttestorUnavailableError extends ZkFetchError {
+  constructor(message, { cause } = {}) {
+    super(message, {
+      code: ERROR_CODES.ATTESTOR_UNAVAILABLE,
+      retryable: true,
+      cause,
+    });
+  }
+}
+
+/**
+ * The upstream API answered with an HTTP error status. Only 429 and 5xx are
+ * retryable.
+ */
+export class UpstreamHttpError extends ZkFetchError {
+  constructor(message, { status, cause } = {}) {
+    super(message, {
+      code: ERROR_CODES.UPSTREAM_HTTP_ERROR,
+      retryable: status === 429 || status >= 500,
+      cause,
+    });
+    this.status = status;
+  }
+}
+
+/**
+ * The response did not satisfy the provider's response matches
+ */
+export class ResponseMatchError extends ZkFetchError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: ERROR_CODES.RESPONSE_MATCH_FAILED, cause });
+  }
+}
+
+/**
+ * Any other proof generation failure
+ */
+export class ProofGenerationError extends ZkFetchError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: ERROR_CODES.PROOF_GENERATION_FAILED, cause });
+  }
+}
+
+/**
+ * The proof's extracted values failed the provider's assertions. `failures`
+ * lists each failed rule.
+ */
+export class ValueAssertionError extends ZkFetchError {
+  constructor(message, { failures = [], cause } = {}) {
+    super(message, { code: ERROR_CODES.VALUE_ASSERTION_FAILED, cause });
+    this.failures = failures;
+  }
+}
+
+/**
+ * A proof was refused before or during on-chain verification. `code` is one
+ * of PROOF_INVALID, PROOF_STALE, WITNESS_POLICY_FAILED or TRANSACTION_FAILED;
+ * `receipt` is set when the transaction reached the network.
+ */
+export class ProofVerificationError extends ZkFetchError {
+  constructor(
+    message,
+    { code = ERROR_CODES.PROOF_INVALID, cause, receipt } = {}
+  ) {
+    super(message, { code, cause });
+    if (receipt) {
+      this.receipt = receipt;
+    }
+  }
+}
+
+/**
+ * A command line was malformed: unknown command, unknown flag or a missing
+ * value
+ */
+export class UsageError extends ZkFetchError {
+  constructor(message) {
+    super(message, { code: ERROR_CODES.USAGE });
+  }
+}
+
+/**
+ * Maps an error thrown by zkFetch to a typed error
+ * @param {Error} error - The original error
+ * @returns {ZkFetchError} The typed error (the error itself if already typed)
+ */
+export function classifyZkFetchError(error) {
+  if (error instanceof ZkFetchError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const status = message.match(HTTP_STATUS);
+
+  if (status) {
+    return new UpstreamHttpError(message, {
+      status: Number(status[1]),
+      cause: error,
+    });
+  }
+
+  if (RESPONSE_MATCH.test(message)) {
+    return new ResponseMatchError(message, { cause: error });
+  }
+
+  if (
+    NETWORK_CODES.includes(error?.code) ||
+    ATTESTOR_UNAVAILABLE.test(message)
+  ) {
+    return new AttestorUnavailableError(message, { cause: error });
+  }
+
+  return new ProofGenerationError(message, { cause: error });
+}
+
+/**
+ * Classifies an error and prefixes its message, keeping its type, code and
+ * the fields its type carries (status, failures, receipt)
+ * @param {Error} error - The original error
+ * @param {string} prefix - Text to put before the message
+ * @returns {ZkFetchError} The typed error
+ */
+export function prefixError(error, prefix) {
+  const typed = classifyZkFetchError(error);
+  return new typed.constructor(`${prefix}${typed.message}`, {
+    code: typed.code,
+    retryable: typed.retryable,
+    status: typed.status,
+    failures: typed.failures,
+    receipt: typed.receipt,
+    cause: typed.cause || error,
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Freshness Module
+ *
+ * Checks claimData.timestampS against a maximum proof age, so a week-old
+ * price proof is not verified as if it were current. The age limit comes from
+ * the provider that produced the proof (`maxAgeS`, falling back to
+ * CONFIG.FRESHNESS.MAX_AGE_S); timestamps further in the future than the
+ * clock-skew tolerance are always refused.
+ */
+
+import * as fs from 'fs';
+import { CONFIG } from './config.js';
+import { ERROR_CODES, ProofVerificationError } from './errors.js';
+import { log } from './logger.js';
+import { getProvider, listProviders } from './providers/index.js';
+import { escapeRegex } from './selectors.js';
+
+const PLACEHOLDER = /\$\{\w+\}/;
+
+/**
+ * Validates a provider's maxAgeS setting. A function declaration, so the
+ * provider registry can call it while this module is still loading.
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If maxAgeS is set but not a positive integer
+ */
+export function validateFreshness(provider) {
+  if (
+    provider.maxAgeS !== undefined &&
+    (!Number.isInteger(provider.maxAgeS) || provider.maxAgeS < 1)
+  ) {
+    throw new Error(
+      `Provider ${provider.name} maxAgeS must be a positive integer`
+    );
+  }
+}
+
+/**
+ * Formats a duration in seconds, e.g. 45s, 5m 10s, 2h 5m or 7d 3h
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human readable duration
+ */
+export const formatDuration = (seconds) => {
+  const units = [
+    ['d', 86400],
+    ['h', 3600],
+    ['m', 60],
+    ['s', 1],
+  ];
+  let remaining = Math.max(0, Math.round(seconds));
+  const parts = [];
+
+  for (const [unit, size] of units) {
+    if (remaining >= size || (unit === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+
+  return parts.slice(0, 2).join(' ');
+};
+
+/**
+ * Finds the registered provider whose url produced a proof. Template
+ * placeholders match any single path or query segment, and a provider with
+ * exactly that url is preferred to a template that also matches it (stellar
+ * over coingecko with its default parameters).
+ * @param {Object} proof - The proof as saved by requestProof
+ * @returns {Object|undefined} The matching provider, if any
+ */
+export function findProofProvider(proof) {
+  let url;
+  try {
+    ({ url } = JSON.parse(proof.claimData.parameters));
+  } catch {
+    return undefined;
+  }
+
+  const providers = listProviders();
+  return (
+    providers.find((provider) => provider.url === url) ||
+    providers.find((provider) => {
+      const pattern = provider.url
+        .split(PLACEHOLDER)
+        .map(escapeRegex)
+        .join('[^/?&#]+');
+      return new RegExp(`^${pattern}$`).test(url);
+    })
+  );
+}
+
+/**
+ * Checks a proof's timestamp against the freshness policy
+ * @param {Object} proof - The proof as saved by requestProof
+ * @param {Object} options - Check options
+ * @param {string} options.provider - Provider name, instead of matching the url
+ * @param {number} options.maxAgeS - Maximum age, instead of the provider's
+ * @param {number} options.clockSkewS - Tolerance for future timestamps
+ * @param {boolean} options.allowStale - Accept proofs older than the maximum age
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} { fresh, stale, provider, timestampS, ageS, maxAgeS,
+ * clockSkewS, error }
+ * @throws {ProofVerificationError} If the proof has no timestamp, since its
+ * freshness cannot be established
+ * @throws {Error} If the provider is unknown
+ */
+export function checkFreshness(
+  proof,
+  {
+    provider: providerName,
+    maxAgeS,
+    clockSkewS = CONFIG.FRESHNESS.CLOCK_SKEW_S,
+    allowStale = false,
+    now = Date.now(),
+  } = {}
+) {
+  const timestampS = proof?.claimData?.timestampS;
+  if (!Number.isInteger(timestampS)) {
+    throw new ProofVerificationError('Proof has no claimData.timestampS', {
+      code: ERROR_CODES.PROOF_STALE,
+    });
+  }
+
+  const provider = providerName
+    ? getProvider(providerName)
+    : findProofProvider(proof);
+  if (providerName && !provider) {
+    throw new Error(`Unknown provider: ${providerName}`);
+  }
+
+  const limit = maxAgeS ?? provider?.maxAgeS ?? CONFIG.FRESHNESS.MAX_AGE_S;
+  const ageS = Math.floor(now / 1000) - timestampS;
+  const issuedAt = new Date(timestampS * 1000).toISOString();
+  const source = provider ? `${provider.name} proofs` : 'proofs';
+  const result = {
+    fresh: true,
+    stale: false,
+    provider: provider?.name,
+    timestampS,
+    ageS,
+    maxAgeS: limit,
+    clockSkewS,
+  };
+
+  if (-ageS > clockSkewS) {
+    result.fresh = false;
+    result.error =
+      `Proof timestamp is ${formatDuration(-ageS)} in the future (${issuedAt}), ` +
+      `beyond the allowed clock skew of ${formatDuration(clockSkewS)}`;
+  } else if (ageS > limit) {
+    result.stale = true;
+    result.fresh = allowStale;
+    if (!allowStale) {
+      result.error =
+        `Proof is stale: issued ${formatDuration(ageS)} ago (${issuedAt}), ` +
+        `${source} are valid for ${formatDuration(limit)}. ` +
+        'Use --allow-stale to verify it anyway';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Prints the result of a freshness check
+ * @param {Object} result - Result returned by checkFreshness
+ */
+export function printFreshness(result) {
+  const provider = result.provider || 'unknown provider';
+  const age =
+    result.ageS < 0
+      ? `${formatDuration(-result.ageS)} in the future`
+      : `${formatDuration(result.ageS)} old`;
+
+  log.info(
+    `Proof from ${provider} is ${age} (max age ${formatDuration(result.maxAgeS)})`
+  );
+
+  if (result.error) {
+    log.info(result.error);
+  } else if (result.stale) {
+    log.info('Proof is stale; accepted because --allow-stale was given');
+  } else {
+    log.info('Proof is fresh');
+  }
+}
+
+/**
+ * Loads a proof file and checks its freshness
+ * @param {string} proofPath - Path to the proof file
+ * @param {Object} options - Options for checkFreshness
+ * @returns {Object} The freshness result
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function checkProofFileFreshness(
+  proofPath = CONFIG.PATHS.PROOF_FILE,
+  options = {}
+) {
+  let proof;
+  try {
+    proof = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load proof: ${error.message}`);
+  }
+
+  const result = checkFreshness(proof, options);
+  printFreshness(result);
+  return result;
+}
@@ -5,16 +5,155 @@
  * requesting proofs and verifying them on the Stellar blockchain.
  */
 
-import { requestProof } from './requestProof.js';
+import * as fs from 'fs';
+import {
+  printBatchSummary,
+  readBatchFile,
+  requestCustomProof,
+  requestProof,
+  requestProofs,
+} from './requestProof.js';
+import {
+  printProviderTestReport,
+  testProviderFixture,
+} from './providerTester.js';
 import { verifyProof } from './verifyProof.js';
+import { verifyProofFileOffline } from './verifyLocal.js';
+import { checkProofFileFreshness, findProofProvider } from './freshness.js';
+import { inspectProofFile } from './inspect.js';
+import { printPipelineSummary, runPipeline } from './pipeline.js';
+import { listReceipts, printReceipts } from './receipts.js';
+import {
+  BUILT_IN_NETWORKS,
+  describeNetworks,
+  formatExplorerUrl,
+  resolveNetwork,
+} from './networks.js';
+import { getSignerProfile, listAccounts, printAccounts } from './signers.js';
+import { KEYSTORE_ACTIONS } from './keystore.js';
 import { CONFIG } from './config.js';
+import { createLogger, log, withLogger } from './logger.js';
+import { ERROR_CODES, ProofVerificationError, UsageError } from './errors.js';
+import {
+  PROGRAM,
+  exitCodeFor,
+  findCommand,
+  formatCommandHelp,
+  formatJsonResult,
+  formatCommandList,
+  parseCommandArgs,
+  withSuggestion,
+} from './cli.js';
+import {
+  getProvider,
+  getProviderNames,
+  listProviders,
+  registerProvider,
+} from './providers/index.js';
 
 /**
  * Main application class
  */
 class ZkFetchStellarApp {
-  constructor() {
+  /**
+   * @param {Object} options - App options
+   * @param {Object} options.logger - Logger for everything the app prints
+   * (any object with debug, info, warn and error methods, e.g. console or
+   * pino); defaults to the console, filtered by LOG_LEVEL
+   */
+  constructor({ logger } = {}) {
     this.config = CONFIG;
+    this.logger = logger;
+  }
+
+  /**
+   * Runs a function with the app's logger, when one was given
+   * @param {Function} fn - The function to run
+   * @returns {*} Whatever fn returns
+   */
+  runWithLogger(fn) {
+    return this.logger ? withLogger(this.logger, fn) : fn();
+  }
+
+  /**
+   * Lists the providers proofs can be requested for
+   * @returns {Object[]} Registered provider definitions
+   */
+  listProviders() {
+    return listProviders();
+  }
+
+  /**
+   * Registers an additional provider definition
+   * @param {Object} definition - The provider definition
+   * @returns {Object} The registered definition
+   */
+  registerProvider(definition) {
+    return registerProvider(definition);
+  }
+
+  /**
+   * Requests a new proof for any registered provider
+   * @param {string} providerName - Registered provider name
+   * @param {string} outputPath - Optional custom output path
+   * @param {Object} params - Optional template parameters (e.g. { coin: 'bitcoin' })
+   * @returns {Promise<Object>} The generated proof
+   */
+  async requestProviderProof(providerName, outputPath, params) {
+    return this.runWithLogger(async () => {
+      const provider = getProvider(providerName);
+      const description = provider ? provider.description : providerName;
+      log.info(`Requesting ${description} proof...`);
+
+      if (params && Object.keys(params).length > 0) {
+        return await requestProof(outputPath, providerName, params);
+      }
+      return await requestProof(outputPath, providerName);
+    });
+  }
+
+  /**
+   * Requests proofs for several providers in parallel, each saved to its own
+   * file
+   * @param {Array<string|Object>} list - Provider names or { provider, params, outputPath }
+   * @param {Object} options - { concurrency, outputDir }
+   * @returns {Promise<Object>} Summary with per-provider results
+   */
+  async requestProofs(list, options) {
+    return this.runWithLogger(async () => {
+      const summary = await requestProofs(list, options);
+      printBatchSummary(summary);
+      return summary;
+    });
+  }
+
+  /**
+   * Tests a provider's response matches and redactions against a saved
+   * response, without generating a proof
+   * @param {string} providerName - Registered provider name
+   * @param {string} fixturePath - Path to the saved response body
+   * @param {Object} params - Optional template parameters
+   * @returns {Object} The test report
+   */
+  testProvider(providerName, fixturePath, params) {
+    return this.runWithLogger(() => {
+      const report = testProviderFixture(providerName, fixturePath, params);
+      printProviderTestReport(report);
+      return report;
+    });
+  }
+
+  /**
+   * Requests a new proof for an ad-hoc URL and regex set
+   * @param {Object} options - URL, method, headers, matches, redactions, contextMessage
+   * @param {string} outputPath - Optional custom output path
+   * @returns {Promise<Object>} The generated proof
+   */
+  async requestCustomProof(options, outputPath) {
+    return this.runWithLogger(async () => {
+      log.info(`Requesting custom proof for ${options?.url}...`);
+      return await requestCustomProof(outputPath, options);
+    });
   }
 
   /**
@@ -23,8 +162,7 @@ class ZkFetchStellarApp {
    * @returns {Promise<Object>} The generated proof
    */
   async requestStellarPriceProof(outputPath) {
-    console.log('Requesting Stellar price proof...');
-    return await requestProof(outputPath, 'stellar');
+    return await this.requestProviderProof('stellar', outputPath);
   }
 
   /**
@@ -33,8 +171,7 @@ class ZkFetchStellarApp {
    * @returns {Promise<Object>} The generated proof
    */
   async requestTradingEconomicsProof(outputPath) {
-    console.log('Requesting Trading Economics countries GDP proof...');
-    return await requestProof(outputPath, 'trading-economics');
+    return await this.requestProviderProof('trading-economics', outputPath);
   }
 
   /**
@@ -43,8 +180,7 @@ class ZkFetchStellarApp {
    * @returns {Promise<Object>} The generated proof
    */
   async requestForbesProof(outputPath) {
-    console.log('Requesting Forbes billionaires proof...');
-    return await requestProof(outputPath, 'forbes');
+    return await this.requestProviderProof('forbes', outputPath);
   }
 
   /**
@@ -53,8 +189,7 @@ class ZkFetchStellarApp {
    * @returns {Promise<Object>} The generated proof
    */
   async requestAccuWeatherProof(outputPath) {
-    console.log('Requesting AccuWeather NYC proof...');
-    return await requestProof(outputPath, 'accuweather');
+    return await this.requestProviderProof('accuweather', outputPath);
   }
 
   /**
@@ -63,148 +198,1053 @@ class ZkFetchStellarApp {
    * @returns {Promise<Object>} The generated proof
    */
   async requestGoalProof(outputPath) {
-    console.log('Requesting Goal.com live scores proof...');
-    return await requestProof(outputPath, 'goal');
+    return await this.requestProviderProof('goal', outputPath);
   }
 
   /**
    * Verifies a proof on the Stellar blockchain
    * @param {string} proofPath - Optional custom proof file path
-   * @returns {Promise<string>} Transaction hash
+   * @param {string} network - Optional network profile (default 'testnet')
+   * @param {Object} options - Optional verifyProof options (verifyLocally,
+   * minWitnesses, allowStale, maxAgeS, simulate, signer, accountIndex)
+   * @returns {Promise<Object>} Receipt of the confirmed transaction, or the
+   * simulation report with simulate
    */
-  async verifyProofOnStellar(proofPath) {
-    console.log('Verifying proof on Stellar blockchain...');
-    return await verifyProof(proofPath);
+  async verifyProofOnStellar(proofPath, network, options) {
+    return this.runWithLogger(async () => {
+      log.info('Verifying proof on Stellar blockchain...');
+      if (network || options) {
+        return await verifyProof(proofPath, network, options);
+      }
+      return await verifyProof(proofPath);
+    });
   }
 
   /**
-   * Complete workflow: request proof and verify it
+   * Verifies a proof's signatures against its witnesses without submitting
+   * a transaction
    * @param {string} proofPath - Optional custom proof file path
-   * @returns {Promise<Object>} Result containing proof and transaction hash
+   * @returns {Object} The local verification report
    */
-  async runCompleteWorkflow(proofPath = CONFIG.PATHS.PROOF_FILE) {
-    try {
-      console.log('Starting complete zkFetch workflow...');
+  verifyProofLocally(proofPath) {
+    return this.runWithLogger(() => verifyProofFileOffline(proofPath));
+  }
 
-      // Step 1: Request proof
-      const proof = await this.requestStellarPriceProof(proofPath);
+  /**
+   * Checks that a proof is recent enough to verify
+   * @param {string} proofPath - Optional custom proof file path
+   * @param {Object} options - { provider, maxAgeS, clockSkewS, allowStale }
+   * @returns {Object} The freshness result
+   */
+  checkProofFreshness(proofPath, options = {}) {
+    return this.runWithLogger(() =>
+      checkProofFileFreshness(proofPath, options)
+    );
+  }
 
-      // Step 2: Verify proof
-      const txHash = await this.verifyProofOnStellar(proofPath);
+  /**
+   * Summarizes a saved proof and its offline checks
+   * @param {string} proofPath - Optional custom proof file path
+   * @returns {Object} The inspection report
+   */
+  inspectProof(proofPath) {
+    return this.runWithLogger(() => inspectProofFile(proofPath));
+  }
 
-      console.log('Complete workflow finished successfully!');
+  /**
+   * Complete workflow: request a proof, check it offline and verify it on
+   * Stellar
+   * @param {Object} options - Workflow options (a string is taken as outputPath)
+   * @param {string} options.provider - Registered provider name (default 'stellar')
+   * @param {Object} options.params - Optional template parameters
+   * @param {string} options.network - Network profile (default 'testnet')
+   * @param {string} options.outputPath - Where to save the proof (default CONFIG.PATHS.PROOF_FILE)
+   * @param {boolean} options.verifyLocally - Check the claim and signatures before submitting (default true)
+   * @param {string} options.signer - Named signer to submit with (default: STELLAR_SECRET_KEY, else SEEDPHRASE)
+   * @param {number} options.accountIndex - Account of the signer's seed phrase to submit with
+   * @param {boolean} options.waitForConfirmation - Poll until the transaction is in a ledger (default true)
+   * @returns {Promise<Object>} { success, provider, network, proofPath, proof,
+   * verification, transactionHash, status, receipt }, plus error and code on
+   * failure. status is SUBMITTED without waitForConfirmation, else SUCCESS
+   * once the transaction is in a ledger, FAILED or NOT_FOUND (not confirmed
+   * in time).
+   */
+  async runCompleteWorkflow(options = {}) {
+    const {
+      provider = 'stellar',
+      params,
+      network = 'testnet',
+      outputPath = CONFIG.PATHS.PROOF_FILE,
+      verifyLocally = true,
+      signer,
+      accountIndex,
+      waitForConfirmation = true,
+    } = typeof options === 'string' ? { outputPath: options } : options;
 
-      return {
-        proof,
-        transactionHash: txHash,
-        success: true,
-      };
-    } catch (error) {
-      console.error('Workflow failed:', error.message);
-      return {
-        error: error.message,
-        success: false,
+    return this.runWithLogger(async () => {
+      const result = {
+        provider,
+        network,
+        proofPath: outputPath,
+        proof: null,
+        verification: null,
+        transactionHash: null,
+        status: null,
+        receipt: null,
       };
-    }
+
+      try {
+        log.info(
+          `Starting complete zkFetch workflow for ${provider} on ${network}...`
+        );
+
+        // Step 1: Request proof
+        result.proof = await this.requestProviderProof(
+          provider,
+          outputPath,
+          params
+        );
+
+        // Step 2: Check the saved proof offline, so a bad one costs no fee
+        if (verifyLocally) {
+          result.verification = this.verifyProofLocally(outputPath);
+          if (!result.verification.valid) {
+            throw new ProofVerificationError(
+              `Local verification failed: ${result.verification.errors.join('; ')}`
+            );
+          }
+        }
+
+        // Step 3: Verify proof (already checked locally) and, unless told
+        // not to, wait for the transaction to land in a ledger
+        result.receipt = await this.verifyProofOnStellar(outputPath, network, {
+          verifyLocally: false,
+          signer,
+          accountIndex,
+          waitForConfirmation,
+        });
+        result.transactionHash = result.receipt.hash;
+        result.status = result.receipt.status;
+
+        log.info('Complete workflow finished successfully!');
+        return { success: true, ...result };
+      } catch (error) {
+        log.error('Workflow failed:', error.message);
+        if (error.receipt) {
+          result.receipt = error.receipt;
+          result.transactionHash = error.receipt.hash;
+          result.status = error.receipt.status;
+        }
+        return {
+          success: false,
+          ...result,
+          error: error.message,
+          code: error.code,
+        };
+      }
+    });
+  }
+
+  /**
+   * Runs a job from a pipeline file
+   * @param {string} jobName - Name of the job
+   * @param {Object} options - { file, continueOnError }
+   * @returns {Promise<Object>} Summary with per-step results
+   */
+  async runPipeline(jobName, options) {
+    return this.runWithLogger(async () => {
+      const summary = await runPipeline(jobName, options);
+      printPipelineSummary(summary);
+      return summary;
+    });
+  }
+
+  /**
+   * Lists the receipts of past verifications
+   * @param {Object} filters - { dirs, provider, network, since, until }
+   * @returns {Object[]} Matching receipts, oldest first
+   */
+  listReceipts(filters) {
+    return this.runWithLogger(() => {
+      const receipts = listReceipts(filters);
+      printReceipts(receipts);
+      return receipts;
+    });
+  }
+
+  /**
+   * Lists a signer's first accounts with their balances
+   * @param {Object} options - { signer, count, network }
+   * @returns {Promise<Object[]>} { index, publicKey, selected, balance } per
+   * account
+   */
+  async listAccounts(options = {}) {
+    return this.runWithLogger(async () => {
+      const accounts = await listAccounts(options);
+      printAccounts(accounts, options.network);
+      return accounts;
+    });
+  }
+
+  /**
+   * Creates, imports, exports or re-encrypts the keystore
+   * @param {string} action - One of KEYSTORE_ACTIONS
+   * @param {Object} options - { file, force, fromEnv, reveal }
+   * @returns {Promise<Object>} { file, type, publicKey }, and secret for
+   * create and export
+   */
+  async manageKeystore(action, options = {}) {
+    return this.runWithLogger(() => KEYSTORE_ACTIONS[action](options));
   }
 
   /**
    * Displays application information
    */
   displayInfo() {
-    console.log(`
-zkFetch Stellar Example
-======================
-
-This application demonstrates zero-knowledge proof generation and verification
-using the Reclaim Protocol and Stellar blockchain.
-
-Features:
-- Generate ZK proofs for cryptocurrency price data (Stellar)
-- Generate ZK proofs for economic data (Trading Economics countries GDP)
-- Generate ZK proofs for billionaires data (Forbes real-time billionaires)
-- Generate ZK proofs for weather data (AccuWeather NYC)
-- Generate ZK proofs for sports data (Goal.com live scores)
-- Verify proofs on Stellar testnet using Soroban contracts
-- Complete workflow automation
-
-Configuration:
-- Network: ${this.config.TESTNET_DETAILS.network}
-- Contract: ${this.config.STELLAR_TESTNET.CONTRACT_ID}
-- Stellar API: ${this.config.API.COINGECKO_STELLAR_PRICE}
-- Trading Economics API: ${this.config.API.TRADING_ECONOMICS_COUNTRIES}
-- Forbes API: ${this.config.API.FORBES_BILLIONAIRES}
-- AccuWeather API: ${this.config.API.ACCUWEATHER_NYC}
-- Goal.com API: ${this.config.API.GOAL_LIVE_SCORES}
-
-Usage:
-  npm run request-proof              # Generate a new Stellar price proof
-  node src/index.js request-trading-economics  # Generate Trading Economics proof
-  node src/index.js request-forbes  # Generate Forbes billionaires proof
-  node src/index.js request-accuweather  # Generate AccuWeather NYC proof
-  node src/index.js request-goal    # Generate Goal.com live scores proof
-  npm run verify-proof              # Verify existing proof
-  npm start                         # Run complete workflow
-    `);
+    return this.runWithLogger(() => {
+      const providers = listProviders();
+      const width = Math.max(...providers.map(({ name }) => name.length));
+      const commands = providers.map(
+        ({ name, description }) =>
+          `  node src/index.js request-${name.padEnd(width)}  # Generate ${description} proof`
+      );
+
+      log.info(
+        [
+          '',
+          'zkFetch Stellar Example',
+          '======================',
+          '',
+          'This application demonstrates zero-knowledge proof generation and verification',
+          'using the Reclaim Protocol and Stellar blockchain.',
+          '',
+          'Features:',
+          ...providers.map(
+            ({ description }) => `- Generate ZK proofs for ${description} data`
+          ),
+          '- Verify proofs on Stellar testnet using Soroban contracts',
+          '- Complete workflow automation',
+          '',
+          'Configuration:',
+          `- Network: ${this.config.TESTNET_DETAILS.network}`,
+          `- Contract: ${this.config.STELLAR_TESTNET.CONTRACT_ID}`,
+          ...providers.map(
+            ({ description, url }) => `- ${description}: ${url}`
+          ),
+          '',
+          'Usage:',
+          '  npm run request-proof              # Generate a new Stellar price proof',
+          ...commands,
+          '  npm run verify-proof              # Verify existing proof',
+          '  npm start                         # Run complete workflow',
+          '',
+        ].join('\n')
+      );
+    });
   }
 }
 
+const PROOF_FLAG = {
+  type: 'string',
+  value: '<path>',
+  description: `Proof file (default ${CONFIG.PATHS.PROOF_FILE})`,
+};
+
+const NETWORK_FLAG = {
+  type: 'string',
+  value: '<name>',
+  description: `Stellar network: ${BUILT_IN_NETWORKS.join(', ')} or a profile from ${CONFIG.PATHS.NETWORKS_FILE} (default testnet)`,
+};
+
+const SIGNER_FLAGS = {
+  signer: {
+    type: 'string',
+    value: '<name>',
+    description: `Named signer from ${CONFIG.PATHS.SIGNERS_FILE} (default: STELLAR_SECRET_KEY, else SEEDPHRASE)`,
+  },
+  'account-index': {
+    type: 'number',
+    value: '<n>',
+    description:
+      "Account of the signer's seed phrase (default: the signer's, else 0)",
+  },
+};
+
+/**
+ * Resolves the proof path from --proof or the positional argument
+ * @param {Object} parsed - Parsed command arguments
+ * @returns {string|undefined} The proof path
+ */
+const proofPathOf = ({ flags, positionals }) => flags.proof ?? positionals[0];
+
+/**
+ * Checks that a provider is registered
+ * @param {string} name - Provider name from the command line
+ * @returns {string} The name
+ * @throws {UsageError} If no provider has that name
+ */
+const checkProvider = (name) => {
+  if (!getProvider(name)) {
+    throw new UsageError(
+      withSuggestion(`Unknown provider: ${name}`, name, getProviderNames())
+    );
+  }
+  return name;
+};
+
 /**
- * CLI interface
+ * Reads the provider and extracted values of a saved proof for --json output
+ * @param {string} proofPath - Path to the proof file
+ * @returns {Object} { proofPath, provider, extractedValues }, without the
+ * last two if the file cannot be read
  */
-async function main() {
-  const app = new ZkFetchStellarApp();
-  const command = process.argv[2];
-
-  switch (command) {
-    case 'request':
-    case 'request-proof':
-      await app.requestStellarPriceProof();
-      break;
-
-    case 'request-trading-economics':
-      await app.requestTradingEconomicsProof();
-      break;
-
-    case 'request-forbes':
-      await app.requestForbesProof();
-      break;
-
-    case 'request-accuweather':
-      await app.requestAccuWeatherProof();
-      break;
-
-    case 'request-goal':
-      await app.requestGoalProof();
-      break;
-
-    case 'verify':
-    case 'verify-proof':
-      await app.verifyProofOnStellar();
-      break;
-
-    case 'workflow':
-    case 'complete':
-      await app.runCompleteWorkflow();
-      break;
-
-    case 'info':
+const describeProof = (proofPath = CONFIG.PATHS.PROOF_FILE) => {
+  try {
+    const proof = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+    return {
+      proofPath,
+      provider: findProofProvider(proof)?.name ?? null,
+      extractedValues: proof.extractedParameterValues ?? null,
+    };
+  } catch {
+    return { proofPath };
+  }
+};
+
+/**
+ * Builds the explorer link for a transaction
+ * @param {string} network - Network profile (default testnet)
+ * @param {string} hash - Transaction hash
+ * @returns {string|null} The link, null without a hash or an explorer
+ */
+const explorerLink = (network, hash) =>
+  hash ? formatExplorerUrl(resolveNetwork(network).stellarConfig, hash) : null;
+
+/**
+ * Resolves and checks the --network flag (--mainnet and --testnet are kept
+ * for the old verify-proof command line)
+ * @param {Object} flags - Parsed flags
+ * @returns {string|undefined} The network, if one was given
+ * @throws {UsageError} If the network is unknown
+ */
+const networkOf = (flags) => {
+  const network =
+    flags.network ??
+    (flags.mainnet ? 'mainnet' : flags.testnet ? 'testnet' : undefined);
+
+  if (network !== undefined) {
+    // Throws for unknown names, suggesting the closest one
+    resolveNetwork(network);
+  }
+  return network;
+};
+
+/**
+ * Resolves and checks the --signer and --account-index flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} { signer, accountIndex }, each undefined if not given
+ * @throws {UsageError} If the signer is unknown
+ */
+const signerOf = (flags) => {
+  if (flags.signer !== undefined) {
+    getSignerProfile(flags.signer);
+  }
+  return { signer: flags.signer, accountIndex: flags['account-index'] };
+};
+
+/**
+ * CLI commands. `run` receives the app and the parsed arguments and returns
+ * the command's result; `status` returns { code, message } when the command
+ * ran but its check failed; `summarize` picks the provider, extracted values,
+ * proof path and transaction from the result for --json output.
+ */
+const COMMANDS = [
+  {
+    name: 'request',
+    aliases: ['request-proof'],
+    args: ['[provider]'],
+    params: true,
+    summary: 'Generate a proof for a provider (default stellar)',
+    details: [
+      'Provider parameters are passed as flags, e.g.',
+      `  ${PROGRAM} request coingecko --coin bitcoin --vs eur`,
+      `Run "${PROGRAM} providers" for the list of providers.`,
+    ],
+    flags: {
+      out: {
+        type: 'string',
+        value: '<path>',
+        description: `Where to save the proof (default ${CONFIG.PATHS.PROOF_FILE})`,
+      },
+    },
+    run: async (app, { positionals, flags, params }) => {
+      const [providerName] = positionals;
+      if (!providerName) {
+        return await app.requestStellarPriceProof(flags.out);
+      }
+
+      return await app.requestProviderProof(
+        checkProvider(providerName),
+        flags.out,
+        params
+      );
+    },
+    summarize: (proof, { positionals, flags }) => ({
+      provider: positionals[0] || 'stellar',
+      extractedValues: proof?.extractedParameterValues ?? null,
+      proofPath: flags.out || CONFIG.PATHS.PROOF_FILE,
+    }),
+  },
+  {
+    name: 'request-custom',
+    summary: 'Generate a proof for any URL',
+    description: 'Generate a proof for any URL and set of regexes',
+    details: [
+      'Each --match regex needs a named group for the value it extracts, e.g.',
+      `  ${PROGRAM} request-custom --url https://api.example.com/price --match '"usd":(?<price>[\\d.]+)'`,
+    ],
+    flags: {
+      url: { type: 'string', value: '<url>', description: 'URL to fetch' },
+      method: {
+        type: 'string',
+        value: '<method>',
+        description: 'HTTP method (default GET)',
+      },
+      header: {
+        type: 'list',
+        value: '"Name: value"',
+        description: 'Request header',
+      },
+      match: {
+        type: 'list',
+        value: '<regex>',
+        description: 'Response regex with named groups',
+      },
+      redact: {
+        type: 'list',
+        value: '<regex>',
+        description: 'Regex for the part of the response to reveal',
+      },
+      context: {
+        type: 'string',
+        value: '<message>',
+        description: 'Context message stored in the proof',
+      },
+      out: {
+        type: 'string',
+        value: '<path>',
+        description: `Where to save the proof (default ${CONFIG.PATHS.PROOF_FILE})`,
+      },
+    },
+    run: async (app, { flags }) =>
+      await app.requestCustomProof(
+        {
+          url: flags.url,
+          method: flags.method,
+          headers: flags.header || [],
+          matches: flags.match || [],
+          redactions: flags.redact || [],
+          contextMessage: flags.context,
+        },
+        flags.out
+      ),
+    summarize: (proof, { flags }) => ({
+      extractedValues: proof?.extractedParameterValues ?? null,
+      proofPath: flags.out || CONFIG.PATHS.PROOF_FILE,
+    }),
+  },
+  {
+    name: 'request-batch',
+    args: ['<provider[:param=value,...]>...'],
+    summary: 'Generate proofs for several providers',
+    flags: {
+      file: {
+        type: 'list',
+        value: '<list.json>',
+        description:
+          'JSON array of providers or { provider, params, outputPath }',
+      },
+      concurrency: {
+        type: 'number',
+        value: '<n>',
+        description: 'Maximum parallel requests (default 3)',
+      },
+      'out-dir': {
+        type: 'string',
+        value: '<dir>',
+        description: `Where to save the proofs (default ${CONFIG.PATHS.PROOFS_DIR})`,
+      },
+    },
+    run: async (app, { positionals, flags }) =>
+      await app.requestProofs(
+        [...positionals, ...(flags.file || []).flatMap(readBatchFile)],
+        { concurrency: flags.concurrency, outputDir: flags['out-dir'] }
+      ),
+    status: ({ failed, results }) =>
+      failed > 0
+        ? {
+            code: ERROR_CODES.PROOF_GENERATION_FAILED,
+            message: `${failed} of ${results.length} proofs failed`,
+          }
+        : undefined,
+  },
+  {
+    name: 'verify',
+    aliases: ['verify-proof'],
+    args: ['[proof]'],
+    summary: 'Verify a proof on Stellar',
+    flags: {
+      proof: PROOF_FLAG,
+      network: NETWORK_FLAG,
+      mainnet: { type: 'boolean', hidden: true },
+      testnet: { type: 'boolean', hidden: true },
+      'skip-local-verify': {
+        type: 'boolean',
+        description: 'Do not check the claim and signatures before submitting',
+      },
+      'min-witnesses': {
+        type: 'number',
+        value: '<n>',
+        description: 'Distinct attestor signatures required',
+      },
+      'max-age': {
+        type: 'number',
+        value: '<seconds>',
+        description: "Maximum proof age (default: the provider's)",
+      },
+      'allow-stale': {
+        type: 'boolean',
+        description: 'Verify proofs older than their maximum age',
+      },
+      simulate: {
+        type: 'boolean',
+        description:
+          'Only simulate: report the return value, resources and fees without signing or submitting',
+      },
+      ...SIGNER_FLAGS,
+    },
+    run: async (app, parsed) => {
+      const { flags } = parsed;
+      const options = {
+        verifyLocally: !flags['skip-local-verify'],
+        minWitnesses: flags['min-witnesses'],
+        allowStale: Boolean(flags['allow-stale']),
+        maxAgeS: flags['max-age'],
+        simulate: flags.simulate,
+        ...signerOf(flags),
+      };
+      const result = await app.verifyProofOnStellar(
+        proofPathOf(parsed),
+        networkOf(flags),
+        options
+      );
+      return flags.simulate
+        ? { simulation: result }
+        : { transactionHash: result.hash, receipt: result };
+    },
+    summarize: ({ transactionHash }, parsed) => ({
+      ...describeProof(proofPathOf(parsed)),
+      transactionHash: transactionHash ?? null,
+      explorerLink: explorerLink(networkOf(parsed.flags), transactionHash),
+    }),
+  },
+  {
+    name: 'verify-local',
+    args: ['[proof]'],
+    summary: 'Check proof signatures offline, without a transaction',
+    flags: { proof: PROOF_FLAG },
+    run: (app, parsed) => app.verifyProofLocally(proofPathOf(parsed)),
+    status: ({ valid, errors }) =>
+      valid
+        ? undefined
+        : { code: ERROR_CODES.PROOF_INVALID, message: errors.join('; ') },
+    summarize: (report, parsed) => describeProof(proofPathOf(parsed)),
+  },
+  {
+    name: 'check-freshness',
+    args: ['[proof]'],
+    summary: 'Check that a proof is recent enough to verify',
+    flags: {
+      proof: PROOF_FLAG,
+      provider: {
+        type: 'string',
+        value: '<name>',
+        description: 'Provider whose max age applies (default: from the URL)',
+      },
+      'max-age': {
+        type: 'number',
+        value: '<seconds>',
+        description: "Maximum proof age (default: the provider's)",
+      },
+      'clock-skew': {
+        type: 'number',
+        value: '<seconds>',
+        description: `Tolerance for future timestamps (default ${CONFIG.FRESHNESS.CLOCK_SKEW_S})`,
+      },
+      'allow-stale': {
+        type: 'boolean',
+        description: 'Accept proofs older than their maximum age',
+      },
+    },
+    run: (app, parsed) => {
+      const { flags } = parsed;
+      return app.checkProofFreshness(proofPathOf(parsed), {
+        provider: flags.provider,
+        maxAgeS: flags['max-age'],
+        clockSkewS: flags['clock-skew'],
+        allowStale: Boolean(flags['allow-stale']),
+      });
+    },
+    status: ({ fresh, error }) =>
+      fresh ? undefined : { code: ERROR_CODES.PROOF_STALE, message: error },
+    summarize: (result, parsed) => describeProof(proofPathOf(parsed)),
+  },
+  {
+    name: 'inspect',
+    args: ['[proof]'],
+    summary: 'Summarize a proof and its offline checks',
+    flags: { proof: PROOF_FLAG },
+    run: (app, parsed) => app.inspectProof(proofPathOf(parsed)),
+    summarize: (report, parsed) => describeProof(proofPathOf(parsed)),
+  },
+  {
+    name: 'workflow',
+    aliases: ['complete'],
+    args: ['[provider]'],
+    params: true,
+    summary: 'Request a proof and verify it on Stellar (default stellar)',
+    details: [
+      'Requests the proof, checks it offline, then submits it, e.g.',
+      `  ${PROGRAM} workflow coingecko --coin bitcoin --network mainnet`,
+    ],
+    flags: {
+      out: {
+        type: 'string',
+        value: '<path>',
+        description: `Where to save the proof (default ${CONFIG.PATHS.PROOF_FILE})`,
+      },
+      network: NETWORK_FLAG,
+      'skip-local-verify': {
+        type: 'boolean',
+        description: 'Do not check the claim and signatures before submitting',
+      },
+      'no-wait': {
+        type: 'boolean',
+        description:
+          'Return once the transaction is submitted, without waiting for a ledger',
+      },
+      ...SIGNER_FLAGS,
+    },
+    run: (app, { positionals, flags, params }) =>
+      app.runCompleteWorkflow({
+        provider: checkProvider(positionals[0] || 'stellar'),
+        params,
+        network: networkOf(flags),
+        outputPath: flags.out,
+        verifyLocally: !flags['skip-local-verify'],
+        waitForConfirmation: !flags['no-wait'],
+        ...signerOf(flags),
+      }),
+    status: ({ success, code, error }) =>
+      success ? undefined : { code, message: error },
+    summarize: (result) => ({
+      provider: result.provider,
+      extractedValues: result.proof?.extractedParameterValues ?? null,
+      proofPath: result.proofPath,
+      transactionHash: result.transactionHash,
+      explorerLink: explorerLink(result.network, result.transactionHash),
+    }),
+  },
+  {
+    name: 'run',
+    args: ['<job>'],
+    summary: 'Run a job from the pipeline file',
+    details: [
+      'Jobs are lists of request, assert, verify-local, submit and export',
+      `steps declared in ${CONFIG.PATHS.PIPELINE_FILE}, e.g.`,
+      `  ${PROGRAM} run prices --continue-on-error`,
+    ],
+    flags: {
+      file: {
+        type: 'string',
+        value: '<path>',
+        description: `Pipeline file (default ${CONFIG.PATHS.PIPELINE_FILE})`,
+      },
+      'continue-on-error': {
+        type: 'boolean',
+        description: 'Run the remaining steps after a step fails',
+      },
+    },
+    run: (app, { positionals, flags }) =>
+      app.runPipeline(positionals[0], {
+        file: flags.file,
+        continueOnError: flags['continue-on-error'] || undefined,
+      }),
+    status: ({ success, failed, steps }) =>
+      success
+        ? undefined
+        : {
+            code: steps.find(({ status }) => status === 'failed').code,
+            message: `${failed} of ${steps.length} steps failed`,
+          },
+    summarize: ({ steps }) => {
+      const last = (key) =>
+        steps.findLast(({ result }) => result?.[key] != null)?.result[key] ??
+        null;
+      return {
+        provider: last('provider'),
+        extractedValues: last('extractedValues'),
+        proofPath: last('proofPath'),
+        transactionHash: last('transactionHash'),
+        explorerLink: explorerLink(last('network'), last('transactionHash')),
+      };
+    },
+  },
+  {
+    name: 'receipts',
+    summary: 'List the receipts of proofs verified on Stellar',
+    details: [
+      'Every verification saves a receipt next to its proof, named after its transaction, e.g.',
+      '  proofs/btc.json -> proofs/btc.mainnet.<tx hash>.receipt.json',
+      `  ${PROGRAM} receipts --provider coingecko --network mainnet --since 2026-01-01`,
+    ],
+    flags: {
+      dir: {
+        type: 'list',
+        value: '<path>',
+        description: `Directory to search (default ${CONFIG.PATHS.PROOFS_DIR} and the directory of ${CONFIG.PATHS.PROOF_FILE})`,
+      },
+      provider: {
+        type: 'string',
+        value: '<name>',
+        description: 'Only proofs from this provider',
+      },
+      network: NETWORK_FLAG,
+      since: {
+        type: 'string',
+        value: '<date>',
+        description: 'Only transactions on or after this date',
+      },
+      until: {
+        type: 'string',
+        value: '<date>',
+        description: 'Only transactions on or before this date',
+      },
+    },
+    run: (app, { flags }) =>
+      app.listReceipts({
+        dirs: flags.dir,
+        provider: flags.provider && checkProvider(flags.provider),
+        network: networkOf(flags),
+        since: flags.since,
+        until: flags.until,
+      }),
+  },
+  {
+    name: 'test-provider',
+    args: ['<name>'],
+    params: true,
+    summary: 'Test a provider offline against a saved response',
+    flags: {
+      fixture: {
+        type: 'string',
+        value: '<path>',
+        description: 'Saved response body to test against',
+      },
+    },
+    run: (app, { positionals, flags, params }) =>
+      app.testProvider(checkProvider(positionals[0]), flags.fixture, params),
+    status: ({ passed }) =>
+      passed
+        ? undefined
+        : {
+            code: ERROR_CODES.RESPONSE_MATCH_FAILED,
+            message: 'Provider test failed: no proof would be generated',
+          },
+    summarize: ({ provider, values }) => ({
+      provider,
+      extractedValues: values,
+    }),
+  },
+  {
+    name: 'providers',
+    summary: 'List available data providers',
+    run: (app) => {
+      const providers = app.listProviders();
+      providers.forEach(({ name, description }) => {
+        log.info(`${name.padEnd(24)} ${description}`);
+      });
+      return providers.map(({ name, description }) => ({ name, description }));
+    },
+  },
+  {
+    name: 'networks',
+    summary: 'List network profiles',
+    details: [
+      `Built-in: ${BUILT_IN_NETWORKS.join(', ')}. Add profiles in ${CONFIG.PATHS.NETWORKS_FILE};`,
+      '<NETWORK>_NETWORK_URL, <NETWORK>_SOROBAN_RPC_URL and <NETWORK>_CONTRACT_ID override one network,',
+      'e.g. LOCAL_CONTRACT_ID; the unprefixed names override testnet only.',
+    ],
+    run: () => {
+      const networks = describeNetworks();
+      networks.forEach(({ name, rpcUrl, contractId }) => {
+        log.info(
+          `${name.padEnd(12)} ${rpcUrl}  ${contractId || 'no contract'}`
+        );
+      });
+      return networks;
+    },
+  },
+  {
+    name: 'accounts',
+    summary: "List a signer's accounts and balances",
+    details: [
+      "Derives the first accounts of the signer's seed phrase (one for a",
+      'secret key) and marks the one it signs with (*), e.g.',
+      `  ${PROGRAM} accounts --count 3 --network mainnet`,
+    ],
+    flags: {
+      signer: SIGNER_FLAGS.signer,
+      count: {
+        type: 'number',
+        value: '<n>',
+        description: 'How many accounts to list (default 5)',
+      },
+      network: NETWORK_FLAG,
+    },
+    run: (app, { flags }) =>
+      app.listAccounts({
+        signer: signerOf(flags).signer,
+        count: flags.count,
+        network: networkOf(flags),
+      }),
+  },
+  {
+    name: 'keystore',
+    args: ['<action>'],
+    summary: 'Manage the encrypted signing keystore',
+    details: [
+      `Actions: ${Object.keys(KEYSTORE_ACTIONS).join(', ')}. The passphrase is`,
+      'read from KEYSTORE_PASSPHRASE or prompted for, e.g.',
+      `  ${PROGRAM} keystore import --from-env`,
+    ],
+    flags: {
+      file: {
+        type: 'string',
+        value: '<path>',
+        description: `Keystore file (default ${CONFIG.PATHS.KEYSTORE_FILE})`,
+      },
+      force: {
+        type: 'boolean',
+        description: 'Replace an existing keystore (create, import)',
+      },
+      'from-env': {
+        type: 'boolean',
+        description: 'Import STELLAR_SECRET_KEY or SEEDPHRASE (import)',
+      },
+    },
+    run: (app, { positionals, flags }) => {
+      const [action] = positionals;
+      const actions = Object.keys(KEYSTORE_ACTIONS);
+      if (action === undefined) {
+        throw new UsageError(`Missing action. Actions: ${actions.join(', ')}`);
+      }
+      if (!Object.hasOwn(KEYSTORE_ACTIONS, action)) {
+        throw new UsageError(
+          withSuggestion(`Unknown keystore action: ${action}`, action, actions)
+        );
+      }
+      return app.manageKeystore(action, {
+        file: flags.file,
+        force: flags.force,
+        fromEnv: flags['from-env'],
+        // With --json the secret is printed once, in the result
+        reveal: flags.json ? () => {} : undefined,
+      });
+    },
+  },
+  {
+    name: 'info',
+    summary: 'Display application info',
+    run: (app) => {
       app.displayInfo();
-      break;
-
-    default:
-      console.log('Usage: node src/index.js [command]');
-      console.log('Commands:');
-      console.log('  request-proof            Generate a new Stellar price proof');
-      console.log('  request-trading-economics Generate a new Trading Economics proof');
-      console.log('  request-forbes           Generate a new Forbes billionaires proof');
-      console.log('  request-accuweather      Generate a new AccuWeather NYC proof');
-      console.log('  request-goal             Generate a new Goal.com live scores proof');
-      console.log('  verify-proof             Verify existing proof');
-      console.log('  workflow                 Run complete workflow');
-      console.log('  info                     Display application info');
-      break;
+      return {
+        network: app.config.TESTNET_DETAILS.network,
+        contractId: app.config.STELLAR_TESTNET.CONTRACT_ID,
+        providers: app.listProviders().map(({ name }) => name),
+      };
+    },
+  },
+  {
+    name: 'help',
+    args: ['[command]'],
+    summary: 'Show help for a command',
+  },
+];
+
+/**
+ * Prints CLI usage, listing one request command per registered provider
+ * @param {Object[]} providers - Registered provider definitions
+ */
+function printUsage(providers) {
+  log.info(`Usage: ${PROGRAM} <command> [options]`);
+  log.info('Commands:');
+  formatCommandList(COMMANDS).forEach((line) => log.info(line));
+  log.info('Provider shortcuts (same as request <provider>):');
+  providers.forEach(({ name, description, params }) => {
+    log.info(
+      `  ${`request-${name}`.padEnd(24)} Generate a new ${description} proof`
+    );
+    Object.entries(params || {}).forEach(([param, { description: hint }]) => {
+      log.info(`                           [--${param} <value>] ${hint}`);
+    });
+  });
+  log.info('Options for every command: --json, --quiet, --help');
+  log.info(`Run "${PROGRAM} <command> --help" for a command's options.`);
+}
+
+/**
+ * Resolves the command line to a command, expanding request-<provider>
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, args }, command undefined if none was given
+ * @throws {UsageError} If the command is unknown
+ */
+function resolveCommand(argv) {
+  const index = argv.findIndex((arg) => !arg.startsWith('-'));
+  if (index === -1) {
+    return { command: undefined, args: argv };
+  }
+
+  const name = argv[index];
+  const args = [...argv.slice(0, index), ...argv.slice(index + 1)];
+  const command = findCommand(COMMANDS, name);
+  if (command) {
+    return { command, args };
+  }
+
+  const providerName = name.startsWith('request-')
+    ? name.slice('request-'.length)
+    : null;
+  if (providerName && getProvider(providerName)) {
+    return {
+      command: findCommand(COMMANDS, 'request'),
+      args: [providerName, ...args],
+    };
   }
+
+  const names = [
+    ...COMMANDS.flatMap((entry) => [entry.name, ...(entry.aliases || [])]),
+    ...getProviderNames().map((provider) => `request-${provider}`),
+  ];
+  throw new UsageError(withSuggestion(`Unknown command: ${name}`, name, names));
+}
+
+/**
+ * Reads --json and --quiet from the arguments before the command name, for
+ * output printed before the command's arguments are parsed
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { json, quiet }
+ */
+const leadingFlags = (argv) => {
+  const index = argv.findIndex((arg) => !arg.startsWith('-'));
+  const leading = index === -1 ? argv : argv.slice(0, index);
+  return {
+    json: leading.includes('--json'),
+    quiet: leading.includes('--quiet'),
+  };
+};
+
+/**
+ * Creates the logger for the --json and --quiet flags
+ * @param {Object} flags - { json, quiet }
+ * @returns {Object} The logger
+ */
+const loggerFor = ({ json, quiet }) =>
+  createLogger({ level: quiet ? 'warn' : undefined, stderr: Boolean(json) });
+
+/**
+ * CLI interface. Human output goes through the logger; with --json it is
+ * sent to stderr and stdout carries a single JSON result.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} The process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  // Until the command's arguments are parsed, only flags before the command
+  // count: a later --json may be an option's value or follow --
+  let { json, quiet } = leadingFlags(argv);
+  let logger = loggerFor({ json, quiet });
+  const startedAt = Date.now();
+  let command;
+  let parsed;
+  let result;
+  let failure;
+
+  try {
+    let args;
+    ({ command, args } = resolveCommand(argv));
+
+    if (!command) {
+      withLogger(logger, () => printUsage(listProviders()));
+      return 0;
+    }
+
+    parsed = parseCommandArgs(command, args);
+    ({ json, quiet } = parsed.flags);
+    logger = loggerFor({ json, quiet });
+    const app = new ZkFetchStellarApp({ logger });
+
+    if (command.name === 'help' || parsed.flags.help) {
+      const target =
+        command.name === 'help' && parsed.positionals[0]
+          ? findCommand(COMMANDS, parsed.positionals[0])
+          : command;
+      withLogger(logger, () => {
+        if (!target || target.name === 'help') {
+          printUsage(app.listProviders());
+        } else {
+          log.info(formatCommandHelp(target));
+        }
+      });
+      return 0;
+    }
+
+    result = await withLogger(logger, () => command.run(app, parsed));
+    failure = command.status?.(result);
+  } catch (error) {
+    failure = error;
+
+    if (!json) {
+      logger.error(`Error: ${error.message}`);
+      if (error instanceof UsageError) {
+        if (command) {
+          logger.error(`Run "${PROGRAM} ${command.name} --help" for usage.`);
+        } else {
+          withLogger(logger, () => printUsage(listProviders()));
+        }
+      }
+    }
+  }
+
+  const exitCode = failure ? exitCodeFor(failure) : 0;
+
+  if (json) {
+    console.log(
+      formatJsonResult({
+        command: command?.name ?? null,
+        summary:
+          result !== undefined && command.summarize
+            ? command.summarize(result, parsed)
+            : {},
+        result,
+        error: failure,
+        exitCode,
+        startedAt,
+        durationMs: Date.now() - startedAt,
+      })
+    );
+  }
+
+  return exitCode;
 }
 
 // Export for use as module
@@ -212,5 +1252,7 @@ export { ZkFetchStellarApp, main };
 
 // Run CLI if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  main().then((code) => {
+    process.exitCode = code;
+  });
 }
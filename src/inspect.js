@@ -0,0 +1,131 @@
+/**
+ * Inspect Module
+ *
+ * Summarizes a saved proof without submitting anything: which provider and
+ * URL it was generated from, when, the extracted and normalized values, and
+ * the results of the offline checks (claim identifier and signatures,
+ * freshness, value assertions).
+ */
+
+import * as fs from 'fs';
+import { CONFIG } from './config.js';
+import { evaluateAssertions } from './assertions.js';
+import { log } from './logger.js';
+import {
+  checkFreshness,
+  findProofProvider,
+  printFreshness,
+} from './freshness.js';
+import { printOfflineReport, verifyProofOffline } from './verifyLocal.js';
+
+/**
+ * Reads the request URL and method from a proof's claim parameters
+ * @param {Object} proof - The proof as saved by requestProof
+ * @returns {Object} { url, method }, empty if the parameters are not JSON
+ */
+const readRequest = (proof) => {
+  try {
+    const { url, method } = JSON.parse(proof.claimData.parameters);
+    return { url, method };
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Inspects a proof
+ * @param {Object} proof - The proof as saved by requestProof
+ * @param {Object} options - { now } current time in milliseconds
+ * @returns {Object} { provider, url, method, timestampS, issuedAt,
+ * extractedParameterValues, normalizedValues, freshness, assertions,
+ * verification }
+ */
+export function inspectProof(proof, { now = Date.now() } = {}) {
+  const provider = findProofProvider(proof || {});
+  const timestampS = proof?.claimData?.timestampS;
+  let freshness;
+
+  try {
+    freshness = checkFreshness(proof, { now });
+  } catch (error) {
+    freshness = { fresh: false, error: error.message };
+  }
+
+  return {
+    provider: provider?.name,
+    ...readRequest(proof || {}),
+    timestampS,
+    issuedAt: Number.isInteger(timestampS)
+      ? new Date(timestampS * 1000).toISOString()
+      : undefined,
+    extractedParameterValues: proof?.extractedParameterValues || {},
+    normalizedValues: proof?.normalizedValues,
+    freshness,
+    assertions: provider
+      ? evaluateAssertions(provider, proof?.extractedParameterValues)
+      : [],
+    verification: verifyProofOffline(proof),
+  };
+}
+
+/**
+ * Prints name: value lines
+ * @param {string} title - Section title
+ * @param {Object} values - Values to list
+ */
+const printValues = (title, values) => {
+  log.info(`${title}:`);
+  Object.entries(values).forEach(([name, value]) => {
+    log.info(`   ${name}: ${JSON.stringify(value)}`);
+  });
+};
+
+/**
+ * Prints an inspection report
+ * @param {Object} report - Report returned by inspectProof
+ */
+export function printInspection(report) {
+  log.info(`Provider: ${report.provider || 'unknown'}`);
+  log.info(`Request: ${report.method || 'GET'} ${report.url || 'N/A'}`);
+  log.info(`Issued: ${report.issuedAt || 'N/A'}`);
+
+  if (report.freshness.timestampS !== undefined) {
+    printFreshness(report.freshness);
+  } else {
+    log.info(report.freshness.error);
+  }
+
+  printValues('Extracted values', report.extractedParameterValues);
+  if (report.normalizedValues) {
+    printValues('Normalized values', report.normalizedValues);
+  }
+
+  if (report.assertions.length > 0) {
+    log.info('Failed assertions:');
+    report.assertions.forEach(({ message }) => log.info(`   ${message}`));
+  } else if (report.provider) {
+    log.info(`Extracted values pass the ${report.provider} assertions`);
+  }
+
+  printOfflineReport(report.verification);
+}
+
+/**
+ * Loads a proof file and inspects it
+ * @param {string} proofPath - Path to the proof file
+ * @returns {Object} The inspection report, with its path
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function inspectProofFile(proofPath = CONFIG.PATHS.PROOF_FILE) {
+  let proof;
+  try {
+    proof = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load proof: ${error.message}`);
+  }
+
+  log.info(`Inspecting ${proofPath}`);
+  const report = { path: proofPath, ...inspectProof(proof) };
+  printInspection(report);
+  return report;
+}
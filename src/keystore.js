@@ -0,0 +1,478 @@
+/**
+ * Keystore Module
+ *
+ * Keeps the signing key encrypted on disk (./zkfetch.keystore.json by
+ * default) instead of in plaintext in .env. The seed phrase or S... secret
+ * key is encrypted with AES-256-GCM under a key derived from a passphrase
+ * with scrypt; the key type and public key are authenticated with it, so a
+ * wrong passphrase and a tampered file are both refused:
+ *
+ *   {
+ *     "version": 1,
+ *     "type": "seedphrase",
+ *     "publicKey": "GDRX...",
+ *     "crypto": {
+ *       "kdf": "scrypt",
+ *       "kdfparams": { "n": 131072, "r": 8, "p": 1, "salt": "9f2c..." },
+ *       "cipher": "aes-256-gcm",
+ *       "iv": "51e0...",
+ *       "tag": "c7a4...",
+ *       "ciphertext": "0b7d..."
+ *     }
+ *   }
+ *
+ * publicKey is account 0 for seed phrases. Passphrases come from
+ * KEYSTORE_PASSPHRASE (KEYSTORE_NEW_PASSPHRASE for change-password), or are
+ * prompted for in a terminal.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { promisify } from 'util';
+import StellarSdk from 'stellar-sdk';
+import StellarHDWallet from 'stellar-hd-wallet';
+import { CONFIG } from './config.js';
+import { UsageError } from './errors.js';
+import { log } from './logger.js';
+
+const VERSION = 1;
+const KEY_BYTES = 32;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Identifies a seed phrase or secret key
+ * @param {string} secret - A BIP-39 mnemonic or an S... secret key
+ * @returns {Object} { type, publicKey }: 'seedphrase' or 'secret', and the
+ * public key of account 0 or of the secret key
+ * @throws {Error} If the value is neither
+ */
+export function describeSecret(secret) {
+  const value = secret.trim();
+  if (StellarSdk.StrKey.isValidEd25519SecretSeed(value)) {
+    return {
+      type: 'secret',
+      publicKey: StellarSdk.Keypair.fromSecret(value).publicKey(),
+    };
+  }
+  if (StellarHDWallet.validateMnemonic(value)) {
+    return {
+      type: 'seedphrase',
+      publicKey: StellarHDWallet.fromMnemonic(value).getPublicKey(0),
+    };
+  }
+  throw new Error('Not a seed phrase or an S... secret key');
+}
+
+/**
+ * Derives the encryption key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Object} params - { n, r, p, salt } with salt in hex
+ * @returns {Promise<Buffer>} The key
+ */
+const deriveKey = (passphrase, { n, r, p, salt }) =>
+  scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), KEY_BYTES, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r,
+  });
+
+/**
+ * Builds the data authenticated with the ciphertext
+ * @param {Object} keystore - { type, publicKey }
+ * @returns {Buffer} The additional authenticated data
+ */
+const headerOf = ({ type, publicKey }) =>
+  Buffer.from(`zkfetch-keystore:${VERSION}:${type}:${publicKey}`);
+
+/**
+ * Encrypts a seed phrase or secret key
+ * @param {string} secret - The seed phrase or S... secret key
+ * @param {string} passphrase - Passphrase to encrypt it with
+ * @param {Object} options - { scryptN } the scrypt cost (default
+ * CONFIG.KEYSTORE.SCRYPT_N)
+ * @returns {Promise<Object>} The keystore
+ * @throws {Error} If the secret is not a seed phrase or secret key
+ */
+export async function encryptKeystore(
+  secret,
+  passphrase,
+  { scryptN = CONFIG.KEYSTORE.SCRYPT_N } = {}
+) {
+  const { type, publicKey } = describeSecret(secret);
+  const kdfparams = {
+    n: scryptN,
+    r: CONFIG.KEYSTORE.SCRYPT_R,
+    p: CONFIG.KEYSTORE.SCRYPT_P,
+    salt: crypto.randomBytes(32).toString('hex'),
+  };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    'aes-256-gcm',
+    await deriveKey(passphrase, kdfparams),
+    iv
+  );
+  cipher.setAAD(headerOf({ type, publicKey }));
+  const ciphertext = Buffer.concat([
+    cipher.update(secret.trim(), 'utf8'),
+    cipher.final(),
+  ]);
+
+  return {
+    version: VERSION,
+    type,
+    publicKey,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+/**
+ * Decrypts a keystore
+ * @param {Object} keystore - The keystore
+ * @param {string} passphrase - Its passphrase
+ * @returns {Promise<string>} The seed phrase or secret key
+ * @throws {Error} If the passphrase is wrong or the keystore was altered
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    await deriveKey(passphrase, kdfparams),
+    Buffer.from(iv, 'hex')
+  );
+  decipher.setAAD(headerOf(keystore));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new Error('Wrong passphrase, or the keystore was modified');
+  }
+}
+
+/**
+ * Validates a parsed keystore file
+ * @param {Object} keystore - The parsed file
+ * @throws {Error} If it is not a keystore this version can read
+ */
+function validateKeystore(keystore) {
+  if (keystore?.version !== VERSION) {
+    throw new Error(`Unsupported keystore version: ${keystore?.version}`);
+  }
+  if (!['seedphrase', 'secret'].includes(keystore.type)) {
+    throw new Error(`Unknown key type: ${keystore.type}`);
+  }
+
+  const { kdf, kdfparams, cipher, iv, tag, ciphertext } = keystore.crypto || {};
+  if (kdf !== 'scrypt' || cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported encryption: ${kdf}/${cipher}`);
+  }
+  const missing = Object.entries({ ...kdfparams, iv, tag, ciphertext })
+    .filter(([, value]) => value === undefined || value === '')
+    .map(([name]) => name);
+  if (!kdfparams || missing.length > 0) {
+    throw new Error(`Missing encryption parameters: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Reads a keystore file
+ * @param {string} file - Path to the keystore (default
+ * CONFIG.PATHS.KEYSTORE_FILE)
+ * @returns {Object|null} The keystore, null if the file does not exist
+ * @throws {Error} If the file cannot be read or is not a keystore
+ */
+export function readKeystore(file = CONFIG.PATHS.KEYSTORE_FILE) {
+  let keystore;
+  try {
+    keystore = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read keystore ${file}: ${error.message}`);
+  }
+
+  try {
+    validateKeystore(keystore);
+  } catch (error) {
+    throw new Error(`Invalid keystore ${file}: ${error.message}`);
+  }
+  return keystore;
+}
+
+/**
+ * Writes a keystore file, readable by its owner only
+ * @param {Object} keystore - The keystore
+ * @param {string} file - Path to write
+ * @param {Object} options - { overwrite } replace an existing file
+ * @throws {UsageError} If the file exists and overwrite is not set
+ * @throws {Error} If the file cannot be written
+ */
+function writeKeystore(keystore, file, { overwrite = false } = {}) {
+  try {
+    fs.writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, {
+      mode: 0o600,
+      flag: overwrite ? 'w' : 'wx',
+    });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new UsageError(
+        `Keystore ${file} already exists; use --force to replace it`
+      );
+    }
+    throw new Error(`Failed to save keystore: ${error.message}`);
+  }
+}
+
+/**
+ * Asks a question in the terminal without echoing the answer. readline
+ * writes through a stream that stops forwarding to stderr once the question
+ * is shown, so nothing typed after it appears.
+ * @param {string} question - The prompt
+ * @returns {Promise<string>} The answer
+ * @throws {Error} If there is no terminal to ask in, or the prompt is
+ * cancelled with Ctrl+C
+ */
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      'No terminal to enter the passphrase in; set KEYSTORE_PASSPHRASE'
+    );
+  }
+
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stderr.write(chunk, encoding);
+      }
+      callback();
+    },
+  });
+
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true,
+    });
+    const finish = (settle) => {
+      rl.close();
+      process.stderr.write('\n');
+      settle();
+    };
+    rl.on('SIGINT', () =>
+      finish(() => reject(new Error('Passphrase entry cancelled')))
+    );
+    rl.question(question, (answer) => finish(() => resolve(answer)));
+    muted = true;
+  });
+}
+
+/**
+ * Gets a passphrase from the environment or the terminal
+ * @param {Object} options - Where to look
+ * @param {string} options.env - Environment variable to read first
+ * @param {string} options.question - Prompt shown in the terminal
+ * @param {boolean} options.create - Whether this is a new passphrase, which
+ * must be long enough and is confirmed when typed
+ * @returns {Promise<string>} The passphrase
+ * @throws {Error} If none is given, or a new one is too short or not
+ * confirmed
+ */
+export async function readPassphrase({ env, question, create = false }) {
+  const passphrase = process.env[env] || (await promptHidden(question));
+
+  if (create) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+    if (
+      !process.env[env] &&
+      (await promptHidden('Repeat the passphrase: ')) !== passphrase
+    ) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  return passphrase;
+}
+
+/**
+ * Unlocks a keystore
+ * @param {Object} options - { file, passphrase } (passphrase default:
+ * KEYSTORE_PASSPHRASE, else prompted for)
+ * @returns {Promise<Object|null>} { type, publicKey, secret }, null if the
+ * keystore does not exist
+ * @throws {Error} If the keystore cannot be read or the passphrase is wrong
+ */
+export async function unlockKeystore({
+  file = CONFIG.PATHS.KEYSTORE_FILE,
+  passphrase,
+} = {}) {
+  const keystore = readKeystore(file);
+  if (!keystore) {
+    return null;
+  }
+
+  const secret = await decryptKeystore(
+    keystore,
+    passphrase ??
+      (await readPassphrase({
+        env: 'KEYSTORE_PASSPHRASE',
+        question: `Passphrase for ${file}: `,
+      }))
+  );
+  return { type: keystore.type, publicKey: keystore.publicKey, secret };
+}
+
+/**
+ * Reads a keystore that must exist, for the keystore commands
+ * @param {string} file - Path to the keystore
+ * @returns {Object} The keystore
+ * @throws {UsageError} If there is no keystore
+ */
+const requireKeystore = (file) => {
+  const keystore = readKeystore(file);
+  if (!keystore) {
+    throw new UsageError(
+      `No keystore at ${file}; create one with "keystore create" or "keystore import"`
+    );
+  }
+  return keystore;
+};
+
+/**
+ * Prints a secret on stdout. It bypasses the logger, so no log sink receives
+ * it and no log level hides it.
+ * @param {string} text - The text to print
+ */
+const printSecret = (text) => {
+  process.stdout.write(`${text}\n`);
+};
+
+/**
+ * Encrypts a key under a new passphrase and saves it
+ * @param {string} secret - The seed phrase or secret key
+ * @param {Object} options - { file, force, beforeWrite }; beforeWrite runs
+ * once the key is encrypted, before the file is written
+ * @returns {Promise<Object>} { file, type, publicKey }
+ */
+async function saveNewKeystore(secret, { file, force, beforeWrite }) {
+  const passphrase = await readPassphrase({
+    env: 'KEYSTORE_PASSPHRASE',
+    question: `New passphrase for ${file}: `,
+    create: true,
+  });
+  const keystore = await encryptKeystore(secret, passphrase);
+  beforeWrite?.();
+  writeKeystore(keystore, file, { overwrite: force });
+  log.info(`Keystore saved to ${file} (${keystore.publicKey})`);
+  return { file, type: keystore.type, publicKey: keystore.publicKey };
+}
+
+/**
+ * Keystore commands, run by `keystore <action>`. Each takes { file, force,
+ * fromEnv, reveal } and returns a summary. create and export show the secret
+ * once through reveal (default: print it on stdout) and also return it, for
+ * callers that print the result instead.
+ */
+export const KEYSTORE_ACTIONS = {
+  /**
+   * Generates a new 24-word seed phrase and stores it encrypted. The phrase
+   * is shown once, before the keystore is written, to be written down.
+   */
+  create: async ({
+    file = CONFIG.PATHS.KEYSTORE_FILE,
+    force = false,
+    reveal = printSecret,
+  }) => {
+    const mnemonic = StellarHDWallet.generateMnemonic({ entropyBits: 256 });
+    const result = await saveNewKeystore(mnemonic, {
+      file,
+      force,
+      beforeWrite: () =>
+        reveal(
+          `Recovery phrase (write it down; it is not shown again):\n  ${mnemonic}`
+        ),
+    });
+    return { ...result, secret: mnemonic };
+  },
+
+  /**
+   * Stores an existing seed phrase or secret key encrypted, typed in or
+   * taken from STELLAR_SECRET_KEY or SEEDPHRASE with fromEnv
+   */
+  import: async ({
+    file = CONFIG.PATHS.KEYSTORE_FILE,
+    force = false,
+    fromEnv = false,
+  }) => {
+    let secret;
+    if (fromEnv) {
+      secret = process.env.STELLAR_SECRET_KEY || process.env.SEEDPHRASE;
+      if (!secret) {
+        throw new UsageError(
+          'Neither STELLAR_SECRET_KEY nor SEEDPHRASE is set'
+        );
+      }
+    } else {
+      secret = await promptHidden('Seed phrase or S... secret key: ');
+    }
+
+    const result = await saveNewKeystore(secret, { file, force });
+    if (fromEnv) {
+      log.info(
+        'Remove STELLAR_SECRET_KEY and SEEDPHRASE from .env so only the keystore holds the key'
+      );
+    }
+    return result;
+  },
+
+  /**
+   * Shows the decrypted seed phrase or secret key
+   */
+  export: async ({
+    file = CONFIG.PATHS.KEYSTORE_FILE,
+    reveal = printSecret,
+  }) => {
+    requireKeystore(file);
+    const { type, publicKey, secret } = await unlockKeystore({ file });
+    reveal(secret);
+    return { file, type, publicKey, secret };
+  },
+
+  /**
+   * Re-encrypts the keystore under a new passphrase (KEYSTORE_NEW_PASSPHRASE
+   * or prompted for), with a fresh salt
+   */
+  'change-password': async ({ file = CONFIG.PATHS.KEYSTORE_FILE }) => {
+    requireKeystore(file);
+    const { secret } = await unlockKeystore({ file });
+    const passphrase = await readPassphrase({
+      env: 'KEYSTORE_NEW_PASSPHRASE',
+      question: `New passphrase for ${file}: `,
+      create: true,
+    });
+    const keystore = await encryptKeystore(secret, passphrase);
+    writeKeystore(keystore, file, { overwrite: true });
+    log.info(`Passphrase of ${file} changed`);
+    return { file, type: keystore.type, publicKey: keystore.publicKey };
+  },
+};
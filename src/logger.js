@@ -0,0 +1,98 @@
+/**
+ * Logger Module
+ *
+ * Every module logs through `log` instead of console. By default messages go
+ * to the console (debug and info on stdout, warnings and errors on stderr),
+ * filtered by the LOG_LEVEL environment variable. A caller can swap in its
+ * own logger for the duration of a call with withLogger, which is how
+ * ZkFetchStellarApp applies the logger it was constructed with and how the
+ * CLI moves human output to stderr in --json mode.
+ *
+ * A logger is any object with debug, info, warn and error methods, such as
+ * console or a pino instance; missing methods are ignored.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Creates a console logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level printed (default LOG_LEVEL or info)
+ * @param {boolean} options.stderr - Print every level to stderr, keeping
+ * stdout free for machine-readable output
+ * @returns {Object} Logger with debug, info, warn and error methods
+ * @throws {Error} If the level is unknown
+ */
+export function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  stderr = false,
+} = {}) {
+  const threshold = LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(
+      `Unknown log level: ${level}. Supported: ${LEVELS.join(', ')}`
+    );
+  }
+
+  return Object.fromEntries(
+    Object.entries(CONSOLE_METHODS).map(([name, method]) => [
+      name,
+      (...args) => {
+        if (LEVELS.indexOf(name) >= threshold) {
+          // Looked up on every call so tests can spy on console
+          console[stderr ? 'error' : method](...args);
+        }
+      },
+    ])
+  );
+}
+
+/**
+ * Fills in the methods a custom logger lacks
+ * @param {Object} logger - Any object with some of debug, info, warn, error
+ * @returns {Object} Logger with all four methods
+ */
+export const toLogger = (logger) =>
+  Object.fromEntries(
+    Object.keys(CONSOLE_METHODS).map((name) => [
+      name,
+      typeof logger?.[name] === 'function'
+        ? logger[name].bind(logger)
+        : () => {},
+    ])
+  );
+
+/**
+ * Returns the logger for the current call
+ * @returns {Object} The logger set by withLogger, else a console logger
+ */
+export const getLogger = () => storage.getStore() || createLogger();
+
+/**
+ * Runs a function with a logger, including everything it awaits
+ * @param {Object} logger - The logger to use
+ * @param {Function} fn - The function to run
+ * @returns {*} Whatever fn returns
+ */
+export const withLogger = (logger, fn) => storage.run(toLogger(logger), fn);
+
+/**
+ * Logs through the current logger
+ */
+export const log = Object.fromEntries(
+  Object.keys(CONSOLE_METHODS).map((name) => [
+    name,
+    (...args) => getLogger()[name](...args),
+  ])
+);
@@ -0,0 +1,274 @@
+/**
+ * Networks Module
+ *
+ * Resolves a network name to the settings used to verify proofs on it. The
+ * built-in profiles are testnet, mainnet, futurenet and local (a standalone
+ * network such as stellar/quickstart --local), configured in src/config.js.
+ * More can be declared in ./zkfetch.networks.json:
+ *
+ *   {
+ *     "networks": {
+ *       "staging": {
+ *         "extends": "testnet",
+ *         "rpcUrl": "https://rpc.staging.example.com",
+ *         "horizonUrl": "https://horizon.staging.example.com",
+ *         "networkPassphrase": "Test SDF Network ; September 2015",
+ *         "contractId": "CA3E...",
+ *         "explorerUrl": "https://explorer.example.com/tx/{hash}",
+ *         "baseFee": "200"
+ *       }
+ *     }
+ *   }
+ *
+ * Settings a profile leaves out come from the built-in profile it extends
+ * (testnet by default), as do the witness policy and contract function.
+ * Environment variables prefixed with the network name override the Horizon
+ * URL, RPC URL and contract of that network only, e.g. LOCAL_NETWORK_URL,
+ * LOCAL_SOROBAN_RPC_URL and LOCAL_CONTRACT_ID, or STAGING_EU_CONTRACT_ID for
+ * a profile named staging-eu. The unprefixed names override testnet alone.
+ */
+
+import * as fs from 'fs';
+import { CONFIG } from './config.js';
+import { UsageError } from './errors.js';
+import { withSuggestion } from './cli.js';
+
+/**
+ * Built-in profiles by name
+ */
+const BUILT_IN = {
+  testnet: () => ({
+    stellarConfig: CONFIG.STELLAR_TESTNET,
+    networkDetails: CONFIG.TESTNET_DETAILS,
+  }),
+  mainnet: () => ({
+    stellarConfig: CONFIG.STELLAR_MAINNET,
+    networkDetails: CONFIG.MAINNET_DETAILS,
+  }),
+  futurenet: () => ({
+    stellarConfig: CONFIG.STELLAR_FUTURENET,
+    networkDetails: CONFIG.FUTURENET_DETAILS,
+  }),
+  local: () => ({
+    stellarConfig: CONFIG.STELLAR_LOCAL,
+    networkDetails: CONFIG.LOCAL_DETAILS,
+  }),
+};
+
+export const BUILT_IN_NETWORKS = Object.keys(BUILT_IN);
+
+/**
+ * Checks whether a name is a built-in network, ignoring Object.prototype
+ * members such as constructor
+ * @param {string} name - Network name
+ * @returns {boolean} True for the names in BUILT_IN_NETWORKS
+ */
+const isBuiltIn = (name) => Object.hasOwn(BUILT_IN, name);
+
+const ENV_OVERRIDES = ['NETWORK_URL', 'SOROBAN_RPC_URL', 'CONTRACT_ID'];
+
+const PROFILE_OPTIONS = [
+  'extends',
+  'rpcUrl',
+  'horizonUrl',
+  'networkPassphrase',
+  'contractId',
+  'explorerUrl',
+  'baseFee',
+];
+
+/**
+ * Validates the profiles of a network file
+ * @param {Object} file - The parsed network file
+ * @throws {Error} If a profile is malformed
+ */
+export function validateNetworkProfiles(file) {
+  const networks = file?.networks;
+  if (!networks || typeof networks !== 'object' || Array.isArray(networks)) {
+    throw new Error('Network file must have a networks object');
+  }
+
+  Object.entries(networks).forEach(([name, profile]) => {
+    if (isBuiltIn(name)) {
+      throw new Error(
+        `Network ${name} is built in; give the profile another name and "extends": "${name}"`
+      );
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`Network ${name} must be an object`);
+    }
+
+    Object.entries(profile).forEach(([option, value]) => {
+      if (!PROFILE_OPTIONS.includes(option)) {
+        throw new Error(
+          withSuggestion(
+            `Network ${name} has unknown option: ${option}`,
+            option,
+            PROFILE_OPTIONS
+          )
+        );
+      }
+      if (
+        typeof value !== 'string' &&
+        !(option === 'baseFee' && Number.isInteger(value))
+      ) {
+        throw new Error(`Network ${name} ${option} must be a string`);
+      }
+    });
+
+    if (profile.extends !== undefined && !isBuiltIn(profile.extends)) {
+      throw new Error(
+        `Network ${name} extends unknown network: ${profile.extends}. Built-in networks: ${BUILT_IN_NETWORKS.join(', ')}`
+      );
+    }
+  });
+}
+
+/**
+ * Loads the user-defined profiles
+ * @param {string} file - Path to the network file
+ * @returns {Object} Profiles by name, none if the file does not exist
+ * @throws {Error} If the file cannot be read, is not JSON or is malformed
+ */
+export function loadNetworkProfiles(file = CONFIG.PATHS.NETWORKS_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read network file ${file}: ${error.message}`);
+  }
+
+  try {
+    validateNetworkProfiles(parsed);
+  } catch (error) {
+    throw new Error(`Invalid network file ${file}: ${error.message}`);
+  }
+  return parsed.networks;
+}
+
+/**
+ * Lists the networks that can be used
+ * @param {Object} options - { file } the network file
+ * @returns {string[]} Built-in network names, then user-defined ones
+ */
+export function listNetworks({ file } = {}) {
+  return [...BUILT_IN_NETWORKS, ...Object.keys(loadNetworkProfiles(file))];
+}
+
+/**
+ * Names the environment variable overriding a setting of one network
+ * @param {string} name - Network name
+ * @param {string} variable - NETWORK_URL, SOROBAN_RPC_URL or CONTRACT_ID
+ * @returns {string} The variable prefixed with the network name, e.g.
+ * LOCAL_CONTRACT_ID
+ */
+export const envOverrideName = (name, variable) =>
+  `${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${variable}`;
+
+/**
+ * Reads the environment overrides of a network. The unprefixed variables
+ * only apply to testnet, so a .env written for testnet never redirects
+ * mainnet or any other network.
+ * @param {string} name - Network name
+ * @returns {Object} Values by unprefixed variable name
+ */
+const readEnvOverrides = (name) =>
+  Object.fromEntries(
+    ENV_OVERRIDES.map((variable) => [
+      variable,
+      process.env[envOverrideName(name, variable)] ||
+        (name === 'testnet' ? process.env[variable] : undefined),
+    ])
+  );
+
+/**
+ * Resolves a network name to its settings, with its environment overrides
+ * applied. The network file is only read for names that are not built in.
+ * @param {string} name - Network name (default 'testnet')
+ * @param {Object} options - { file } the network file
+ * @returns {Object} { name, stellarConfig, networkDetails } shaped like
+ * CONFIG.STELLAR_TESTNET and CONFIG.TESTNET_DETAILS
+ * @throws {UsageError} If no network has that name
+ */
+export function resolveNetwork(name = 'testnet', { file } = {}) {
+  let profile = {};
+  if (!isBuiltIn(name)) {
+    const profiles = loadNetworkProfiles(file);
+    profile = Object.hasOwn(profiles, name) ? profiles[name] : undefined;
+    if (!profile) {
+      const names = [...BUILT_IN_NETWORKS, ...Object.keys(profiles)];
+      throw new UsageError(
+        withSuggestion(`Unknown network: ${name}`, name, names)
+      );
+    }
+  }
+
+  const base =
+    BUILT_IN[isBuiltIn(name) ? name : profile.extends || 'testnet']();
+  const env = readEnvOverrides(name);
+
+  return {
+    name,
+    stellarConfig: {
+      ...base.stellarConfig,
+      CONTRACT_ID:
+        env.CONTRACT_ID || profile.contractId || base.stellarConfig.CONTRACT_ID,
+      SOROBAN_RPC_URL:
+        env.SOROBAN_RPC_URL ||
+        profile.rpcUrl ||
+        base.stellarConfig.SOROBAN_RPC_URL,
+      EXPLORER_LINK: profile.explorerUrl ?? base.stellarConfig.EXPLORER_LINK,
+      BASE_FEE: String(profile.baseFee ?? base.stellarConfig.BASE_FEE),
+    },
+    networkDetails: {
+      network: isBuiltIn(name) ? base.networkDetails.network : name,
+      networkUrl:
+        env.NETWORK_URL || profile.horizonUrl || base.networkDetails.networkUrl,
+      networkPassphrase:
+        profile.networkPassphrase || base.networkDetails.networkPassphrase,
+    },
+  };
+}
+
+/**
+ * Describes every network that can be used
+ * @param {Object} options - { file } the network file
+ * @returns {Object[]} { name, rpcUrl, horizonUrl, networkPassphrase,
+ * contractId, explorerUrl, baseFee } per network, with environment overrides
+ * applied
+ */
+export function describeNetworks({ file } = {}) {
+  return listNetworks({ file }).map((name) => {
+    const { stellarConfig, networkDetails } = resolveNetwork(name, { file });
+    return {
+      name,
+      rpcUrl: stellarConfig.SOROBAN_RPC_URL,
+      horizonUrl: networkDetails.networkUrl,
+      networkPassphrase: networkDetails.networkPassphrase,
+      contractId: stellarConfig.CONTRACT_ID,
+      explorerUrl: stellarConfig.EXPLORER_LINK,
+      baseFee: stellarConfig.BASE_FEE,
+    };
+  });
+}
+
+/**
+ * Builds the explorer link for a transaction
+ * @param {Object} stellarConfig - Resolved network settings
+ * @param {string} hash - Transaction hash
+ * @returns {string|null} The link, null without a hash or an explorer.
+ * EXPLORER_LINK is a template with {hash}, or a prefix the hash is appended
+ * to
+ */
+export function formatExplorerUrl(stellarConfig, hash) {
+  const template = stellarConfig.EXPLORER_LINK;
+  if (!template || !hash) {
+    return null;
+  }
+  return template.includes('{hash}')
+    ? template.replace('{hash}', hash)
+    : `${template}${hash}`;
+}
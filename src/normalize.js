@@ -0,0 +1,174 @@
+/**
+ * Normalize Module
+ *
+ * Turns the raw strings in extractedParameterValues into typed values. A
+ * provider declares how each value is read, by type name or as an object:
+ *
+ *   normalize: {
+ *     city: 'string',                 // "\"New York\"" -> 'New York'
+ *     cap: 'number',                  // '19.96M' -> 19960000
+ *     tempInC: 'number',
+ *     tempInF: { source: 'tempInC', type: 'number', convert: 'C->F' },
+ *   },
+ *
+ * The result is saved as normalizedValues next to the signed proof; the
+ * signed claim and extractedParameterValues are left as they are.
+ */
+
+const TYPES = ['number', 'integer', 'string'];
+const SUFFIXES = { k: 3, m: 6, b: 9, t: 12 };
+const NUMBER = /^([+-]?)(\d+(?:\.\d+)?|\.\d+)(?:e([+-]?\d+))?([kmbt])?$/i;
+const CONVERSIONS = {
+  'C->F': (value) => (value * 9) / 5 + 32,
+  'F->C': (value) => ((value - 32) * 5) / 9,
+  'C->K': (value) => value + 273.15,
+  'K->C': (value) => value - 273.15,
+  'km->mi': (value) => value / 1.609344,
+  'mi->km': (value) => value * 1.609344,
+  'm->ft': (value) => value / 0.3048,
+  'ft->m': (value) => value * 0.3048,
+  'kg->lb': (value) => value / 0.45359237,
+  'lb->kg': (value) => value * 0.45359237,
+};
+
+/**
+ * Expands a normalization spec to its object form
+ * @param {string} name - The normalized value's name
+ * @param {string|Object} spec - Type name or { source, type, convert, decimals }
+ * @returns {Object} { source, type, convert, decimals }
+ */
+const expandSpec = (name, spec) => ({
+  source: name,
+  type: 'string',
+  ...(typeof spec === 'string' ? { type: spec } : spec),
+});
+
+/**
+ * Strips surrounding JSON quotes and whitespace from a raw value
+ * @param {string} value - The raw extracted value
+ * @returns {string} The unquoted value
+ */
+const unquote = (value) => {
+  const text = String(value).trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text;
+};
+
+/**
+ * Parses a number written with thousands separators, a currency sign or a
+ * K/M/B/T suffix, e.g. '1,630,322,579', '$0.17' or '19.96M'
+ * @param {string} value - The raw value
+ * @returns {number} The parsed number
+ * @throws {Error} If the value is not a number
+ */
+export function parseNumber(value) {
+  const text = unquote(value)
+    .replace(/^([+-]?)[$€£]/, '$1')
+    .replace(/[,_\s]/g, '');
+  const match = text.match(NUMBER);
+
+  if (!match) {
+    throw new Error(`'${value}' is not a number`);
+  }
+
+  const [, sign, digits, exponent = '0', suffix] = match;
+  const scale =
+    Number(exponent) + (suffix ? SUFFIXES[suffix.toLowerCase()] : 0);
+  // Shift the exponent in the string, so 4.261T is exactly 4261000000000
+  return Number(`${sign}${digits}e${scale}`);
+}
+
+/**
+ * Validates a provider's normalization declarations
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If a type or conversion is unknown
+ */
+export function validateNormalization(provider) {
+  for (const [name, raw] of Object.entries(provider.normalize || {})) {
+    const spec = expandSpec(name, raw);
+    const prefix = `Provider ${provider.name} normalize ${name}`;
+
+    if (!TYPES.includes(spec.type)) {
+      throw new Error(`${prefix} type must be one of: ${TYPES.join(', ')}`);
+    }
+
+    if (spec.convert !== undefined) {
+      if (!CONVERSIONS[spec.convert]) {
+        throw new Error(
+          `${prefix} has unknown conversion ${spec.convert}. Supported: ${Object.keys(CONVERSIONS).join(', ')}`
+        );
+      }
+      if (spec.type === 'string') {
+        throw new Error(
+          `${prefix} converts units, so its type must be numeric`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Normalizes one raw value
+ * @param {string} value - The raw extracted value
+ * @param {Object} spec - { type, convert, decimals }
+ * @returns {number|string} The typed value
+ * @throws {Error} If the value does not parse as the declared type
+ */
+export function normalizeValue(value, { type = 'string', convert, decimals }) {
+  if (type === 'string') {
+    return unquote(value);
+  }
+
+  let number = parseNumber(value);
+  if (convert) {
+    number = Number(CONVERSIONS[convert](number).toPrecision(12));
+  }
+  if (decimals !== undefined) {
+    number = Number(number.toFixed(decimals));
+  }
+
+  if (type === 'integer' && !Number.isInteger(number)) {
+    throw new Error(`'${value}' is not an integer`);
+  }
+
+  return number;
+}
+
+/**
+ * Builds the normalizedValues object for a proof
+ * @param {Object} provider - The provider definition
+ * @param {Object} values - The proof's extractedParameterValues
+ * @returns {Object|undefined} Typed values, or undefined if the provider
+ * declares no normalization. Values missing from the proof are left out.
+ * @throws {Error} If a value does not parse as its declared type
+ */
+export function normalizeValues(provider, values = {}) {
+  if (!provider.normalize) {
+    return undefined;
+  }
+
+  const normalized = {};
+
+  for (const [name, raw] of Object.entries(provider.normalize)) {
+    const spec = expandSpec(name, raw);
+    const value = values[spec.source];
+
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    try {
+      normalized[name] = normalizeValue(value, spec);
+    } catch (error) {
+      throw new Error(`Failed to normalize ${name}: ${error.message}`);
+    }
+  }
+
+  return normalized;
+}
@@ -0,0 +1,428 @@
+/**
+ * Pipeline Module
+ *
+ * Runs named jobs from a pipeline file (./zkfetch.pipeline.json by default).
+ * A job is a list of steps run in order:
+ *
+ *   {
+ *     "jobs": {
+ *       "prices": {
+ *         "steps": [
+ *           { "step": "request", "id": "btc", "provider": "coingecko",
+ *             "params": { "coin": "bitcoin" } },
+ *           { "step": "assert", "values": { "price": { "min": 1000 } } },
+ *           { "step": "verify-local" },
+ *           { "step": "submit", "network": "testnet" },
+ *           { "step": "export", "proof": "btc", "to": "./archive" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Steps other than request act on `proof`: the id of an earlier request step
+ * or a file path, by default the previous step's proof (./src/proof.json for
+ * the first step). A job stops at its first failed step unless the job or
+ * the step sets continueOnError; steps whose proof was not generated are then
+ * skipped.
+ */
+
+import * as fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { assertExtractedValues, validateAssertions } from './assertions.js';
+import { withSuggestion } from './cli.js';
+import { ProofVerificationError, UsageError } from './errors.js';
+import { findProofProvider } from './freshness.js';
+import { log } from './logger.js';
+import { resolveNetwork } from './networks.js';
+import { requestProof } from './requestProof.js';
+import { getSignerProfile } from './signers.js';
+import { verifyProofFileOffline } from './verifyLocal.js';
+import { verifyProof } from './verifyProof.js';
+
+const COMMON_OPTIONS = ['step', 'proof', 'continueOnError'];
+
+/**
+ * Reads a saved proof
+ * @param {string} proofPath - Path to the proof file
+ * @returns {Object} The proof
+ * @throws {Error} If the file cannot be read or parsed
+ */
+const readProof = (proofPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load proof: ${error.message}`);
+  }
+};
+
+/**
+ * Converts assert step rules from JSON, where patterns are strings
+ * @param {Object} values - Rules by parameter name
+ * @returns {Object} Rules as accepted by evaluateAssertions
+ */
+const toAssertions = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([param, rules]) => [
+      param,
+      typeof rules?.pattern === 'string'
+        ? { ...rules, pattern: new RegExp(rules.pattern) }
+        : rules,
+    ])
+  );
+
+/**
+ * Step types: the options each accepts besides step, proof and
+ * continueOnError, and what it does. `run` receives the step and the path of
+ * the proof it acts on, and returns the step's result.
+ */
+const STEPS = {
+  request: {
+    options: ['id', 'provider', 'params', 'out'],
+    run: async ({ provider, params = {} }, proofPath) => {
+      fs.mkdirSync(path.dirname(proofPath), { recursive: true });
+      const proof = await requestProof(proofPath, provider, params);
+      return {
+        provider,
+        proofPath,
+        extractedValues: proof.extractedParameterValues,
+      };
+    },
+  },
+  assert: {
+    options: ['values'],
+    run: ({ values }, proofPath) => {
+      const proof = readProof(proofPath);
+      const provider = findProofProvider(proof);
+      const checked = values
+        ? {
+            name: provider?.name ?? proofPath,
+            assertions: toAssertions(values),
+          }
+        : provider;
+
+      if (!checked?.assertions) {
+        throw new Error(
+          `No assertions for ${proofPath}: set values or use a provider that declares assertions`
+        );
+      }
+
+      assertExtractedValues(checked, proof.extractedParameterValues);
+      log.info(`Extracted values pass the ${checked.name} assertions`);
+      return { proofPath, extractedValues: proof.extractedParameterValues };
+    },
+  },
+  'verify-local': {
+    options: [],
+    run: (step, proofPath) => {
+      const report = verifyProofFileOffline(proofPath);
+      if (!report.valid) {
+        throw new ProofVerificationError(
+          `Local verification failed: ${report.errors.join('; ')}`
+        );
+      }
+      return { proofPath, identifier: report.identifier };
+    },
+  },
+  submit: {
+    options: [
+      'network',
+      'verifyLocally',
+      'minWitnesses',
+      'allowStale',
+      'maxAgeS',
+      'signer',
+      'accountIndex',
+    ],
+    run: async (step, proofPath) => {
+      const { network = 'testnet' } = step;
+      const options = Object.fromEntries(
+        [
+          'verifyLocally',
+          'minWitnesses',
+          'allowStale',
+          'maxAgeS',
+          'signer',
+          'accountIndex',
+        ]
+          .filter((name) => step[name] !== undefined)
+          .map((name) => [name, step[name]])
+      );
+      const receipt = await verifyProof(proofPath, network, options);
+
+      return {
+        proofPath,
+        network,
+        transactionHash: receipt.hash,
+        status: receipt.status,
+        ledger: receipt.ledger,
+        returnValue: receipt.returnValue,
+        feeCharged: receipt.feeCharged,
+      };
+    },
+  },
+  export: {
+    options: ['to'],
+    run: ({ to }, proofPath) => {
+      const target = to.endsWith('.json')
+        ? to
+        : path.join(to, path.basename(proofPath));
+
+      try {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(proofPath, target);
+      } catch (error) {
+        throw new Error(`Failed to export proof: ${error.message}`);
+      }
+
+      log.info(`Proof exported to: ${target}`);
+      return { proofPath, exportedTo: target };
+    },
+  },
+};
+
+/**
+ * Validates one step of a job
+ * @param {Object} step - The step definition
+ * @param {string} label - Job and step position, for messages
+ * @throws {Error} If the step type, an option, the network or the signer is
+ * unknown or a required option is missing
+ */
+function validateStep(step, label) {
+  const type = STEPS[step?.step];
+  if (!type) {
+    throw new Error(
+      `${label} has unknown type: ${step?.step}. Supported: ${Object.keys(STEPS).join(', ')}`
+    );
+  }
+
+  const options = [...COMMON_OPTIONS, ...type.options];
+  Object.keys(step).forEach((option) => {
+    if (!options.includes(option)) {
+      throw new Error(
+        withSuggestion(
+          `${label} (${step.step}) has unknown option: ${option}`,
+          option,
+          options
+        )
+      );
+    }
+  });
+
+  if (step.step === 'request' && !step.provider) {
+    throw new Error(`${label} (request) needs a provider`);
+  }
+  if (step.step === 'export' && typeof step.to !== 'string') {
+    throw new Error(`${label} (export) needs a 'to' path`);
+  }
+  if (step.step === 'submit') {
+    try {
+      if (step.network !== undefined) {
+        resolveNetwork(step.network);
+      }
+      if (step.signer !== undefined) {
+        getSignerProfile(step.signer);
+      }
+    } catch (error) {
+      throw new Error(`${label} (submit): ${error.message}`);
+    }
+  }
+  if (step.step === 'assert' && step.values) {
+    validateAssertions({
+      name: label,
+      assertions: toAssertions(step.values),
+    });
+  }
+}
+
+/**
+ * Validates a pipeline definition
+ * @param {Object} pipeline - The parsed pipeline file
+ * @throws {Error} If a job or step is malformed
+ */
+export function validatePipeline(pipeline) {
+  const jobs = pipeline?.jobs;
+  if (!jobs || typeof jobs !== 'object' || Array.isArray(jobs)) {
+    throw new Error('Pipeline must have a jobs object');
+  }
+
+  Object.entries(jobs).forEach(([name, job]) => {
+    if (!Array.isArray(job?.steps) || job.steps.length === 0) {
+      throw new Error(`Job ${name} must have at least one step`);
+    }
+    job.steps.forEach((step, index) =>
+      validateStep(step, `Job ${name} step ${index + 1}`)
+    );
+  });
+}
+
+/**
+ * Loads and validates a pipeline file
+ * @param {string} file - Path to the pipeline file
+ * @returns {Object} The pipeline
+ * @throws {Error} If the file cannot be read, is not JSON or is malformed
+ */
+export function loadPipeline(file = CONFIG.PATHS.PIPELINE_FILE) {
+  if (/\.ya?ml$/i.test(file)) {
+    throw new Error(
+      `Pipeline files must be JSON; convert ${file} to zkfetch.pipeline.json`
+    );
+  }
+
+  let pipeline;
+  try {
+    pipeline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read pipeline file ${file}: ${error.message}`);
+  }
+
+  try {
+    validatePipeline(pipeline);
+  } catch (error) {
+    throw new Error(`Invalid pipeline file ${file}: ${error.message}`);
+  }
+  return pipeline;
+}
+
+/**
+ * Runs a job from a pipeline file
+ * @param {string} jobName - Name of the job
+ * @param {Object} options - Run options
+ * @param {string} options.file - Pipeline file (default CONFIG.PATHS.PIPELINE_FILE)
+ * @param {boolean} options.continueOnError - Run every step even after a
+ * failure (default: the job's continueOnError, else false)
+ * @returns {Promise<Object>} Summary: { job, file, success, passed, failed,
+ * skipped, durationMs, steps } where each step has { index, step, status,
+ * durationMs } plus result, or error and code. status is passed, failed or
+ * skipped.
+ * @throws {UsageError} If the job is missing or unknown
+ * @throws {Error} If the pipeline file is invalid
+ */
+export async function runPipeline(
+  jobName,
+  { file = CONFIG.PATHS.PIPELINE_FILE, continueOnError } = {}
+) {
+  const { jobs } = loadPipeline(file);
+  const names = Object.keys(jobs);
+
+  if (!jobName) {
+    throw new UsageError(`Missing job. Jobs in ${file}: ${names.join(', ')}`);
+  }
+  if (!jobs[jobName]) {
+    throw new UsageError(
+      withSuggestion(`Unknown job: ${jobName}`, jobName, names)
+    );
+  }
+
+  const job = jobs[jobName];
+  const keepGoing = continueOnError ?? Boolean(job.continueOnError);
+  const proofs = { ids: {}, failed: new Set(), last: undefined };
+  const started = Date.now();
+  const steps = [];
+  let stopped = false;
+
+  log.info(`Running job ${jobName} (${job.steps.length} steps) from ${file}`);
+
+  for (const [index, step] of job.steps.entries()) {
+    const entry = { index: index + 1, step: step.step };
+    steps.push(entry);
+
+    let proofPath;
+    if (step.step === 'request') {
+      proofPath =
+        step.out ??
+        path.join(
+          CONFIG.PATHS.PROOFS_DIR,
+          `${jobName}-${step.id ?? step.provider}.json`.replace(
+            /[^\w.-]+/g,
+            '_'
+          )
+        );
+      if (step.id) {
+        proofs.ids[step.id] = proofPath;
+      }
+    } else {
+      const ref = step.proof ?? proofs.last ?? CONFIG.PATHS.PROOF_FILE;
+      proofPath = proofs.ids[ref] ?? ref;
+    }
+    proofs.last = proofPath;
+
+    if (stopped || proofs.failed.has(proofPath)) {
+      entry.status = 'skipped';
+      entry.reason = stopped
+        ? 'Stopped after a failed step'
+        : `Proof ${proofPath} was not generated`;
+      if (step.step === 'request') {
+        proofs.failed.add(proofPath);
+      }
+      continue;
+    }
+
+    log.info(`[${entry.index}/${job.steps.length}] ${step.step} ${proofPath}`);
+    const stepStarted = Date.now();
+
+    try {
+      entry.result = await STEPS[step.step].run(step, proofPath);
+      entry.status = 'passed';
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      entry.code = error.code;
+      log.error(`Step ${entry.index} (${step.step}) failed:`, error.message);
+
+      if (step.step === 'request') {
+        proofs.failed.add(proofPath);
+      }
+      stopped = !(step.continueOnError ?? keepGoing);
+    }
+
+    entry.durationMs = Date.now() - stepStarted;
+  }
+
+  const count = (status) => steps.filter((s) => s.status === status).length;
+
+  return {
+    job: jobName,
+    file,
+    success: count('failed') === 0,
+    passed: count('passed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    durationMs: Date.now() - started,
+    steps,
+  };
+}
+
+/**
+ * Prints a job summary
+ * @param {Object} summary - Summary returned by runPipeline
+ */
+export function printPipelineSummary({
+  job,
+  passed,
+  failed,
+  skipped,
+  durationMs,
+  steps,
+}) {
+  log.info(
+    `Job ${job} completed: ${passed} passed, ${failed} failed, ${skipped} skipped in ${durationMs}ms`
+  );
+
+  const width = Math.max(...steps.map(({ step }) => step.length));
+  steps.forEach((entry) => {
+    const status = { passed: 'OK  ', failed: 'FAIL', skipped: 'SKIP' }[
+      entry.status
+    ];
+    const detail =
+      entry.error ??
+      entry.reason ??
+      entry.result.transactionHash ??
+      entry.result.exportedTo ??
+      entry.result.proofPath;
+    const took = entry.durationMs === undefined ? '' : `${entry.durationMs}ms`;
+    log.info(
+      `  ${status} ${String(entry.index).padStart(2)} ${entry.step.padEnd(width)} ${took.padStart(8)}  ${detail}`
+    );
+  });
+}
@@ -0,0 +1,274 @@
+/**
+ * Provider Tester Module
+ *
+ * Applies a provider's responseMatches and responseRedactions to a saved
+ * response body, so a provider can be debugged without a zkFetch round-trip.
+ * Reports the named captures that would become extractedParameterValues,
+ * which match failed, what each redaction would reveal, and regexes prone to
+ * catastrophic backtracking.
+ */
+
+import fs from 'fs';
+import { getProvider, getProviderNames } from './providers/index.js';
+import { log } from './logger.js';
+import { applyResponseMatch, makeRegex } from './responseMatcher.js';
+import { buildResponseOptions, parseJsonPath } from './selectors.js';
+import { applyTemplate } from './templates.js';
+
+// Unbounded wildcards: .* .+ [\s\S]* [\s\S]+ (greedy or lazy)
+const UNBOUNDED_WILDCARD = /(?:(?<!\\)\.|\[\\s\\S\]|\[\\S\\s\])[*+]\??/g;
+const WILDCARD_CHAIN_LIMIT = 3;
+const SLOW_MATCH_MS = 100;
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Finds quantified groups whose body is itself unbounded, e.g. (a+)+ or
+ * (?:.*?x)*, the classic source of exponential backtracking
+ * @param {string} pattern - Regex source
+ * @returns {string[]} The offending groups
+ */
+const findNestedQuantifiers = (pattern) => {
+  const groups = [];
+  const stack = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      stack.push(i);
+    } else if (char === ')' && stack.length > 0) {
+      const start = stack.pop();
+      const body = pattern.slice(start + 1, i).replace(/\\./g, '');
+      const quantifier = pattern
+        .slice(i + 1)
+        .match(/^(?:[*+]|\{(\d+),(\d*)\})/);
+      const repeats =
+        quantifier &&
+        (!quantifier[1] || quantifier[2] === '' || Number(quantifier[2]) > 1);
+
+      if (repeats && /[*+]|\{\d+,\}/.test(body)) {
+        groups.push(pattern.slice(start, i + 1 + quantifier[0].length));
+      }
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Shortens long text for display
+ * @param {string} text - Text to shorten
+ * @returns {string} At most PREVIEW_LENGTH characters
+ */
+const preview = (text) =>
+  text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+
+/**
+ * Warns about regex constructs prone to catastrophic backtracking
+ * @param {string} pattern - Regex source
+ * @returns {string[]} Human readable warnings (empty if none)
+ */
+export function findBacktrackingRisks(pattern) {
+  const warnings = [];
+  const wildcards = pattern.match(UNBOUNDED_WILDCARD) || [];
+
+  if (wildcards.length >= WILDCARD_CHAIN_LIMIT) {
+    warnings.push(
+      `chains ${wildcards.length} unbounded wildcards (${[...new Set(wildcards)].join(', ')}); ` +
+        `a response that almost matches can take O(n^${wildcards.length}) steps. ` +
+        'Prefer bounded classes such as [^"]* or [^<]*'
+    );
+  }
+
+  findNestedQuantifiers(pattern).forEach((group) => {
+    warnings.push(
+      `repeats a group that is itself unbounded: ${preview(group)}`
+    );
+  });
+
+  return warnings;
+}
+
+/**
+ * Evaluates what a redaction would reveal from the body
+ * @param {string} body - The response body
+ * @param {Object} redaction - A zkFetch response redaction
+ * @returns {Object} { passed, revealed, notes }
+ */
+const evaluateRedaction = (body, redaction) => {
+  const notes = [];
+
+  if (redaction.jsonPath) {
+    let value;
+    try {
+      value = parseJsonPath(redaction.jsonPath).reduce(
+        (node, key) => (node == null ? undefined : node[key]),
+        JSON.parse(body)
+      );
+    } catch (error) {
+      return { passed: false, revealed: [], notes: [error.message] };
+    }
+
+    if (value === undefined) {
+      return {
+        passed: false,
+        revealed: [],
+        notes: [`jsonPath ${redaction.jsonPath} not found`],
+      };
+    }
+    notes.push(`jsonPath ${redaction.jsonPath} found`);
+  }
+
+  if (redaction.xPath) {
+    notes.push(`xPath ${redaction.xPath} is not evaluated offline`);
+  }
+
+  if (!redaction.regex) {
+    return { passed: true, revealed: [], notes };
+  }
+
+  const revealed = [...body.matchAll(makeRegex(redaction.regex))].map(
+    (match) => match[0]
+  );
+
+  return { passed: revealed.length > 0, revealed, notes };
+};
+
+/**
+ * Applies a provider's response options to a response body
+ * @param {Object} provider - The (templated) provider definition
+ * @param {string} body - The saved response body
+ * @returns {Object} Report: { provider, passed, values, matches, redactions }
+ */
+export function testProvider(provider, body) {
+  const { responseMatches, responseRedactions = [] } =
+    buildResponseOptions(provider);
+  const values = {};
+
+  const matches = responseMatches.map((match, index) => {
+    const started = Date.now();
+    const groups = applyResponseMatch(body, match);
+    const durationMs = Date.now() - started;
+    const warnings =
+      match.type === 'regex' ? findBacktrackingRisks(match.value) : [];
+
+    if (durationMs >= SLOW_MATCH_MS) {
+      warnings.push(`took ${durationMs}ms on this response`);
+    }
+
+    Object.entries(groups || {}).forEach(([name, value]) => {
+      if (value !== undefined) {
+        values[name] = value;
+      }
+    });
+
+    return {
+      index: index + 1,
+      type: match.type,
+      value: match.value,
+      passed: groups !== null,
+      groups: groups || {},
+      durationMs,
+      warnings,
+    };
+  });
+
+  const redactions = responseRedactions.map((redaction, index) => ({
+    index: index + 1,
+    ...redaction,
+    ...evaluateRedaction(body, redaction),
+    warnings: redaction.regex ? findBacktrackingRisks(redaction.regex) : [],
+  }));
+
+  return {
+    provider: provider.name,
+    passed:
+      matches.every(({ passed }) => passed) &&
+      redactions.every(({ passed }) => passed),
+    values,
+    matches,
+    redactions,
+  };
+}
+
+/**
+ * Tests a registered provider against a fixture file
+ * @param {string} name - Registered provider name
+ * @param {string} fixturePath - Path to the saved response body
+ * @param {Object} params - Template parameters for the provider
+ * @returns {Object} The test report (see testProvider)
+ * @throws {Error} If the provider is unknown or the fixture cannot be read
+ */
+export function testProviderFixture(name, fixturePath, params = {}) {
+  const registered = getProvider(name);
+  if (!registered) {
+    const supported = getProviderNames()
+      .map((providerName) => `'${providerName}'`)
+      .join(', ');
+    throw new Error(
+      `Unknown provider: ${name}. Supported providers: ${supported}`
+    );
+  }
+
+  if (!fixturePath) {
+    throw new Error('A --fixture file is required');
+  }
+
+  let body;
+  try {
+    body = fs.readFileSync(fixturePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read fixture: ${error.message}`);
+  }
+
+  return testProvider(applyTemplate(registered, params), body);
+}
+
+/**
+ * Prints a provider test report
+ * @param {Object} report - Report returned by testProvider
+ */
+export function printProviderTestReport(report) {
+  log.info(`Testing provider ${report.provider} offline`);
+
+  report.matches.forEach((match) => {
+    const status = match.passed ? 'OK  ' : 'FAIL';
+    log.info(
+      `  ${status} Response match ${match.index} (${match.type}): ${preview(match.value)}`
+    );
+    if (!match.passed) {
+      log.info(`       did not match: ${match.value}`);
+    }
+    match.warnings.forEach((warning) => {
+      log.warn(`       Warning: ${warning}`);
+    });
+  });
+
+  report.redactions.forEach((redaction) => {
+    const status = redaction.passed ? 'OK  ' : 'FAIL';
+    log.info(`  ${status} Response redaction ${redaction.index}`);
+    redaction.notes.forEach((note) => log.info(`       ${note}`));
+    redaction.revealed.forEach((text) => {
+      log.info(`       reveals: ${preview(text)}`);
+    });
+    redaction.warnings.forEach((warning) => {
+      log.warn(`       Warning: ${warning}`);
+    });
+  });
+
+  if (report.passed) {
+    log.info('extractedParameterValues:');
+    Object.entries(report.values).forEach(([name, value]) => {
+      log.info(`   ${name}: ${value}`);
+    });
+  } else {
+    log.info('Provider test failed: no proof would be generated');
+  }
+}
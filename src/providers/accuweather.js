@@ -0,0 +1,71 @@
+/**
+ * AccuWeather provider
+ *
+ * Proves the city name and current temperature from an AccuWeather forecast
+ * page, e.g. `request accuweather --location 328328`. Defaults to New York
+ * (location key 349727).
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'accuweather',
+  label: 'AccuWeather',
+  description: 'AccuWeather forecast',
+  url: CONFIG.API.ACCUWEATHER_FORECAST,
+  method: 'GET',
+  params: {
+    location: {
+      description: 'AccuWeather location key, e.g. 328328 for London',
+      default: '349727',
+      pattern: /^\d+$/,
+    },
+  },
+  headers: {
+    accept:
+      'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    'accept-language': 'en-US,en;q=0.9',
+    priority: 'u=0, i',
+    'sec-ch-ua':
+      '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"macOS"',
+    'sec-fetch-dest': 'document',
+    'sec-fetch-mode': 'navigate',
+    'sec-fetch-site': 'none',
+    'sec-fetch-user': '?1',
+    'upgrade-insecure-requests': '1',
+  },
+  contextMessage: 'accuweather ${location}',
+  selectors: [
+    {
+      // The location is embedded in the page as JSON
+      name: 'city',
+      xPath: "//script[contains(text(), 'englishName')]",
+      regex: '"englishName":"(?<city>[^"]+)"',
+    },
+    {
+      name: 'tempInC',
+      css: 'div.temp',
+      regex: '<div class="temp">(?<tempInC>-?\\d+)&#xB0;',
+    },
+  ],
+  assertions: {
+    tempInC: { type: 'number', min: -60, max: 60, required: true },
+  },
+  normalize: {
+    city: 'string',
+    tempInC: 'number',
+    tempInF: { source: 'tempInC', type: 'number', convert: 'C->F' },
+  },
+  format: (values) => {
+    const lines = ['Extracted weather data:'];
+    if (values.city) {
+      lines.push(`   City: ${values.city}`);
+    }
+    if (values.tempInC) {
+      lines.push(`   Temperature: ${values.tempInC} C`);
+    }
+    return lines;
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * arXiv provider
+ *
+ * Proves the title of a research paper from its arXiv abstract page.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'arxiv',
+  label: 'arXiv',
+  description: 'arXiv paper title',
+  url: CONFIG.API.ARXIV_PAPER,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '<meta[^>]*property="og:title"[^>]*content="(?<title>[^"]+)"',
+    },
+  ],
+  format: (values) => [`Paper title: ${values.title || 'N/A'}`],
+};
@@ -0,0 +1,45 @@
+/**
+ * CoinGecko price provider
+ *
+ * Proves the current price of any CoinGecko coin in any quote currency, e.g.
+ * `request coingecko --coin bitcoin --vs eur`. Defaults to XLM/USD.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'coingecko',
+  label: 'CoinGecko',
+  description: 'CoinGecko coin price',
+  url: CONFIG.API.COINGECKO_SIMPLE_PRICE,
+  method: 'GET',
+  maxAgeS: 60,
+  params: {
+    coin: {
+      description: 'CoinGecko coin id, e.g. bitcoin',
+      default: 'stellar',
+      pattern: /^[a-z0-9-]+$/,
+    },
+    vs: {
+      description: 'quote currency, e.g. eur',
+      default: 'usd',
+      pattern: /^[a-z]{3,5}$/,
+    },
+  },
+  // The regex names the coin as well as the currency, so the proof shows
+  // which coin the price is for
+  selectors: [
+    {
+      name: 'price',
+      jsonPath: "$['${coin}']",
+      regex: '"${coin}"\\s*:\\s*\\{[^}]*"${vs}"\\s*:\\s*(?<price>[\\d.]+)',
+    },
+  ],
+  assertions: {
+    price: { type: 'number', min: 0, required: true },
+  },
+  normalize: { price: 'number' },
+  format: (values, { coin = 'stellar', vs = 'usd' } = {}) => [
+    `Extracted ${coin} price: ${values.price || 'N/A'} ${vs.toUpperCase()}`,
+  ],
+};
@@ -0,0 +1,27 @@
+/**
+ * Coinmarketcap provider
+ *
+ * Proves Bitcoin's circulating supply from the Coinmarketcap home page.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'coinmarketcap',
+  label: 'Coinmarketcap',
+  description: 'Coinmarketcap Bitcoin circulating supply',
+  url: CONFIG.API.COINMARKETCAP_HOME,
+  method: 'GET',
+  maxAgeS: 60,
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<div class="circulating-supply-value">\\s*<span>(?<cap>[0-9]+(?:\\.[0-9]+)?[A-Za-z]?)</span>\\s*<!-- -->BTC',
+    },
+  ],
+  normalize: { cap: 'number' },
+  format: (values) => [
+    `Bitcoin circulating supply: ${values.cap || 'N/A'} BTC`,
+  ],
+};
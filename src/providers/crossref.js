@@ -0,0 +1,22 @@
+/**
+ * Crossref provider
+ *
+ * Proves the number of references of a published work from Crossref.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'crossref',
+  label: 'Crossref',
+  description: 'Crossref reference count',
+  url: CONFIG.API.CROSSREF_WORK,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '"reference-count"\\s*:\\s*(?<referenceCount>\\d+)',
+    },
+  ],
+  format: (values) => [`Reference count: ${values.referenceCount || 'N/A'}`],
+};
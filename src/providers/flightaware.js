@@ -0,0 +1,23 @@
+/**
+ * FlightAware provider
+ *
+ * Proves the current temperature at JFK airport from FlightAware.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'flightaware',
+  label: 'FlightAware',
+  description: 'FlightAware JFK airport weather',
+  url: CONFIG.API.FLIGHTAWARE_JFK_WEATHER,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<td class="alignleft weatherTemperature" style="width: 79px" >(?<temperature>.*?)</td>',
+    },
+  ],
+  format: (values) => [`JFK temperature: ${values.temperature || 'N/A'}`],
+};
@@ -0,0 +1,70 @@
+/**
+ * Forbes provider
+ *
+ * Proves the top five entries of the Forbes real-time billionaires list.
+ */
+
+import { CONFIG } from '../config.js';
+
+const PEOPLE = 5;
+
+// Anything up to the next list entry
+const SAME_ENTRY = '(?:(?!"personName").)*?';
+
+/**
+ * Builds the selector of the person at an index of the list. One regex
+ * captures the name, rank and worth together, anchored on the rank, so the
+ * three values always come from the same entry. It needs nothing outside the
+ * entry, so it also matches inside the entry the jsonPath redaction selects.
+ * @param {number} index - Position in the list, from 0
+ * @returns {Object} The selector, capturing e.g. name1, rank1 and worth1 for
+ * index 0
+ */
+const personSelector = (index) => {
+  const n = index + 1;
+  return {
+    name: `rank${n}`,
+    jsonPath: `$.personList.personsLists[${index}]`,
+    regex:
+      `"personName":\\s*"(?<name${n}>[^"]+)"${SAME_ENTRY}` +
+      `"rank":\\s*(?<rank${n}>${n})\\b${SAME_ENTRY}` +
+      `"finalWorth":\\s*(?<worth${n}>[\\d.]+)`,
+  };
+};
+
+export default {
+  name: 'forbes',
+  label: 'Forbes',
+  description: 'Forbes billionaires',
+  url: CONFIG.API.FORBES_BILLIONAIRES,
+  method: 'GET',
+  maxAgeS: 3600,
+  headers: {
+    accept: 'application/json, text/plain, */*',
+    'accept-language': 'en-US,en;q=0.9',
+    priority: 'u=1, i',
+    'sec-ch-ua':
+      '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"macOS"',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin',
+  },
+  contextMessage: 'forbes real time billionaires',
+  selectors: Array.from({ length: PEOPLE }, (_, index) =>
+    personSelector(index)
+  ),
+  format: (values) => {
+    const lines = ['Extracted billionaires data:'];
+    for (let i = 1; i <= PEOPLE; i++) {
+      const name = values[`name${i}`];
+      const rank = values[`rank${i}`];
+      const worth = values[`worth${i}`];
+      if (name && rank && worth) {
+        lines.push(`   #${rank} ${name}: $${worth}B`);
+      }
+    }
+    return lines;
+  },
+};
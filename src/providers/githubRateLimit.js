@@ -0,0 +1,41 @@
+/**
+ * GitHub API provider
+ *
+ * Proves the caller's GitHub API rate limit (requests per hour). Set
+ * GITHUB_TOKEN to prove the authenticated limit; the token is sent as a secret
+ * header and is not included in the proof.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'github-rate-limit',
+  label: 'GitHub API',
+  description: 'GitHub API rate limit',
+  url: CONFIG.API.GITHUB_RATE_LIMIT,
+  method: 'GET',
+  secrets: {
+    headers: {
+      Authorization: { env: 'GITHUB_TOKEN', prefix: 'Bearer ', optional: true },
+    },
+  },
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '"rate"\\s*:\\s*\\{[\\s\\S]*?"limit"\\s*:\\s*(?<limit>\\d+),[\\s\\S]*?"remaining"\\s*:\\s*(?<remaining>\\d+),[\\s\\S]*?"reset"\\s*:\\s*(?<reset>\\d+),[\\s\\S]*?"used"\\s*:\\s*(?<used>\\d+),[\\s\\S]*?"resource"\\s*:\\s*"(?<resource>[^"]+)"',
+    },
+  ],
+  format: (values) => {
+    const lines = ['Extracted rate limit data:'];
+    if (values.limit && values.remaining) {
+      lines.push(
+        `   ${values.resource || 'core'}: ${values.remaining}/${values.limit} remaining (${values.used || 0} used)`
+      );
+    }
+    if (values.reset) {
+      lines.push(`   Resets at: ${values.reset}`);
+    }
+    return lines;
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * GitHub provider
+ *
+ * Proves the star count of the torvalds/linux repository on GitHub.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'github-stars',
+  label: 'GitHub',
+  description: 'GitHub repository stars',
+  url: CONFIG.API.GITHUB_LINUX_REPO,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<span[^>]*class="[^"]*js-social-count[^"]*"[^>]*>\\s*(?<stars>[0-9]+(?:\\.[0-9]+)?[kKmM]?)\\s*</span>',
+    },
+  ],
+  normalize: { stars: 'integer' },
+  format: (values) => [`torvalds/linux stars: ${values.stars || 'N/A'}`],
+};
@@ -0,0 +1,59 @@
+/**
+ * Goal.com provider
+ *
+ * Proves the first live match (teams and score) on the Goal.com live scores
+ * page.
+ */
+
+import { CONFIG } from '../config.js';
+
+const TEAM_NAME =
+  'div.fco-match-team-and-score div.fco-team-name.fco-long-name';
+const TEAM_NAME_TAG = '<div class="fco-team-name fco-long-name">';
+
+export default {
+  name: 'goal',
+  label: 'Goal.com',
+  description: 'Goal.com live scores',
+  url: CONFIG.API.GOAL_LIVE_SCORES,
+  method: 'GET',
+  selectors: [
+    { name: 'team1', css: TEAM_NAME },
+    {
+      // The second team name of the match
+      name: 'team2',
+      css: TEAM_NAME,
+      regex: `${TEAM_NAME_TAG}[^<]*</div>.*?${TEAM_NAME_TAG}(?<team2>[^<]+)</div>`,
+    },
+    {
+      name: 'score1',
+      css: 'div.fco-match-score[data-side="team-a"]',
+      regex:
+        '<div class="fco-match-score" data-side="team-a">(?<score1>\\d+)</div>',
+    },
+    {
+      name: 'score2',
+      css: 'div.fco-match-score[data-side="team-b"]',
+      regex:
+        '<div class="fco-match-score" data-side="team-b">(?<score2>\\d+)</div>',
+    },
+  ],
+  assertions: {
+    score1: { type: 'integer', min: 0, required: true },
+    score2: { type: 'integer', min: 0, required: true },
+  },
+  normalize: {
+    team1: 'string',
+    team2: 'string',
+    score1: 'integer',
+    score2: 'integer',
+  },
+  format: (values) => {
+    const lines = ['Extracted live scores data:'];
+    const { team1, team2, score1, score2 } = values;
+    if (team1 && team2 && score1 && score2) {
+      lines.push(`   ${team1} ${score1} - ${score2} ${team2}`);
+    }
+    return lines;
+  },
+};
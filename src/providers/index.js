@@ -0,0 +1,179 @@
+/**
+ * Provider Registry
+ *
+ * Every data source is a declarative provider definition living in its own
+ * module in this directory, registered by dropping the file in: each module's
+ * default export is loaded at startup, in file name order. The registry is
+ * the single lookup used by requestProof, the CLI and ZkFetchStellarApp.
+ *
+ * A provider definition has the following shape:
+ *   {
+ *     name: 'forbes',                 // unique key used by CLI and requestProof
+ *     label: 'Forbes',                // optional, used in status messages
+ *     description: 'Forbes billionaires',
+ *     url: 'https://...',
+ *     method: 'GET',
+ *     headers: { ... },               // optional request headers
+ *     contextMessage: '...',          // optional proof context message
+ *     responseMatches: [ ... ],       // zkFetch response matches
+ *     responseRedactions: [ ... ],    // optional zkFetch response redactions
+ *     selectors: [ ... ],             // optional JSONPath/XPath/CSS selectors
+ *     secrets: { ... },               // optional secret headers/cookies/params
+ *     params: { ... },                // optional ${name} template parameters
+ *     retry: { retries: 2 },          // optional retry policy overrides
+ *     maxAgeS: 60,                    // optional max proof age when verifying
+ *     assertions: { ... },            // optional checks on extracted values
+ *     normalize: { ... },             // optional typed normalizedValues
+ *     format: (values, params) => [ ... ], // lines describing extracted values
+ *   }
+ */
+
+import * as fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validateAssertions } from '../assertions.js';
+import { validateFreshness } from '../freshness.js';
+import { validateNormalization } from '../normalize.js';
+import { validateRetryPolicy } from '../retry.js';
+import { validateSecrets } from '../secrets.js';
+import { selectorToOptions } from '../selectors.js';
+import { validateTemplate } from '../templates.js';
+
+const PROVIDERS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Loads the built-in providers: the default export of every other module in
+ * this directory, in file name order
+ * @returns {Promise<Object[]>} The provider definitions
+ * @throws {Error} If a module has no default export
+ */
+const loadBuiltinProviders = async () => {
+  const files = fs
+    .readdirSync(PROVIDERS_DIR)
+    .filter((file) => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+  const modules = await Promise.all(
+    files.map(
+      (file) => import(pathToFileURL(path.join(PROVIDERS_DIR, file)).href)
+    )
+  );
+
+  return modules.map((module, index) => {
+    if (!module.default) {
+      throw new Error(
+        `Provider module ${files[index]} must export its definition as default`
+      );
+    }
+    return module.default;
+  });
+};
+
+/**
+ * Built-in providers, in file name order
+ */
+const BUILTIN_PROVIDERS = await loadBuiltinProviders();
+
+const registry = new Map();
+
+/**
+ * Validates a provider definition
+ * @param {Object} definition - The provider definition
+ * @throws {Error} If the definition is missing required fields
+ */
+export function validateProviderDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Provider definition must be an object');
+  }
+
+  if (!definition.name || typeof definition.name !== 'string') {
+    throw new Error('Provider definition must have a name');
+  }
+
+  if (!definition.url || typeof definition.url !== 'string') {
+    throw new Error(`Provider ${definition.name} must have a url`);
+  }
+
+  if (
+    definition.responseMatches !== undefined &&
+    !Array.isArray(definition.responseMatches)
+  ) {
+    throw new Error(
+      `Provider ${definition.name} responseMatches must be an array`
+    );
+  }
+
+  const matchCount =
+    (definition.responseMatches || []).length +
+    (definition.selectors || []).length;
+  if (matchCount === 0) {
+    throw new Error(
+      `Provider ${definition.name} must have at least one response match`
+    );
+  }
+
+  (definition.selectors || []).forEach((selector) => {
+    try {
+      selectorToOptions(selector);
+    } catch (error) {
+      throw new Error(`Provider ${definition.name}: ${error.message}`);
+    }
+  });
+
+  validateSecrets(definition);
+  validateTemplate(definition);
+  validateRetryPolicy(definition);
+  validateFreshness(definition);
+  validateAssertions(definition);
+  validateNormalization(definition);
+
+  if (
+    definition.format !== undefined &&
+    typeof definition.format !== 'function'
+  ) {
+    throw new Error(`Provider ${definition.name} format must be a function`);
+  }
+}
+
+/**
+ * Registers a provider definition
+ * @param {Object} definition - The provider definition
+ * @returns {Object} The registered definition
+ * @throws {Error} If the definition is invalid or the name is already taken
+ */
+export function registerProvider(definition) {
+  validateProviderDefinition(definition);
+
+  if (registry.has(definition.name)) {
+    throw new Error(`Provider already registered: ${definition.name}`);
+  }
+
+  registry.set(definition.name, definition);
+  return definition;
+}
+
+/**
+ * Gets a provider definition by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} The provider definition, if registered
+ */
+export function getProvider(name) {
+  return registry.get(name);
+}
+
+/**
+ * Lists all registered providers
+ * @returns {Object[]} Provider definitions in registration order
+ */
+export function listProviders() {
+  return [...registry.values()];
+}
+
+/**
+ * Lists the names of all registered providers
+ * @returns {string[]} Provider names in registration order
+ */
+export function getProviderNames() {
+  return [...registry.keys()];
+}
+
+BUILTIN_PROVIDERS.forEach(registerProvider);
@@ -0,0 +1,23 @@
+/**
+ * Internet Live Stats provider
+ *
+ * Proves the total number of registered websites from Internet Live Stats.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'internet-live-stats',
+  label: 'Internet Live Stats',
+  description: 'Internet Live Stats registered websites',
+  url: CONFIG.API.INTERNET_LIVE_STATS_WEBSITES,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '<td class="val">(?<websites>[0-9,]+)</td>',
+    },
+  ],
+  normalize: { websites: 'integer' },
+  format: (values) => [`Registered websites: ${values.websites || 'N/A'}`],
+};
@@ -0,0 +1,23 @@
+/**
+ * IP API provider
+ *
+ * Proves the public IP address the request was made from, as seen by
+ * ipapi.co.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'ipapi',
+  label: 'IP API',
+  description: 'IP API caller address',
+  url: CONFIG.API.IPAPI_JSON,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '"ip"\\s*:\\s*"(?<ip>[0-9.]+)"',
+    },
+  ],
+  format: (values) => [`IP address: ${values.ip || 'N/A'}`],
+};
@@ -0,0 +1,25 @@
+/**
+ * npm provider
+ *
+ * Proves the latest published version of @stellar/stellar-sdk on npm.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'npm-registry',
+  label: 'npm',
+  description: 'npm Stellar SDK version',
+  url: CONFIG.API.NPM_STELLAR_SDK,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<p class="f2874b88 fw6 mb3 mt2 truncate black-80 f4">(?<version>[0-9.]+)</p>',
+    },
+  ],
+  format: (values) => [
+    `@stellar/stellar-sdk version: ${values.version || 'N/A'}`,
+  ],
+};
@@ -0,0 +1,31 @@
+/**
+ * OpenDota provider
+ *
+ * Proves the first professional Dota 2 player listed by OpenDota.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'opendota',
+  label: 'OpenDota',
+  description: 'OpenDota top pro player',
+  url: CONFIG.API.OPENDOTA_PRO_PLAYERS,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '"steamid"\\s*:\\s*"(?<steamId>\\d+)"[\\s\\S]*?"personaname"\\s*:\\s*"(?<name>[^"]+)"[\\s\\S]*?"loccountrycode"\\s*:\\s*"(?<country>[A-Z]{2})"',
+    },
+  ],
+  format: (values) => {
+    const lines = ['Extracted pro player data:'];
+    if (values.name && values.steamId) {
+      lines.push(
+        `   ${values.name} (${values.country || '??'}) - Steam ID ${values.steamId}`
+      );
+    }
+    return lines;
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Planet OSM provider
+ *
+ * Proves the number of OpenStreetMap users from the Planet OSM statistics
+ * page.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'planet-osm',
+  label: 'Planet OSM',
+  description: 'OpenStreetMap user count',
+  url: CONFIG.API.PLANET_OSM_STATS,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '<tr>\\s*<td>[^<]+</td>\\s*<td>(?<users>[0-9]+)</td>',
+    },
+  ],
+  normalize: { users: 'integer' },
+  format: (values) => [`OpenStreetMap users: ${values.users || 'N/A'}`],
+};
@@ -0,0 +1,22 @@
+/**
+ * Postman Echo provider
+ *
+ * Proves the user agent the attestor sent, as echoed back by Postman Echo.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'postman-echo',
+  label: 'Postman Echo',
+  description: 'Postman Echo request user agent',
+  url: CONFIG.API.POSTMAN_ECHO_GET,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '"user-agent"\\s*:\\s*"(?<userAgent>[^"]+)"',
+    },
+  ],
+  format: (values) => [`User agent: ${values.userAgent || 'N/A'}`],
+};
@@ -0,0 +1,22 @@
+/**
+ * Random Number API provider
+ *
+ * Proves a random number between 1 and 100 drawn by randomnumberapi.com.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'random-number',
+  label: 'Random Number API',
+  description: 'Random Number API result',
+  url: CONFIG.API.RANDOM_NUMBER_API,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '\\[(?<data>\\d+)\\]',
+    },
+  ],
+  format: (values) => [`Random number: ${values.data || 'N/A'}`],
+};
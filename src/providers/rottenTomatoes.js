@@ -0,0 +1,23 @@
+/**
+ * Rotten Tomatoes provider
+ *
+ * Proves the most popular TV series currently listed on Rotten Tomatoes.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'rotten-tomatoes',
+  label: 'Rotten Tomatoes',
+  description: 'Rotten Tomatoes top TV show',
+  url: CONFIG.API.ROTTEN_TOMATOES_POPULAR_TV,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<span class="p--small" data-qa="discovery-media-list-item-title">\\s*(?<show>[^\\s].*?[^\\s])\\s*</span>',
+    },
+  ],
+  format: (values) => [`Top show: ${values.show || 'N/A'}`],
+};
@@ -0,0 +1,24 @@
+/**
+ * Social Counts provider
+ *
+ * Proves a YouTube channel subscriber count from Social Counts.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'social-counts',
+  label: 'Social Counts',
+  description: 'Social Counts YouTube subscribers',
+  url: CONFIG.API.SOCIAL_COUNTS_YOUTUBE,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<div class="tracking-tight text-gray-900 dark:text-white text-xl">(?<count>.*?)</div>',
+    },
+  ],
+  normalize: { count: 'integer' },
+  format: (values) => [`Subscriber count: ${values.count || 'N/A'}`],
+};
@@ -0,0 +1,22 @@
+/**
+ * Solana provider
+ *
+ * Proves the overall system status from the Solana status page.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'solana-status',
+  label: 'Solana',
+  description: 'Solana network status',
+  url: CONFIG.API.SOLANA_STATUS,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '<h2[^>]*class="status[^"]*"[^>]*>\\s*(?<status>[^<]+?)\\s*</h2>',
+    },
+  ],
+  format: (values) => [`Solana status: ${values.status || 'N/A'}`],
+};
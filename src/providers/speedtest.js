@@ -0,0 +1,25 @@
+/**
+ * Speedtest provider
+ *
+ * Proves the global median mobile speed from the Speedtest Global Index.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'speedtest',
+  label: 'Speedtest',
+  description: 'Speedtest global mobile speed',
+  url: CONFIG.API.SPEEDTEST_GLOBAL_INDEX,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '<span class="number">(?<mobileSpeed>[0-9.]+)</span>',
+    },
+  ],
+  normalize: { mobileSpeed: 'number' },
+  format: (values) => [
+    `Global mobile speed: ${values.mobileSpeed || 'N/A'} Mbps`,
+  ],
+};
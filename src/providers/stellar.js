@@ -0,0 +1,21 @@
+/**
+ * Stellar price provider (CoinGecko)
+ *
+ * Proves the current XLM/USD price from the CoinGecko simple price API.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'stellar',
+  description: 'Stellar price',
+  url: CONFIG.API.COINGECKO_STELLAR_PRICE,
+  method: 'GET',
+  maxAgeS: 60,
+  selectors: [{ name: 'price', jsonPath: '$.stellar.usd' }],
+  assertions: {
+    price: { type: 'number', min: 0.01, max: 10, required: true },
+  },
+  normalize: { price: 'number' },
+  format: (values) => [`Extracted price: $${values.price || 'N/A'}`],
+};
@@ -0,0 +1,60 @@
+/**
+ * Trading Economics provider
+ *
+ * Proves the top five countries and their GDP from the Trading Economics
+ * home page matrix.
+ */
+
+import { CONFIG } from '../config.js';
+
+const COUNTRY_ROW =
+  '<a class="matrix-country"[^>]*>(?<country{n}>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp{n}>\\d+)<\\/a>';
+
+const row = (n) => COUNTRY_ROW.replaceAll('{n}', n);
+
+export default {
+  name: 'trading-economics',
+  label: 'Trading Economics',
+  description: 'Trading Economics countries GDP',
+  url: CONFIG.API.TRADING_ECONOMICS_COUNTRIES,
+  method: 'GET',
+  headers: {
+    accept:
+      'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    'accept-language': 'en-US,en;q=0.9',
+    priority: 'u=0, i',
+    'sec-ch-ua':
+      '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"macOS"',
+    'sec-fetch-dest': 'document',
+    'sec-fetch-mode': 'navigate',
+    'sec-fetch-site': 'none',
+    'sec-fetch-user': '?1',
+    'upgrade-insecure-requests': '1',
+  },
+  contextMessage: 'countries gdp',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        `(?:${row(1)})` +
+        `(?:.*?${row(2)}){0,1}` +
+        `(?:.*?${row(3)}){0,1}` +
+        `(?:.*?${row(4)}){0,1}` +
+        `(?:.*?${row(5)}){0,1}`,
+    },
+  ],
+  responseRedactions: [],
+  format: (values) => {
+    const lines = ['Extracted countries and GDP data:'];
+    for (let i = 1; i <= 5; i++) {
+      const country = values[`country${i}`];
+      const gdp = values[`gdp${i}`];
+      if (country && gdp) {
+        lines.push(`   ${country}: $${gdp}`);
+      }
+    }
+    return lines;
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Unix Timestamp provider
+ *
+ * Proves the current Unix timestamp in seconds from unixtimestamp.com.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'unix-timestamp',
+  label: 'Unix Timestamp',
+  description: 'Unix timestamp',
+  url: CONFIG.API.UNIX_TIMESTAMP,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<div[^>]*class="value epoch"[^>]*>\\s*(?<timestamp>[0-9]+)\\s*</div>',
+    },
+  ],
+  format: (values) => [`Unix timestamp: ${values.timestamp || 'N/A'}`],
+};
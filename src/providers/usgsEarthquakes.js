@@ -0,0 +1,23 @@
+/**
+ * USGS provider
+ *
+ * Proves the number of earthquake events reported by the USGS in the last
+ * 30 days.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'usgs-earthquakes',
+  label: 'USGS',
+  description: 'USGS earthquake event count',
+  url: CONFIG.API.USGS_EARTHQUAKE_COUNT,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value: '"count"\\s*:\\s*(?<count>\\d+)',
+    },
+  ],
+  format: (values) => [`Earthquake events: ${values.count || 'N/A'}`],
+};
@@ -0,0 +1,24 @@
+/**
+ * Wikipedia provider
+ *
+ * Proves the number of English Wikipedia content pages.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'wikipedia',
+  label: 'Wikipedia',
+  description: 'Wikipedia content pages',
+  url: CONFIG.API.WIKIPEDIA_STATISTICS,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<td[^>]*class="mw-statistics-numbers"[^>]*>\\s*(?<count>[0-9,]+)\\s*</td>',
+    },
+  ],
+  normalize: { count: 'integer' },
+  format: (values) => [`Content pages: ${values.count || 'N/A'}`],
+};
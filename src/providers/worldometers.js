@@ -0,0 +1,24 @@
+/**
+ * Worldometers provider
+ *
+ * Proves the population of the most populous country from Worldometers.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'worldometers',
+  label: 'Worldometers',
+  description: 'Worldometers top country population',
+  url: CONFIG.API.WORLDOMETERS_COUNTRIES,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<td[^>]*data-order="\\d+"[^>]*>\\s*(?<population>[0-9,]+)\\s*</td>',
+    },
+  ],
+  normalize: { population: 'integer' },
+  format: (values) => [`Top country population: ${values.population || 'N/A'}`],
+};
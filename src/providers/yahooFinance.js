@@ -0,0 +1,25 @@
+/**
+ * Yahoo Finance provider
+ *
+ * Proves the market cap of NVDA from the Yahoo Finance most active stocks
+ * page.
+ */
+
+import { CONFIG } from '../config.js';
+
+export default {
+  name: 'yahoo-finance',
+  label: 'Yahoo Finance',
+  description: 'Yahoo Finance most active stock market cap',
+  url: CONFIG.API.YAHOO_FINANCE_MOST_ACTIVE,
+  method: 'GET',
+  responseMatches: [
+    {
+      type: 'regex',
+      value:
+        '<fin-streamer data-test="change" data-symbol="NVDA" data-field="marketCap" data-trend="none" data-value="[^"]*" active="">(?<marketCap>[0-9]+(?:\\.[0-9]+)?[A-Za-z]?)</fin-streamer>',
+    },
+  ],
+  normalize: { marketCap: 'number' },
+  format: (values) => [`NVDA market cap: $${values.marketCap || 'N/A'}`],
+};
@@ -0,0 +1,214 @@
+/**
+ * Receipts Module
+ *
+ * Records every successful on-chain verification in a receipt file saved
+ * next to the proof, one per transaction (proofs/btc.json verified on
+ * mainnet in transaction 3f0c... is recorded in
+ * proofs/btc.mainnet.3f0c....receipt.json, so re-verifying never overwrites
+ * an earlier receipt), and lists saved receipts so auditors can tell which
+ * proofs were verified where:
+ *
+ *   {
+ *     "proofPath": "proofs/btc.json",
+ *     "proofIdentifier": "0x6c1b...",
+ *     "provider": "coingecko",
+ *     "extractedValues": { "price": "64000" },
+ *     "network": "mainnet",
+ *     "contractId": "CBXJ...",
+ *     "transactionHash": "3f0c...",
+ *     "ledger": 51234567,
+ *     "closedAt": "2026-01-05T10:15:00.000Z",
+ *     "feeCharged": "51334",
+ *     "explorerUrl": "https://stellar.expert/explorer/public/tx/3f0c..."
+ *   }
+ */
+
+import * as fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { UsageError } from './errors.js';
+import { findProofProvider } from './freshness.js';
+import { log } from './logger.js';
+
+const RECEIPT_SUFFIX = '.receipt.json';
+
+/**
+ * Builds the path of the receipt for a verification transaction
+ * @param {string} proofPath - Path to the proof file
+ * @param {string} network - Network the proof was verified on
+ * @param {string} transactionHash - Hash of the verification transaction
+ * @returns {string} The proof path with .<network>.<hash>.receipt.json in
+ * place of .json
+ */
+export const receiptPathFor = (proofPath, network, transactionHash) =>
+  `${proofPath.replace(/\.json$/, '')}.${network}.${transactionHash}${RECEIPT_SUFFIX}`;
+
+/**
+ * Builds the receipt of a verification
+ * @param {Object} proof - The verified proof
+ * @param {Object} details - { proofPath, network, contractId, explorerUrl,
+ * receipt } where receipt is the confirmed transaction's, as returned by
+ * waitForTransaction, and explorerUrl its link (null without an explorer)
+ * @returns {Object} The receipt file's contents
+ */
+export function buildReceipt(
+  proof,
+  { proofPath, network, contractId, explorerUrl, receipt }
+) {
+  return {
+    proofPath,
+    proofIdentifier: proof.claimData?.identifier ?? null,
+    provider: findProofProvider(proof)?.name ?? null,
+    extractedValues: proof.extractedParameterValues ?? {},
+    network,
+    contractId,
+    transactionHash: receipt.hash,
+    ledger: receipt.ledger,
+    closedAt: receipt.createdAt,
+    feeCharged: receipt.feeCharged,
+    explorerUrl,
+  };
+}
+
+/**
+ * Saves a receipt next to its proof
+ * @param {Object} receipt - Receipt built by buildReceipt
+ * @returns {string} Where the receipt was saved
+ * @throws {Error} If the file cannot be written
+ */
+export function saveReceipt(receipt) {
+  const receiptPath = receiptPathFor(
+    receipt.proofPath,
+    receipt.network,
+    receipt.transactionHash
+  );
+  try {
+    fs.writeFileSync(receiptPath, JSON.stringify(receipt, null, 2));
+  } catch (error) {
+    throw new Error(`Failed to save receipt: ${error.message}`);
+  }
+  return receiptPath;
+}
+
+/**
+ * Finds receipt files in a directory and its subdirectories
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Receipt paths, none if the directory does not exist
+ */
+const findReceiptFiles = (dir) => {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.')
+        ? []
+        : findReceiptFiles(entryPath);
+    }
+    return entry.name.endsWith(RECEIPT_SUFFIX) ? [entryPath] : [];
+  });
+};
+
+/**
+ * Parses a --since or --until date
+ * @param {string} name - Which bound, for messages
+ * @param {string} value - An ISO date or date and time
+ * @param {boolean} endOfDay - Whether a bare date means the end of that day
+ * @returns {number|undefined} Milliseconds since the epoch, undefined
+ * without a value
+ * @throws {UsageError} If the value is not a date
+ */
+const parseBound = (name, value, endOfDay) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(
+      `Invalid ${name} date: ${value}. Use a date such as 2026-01-31 or 2026-01-31T12:00:00Z`
+    );
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? time + 24 * 3600 * 1000 - 1
+    : time;
+};
+
+/**
+ * Lists saved receipts, oldest first
+ * @param {Object} options - Filters
+ * @param {string[]} options.dirs - Directories to search (default the
+ * default proof file's directory and CONFIG.PATHS.PROOFS_DIR)
+ * @param {string} options.provider - Only receipts for this provider
+ * @param {string} options.network - Only receipts for this network
+ * @param {string} options.since - Only transactions closed on or after this
+ * date
+ * @param {string} options.until - Only transactions closed on or before this
+ * date (a bare date includes the whole day)
+ * @returns {Object[]} Matching receipts, each with its receiptPath
+ * @throws {UsageError} If a date cannot be parsed
+ */
+export function listReceipts({
+  dirs = [path.dirname(CONFIG.PATHS.PROOF_FILE), CONFIG.PATHS.PROOFS_DIR],
+  provider,
+  network,
+  since,
+  until,
+} = {}) {
+  const from = parseBound('since', since, false);
+  const to = parseBound('until', until, true);
+  const files = [
+    ...new Set(dirs.flatMap((dir) => findReceiptFiles(path.normalize(dir)))),
+  ];
+
+  return files
+    .flatMap((receiptPath) => {
+      try {
+        return [
+          { ...JSON.parse(fs.readFileSync(receiptPath, 'utf8')), receiptPath },
+        ];
+      } catch (error) {
+        log.warn(`Skipping ${receiptPath}: ${error.message}`);
+        return [];
+      }
+    })
+    .filter((receipt) => {
+      const closedAt = Date.parse(receipt.closedAt);
+      return (
+        (provider === undefined || receipt.provider === provider) &&
+        (network === undefined || receipt.network === network) &&
+        (from === undefined || closedAt >= from) &&
+        (to === undefined || closedAt <= to)
+      );
+    })
+    .sort((a, b) => String(a.closedAt).localeCompare(String(b.closedAt)));
+}
+
+/**
+ * Prints one line per receipt
+ * @param {Object[]} receipts - Receipts returned by listReceipts
+ */
+export function printReceipts(receipts) {
+  if (receipts.length === 0) {
+    log.info('No receipts found');
+    return;
+  }
+
+  const width = Math.max(
+    ...receipts.map(({ provider }) => (provider || 'custom').length)
+  );
+  log.info(`${receipts.length} receipt(s):`);
+  receipts.forEach(
+    ({ closedAt, network, provider, proofPath, explorerUrl }) => {
+      // Receipts are read from disk, so any field may be missing
+      log.info(
+        `  ${closedAt || 'unknown'}  ${(network ?? '-').padEnd(7)}  ${(provider || 'custom').padEnd(width)}  ${proofPath ?? '-'}  ${explorerUrl ?? '-'}`
+      );
+    }
+  );
+}
@@ -2,13 +2,27 @@
  * Request Proof Module
  *
  * This module handles the generation of zero-knowledge proofs for fetching
- * cryptocurrency price data from external APIs using the Reclaim Protocol.
+ * data from external APIs using the Reclaim Protocol. Each data source is a
+ * provider definition looked up from the registry in ./providers.
  */
 
 import { ReclaimClient } from '@reclaimprotocol/zk-fetch';
 import fs from 'fs';
 import path from 'path';
+import { assertExtractedValues } from './assertions.js';
 import { CONFIG } from './config.js';
+import { classifyZkFetchError, prefixError } from './errors.js';
+import { getProvider, getProviderNames } from './providers/index.js';
+import { normalizeValues } from './normalize.js';
+import { makeRegex } from './responseMatcher.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { resolveSecrets } from './secrets.js';
+import { buildResponseOptions } from './selectors.js';
+import { applyTemplate } from './templates.js';
+import { log } from './logger.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+const NAMED_GROUP = /\(\?<(?![=!])[^>]+>/;
 
 /**
  * Validates the output path for the proof file
@@ -43,363 +57,488 @@ function createReclaimClient() {
 }
 
 /**
- * Generates a zero-knowledge proof for Stellar price data
- * @param {ReclaimClient} reclaimClient - The Reclaim client instance
- * @returns {Promise<Object>} The generated proof
+ * Builds the public zkFetch request options for a provider
+ * @param {Object} provider - The provider definition
+ * @returns {Object} Public request options (method, headers, context)
  */
-async function generateStellarPriceProof(reclaimClient) {
-  const url = CONFIG.API.COINGECKO_STELLAR_PRICE;
+function buildRequestOptions(provider) {
+  const options = { method: provider.method || 'GET' };
 
-  console.log(`Fetching Stellar price from: ${url}`);
+  if (provider.headers) {
+    options.headers = { ...provider.headers };
+  }
 
-  try {
-    const proof = await reclaimClient.zkFetch(
-      url,
-      { method: 'GET' },
-      {
-        responseMatches: [
-          {
-            type: 'regex',
-            value: '\\{"stellar":\\{"usd":(?<price>[\\d\\.]+)\\}\\}',
-          },
-        ],
-      }
-    );
+  if (provider.contextMessage) {
+    options.context = {
+      contextAddress: provider.contextAddress || '0x0',
+      contextMessage: provider.contextMessage,
+    };
+  }
 
-    console.log('Proof generated successfully');
-    console.log(
-      `Extracted price: $${proof.extractedParameterValues?.price || 'N/A'}`
-    );
+  return options;
+}
 
-    return proof;
-  } catch (error) {
-    throw new Error(`Failed to generate proof: ${error.message}`);
-  }
+/**
+ * Builds the private zkFetch options for a provider: response matches and
+ * redactions plus any secret headers, cookies and URL params
+ * @param {Object} provider - The provider definition
+ * @returns {Object} Private options, never included in the proof
+ */
+function buildPrivateOptions(provider) {
+  return {
+    ...buildResponseOptions(provider),
+    ...resolveSecrets(provider),
+  };
 }
 
 /**
- * Generates a zero-knowledge proof for Trading Economics countries GDP data
+ * Generates a zero-knowledge proof for a registered provider, retrying
+ * transient failures according to the provider's retry policy
  * @param {ReclaimClient} reclaimClient - The Reclaim client instance
+ * @param {Object} provider - The provider definition
  * @returns {Promise<Object>} The generated proof
+ * @throws {ZkFetchError} A typed error (see ./errors.js) on failure
  */
-async function generateTradingEconomicsProof(reclaimClient) {
-  const url = CONFIG.API.TRADING_ECONOMICS_COUNTRIES;
+async function generateProviderProof(reclaimClient, provider) {
+  const label = provider.label ? `${provider.label} ` : '';
 
-  console.log(`Fetching countries GDP data from: ${url}`);
+  log.info(`Fetching ${provider.description} data from: ${provider.url}`);
 
   try {
-    const proof = await reclaimClient.zkFetch(
-      url,
-      {
-        method: 'GET',
-        headers: {
-          'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'accept-language': 'en-US,en;q=0.9',
-          'priority': 'u=0, i',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"macOS"',
-          'sec-fetch-dest': 'document',
-          'sec-fetch-mode': 'navigate',
-          'sec-fetch-site': 'none',
-          'sec-fetch-user': '?1',
-          'upgrade-insecure-requests': '1'
-        },
-        context: {
-          contextAddress: '0x0',
-          contextMessage: 'countries gdp'
+    const requestOptions = buildRequestOptions(provider);
+    const privateOptions = buildPrivateOptions(provider);
+
+    const proof = await withRetry(
+      async () => {
+        try {
+          return await reclaimClient.zkFetch(
+            provider.url,
+            requestOptions,
+            privateOptions
+          );
+        } catch (error) {
+          throw classifyZkFetchError(error);
         }
       },
       {
-        responseMatches: [{
-          type: 'regex',
-          value: '(?:<a class="matrix-country"[^>]*>(?<country1>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp1>\\d+)<\\/a>)(?:.*?<a class="matrix-country"[^>]*>(?<country2>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp2>\\d+)<\\/a>){0,1}(?:.*?<a class="matrix-country"[^>]*>(?<country3>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp3>\\d+)<\\/a>){0,1}(?:.*?<a class="matrix-country"[^>]*>(?<country4>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp4>\\d+)<\\/a>){0,1}(?:.*?<a class="matrix-country"[^>]*>(?<country5>[^<]+)<\\/a><\\/td>\\s*<td data-heatmap-value=\'\\d+\'><a[^>]*>(?<gdp5>\\d+)<\\/a>){0,1}'
-        }],
-        responseRedactions: []
+        ...resolveRetryPolicy(provider),
+        onRetry: (error, attempt, delayMs) => {
+          log.warn(
+            `Attempt ${attempt} failed (${error.code}): ${error.message}. Retrying in ${delayMs}ms...`
+          );
+        },
       }
     );
 
-    console.log('Trading Economics proof generated successfully');
-    console.log('Extracted countries and GDP data:');
-    
-    const extractedValues = proof.extractedParameterValues || {};
-    for (let i = 1; i <= 5; i++) {
-      const country = extractedValues[`country${i}`];
-      const gdp = extractedValues[`gdp${i}`];
-      if (country && gdp) {
-        console.log(`   ${country}: $${gdp}`);
-      }
+    log.info(
+      provider.label
+        ? `${provider.label} proof generated successfully`
+        : 'Proof generated successfully'
+    );
+
+    if (provider.format) {
+      const lines = provider.format(proof.extractedParameterValues || {});
+      lines.forEach((line) => log.info(line));
     }
 
     return proof;
   } catch (error) {
-    throw new Error(`Failed to generate Trading Economics proof: ${error.message}`);
+    throw prefixError(error, `Failed to generate ${label}proof: `);
   }
 }
 
 /**
- * Generates a zero-knowledge proof for Forbes real-time billionaires data
- * @param {ReclaimClient} reclaimClient - The Reclaim client instance
- * @returns {Promise<Object>} The generated proof
+ * Saves the proof to a JSON file
+ * @param {Object} proof - The proof object to save
+ * @param {string} outputPath - Path where to save the proof
  */
-async function generateForbesProof(reclaimClient) {
-  const url = CONFIG.API.FORBES_BILLIONAIRES;
-
-  console.log(`Fetching Forbes billionaires data from: ${url}`);
-
+function saveProof(proof, outputPath) {
   try {
-    const proof = await reclaimClient.zkFetch(
-      url,
-      {
-        method: 'GET',
-        headers: {
-          'accept': 'application/json, text/plain, */*',
-          'accept-language': 'en-US,en;q=0.9',
-          'priority': 'u=1, i',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"macOS"',
-          'sec-fetch-dest': 'empty',
-          'sec-fetch-mode': 'cors',
-          'sec-fetch-site': 'same-origin'
-        },
-        context: {
-          contextAddress: '0x0',
-          contextMessage: 'forbes real time billionaires'
-        }
-      },
-      {
-        responseMatches: [{
-          type: 'regex',
-          value: '(?:\\"personName\\":\\s*\\"(?<name1>[^\\"]+)\\".*?\\"rank\\":\\s*(?<rank1>\\d+).*?\\"finalWorth\\":\\s*(?<worth1>[\\d.]+))(?:(?:.*?\\"personName\\":\\s*\\"(?<name2>[^\\"]+)\\".*?\\"rank\\":\\s*(?<rank2>\\d+).*?\\"finalWorth\\":\\s*(?<worth2>[\\d.]+))){0,1}(?:(?:.*?\\"personName\\":\\s*\\"(?<name3>[^\\"]+)\\".*?\\"rank\\":\\s*(?<rank3>\\d+).*?\\"finalWorth\\":\\s*(?<worth3>[\\d.]+))){0,1}(?:(?:.*?\\"personName\\":\\s*\\"(?<name4>[^\\"]+)\\".*?\\"rank\\":\\s*(?<rank4>\\d+).*?\\"finalWorth\\":\\s*(?<worth4>[\\d.]+))){0,1}(?:(?:.*?\\"personName\\":\\s*\\"(?<name5>[^\\"]+)\\".*?\\"rank\\":\\s*(?<rank5>\\d+).*?\\"finalWorth\\":\\s*(?<worth5>[\\d.]+))){0,1}'
-        }],
-        responseRedactions: []
-      }
-    );
-
-    console.log('Forbes proof generated successfully');
-    console.log('Extracted billionaires data:');
-    
-    const extractedValues = proof.extractedParameterValues || {};
-    for (let i = 1; i <= 5; i++) {
-      const name = extractedValues[`name${i}`];
-      const rank = extractedValues[`rank${i}`];
-      const worth = extractedValues[`worth${i}`];
-      if (name && rank && worth) {
-        console.log(`   #${rank} ${name}: $${worth}B`);
-      }
-    }
-
-    return proof;
+    const proofData = JSON.stringify(proof, null, 2);
+    fs.writeFileSync(outputPath, proofData);
+    log.info(`Proof saved to: ${outputPath}`);
   } catch (error) {
-    throw new Error(`Failed to generate Forbes proof: ${error.message}`);
+    throw new Error(`Failed to save proof: ${error.message}`);
   }
 }
 
 /**
- * Generates a zero-knowledge proof for AccuWeather NYC weather data
- * @param {ReclaimClient} reclaimClient - The Reclaim client instance
- * @returns {Promise<Object>} The generated proof
+ * Looks up the provider definition for a proof type
+ * @param {string} proofType - Registered provider name
+ * @returns {Object} The provider definition
+ * @throws {Error} If no provider is registered under that name
  */
-async function generateAccuWeatherProof(reclaimClient) {
-  const url = CONFIG.API.ACCUWEATHER_NYC;
-
-  console.log(`Fetching AccuWeather NYC data from: ${url}`);
-
-  try {
-    const proof = await reclaimClient.zkFetch(
-      url,
-      {
-        method: 'GET',
-        headers: {
-          'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'accept-language': 'en-US,en;q=0.9',
-          'priority': 'u=0, i',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"macOS"',
-          'sec-fetch-dest': 'document',
-          'sec-fetch-mode': 'navigate',
-          'sec-fetch-site': 'none',
-          'sec-fetch-user': '?1',
-          'upgrade-insecure-requests': '1'
-        },
-        context: {
-          contextAddress: '0x0',
-          contextMessage: 'accuweather nyc'
-        }
-      },
-      {
-        responseMatches: [
-          {
-            type: 'regex',
-            value: '\\"englishName\\":(?<city>.*?),'
-          },
-          {
-            type: 'regex',
-            value: '<div class="temp">(?<tempInC>.*?)&#xB0;'
-          }
-        ],
-        responseRedactions: []
-      }
+function resolveProvider(proofType) {
+  const provider = getProvider(proofType);
+  if (!provider) {
+    const supported = getProviderNames()
+      .map((name) => `'${name}'`)
+      .join(', ');
+    throw new Error(
+      `Unknown proof type: ${proofType}. Supported types: ${supported}`
     );
-
-    console.log('AccuWeather proof generated successfully');
-    console.log('Extracted weather data:');
-    
-    const extractedValues = proof.extractedParameterValues || {};
-    const city = extractedValues.city;
-    const tempInC = extractedValues.tempInC;
-    
-    if (city) {
-      console.log(`   City: ${city}`);
-    }
-    if (tempInC) {
-      console.log(`   Temperature: ${tempInC} C`);
-    }
-
-    return proof;
-  } catch (error) {
-    throw new Error(`Failed to generate AccuWeather proof: ${error.message}`);
   }
+  return provider;
 }
 
 /**
- * Generates a zero-knowledge proof for Goal.com live scores data
- * @param {ReclaimClient} reclaimClient - The Reclaim client instance
- * @returns {Promise<Object>} The generated proof
+ * Validates a user-supplied regex before it is sent to zkFetch
+ * @param {string} pattern - Regex source
+ * @param {string} flag - CLI flag the pattern came from, used in errors
+ * @param {boolean} requireNamedGroup - Whether a named capture group is required
+ * @throws {Error} If the regex is invalid or has no named capture group
  */
-async function generateGoalProof(reclaimClient) {
-  const url = CONFIG.API.GOAL_LIVE_SCORES;
-
-  console.log(`Fetching Goal.com live scores data from: ${url}`);
-
+function validateCustomPattern(pattern, flag, requireNamedGroup) {
   try {
-    const proof = await reclaimClient.zkFetch(
-      url,
-      {
-        method: 'GET'
-      },
-      {
-        responseMatches: [
-          {
-            type: 'regex',
-            value: '<div class="fco-match-team-and-score">.*?<div class="fco-team-name fco-long-name">(?<team1>.*?)</div>.*?<div class="fco-team-name fco-long-name">(?<team2>.*?)</div>.*?<div class="fco-match-score" data-side="team-a">(?<score1>\\d+)</div>\\s*<div class="fco-match-score" data-side="team-b">(?<score2>\\d+)</div>'
-          }
-        ],
-        responseRedactions: [
-          {
-            regex: '<div class="fco-match-team-and-score">.*?<div class="fco-team-name fco-long-name">(?<team1>.*?)</div>.*?<div class="fco-team-name fco-long-name">(?<team2>.*?)</div>.*?<div class="fco-match-score" data-side="team-a">(?<score1>\\d+)</div>\\s*<div class="fco-match-score" data-side="team-b">(?<score2>\\d+)</div>'
-          }
-        ]
-      }
-    );
+    makeRegex(pattern);
+  } catch (error) {
+    throw new Error(`Invalid ${flag} regex '${pattern}': ${error.message}`);
+  }
 
-    console.log('Goal.com proof generated successfully');
-    console.log('Extracted live scores data:');
-    
-    const extractedValues = proof.extractedParameterValues || {};
-    const team1 = extractedValues.team1;
-    const team2 = extractedValues.team2;
-    const score1 = extractedValues.score1;
-    const score2 = extractedValues.score2;
-    
-    if (team1 && team2 && score1 && score2) {
-      console.log(`   ${team1} ${score1} - ${score2} ${team2}`);
-    }
+  if (requireNamedGroup && !NAMED_GROUP.test(pattern)) {
+    throw new Error(
+      `${flag} regex '${pattern}' must contain a named capture group, e.g. (?<value>...)`
+    );
+  }
+}
 
-    return proof;
-  } catch (error) {
-    throw new Error(`Failed to generate Goal.com proof: ${error.message}`);
+/**
+ * Parses request headers given as an object or as 'Name: value' strings
+ * @param {Object|string[]} headers - Headers to parse
+ * @returns {Object} Header map
+ * @throws {Error} If a header string is malformed
+ */
+function parseHeaders(headers = {}) {
+  if (!Array.isArray(headers)) {
+    return { ...headers };
   }
+
+  return headers.reduce((parsed, header) => {
+    const separator = header.indexOf(':');
+    const name = separator > 0 ? header.slice(0, separator).trim() : '';
+    if (!name) {
+      throw new Error(`Invalid header '${header}'. Expected 'Name: value'`);
+    }
+    parsed[name] = header.slice(separator + 1).trim();
+    return parsed;
+  }, {});
 }
 
 /**
- * Saves the proof to a JSON file
- * @param {Object} proof - The proof object to save
- * @param {string} outputPath - Path where to save the proof
+ * Builds and validates a provider definition for an ad-hoc request
+ * @param {Object} options - Custom request options
+ * @param {string} options.url - URL to fetch
+ * @param {string} options.method - HTTP method (defaults to GET)
+ * @param {Object|string[]} options.headers - Request headers
+ * @param {string[]} options.matches - Regexes with named capture groups
+ * @param {string[]} options.redactions - Optional redaction regexes
+ * @param {string} options.contextMessage - Optional proof context message
+ * @returns {Object} A provider definition usable by generateProviderProof
+ * @throws {Error} If any option is invalid
  */
-function saveProof(proof, outputPath) {
+export function buildCustomProvider({
+  url,
+  method = 'GET',
+  headers,
+  matches = [],
+  redactions = [],
+  contextMessage,
+} = {}) {
+  let parsedUrl;
   try {
-    const proofData = JSON.stringify(proof, null, 2);
-    fs.writeFileSync(outputPath, proofData);
-    console.log(`Proof saved to: ${outputPath}`);
+    parsedUrl = new URL(url);
   } catch (error) {
-    throw new Error(`Failed to save proof: ${error.message}`);
+    throw new Error(`Invalid --url: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error(`Unsupported URL protocol: ${parsedUrl.protocol}`);
   }
+
+  const upperMethod = String(method).toUpperCase();
+  if (!HTTP_METHODS.includes(upperMethod)) {
+    throw new Error(
+      `Unsupported HTTP method: ${method}. Supported methods: ${HTTP_METHODS.join(', ')}`
+    );
+  }
+
+  if (matches.length === 0) {
+    throw new Error('At least one --match regex is required');
+  }
+
+  matches.forEach((pattern) => validateCustomPattern(pattern, '--match', true));
+  redactions.forEach((pattern) =>
+    validateCustomPattern(pattern, '--redact', false)
+  );
+
+  const parsedHeaders = parseHeaders(headers);
+
+  return {
+    name: 'custom',
+    label: 'Custom',
+    description: 'custom request',
+    url,
+    method: upperMethod,
+    ...(Object.keys(parsedHeaders).length > 0 && { headers: parsedHeaders }),
+    ...(contextMessage && { contextMessage }),
+    responseMatches: matches.map((value) => ({ type: 'regex', value })),
+    responseRedactions: redactions.map((regex) => ({ regex })),
+    format: (values) => [
+      'Extracted values:',
+      ...Object.entries(values).map(([key, value]) => `   ${key}: ${value}`),
+    ],
+  };
 }
 
 /**
  * Main function to request and save a proof
  * @param {string} outputPath - Path where the proof will be saved
- * @param {string} proofType - Type of proof to generate ('stellar' or 'trading-economics')
+ * @param {string} proofType - Registered provider name (e.g. 'stellar', 'forbes')
+ * @param {Object} params - Template parameters for the provider (e.g. { coin: 'bitcoin' })
  */
-export async function requestProof(outputPath = CONFIG.PATHS.PROOF_FILE, proofType = 'stellar') {
+export async function requestProof(
+  outputPath = CONFIG.PATHS.PROOF_FILE,
+  proofType = 'stellar',
+  params = {}
+) {
   try {
-    console.log(`Starting ${proofType} proof request process...`);
+    log.info(`Starting ${proofType} proof request process...`);
 
     // Validate inputs
     validateOutputPath(outputPath);
+    const provider = applyTemplate(resolveProvider(proofType), params);
 
     // Create Reclaim client
     const reclaimClient = createReclaimClient();
 
-    // Generate proof based on type
-    let proof;
-    switch (proofType) {
-      case 'stellar':
-        proof = await generateStellarPriceProof(reclaimClient);
-        break;
-      case 'trading-economics':
-        proof = await generateTradingEconomicsProof(reclaimClient);
-        break;
-      case 'forbes':
-        proof = await generateForbesProof(reclaimClient);
-        break;
-      case 'accuweather':
-        proof = await generateAccuWeatherProof(reclaimClient);
-        break;
-      case 'goal':
-        proof = await generateGoalProof(reclaimClient);
-        break;
-      default:
-        throw new Error(`Unknown proof type: ${proofType}. Supported types: 'stellar', 'trading-economics', 'forbes', 'accuweather', 'goal'`);
+    // Generate proof from the provider definition
+    const proof = await generateProviderProof(reclaimClient, provider);
+
+    // Refuse to save implausible values
+    assertExtractedValues(provider, proof.extractedParameterValues);
+
+    // Add typed values next to the signed data. They are derived metadata,
+    // so a value that cannot be normalized must not cost the proof
+    try {
+      const normalizedValues = normalizeValues(
+        provider,
+        proof.extractedParameterValues
+      );
+      if (normalizedValues) {
+        proof.normalizedValues = normalizedValues;
+      }
+    } catch (error) {
+      log.warn(
+        `Warning: saving the proof without normalizedValues: ${error.message}`
+      );
     }
 
     // Save proof
     saveProof(proof, outputPath);
 
-    console.log('Proof request completed successfully!');
+    log.info('Proof request completed successfully!');
     return proof;
   } catch (error) {
-    console.error('Error requesting proof:', error.message);
+    log.error('Error requesting proof:', error.message);
     throw error;
   }
 }
 
 /**
- * CLI entry point
+ * Requests and saves a proof for an ad-hoc URL and regex set
+ * @param {string} outputPath - Path where the proof will be saved
+ * @param {Object} options - Custom request options (see buildCustomProvider)
+ * @returns {Promise<Object>} The generated proof
  */
-async function main() {
+export async function requestCustomProof(
+  outputPath = CONFIG.PATHS.PROOF_FILE,
+  options = {}
+) {
   try {
-    const proofType = process.argv[2] || 'stellar';
-    const outputPath = process.argv[3] || CONFIG.PATHS.PROOF_FILE;
-    
-    console.log(`Available proof types: 'stellar', 'trading-economics', 'forbes', 'accuweather', 'goal'`);
-    console.log(`Using proof type: ${proofType}`);
-    
-    await requestProof(outputPath, proofType);
-    process.exit(0);
+    log.info('Starting custom proof request process...');
+
+    // Validate everything before touching the network
+    validateOutputPath(outputPath);
+    const provider = buildCustomProvider(options);
+
+    const reclaimClient = createReclaimClient();
+    const proof = await generateProviderProof(reclaimClient, provider);
+
+    saveProof(proof, outputPath);
+
+    log.info('Proof request completed successfully!');
+    return proof;
   } catch (error) {
-    console.error('Fatal error:', error.message);
-    process.exit(1);
+    log.error('Error requesting proof:', error.message);
+    throw error;
   }
 }
 
-// Export for testing
-export { main };
+/**
+ * Normalizes a batch entry to { provider, params, outputPath }
+ * Entries are provider names, 'name:param=value,param=value' strings or
+ * objects with provider, params and outputPath.
+ * @param {string|Object} entry - The batch entry
+ * @param {string} outputDir - Directory for entries without an outputPath
+ * @returns {Object} The normalized entry
+ * @throws {Error} If the entry is malformed
+ */
+function normalizeBatchEntry(entry, outputDir) {
+  let job = entry;
+
+  if (typeof entry === 'string') {
+    const [provider, paramList] = entry.split(/:(.*)/s);
+    const params = {};
+    (paramList ? paramList.split(',') : []).forEach((pair) => {
+      const [name, value] = pair.split(/=(.*)/s);
+      if (!name || value === undefined) {
+        throw new Error(
+          `Invalid batch entry '${entry}'. Expected name:param=value`
+        );
+      }
+      params[name] = value;
+    });
+    job = { provider, params };
+  }
+
+  if (!job || !job.provider) {
+    throw new Error(`Invalid batch entry: ${JSON.stringify(entry)}`);
+  }
+
+  const params = job.params || {};
+  const fileName = [job.provider, ...Object.values(params)]
+    .join('-')
+    .replace(/[^\w.-]+/g, '_');
+
+  return {
+    provider: job.provider,
+    params,
+    outputPath: job.outputPath || path.join(outputDir, `${fileName}.json`),
+  };
+}
+
+/**
+ * Requests proofs for several providers, running up to `concurrency` zkFetch
+ * calls at a time and saving each proof to its own file. A failing provider
+ * is recorded in the summary and does not stop the others.
+ * @param {Array<string|Object>} list - Provider names or { provider, params, outputPath }
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum parallel requests (default 3)
+ * @param {string} options.outputDir - Directory for proof files (default ./proofs)
+ * @returns {Promise<Object>} Summary: { results, succeeded, failed, durationMs }
+ * @throws {Error} If the list or options are invalid
+ */
+export async function requestProofs(
+  list,
+  { concurrency = 3, outputDir = CONFIG.PATHS.PROOFS_DIR } = {}
+) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Batch list must contain at least one provider');
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency must be a positive integer: ${concurrency}`);
+  }
+
+  const jobs = list.map((entry) => normalizeBatchEntry(entry, outputDir));
+  const outputPaths = new Set();
+  jobs.forEach(({ outputPath }) => {
+    if (outputPaths.has(outputPath)) {
+      throw new Error(`Duplicate batch output path: ${outputPath}`);
+    }
+    outputPaths.add(outputPath);
+  });
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
 
-// Run if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  log.info(
+    `Requesting ${jobs.length} proofs with concurrency ${concurrency}...`
+  );
+
+  const started = Date.now();
+  const results = new Array(jobs.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < jobs.length) {
+      const index = next++;
+      const { provider, params, outputPath } = jobs[index];
+      const jobStarted = Date.now();
+
+      try {
+        const proof = await requestProof(outputPath, provider, params);
+        results[index] = {
+          provider,
+          params,
+          outputPath,
+          success: true,
+          proof,
+        };
+      } catch (error) {
+        results[index] = {
+          provider,
+          params,
+          outputPath,
+          success: false,
+          error: error.message,
+          code: error.code,
+        };
+      }
+
+      results[index].durationMs = Date.now() - jobStarted;
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, jobs.length) }, worker)
+  );
+
+  const succeeded = results.filter(({ success }) => success).length;
+
+  return {
+    results,
+    succeeded,
+    failed: results.length - succeeded,
+    durationMs: Date.now() - started,
+  };
+}
+
+/**
+ * Prints a batch summary, one line per provider
+ * @param {Object} summary - Summary returned by requestProofs
+ */
+export function printBatchSummary({ results, succeeded, failed, durationMs }) {
+  log.info(
+    `Batch completed: ${succeeded} succeeded, ${failed} failed in ${durationMs}ms`
+  );
+
+  const width = Math.max(...results.map(({ provider }) => provider.length));
+  results.forEach((result) => {
+    const status = result.success ? 'OK  ' : 'FAIL';
+    const detail = result.success ? result.outputPath : result.error;
+    const took = `${result.durationMs}ms`.padStart(8);
+    log.info(`  ${status} ${result.provider.padEnd(width)} ${took}  ${detail}`);
+  });
+}
+
+/**
+ * Reads a request-batch list file
+ * @param {string} filePath - JSON file holding an array of provider names or
+ * { provider, params, outputPath } entries
+ * @returns {Array<string|Object>} The entries
+ * @throws {Error} If the file cannot be read or is not a JSON array
+ */
+export function readBatchFile(filePath) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read batch file ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`Batch file ${filePath} must contain a JSON array`);
+  }
+  return entries;
 }
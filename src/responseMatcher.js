@@ -0,0 +1,86 @@
+/**
+ * Response Matcher Module
+ *
+ * Applies a provider's zkFetch responseMatches to a response body locally,
+ * following the same rules the Reclaim attestor uses, so providers can be
+ * checked against saved responses without generating a proof.
+ */
+
+/**
+ * Compiles a zkFetch regex pattern the way the attestor does
+ * @param {string} pattern - Regex source, optionally prefixed with '(?i)'
+ * @returns {RegExp} The compiled regex (dotAll, global)
+ * @throws {Error} If the pattern is not a valid regex
+ */
+export const makeRegex = (pattern) => {
+  if (typeof pattern !== 'string') {
+    throw new Error('Regex pattern must be a string');
+  }
+
+  if (pattern.startsWith('(?i)')) {
+    return new RegExp(pattern.slice(4), 'sgi');
+  }
+
+  return new RegExp(pattern, 'sg');
+};
+
+/**
+ * Applies a single response match to a body
+ * @param {string} body - The response body
+ * @param {Object} match - A zkFetch response match ({ type, value, invert })
+ * @returns {Object|null} Named captures if the match passed, null otherwise
+ * @throws {Error} If the match type is not supported
+ */
+export const applyResponseMatch = (body, match) => {
+  const invert = Boolean(match.invert);
+
+  switch (match.type) {
+    case 'regex': {
+      const result = makeRegex(match.value).exec(body);
+      if (invert) {
+        return result ? null : {};
+      }
+      return result ? { ...(result.groups || {}) } : null;
+    }
+
+    case 'contains': {
+      const found = body.includes(match.value);
+      return found !== invert ? {} : null;
+    }
+
+    default:
+      throw new Error(`Unsupported response match type: ${match.type}`);
+  }
+};
+
+/**
+ * Applies all response matches to a body and collects named captures
+ * @param {string} body - The response body
+ * @param {Object[]} responseMatches - zkFetch response matches
+ * @returns {Object} The values zkFetch would report as extractedParameterValues
+ * @throws {Error} If any match fails
+ */
+export const matchResponse = (body, responseMatches) => {
+  if (typeof body !== 'string') {
+    throw new Error('Response body must be a string');
+  }
+
+  const values = {};
+
+  responseMatches.forEach((match, index) => {
+    const groups = applyResponseMatch(body, match);
+    if (!groups) {
+      throw new Error(
+        `Response match ${index + 1} (${match.type}) did not match: ${match.value}`
+      );
+    }
+
+    for (const [name, value] of Object.entries(groups)) {
+      if (value !== undefined) {
+        values[name] = value;
+      }
+    }
+  });
+
+  return values;
+};
@@ -0,0 +1,98 @@
+/**
+ * Retry Module
+ *
+ * Retries an async operation with exponential backoff and jitter. By default
+ * only errors flagged `retryable` (see ./errors.js) are retried.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Resolves the retry policy for a provider, falling back to CONFIG.RETRY
+ * @param {Object} provider - The provider definition
+ * @returns {Object} { retries, baseDelayMs, maxDelayMs }
+ */
+export const resolveRetryPolicy = (provider = {}) => ({
+  retries: CONFIG.RETRY.RETRIES,
+  baseDelayMs: CONFIG.RETRY.BASE_DELAY_MS,
+  maxDelayMs: CONFIG.RETRY.MAX_DELAY_MS,
+  ...provider.retry,
+});
+
+/**
+ * Validates a provider's retry settings
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If a setting is not a non-negative integer
+ */
+export const validateRetryPolicy = (provider) => {
+  for (const [key, value] of Object.entries(provider.retry || {})) {
+    if (!['retries', 'baseDelayMs', 'maxDelayMs'].includes(key)) {
+      throw new Error(
+        `Provider ${provider.name} has unknown retry option: ${key}`
+      );
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(
+        `Provider ${provider.name} retry ${key} must be a non-negative integer`
+      );
+    }
+  }
+};
+
+/**
+ * Computes the delay before a retry: exponential backoff capped at
+ * maxDelayMs, with the upper half randomized
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (
+  attempt,
+  { baseDelayMs, maxDelayMs },
+  random = Math.random
+) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs an operation, retrying failures that shouldRetry accepts
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {Function} options.shouldRetry - Decides whether an error is retried
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs)
+ * @param {Function} options.wait - Waits the given milliseconds
+ * @returns {Promise<*>} The operation's result
+ * @throws {Error} The last error once retries are exhausted or not allowed
+ */
+export async function withRetry(
+  operation,
+  {
+    retries = CONFIG.RETRY.RETRIES,
+    baseDelayMs = CONFIG.RETRY.BASE_DELAY_MS,
+    maxDelayMs = CONFIG.RETRY.MAX_DELAY_MS,
+    shouldRetry = (error) => Boolean(error?.retryable),
+    onRetry = () => {},
+    wait = sleep,
+  } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry(error, attempt, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
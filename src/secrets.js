@@ -0,0 +1,142 @@
+/**
+ * Secrets Module
+ *
+ * Resolves a provider's secret request parameters from environment variables.
+ * Secrets are passed to zkFetch as private options, so the attestor uses them
+ * to make the request but they never appear in the proof's claimData.
+ *
+ * A provider declares its secrets as a map of name to environment variable:
+ *   secrets: {
+ *     headers: { Authorization: { env: 'GITHUB_TOKEN', prefix: 'Bearer ' } },
+ *     cookies: { session: 'EXAMPLE_SESSION' },
+ *     params: { apiKey: 'EXAMPLE_API_KEY' },
+ *   }
+ *
+ * Secret params replace {{name}} placeholders in the provider url. An entry
+ * marked optional is skipped when its environment variable is not set.
+ */
+
+const SECRET_KINDS = ['headers', 'cookies', 'params'];
+const PLACEHOLDER = /\{\{([^}]+)\}\}/g;
+
+/**
+ * Normalizes a secret entry to { env, prefix, optional }
+ * @param {string|Object} entry - Environment variable name or entry object
+ * @returns {Object} The normalized entry
+ */
+const normalizeEntry = (entry) =>
+  typeof entry === 'string'
+    ? { env: entry, prefix: '', optional: false }
+    : {
+        env: entry?.env,
+        prefix: entry?.prefix || '',
+        optional: Boolean(entry?.optional),
+      };
+
+/**
+ * Lists the {{name}} placeholders in a url
+ * @param {string} url - The provider url
+ * @returns {string[]} Placeholder names
+ */
+export const getUrlPlaceholders = (url) =>
+  [...url.matchAll(PLACEHOLDER)].map((match) => match[1]);
+
+/**
+ * Validates a provider's secrets declaration
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If the declaration is malformed or a url placeholder has
+ * no matching secret param
+ */
+export const validateSecrets = (provider) => {
+  const { secrets } = provider;
+
+  if (secrets !== undefined) {
+    if (!secrets || typeof secrets !== 'object') {
+      throw new Error(`Provider ${provider.name} secrets must be an object`);
+    }
+
+    for (const [kind, entries] of Object.entries(secrets)) {
+      if (!SECRET_KINDS.includes(kind)) {
+        throw new Error(
+          `Provider ${provider.name} has unknown secret kind: ${kind}`
+        );
+      }
+
+      for (const [name, entry] of Object.entries(entries || {})) {
+        if (!normalizeEntry(entry).env) {
+          throw new Error(
+            `Provider ${provider.name} secret ${kind} ${name} must name an environment variable`
+          );
+        }
+      }
+    }
+  }
+
+  const params = secrets?.params || {};
+  getUrlPlaceholders(provider.url).forEach((name) => {
+    if (!params[name]) {
+      throw new Error(
+        `Provider ${provider.name} url placeholder {{${name}}} has no secret param`
+      );
+    }
+  });
+};
+
+/**
+ * Reads the secrets of one kind from the environment
+ * @param {Object} provider - The provider definition
+ * @param {string} kind - 'headers', 'cookies' or 'params'
+ * @param {Object} env - Environment variables
+ * @returns {Object} Secret values by name
+ * @throws {Error} If a required environment variable is not set
+ */
+const readSecrets = (provider, kind, env) => {
+  const values = {};
+
+  for (const [name, entry] of Object.entries(provider.secrets?.[kind] || {})) {
+    const { env: variable, prefix, optional } = normalizeEntry(entry);
+    const value = env[variable];
+
+    if (!value) {
+      if (optional) continue;
+      throw new Error(
+        `Missing environment variable ${variable} for ${provider.name} secret ${kind} ${name}`
+      );
+    }
+
+    values[name] = `${prefix}${value}`;
+  }
+
+  return values;
+};
+
+/**
+ * Builds the private zkFetch options carrying a provider's secrets
+ * @param {Object} provider - The provider definition
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Private options ({ headers, cookieStr, paramValues }),
+ * containing only the kinds that resolved to at least one value
+ * @throws {Error} If a required environment variable is not set
+ */
+export const resolveSecrets = (provider, env = process.env) => {
+  const options = {};
+
+  const headers = readSecrets(provider, 'headers', env);
+  if (Object.keys(headers).length > 0) {
+    options.headers = headers;
+  }
+
+  const cookies = readSecrets(provider, 'cookies', env);
+  if (Object.keys(cookies).length > 0) {
+    options.cookieStr = Object.entries(cookies)
+      .map(([name, value]) => `${name}=${value}`)
+      .join('; ');
+  }
+
+  const params = readSecrets(provider, 'params', env);
+  if (Object.keys(params).length > 0) {
+    options.paramValues = params;
+  }
+
+  return options;
+};
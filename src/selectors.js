@@ -0,0 +1,285 @@
+/**
+ * Selectors Module
+ *
+ * Lets providers declare JSONPath, XPath or CSS-style selectors instead of
+ * hand-written regexes. Each selector is mapped to the options zkFetch
+ * supports: a responseRedaction scoped by jsonPath/xPath (so only the selected
+ * value is revealed) and a regex responseMatch whose named capture group
+ * becomes the extractedParameterValues key.
+ *
+ * A selector has the following shape:
+ *   { name: 'price', jsonPath: '$.stellar.usd' }
+ *   { name: 'timestamp', css: 'div.value.epoch' }
+ *   { name: 'title', xPath: "//meta[@property='og:title']", regex: '...' }
+ *
+ * zkFetch applies responseMatches to the whole response, so every selector's
+ * regex must identify its value uniquely. When no regex is given one is
+ * derived from the selector: JSONPath selectors match on the final key and CSS
+ * selectors on the final element's tag, id, classes and attributes. XPath
+ * selectors always need an explicit regex.
+ */
+
+import { makeRegex } from './responseMatcher.js';
+
+// Strings are captured without their quotes, other scalars as written
+const JSON_SCALAR =
+  '(?<=")(?:[^"\\\\]|\\\\.)*|-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?|true|false|null';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Escapes a string for literal use inside a regex
+ * @param {string} value - The string to escape
+ * @returns {string} Escaped regex source
+ */
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a JSONPath expression into its segments
+ * @param {string} jsonPath - Path such as $.a.b[0]['c-d']
+ * @returns {Array<string|number>} Keys and array indexes, in order
+ * @throws {Error} If the path is not supported
+ */
+export const parseJsonPath = (jsonPath) => {
+  if (typeof jsonPath !== 'string' || !jsonPath.startsWith('$')) {
+    throw new Error(`Invalid JSONPath: ${jsonPath}`);
+  }
+
+  const segments = [];
+  const segment = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+  segment.lastIndex = 1;
+
+  while (segment.lastIndex < jsonPath.length) {
+    const start = segment.lastIndex;
+    const match = segment.exec(jsonPath);
+    if (!match) {
+      throw new Error(
+        `Unsupported JSONPath segment in ${jsonPath} at position ${start}`
+      );
+    }
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(Number(match[2]));
+    } else {
+      segments.push(match[4]);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Parses one compound CSS selector (e.g. div#main.temp[data-x="1"])
+ * @param {string} compound - The compound selector
+ * @returns {Object} { tag, id, classes, attributes }
+ * @throws {Error} If the selector uses unsupported syntax
+ */
+const parseCompound = (compound) => {
+  const part =
+    /([A-Za-z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(["']?)(.*?)\5)?\]/y;
+  const parsed = { tag: '*', id: null, classes: [], attributes: [] };
+
+  while (part.lastIndex < compound.length) {
+    const start = part.lastIndex;
+    const match = part.exec(compound);
+    if (!match || (match[1] && start !== 0)) {
+      throw new Error(`Unsupported CSS selector: ${compound}`);
+    }
+
+    if (match[1]) parsed.tag = match[1];
+    if (match[2]) parsed.id = match[2];
+    if (match[3]) parsed.classes.push(match[3]);
+    if (match[4]) {
+      parsed.attributes.push({
+        name: match[4],
+        value: match[6] === undefined ? null : match[6],
+      });
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Splits a CSS selector into compounds and combinators
+ * @param {string} css - Selector such as 'table.stats > tr td.val'
+ * @returns {Array<Object>} Compounds, each with the combinator preceding it
+ */
+const parseCss = (css) => {
+  if (typeof css !== 'string' || !css.trim()) {
+    throw new Error(`Invalid CSS selector: ${css}`);
+  }
+
+  const tokens = css
+    .trim()
+    .replace(/\s*>\s*/g, ' > ')
+    .split(/\s+/);
+  const compounds = [];
+  let combinator = ' ';
+
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    compounds.push({ combinator, ...parseCompound(token) });
+    combinator = ' ';
+  }
+
+  return compounds;
+};
+
+/**
+ * Converts a CSS-style selector to the equivalent XPath
+ * Supports tags, #id, .class, [attr] and [attr=value] with descendant and
+ * child (>) combinators.
+ * @param {string} css - CSS selector
+ * @returns {string} XPath expression
+ */
+export const cssToXPath = (css) =>
+  parseCss(css)
+    .map(({ combinator, tag, id, classes, attributes }) => {
+      const predicates = [
+        ...(id ? [`@id='${id}'`] : []),
+        ...classes.map(
+          (name) =>
+            `contains(concat(' ', normalize-space(@class), ' '), ' ${name} ')`
+        ),
+        ...attributes.map(({ name, value }) =>
+          value === null ? `@${name}` : `@${name}='${value}'`
+        ),
+      ];
+      const axis = combinator === '>' ? '/' : '//';
+      return `${axis}${tag}${predicates.map((p) => `[${p}]`).join('')}`;
+    })
+    .join('');
+
+/**
+ * Builds the default regex for a JSONPath selector
+ * @param {Object} selector - The selector
+ * @returns {string} Regex source capturing the value under selector.name
+ */
+const defaultJsonPathRegex = (selector) => {
+  const key = parseJsonPath(selector.jsonPath).at(-1);
+  if (typeof key !== 'string') {
+    throw new Error(
+      `Selector ${selector.name} must end in an object key or declare a regex`
+    );
+  }
+  return `"${escapeRegex(key)}"\\s*:\\s*"?(?<${selector.name}>${JSON_SCALAR})`;
+};
+
+/**
+ * Builds the default regex for a CSS selector, matching the text content of
+ * the final element
+ * @param {Object} selector - The selector
+ * @returns {string} Regex source capturing the text under selector.name
+ */
+const defaultCssRegex = (selector) => {
+  const { tag, id, classes, attributes } = parseCss(selector.css).at(-1);
+  const conditions = [
+    ...(id ? [`\\sid="${escapeRegex(id)}"`] : []),
+    ...classes.map(
+      (name) => `\\sclass="(?:[^"]*\\s)?${escapeRegex(name)}(?:\\s[^"]*)?"`
+    ),
+    ...attributes.map(({ name, value }) =>
+      value === null
+        ? `\\s${escapeRegex(name)}(?:=|\\s|>)`
+        : `\\s${escapeRegex(name)}="${escapeRegex(value)}"`
+    ),
+  ];
+  const tagPattern = tag === '*' ? '[A-Za-z][\\w-]*' : escapeRegex(tag);
+  const lookaheads = conditions.map((c) => `(?=[^>]*${c})`).join('');
+
+  return `<${tagPattern}${lookaheads}[^>]*>\\s*(?<${selector.name}>[^<]*?)\\s*<`;
+};
+
+/**
+ * Validates a selector declaration
+ * @param {Object} selector - The selector
+ * @throws {Error} If the selector is malformed
+ */
+export const validateSelector = (selector) => {
+  if (!selector || !NAME_PATTERN.test(selector.name || '')) {
+    throw new Error(
+      `Selector name must be a valid capture group name: ${selector?.name}`
+    );
+  }
+
+  const kinds = ['jsonPath', 'xPath', 'css'].filter((kind) => selector[kind]);
+  if (kinds.length !== 1) {
+    throw new Error(
+      `Selector ${selector.name} must declare exactly one of jsonPath, xPath or css`
+    );
+  }
+
+  if (selector.xPath && !selector.regex) {
+    throw new Error(`XPath selector ${selector.name} must declare a regex`);
+  }
+
+  if (selector.regex) {
+    makeRegex(selector.regex);
+    if (!selector.regex.includes(`(?<${selector.name}>`)) {
+      throw new Error(
+        `Selector ${selector.name} regex must capture (?<${selector.name}>...)`
+      );
+    }
+  }
+};
+
+/**
+ * Maps a selector to a zkFetch responseMatch and responseRedaction
+ * @param {Object} selector - The selector
+ * @returns {Object} { match, redaction }
+ */
+export const selectorToOptions = (selector) => {
+  validateSelector(selector);
+
+  let regex = selector.regex;
+  const redaction = {};
+
+  if (selector.jsonPath) {
+    parseJsonPath(selector.jsonPath);
+    redaction.jsonPath = selector.jsonPath;
+    regex = regex || defaultJsonPathRegex(selector);
+  } else if (selector.css) {
+    redaction.xPath = cssToXPath(selector.css);
+    regex = regex || defaultCssRegex(selector);
+  } else {
+    redaction.xPath = selector.xPath;
+  }
+
+  redaction.regex = regex;
+
+  return {
+    match: { type: 'regex', value: regex },
+    redaction,
+  };
+};
+
+/**
+ * Resolves the full zkFetch response options for a provider, combining its
+ * regex responseMatches/responseRedactions with any declared selectors
+ * @param {Object} provider - The provider definition
+ * @returns {Object} { responseMatches, responseRedactions? }
+ */
+export const buildResponseOptions = (provider) => {
+  const selectorOptions = (provider.selectors || []).map(selectorToOptions);
+  const responseMatches = [
+    ...(provider.responseMatches || []),
+    ...selectorOptions.map(({ match }) => match),
+  ];
+  const options = { responseMatches };
+
+  if (provider.responseRedactions || selectorOptions.length > 0) {
+    options.responseRedactions = [
+      ...(provider.responseRedactions || []),
+      ...selectorOptions.map(({ redaction }) => redaction),
+    ];
+  }
+
+  return options;
+};
@@ -0,0 +1,367 @@
+/**
+ * Signers Module
+ *
+ * Picks the key verification transactions are signed with. By default that
+ * is STELLAR_SECRET_KEY (an S... secret key) when it is set, else account 0
+ * of the SEEDPHRASE mnemonic, else the encrypted keystore
+ * (./zkfetch.keystore.json, see keystore.js); an account index selects
+ * another account of a mnemonic. Keys read from the environment are
+ * plaintext and logged with a warning. Named signers can be declared in
+ * ./zkfetch.signers.json:
+ *
+ *   {
+ *     "signers": {
+ *       "mainnet-funds": { "accountIndex": 1 },
+ *       "ops": { "keystore": "./keys/ops.keystore.json", "accountIndex": 3 },
+ *       "ci": { "secretKeyEnv": "CI_STELLAR_SECRET_KEY" }
+ *     }
+ *   }
+ *
+ * Profiles name a keystore or the environment variable holding their key,
+ * never the key itself, so the file can be committed. A profile without
+ * either uses the default key.
+ */
+
+import * as fs from 'fs';
+import StellarSdk from 'stellar-sdk';
+import StellarHDWallet from 'stellar-hd-wallet';
+import { CONFIG, getStellarServer, validateEnvironment } from './config.js';
+import { UsageError } from './errors.js';
+import { withSuggestion } from './cli.js';
+import { unlockKeystore } from './keystore.js';
+import { log } from './logger.js';
+
+const KEY_OPTIONS = ['seedphraseEnv', 'secretKeyEnv', 'keystore'];
+const PROFILE_OPTIONS = [...KEY_OPTIONS, 'accountIndex'];
+
+/**
+ * Checks an account index
+ * @param {*} index - The index
+ * @param {string} label - What the index belongs to, for messages
+ * @throws {Error} If the index is not a whole number
+ */
+const checkAccountIndex = (index, label) => {
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`${label} must be a whole number, got ${index}`);
+  }
+};
+
+/**
+ * Validates the profiles of a signer file
+ * @param {Object} file - The parsed signer file
+ * @throws {Error} If a profile is malformed
+ */
+export function validateSignerProfiles(file) {
+  const signers = file?.signers;
+  if (!signers || typeof signers !== 'object' || Array.isArray(signers)) {
+    throw new Error('Signer file must have a signers object');
+  }
+
+  Object.entries(signers).forEach(([name, profile]) => {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`Signer ${name} must be an object`);
+    }
+
+    Object.keys(profile).forEach((option) => {
+      if (!PROFILE_OPTIONS.includes(option)) {
+        throw new Error(
+          withSuggestion(
+            `Signer ${name} has unknown option: ${option}`,
+            option,
+            PROFILE_OPTIONS
+          )
+        );
+      }
+    });
+
+    KEY_OPTIONS.forEach((option) => {
+      if (
+        profile[option] !== undefined &&
+        typeof profile[option] !== 'string'
+      ) {
+        throw new Error(`Signer ${name} ${option} must be a string`);
+      }
+    });
+    if (profile.accountIndex !== undefined) {
+      checkAccountIndex(profile.accountIndex, `Signer ${name} accountIndex`);
+    }
+    const keys = KEY_OPTIONS.filter((option) => profile[option] !== undefined);
+    if (keys.length > 1) {
+      throw new Error(`Signer ${name} has several keys: ${keys.join(', ')}`);
+    }
+    if (profile.secretKeyEnv && profile.accountIndex !== undefined) {
+      throw new Error(
+        `Signer ${name} uses a secret key; accountIndex only applies to seed phrases`
+      );
+    }
+  });
+}
+
+/**
+ * Loads the named signers
+ * @param {string} file - Path to the signer file
+ * @returns {Object} Profiles by name, none if the file does not exist
+ * @throws {Error} If the file cannot be read, is not JSON or is malformed
+ */
+export function loadSignerProfiles(file = CONFIG.PATHS.SIGNERS_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read signer file ${file}: ${error.message}`);
+  }
+
+  try {
+    validateSignerProfiles(parsed);
+  } catch (error) {
+    throw new Error(`Invalid signer file ${file}: ${error.message}`);
+  }
+  return parsed.signers;
+}
+
+/**
+ * Looks up a named signer
+ * @param {string} name - Signer name
+ * @param {Object} options - { file } the signer file
+ * @returns {Object} The profile
+ * @throws {UsageError} If no signer has that name
+ */
+export function getSignerProfile(name, { file } = {}) {
+  const profiles = loadSignerProfiles(file);
+  if (!Object.hasOwn(profiles, name)) {
+    const names = Object.keys(profiles);
+    throw new UsageError(
+      names.length > 0
+        ? withSuggestion(`Unknown signer: ${name}`, name, names)
+        : `Unknown signer: ${name}. Declare signers in ${file ?? CONFIG.PATHS.SIGNERS_FILE}`
+    );
+  }
+  return profiles[name];
+}
+
+/**
+ * Resolves where a signer's key comes from
+ * @param {Object} options - { signer, accountIndex, file }
+ * @returns {Object} { name, label, accountIndex } with the environment
+ * variable holding the key (env, and type 'secret' or 'seedphrase') or the
+ * keystore file. accountIndex is undefined unless one was asked for.
+ * @throws {UsageError} If the signer is unknown
+ * @throws {Error} If there is no default key
+ */
+function resolveKeySource({ signer, accountIndex, file } = {}) {
+  const profile =
+    signer === undefined ? {} : getSignerProfile(signer, { file });
+  const name = signer ?? 'default';
+  if (accountIndex !== undefined) {
+    checkAccountIndex(accountIndex, 'Account index');
+  }
+  const index = accountIndex ?? profile.accountIndex;
+  const fromEnv = (env, type) => ({
+    name,
+    label: env,
+    env,
+    type,
+    accountIndex: index,
+  });
+  const fromKeystore = (keystore) => ({
+    name,
+    label: `keystore ${keystore}`,
+    keystore,
+    accountIndex: index,
+  });
+
+  if (profile.keystore) {
+    return fromKeystore(profile.keystore);
+  }
+  if (profile.secretKeyEnv) {
+    return fromEnv(profile.secretKeyEnv, 'secret');
+  }
+  if (profile.seedphraseEnv) {
+    return fromEnv(profile.seedphraseEnv, 'seedphrase');
+  }
+
+  validateEnvironment();
+  if (index === undefined && process.env.STELLAR_SECRET_KEY) {
+    return fromEnv('STELLAR_SECRET_KEY', 'secret');
+  }
+  if (process.env.SEEDPHRASE) {
+    return fromEnv('SEEDPHRASE', 'seedphrase');
+  }
+  return fromKeystore(CONFIG.PATHS.KEYSTORE_FILE);
+}
+
+/**
+ * Reads the key a source names, unlocking keystores
+ * @param {Object} source - Key source from resolveKeySource
+ * @returns {Promise<Object>} { type, secret, accountIndex }, accountIndex
+ * null for secret keys and 0 unless one was asked for
+ * @throws {UsageError} If an account index is asked for with a secret key
+ * @throws {Error} If the key is missing or cannot be unlocked
+ */
+async function readKey(source) {
+  const { name, env, keystore, accountIndex } = source;
+  let key;
+
+  try {
+    if (keystore) {
+      key = await unlockKeystore({ file: keystore });
+      if (!key) {
+        throw new Error(`${keystore} does not exist (signer ${name})`);
+      }
+    } else {
+      if (!process.env[env]) {
+        throw new Error(`${env} is not set (signer ${name})`);
+      }
+      key = { type: source.type, secret: process.env[env] };
+      log.warn(
+        `Warning: ${env} holds a plaintext key; encrypt it with "node src/index.js keystore import --from-env"`
+      );
+    }
+  } catch (error) {
+    throw new Error(`Failed to create Stellar wallet: ${error.message}`);
+  }
+
+  if (key.type === 'secret' && accountIndex !== undefined) {
+    throw new UsageError(
+      `Signer ${name} uses a secret key; an account index only applies to seed phrases`
+    );
+  }
+  return {
+    type: key.type,
+    secret: key.secret,
+    accountIndex: key.type === 'secret' ? null : (accountIndex ?? 0),
+  };
+}
+
+/**
+ * Describes a signer's key for logs, without revealing it
+ * @param {Object} signer - Resolved signer
+ * @returns {string} e.g. 'SEEDPHRASE account 1', 'STELLAR_SECRET_KEY' or
+ * 'keystore ./zkfetch.keystore.json account 0'
+ */
+export const describeSigner = ({ label, accountIndex }) =>
+  accountIndex === null ? label : `${label} account ${accountIndex}`;
+
+/**
+ * Resolves the keypair to sign with
+ * @param {Object} options - Signer options
+ * @param {string} options.signer - Named signer from the signer file
+ * (default: STELLAR_SECRET_KEY, else SEEDPHRASE, else the keystore)
+ * @param {number} options.accountIndex - Account of the seed phrase to use
+ * (default: the signer's accountIndex, else 0)
+ * @param {string} options.file - The signer file
+ * @returns {Promise<Object>} { name, label, type, accountIndex, keypair }
+ * @throws {UsageError} If the signer is unknown or an account index is given
+ * for a secret key
+ * @throws {Error} If the key is missing, invalid or cannot be unlocked
+ */
+export async function resolveSigner(options = {}) {
+  const source = resolveKeySource(options);
+  const { type, secret, accountIndex } = await readKey(source);
+
+  try {
+    const keypair = StellarSdk.Keypair.fromSecret(
+      type === 'secret'
+        ? secret
+        : StellarHDWallet.fromMnemonic(secret).getSecret(accountIndex)
+    );
+    return {
+      name: source.name,
+      label: source.label,
+      type,
+      accountIndex,
+      keypair,
+    };
+  } catch (error) {
+    throw new Error(`Failed to create Stellar wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Derives the public keys of a signer's first accounts
+ * @param {Object} options - { signer, count, file }; count defaults to 5
+ * @returns {Promise<Object[]>} { index, publicKey, selected } per account,
+ * selected marking the one the signer signs with. A secret key has a single
+ * account, with index null.
+ * @throws {Error} If the key is missing, invalid or cannot be unlocked
+ */
+export async function deriveAccounts({ signer, count = 5, file } = {}) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`Account count must be at least 1, got ${count}`);
+  }
+
+  const { type, secret, accountIndex } = await readKey(
+    resolveKeySource({ signer, file })
+  );
+
+  try {
+    if (type === 'secret') {
+      const publicKey = StellarSdk.Keypair.fromSecret(secret).publicKey();
+      return [{ index: null, publicKey, selected: true }];
+    }
+
+    const wallet = StellarHDWallet.fromMnemonic(secret);
+    return Array.from({ length: count }, (_, index) => ({
+      index,
+      publicKey: StellarSdk.Keypair.fromSecret(
+        wallet.getSecret(index)
+      ).publicKey(),
+      selected: index === accountIndex,
+    }));
+  } catch (error) {
+    throw new Error(`Failed to create Stellar wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Lists a signer's first accounts with their XLM balances on a network
+ * @param {Object} options - { signer, count, network, file }
+ * @returns {Promise<Object[]>} { index, publicKey, selected, balance } per
+ * account, balance null for accounts that are not funded
+ * @throws {Error} If the key is missing or Horizon cannot be reached
+ */
+export async function listAccounts({
+  signer,
+  count,
+  network = 'testnet',
+  file,
+} = {}) {
+  const accounts = await deriveAccounts({ signer, count, file });
+  const server = await getStellarServer(network);
+
+  return Promise.all(
+    accounts.map(async (account) => {
+      try {
+        const { balances } = await server.loadAccount(account.publicKey);
+        const native = balances.find(
+          ({ asset_type: type }) => type === 'native'
+        );
+        return { ...account, balance: native?.balance ?? '0' };
+      } catch (error) {
+        if (error?.response?.status === 404) {
+          return { ...account, balance: null };
+        }
+        throw new Error(
+          `Failed to load account ${account.publicKey}: ${error.message}`
+        );
+      }
+    })
+  );
+}
+
+/**
+ * Prints one line per account, marking the one the signer signs with
+ * @param {Object[]} accounts - Accounts returned by listAccounts
+ * @param {string} network - Network the balances are from
+ */
+export function printAccounts(accounts, network = 'testnet') {
+  log.info(`Accounts on ${network}:`);
+  accounts.forEach(({ index, publicKey, selected, balance }) => {
+    log.info(
+      `${selected ? '*' : ' '} ${String(index ?? '-').padStart(3)}  ${publicKey}  ${balance === null ? 'not funded' : `${balance} XLM`}`
+    );
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * Templates Module
+ *
+ * Lets a provider take request parameters, e.g. the coin and currency of a
+ * price feed. A templated provider declares its parameters and uses ${name}
+ * placeholders in its url, contextMessage, response matches, redactions and
+ * selectors:
+ *
+ *   params: {
+ *     coin: { description: 'CoinGecko coin id', default: 'stellar',
+ *             pattern: /^[a-z0-9-]+$/ },
+ *   },
+ *   url: 'https://api.coingecko.com/api/v3/simple/price?ids=${coin}',
+ *
+ * Parameter values are validated before any request is made, URL-encoded
+ * when substituted into the url and regex-escaped when substituted into a
+ * regex. The provider's format function receives the resolved parameters as
+ * its second argument.
+ */
+
+import { escapeRegex } from './selectors.js';
+
+const PLACEHOLDER = /\$\{(\w+)\}/g;
+
+/**
+ * Replaces ${name} placeholders in a string
+ * @param {string} value - String containing placeholders
+ * @param {Object} params - Resolved parameter values
+ * @param {Function} encode - Applied to each substituted value
+ * @returns {string} The substituted string
+ */
+const substitute = (value, params, encode) =>
+  typeof value === 'string'
+    ? value.replace(PLACEHOLDER, (placeholder, name) =>
+        name in params ? encode(params[name]) : placeholder
+      )
+    : value;
+
+/**
+ * Lists the placeholders used anywhere in a provider definition
+ * @param {Object} provider - The provider definition
+ * @returns {string[]} Unique placeholder names
+ */
+const getPlaceholders = (provider) => {
+  const sources = [
+    provider.url,
+    provider.contextMessage,
+    ...(provider.responseMatches || []).map(({ value }) => value),
+    ...(provider.responseRedactions || []).flatMap(Object.values),
+    ...(provider.selectors || []).flatMap(Object.values),
+  ];
+  const names = sources
+    .filter((source) => typeof source === 'string')
+    .flatMap((source) => [...source.matchAll(PLACEHOLDER)].map((m) => m[1]));
+  return [...new Set(names)];
+};
+
+/**
+ * Validates a provider's parameter declarations
+ * @param {Object} provider - The provider definition
+ * @throws {Error} If a placeholder is undeclared or a declaration is invalid
+ */
+export const validateTemplate = (provider) => {
+  const params = provider.params || {};
+
+  getPlaceholders(provider).forEach((name) => {
+    if (!params[name]) {
+      throw new Error(
+        `Provider ${provider.name} uses undeclared parameter \${${name}}`
+      );
+    }
+  });
+
+  for (const [name, param] of Object.entries(params)) {
+    if (param.pattern !== undefined && !(param.pattern instanceof RegExp)) {
+      throw new Error(
+        `Provider ${provider.name} parameter ${name} pattern must be a RegExp`
+      );
+    }
+
+    if (param.default !== undefined && param.pattern) {
+      if (!param.pattern.test(param.default)) {
+        throw new Error(
+          `Provider ${provider.name} parameter ${name} default does not match its pattern`
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Validates parameter values for a provider and applies defaults
+ * @param {Object} provider - The provider definition
+ * @param {Object} values - Parameter values, e.g. { coin: 'bitcoin' }
+ * @returns {Object} Every declared parameter with its resolved value
+ * @throws {Error} If a value is unknown, missing or does not match its pattern
+ */
+export const resolveParams = (provider, values = {}) => {
+  const params = provider.params || {};
+  const names = Object.keys(params);
+
+  Object.keys(values).forEach((name) => {
+    if (!params[name]) {
+      const supported = names.length
+        ? `Supported parameters: ${names.map((n) => `--${n}`).join(', ')}`
+        : 'It takes no parameters';
+      throw new Error(
+        `Unknown parameter --${name} for ${provider.name}. ${supported}`
+      );
+    }
+  });
+
+  const resolved = {};
+
+  for (const [name, param] of Object.entries(params)) {
+    const value = values[name] !== undefined ? values[name] : param.default;
+
+    if (value === undefined || value === '') {
+      throw new Error(`Missing parameter --${name} for ${provider.name}`);
+    }
+
+    if (param.pattern && !param.pattern.test(String(value))) {
+      const hint = param.description ? ` (${param.description})` : '';
+      throw new Error(
+        `Invalid value '${value}' for --${name}${hint}: must match ${param.pattern}`
+      );
+    }
+
+    resolved[name] = String(value);
+  }
+
+  return resolved;
+};
+
+/**
+ * Builds the concrete provider for a set of parameter values
+ * @param {Object} provider - The provider definition
+ * @param {Object} values - Parameter values
+ * @returns {Object} The provider with placeholders substituted and the
+ * resolved values under parameters; providers without parameters are returned
+ * unchanged
+ * @throws {Error} If the parameter values are invalid
+ */
+export const applyTemplate = (provider, values = {}) => {
+  const params = resolveParams(provider, values);
+
+  if (!provider.params) {
+    return provider;
+  }
+
+  const raw = (value) => value;
+  const substituteAll = (object, encode) =>
+    Object.fromEntries(
+      Object.entries(object).map(([key, value]) => [
+        key,
+        substitute(value, params, key === 'regex' ? escapeRegex : encode),
+      ])
+    );
+
+  return {
+    ...provider,
+    url: substitute(provider.url, params, encodeURIComponent),
+    ...(provider.contextMessage && {
+      contextMessage: substitute(provider.contextMessage, params, raw),
+    }),
+    ...(provider.responseMatches && {
+      responseMatches: provider.responseMatches.map((match) => ({
+        ...match,
+        value: substitute(match.value, params, escapeRegex),
+      })),
+    }),
+    ...(provider.responseRedactions && {
+      responseRedactions: provider.responseRedactions.map((redaction) =>
+        substituteAll(redaction, raw)
+      ),
+    }),
+    ...(provider.selectors && {
+      selectors: provider.selectors.map((selector) =>
+        substituteAll(selector, raw)
+      ),
+    }),
+    ...(provider.format && {
+      format: (extracted) => provider.format(extracted, params),
+    }),
+    parameters: params,
+  };
+};
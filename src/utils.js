@@ -147,3 +147,121 @@ export const validateProofStructure = (proof) => {
 
   return true;
 };
+
+/**
+ * Serializes a value as canonical JSON (RFC 8785): object keys sorted, no
+ * whitespace
+ * @param {*} value - The value to serialize
+ * @returns {string} Canonical JSON
+ */
+export const canonicalStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((item) => (item === undefined ? 'null' : canonicalStringify(item)))
+      .join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .sort()
+    .filter((key) => value[key] !== undefined)
+    .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Recomputes a claim identifier the way Reclaim attestors do:
+ * keccak256(provider + '\n' + parameters + '\n' + canonical context)
+ * @param {Object} claimData - The proof's claimData (provider, parameters, context)
+ * @returns {string} The identifier as lowercase hex
+ * @throws {Error} If provider or parameters are missing or context is not JSON
+ */
+export const getClaimIdentifier = (claimData) => {
+  if (!claimData || typeof claimData !== 'object') {
+    throw new Error('Claim data must be an object');
+  }
+
+  for (const field of ['provider', 'parameters']) {
+    if (typeof claimData[field] !== 'string') {
+      throw new Error(`Missing required claim field: ${field}`);
+    }
+  }
+
+  let context = claimData.context || '';
+  if (context) {
+    try {
+      context = canonicalStringify(JSON.parse(context));
+    } catch (error) {
+      throw new Error(`Claim context must be JSON: ${error.message}`);
+    }
+  }
+
+  const message = `${claimData.provider}\n${claimData.parameters}\n${context}`;
+  return keccak256(Buffer.from(message)).toLowerCase();
+};
+
+/**
+ * Lists the fields of a proof that do not match its signed claim: the
+ * recorded identifier against the one recomputed from provider, parameters
+ * and context, and extractedParameterValues against the extracted parameters
+ * in the signed context
+ * @param {Object} proof - The proof object
+ * @returns {Object[]} Mismatches: { field, recorded, expected }
+ * @throws {Error} If the claim data cannot be hashed
+ */
+export const diffClaimData = (proof) => {
+  const { claimData } = proof || {};
+  const expected = getClaimIdentifier(claimData);
+  const mismatches = [];
+
+  if (String(claimData.identifier).toLowerCase() !== expected) {
+    mismatches.push({
+      field: 'claimData.identifier',
+      recorded: claimData.identifier,
+      expected,
+    });
+  }
+
+  const signed = claimData.context
+    ? JSON.parse(claimData.context).extractedParameters
+    : undefined;
+  if (signed && proof.extractedParameterValues) {
+    const keys = new Set([
+      ...Object.keys(signed),
+      ...Object.keys(proof.extractedParameterValues),
+    ]);
+    [...keys].sort().forEach((key) => {
+      const recorded = proof.extractedParameterValues[key];
+      if (recorded !== signed[key]) {
+        mismatches.push({
+          field: `extractedParameterValues.${key}`,
+          recorded,
+          expected: signed[key],
+        });
+      }
+    });
+  }
+
+  return mismatches;
+};
+
+/**
+ * Formats claim mismatches as a readable diff
+ * @param {Object[]} mismatches - Mismatches returned by diffClaimData
+ * @returns {string} One block per field: - recorded, + expected
+ */
+export const formatClaimDiff = (mismatches) =>
+  mismatches
+    .map(({ field, recorded, expected }) => {
+      const show = (value) =>
+        value === undefined ? '(missing)' : JSON.stringify(value);
+      const hint =
+        field === 'claimData.identifier'
+          ? ' (claimData.provider, parameters or context was modified)'
+          : '';
+      return `  ${field}${hint}\n  - ${show(recorded)}\n  + ${show(expected)}`;
+    })
+    .join('\n');
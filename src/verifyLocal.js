@@ -0,0 +1,223 @@
+/**
+ * Local Verification Module
+ *
+ * This module verifies a proof offline before anything is sent to Stellar.
+ * The claim identifier is recomputed from provider, parameters and context,
+ * and each signature is checked by recovering the signer address from the
+ * signed claim hash and comparing it against the attestors listed in
+ * proof.witnesses, so a bad proof is caught without paying a transaction fee.
+ */
+
+import { recoverAddress } from '@ethersproject/transactions';
+import * as fs from 'fs';
+import * as utils from './utils.js';
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Recovers the address that produced a claim signature
+ * @param {Object} claimData - The proof's claimData (identifier, owner, timestampS, epoch)
+ * @param {string} signature - The 65-byte hex signature
+ * @returns {string} The signer address, lowercase
+ * @throws {Error} If the claim or signature is malformed
+ */
+export function recoverSignerAddress(claimData, signature) {
+  const serializedClaim = utils.getSerializedClaim({
+    signedClaim: { claim: claimData },
+  });
+  const hash = utils.getHash(serializedClaim);
+
+  try {
+    return recoverAddress(`0x${hash.toString('hex')}`, signature).toLowerCase();
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.reason || error.message}`);
+  }
+}
+
+/**
+ * Verifies a proof's signatures against its witnesses without any network
+ * access
+ * @param {Object} proof - The proof as saved by requestProof
+ * @returns {Object} Report: { valid, identifier, witnesses, signatures, errors }
+ */
+export function verifyProofOffline(proof) {
+  const report = {
+    valid: false,
+    identifier: proof?.claimData?.identifier,
+    witnesses: [],
+    signatures: [],
+    errors: [],
+  };
+
+  try {
+    utils.validateProofStructure(proof);
+  } catch (error) {
+    report.errors.push(error.message);
+    return report;
+  }
+
+  report.witnesses = (proof.witnesses || []).map(({ id }) =>
+    String(id).toLowerCase()
+  );
+  if (report.witnesses.length === 0) {
+    report.errors.push('Proof has no witnesses to check signatures against');
+  }
+
+  if (proof.identifier && proof.identifier !== proof.claimData.identifier) {
+    report.errors.push(
+      `Proof identifier ${proof.identifier} does not match claimData.identifier ${proof.claimData.identifier}`
+    );
+  }
+
+  try {
+    utils.diffClaimData(proof).forEach(({ field, recorded, expected }) => {
+      report.errors.push(
+        `${field} does not match the signed claim: recorded ${recorded}, expected ${expected}`
+      );
+    });
+  } catch (error) {
+    report.errors.push(error.message);
+  }
+
+  proof.signatures.forEach((signature, index) => {
+    const result = {
+      index: index + 1,
+      signature,
+      signer: null,
+      witness: false,
+    };
+
+    try {
+      result.signer = recoverSignerAddress(proof.claimData, signature);
+      result.witness = report.witnesses.includes(result.signer);
+      if (!result.witness) {
+        report.errors.push(
+          `Signature ${index + 1} was signed by ${result.signer}, which is not a witness of this proof`
+        );
+      }
+    } catch (error) {
+      result.error = error.message;
+      report.errors.push(`Signature ${index + 1}: ${error.message}`);
+    }
+
+    report.signatures.push(result);
+  });
+
+  const signers = report.signatures.map(({ signer }) => signer);
+  report.witnesses
+    .filter((witness) => !signers.includes(witness))
+    .forEach((witness) => {
+      report.errors.push(`Witness ${witness} did not sign the claim`);
+    });
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+/**
+ * Checks a proof against a witness policy: at least minWitnesses distinct
+ * allowed attestors must have produced a valid signature over the claim
+ * @param {Object} proof - The proof as saved by requestProof
+ * @param {Object} policy - Witness policy
+ * @param {string[]} policy.attestors - Allowed attestor addresses; when empty,
+ * the attestors listed in proof.witnesses
+ * @param {number} policy.minWitnesses - Distinct attestor signatures required
+ * @returns {Object} { satisfied, required, attestors, qualifying, rejected }
+ * where qualifying and rejected list { index, signer } (rejected also carries
+ * a reason)
+ */
+export function evaluateWitnessPolicy(
+  proof,
+  { attestors = [], minWitnesses = 1 } = {}
+) {
+  const allowed = (
+    attestors.length > 0
+      ? attestors
+      : (proof?.witnesses || []).map(({ id }) => id)
+  ).map((address) => String(address).toLowerCase());
+  const qualifying = [];
+  const rejected = [];
+
+  (proof?.signatures || []).forEach((signature, position) => {
+    const index = position + 1;
+    let signer;
+
+    try {
+      signer = recoverSignerAddress(proof.claimData, signature);
+    } catch (error) {
+      rejected.push({ index, signer: null, reason: error.message });
+      return;
+    }
+
+    if (!allowed.includes(signer)) {
+      rejected.push({ index, signer, reason: 'not an allowed attestor' });
+    } else if (qualifying.some((entry) => entry.signer === signer)) {
+      rejected.push({ index, signer, reason: 'duplicate attestor' });
+    } else {
+      qualifying.push({ index, signer });
+    }
+  });
+
+  return {
+    satisfied: qualifying.length >= minWitnesses,
+    required: minWitnesses,
+    attestors: allowed,
+    qualifying,
+    rejected,
+  };
+}
+
+/**
+ * Describes why a proof does not meet a witness policy
+ * @param {Object} result - Result returned by evaluateWitnessPolicy
+ * @returns {string} One line summary
+ */
+export function formatPolicyFailure({ required, qualifying, rejected }) {
+  const reasons = rejected.map(
+    ({ index, signer, reason }) =>
+      `signature ${index}${signer ? ` from ${signer}` : ''}: ${reason}`
+  );
+  return [
+    `${qualifying.length} of ${required} required attestor signature(s)`,
+    ...reasons,
+  ].join('; ');
+}
+
+/**
+ * Prints an offline verification report
+ * @param {Object} report - Report returned by verifyProofOffline
+ */
+export function printOfflineReport(report) {
+  log.info(`Claim identifier: ${report.identifier || 'N/A'}`);
+  report.signatures.forEach(({ index, signer, witness, error }) => {
+    const status = witness ? 'OK  ' : 'FAIL';
+    log.info(`  ${status} Signature ${index}: ${signer || error}`);
+  });
+
+  if (report.valid) {
+    log.info('Proof signatures verified locally');
+  } else {
+    log.info('Local verification failed:');
+    report.errors.forEach((error) => log.info(`   ${error}`));
+  }
+}
+
+/**
+ * Loads a proof file and verifies it offline
+ * @param {string} proofPath - Path to the proof file
+ * @returns {Object} The verification report
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function verifyProofFileOffline(proofPath = CONFIG.PATHS.PROOF_FILE) {
+  let proof;
+  try {
+    proof = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load proof: ${error.message}`);
+  }
+
+  log.info(`Verifying ${proofPath} locally...`);
+  const report = verifyProofOffline(proof);
+  printOfflineReport(report);
+  return report;
+}
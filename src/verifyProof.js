@@ -9,16 +9,32 @@ import StellarSdk from 'stellar-sdk';
 import * as dotenv from 'dotenv';
 import * as fs from 'fs';
 import * as Reclaim from '@reclaimprotocol/js-sdk';
-import StellarHDWallet from 'stellar-hd-wallet';
 import * as utils from './utils.js';
-import { CONFIG, validateEnvironment } from './config.js';
+import { CONFIG } from './config.js';
+import { assertExtractedValues } from './assertions.js';
+import { ERROR_CODES, ProofVerificationError } from './errors.js';
+import { log } from './logger.js';
+import {
+  envOverrideName,
+  formatExplorerUrl,
+  resolveNetwork,
+} from './networks.js';
+import { buildReceipt, saveReceipt } from './receipts.js';
+import { describeSigner, resolveSigner } from './signers.js';
+import {
+  checkFreshness,
+  findProofProvider,
+  formatDuration,
+} from './freshness.js';
+import {
+  evaluateWitnessPolicy,
+  formatPolicyFailure,
+  verifyProofOffline,
+} from './verifyLocal.js';
 
 // Load environment variables without extra console output
 dotenv.config({ quiet: true });
 
-// Validate environment on module load
-validateEnvironment();
-
 function bytesN(buffer, length) {
   if (!(buffer instanceof Buffer || buffer instanceof Uint8Array)) {
     throw new Error('Expected Buffer or Uint8Array');
@@ -31,28 +47,15 @@ function bytesN(buffer, length) {
   return StellarSdk.nativeToScVal(Buffer.from(buffer), { type: 'bytes' });
 }
 
-/**
- * Creates a Stellar wallet from the seedphrase
- * @returns {Object} Stellar keypair and wallet instance
- */
-function createStellarWallet() {
-  try {
-    const wallet = StellarHDWallet.fromMnemonic(CONFIG.ENV.SEEDPHRASE);
-    const secretKey = wallet.getSecret(0); // This gives the 'S'-starting secret key
-    const keypair = StellarSdk.Keypair.fromSecret(secretKey);
-
-    return { wallet, keypair };
-  } catch (error) {
-    throw new Error(`Failed to create Stellar wallet: ${error.message}`);
-  }
-}
-
 /**
  * Loads and validates the proof file
  * @param {string} proofPath - Path to the proof file
- * @returns {Object} Parsed and transformed proof
+ * @param {Object} options - Load options
+ * @param {boolean} options.verifyLocally - Check the claim identifier and signatures against witnesses (default true)
+ * @returns {Object} { raw, proof }: the proof as saved and transformed for the contract
+ * @throws {ProofVerificationError} If the proof is missing, malformed or fails local verification
  */
-function loadProof(proofPath) {
+function loadProof(proofPath, { verifyLocally = true } = {}) {
   try {
     if (!fs.existsSync(proofPath)) {
       throw new Error(`Proof file not found: ${proofPath}`);
@@ -66,34 +69,142 @@ function loadProof(proofPath) {
       throw new Error('Invalid proof: missing signatures');
     }
 
+    // Check the claim and signatures offline so a bad proof never costs a fee
+    if (verifyLocally) {
+      const mismatches = utils.diffClaimData(proofJson);
+      if (mismatches.length > 0) {
+        throw new Error(
+          `Proof does not match its signed claim:\n${utils.formatClaimDiff(mismatches)}`
+        );
+      }
+
+      const report = verifyProofOffline(proofJson);
+      if (!report.valid) {
+        throw new Error(
+          `Local verification failed: ${report.errors.join('; ')}`
+        );
+      }
+      log.info('Proof signatures verified locally');
+    }
+
     const proof = Reclaim.transformForOnchain(proofJson);
-    console.log('Proof loaded and validated');
+    log.info('Proof loaded and validated');
 
-    return proof;
+    return { raw: proofJson, proof };
   } catch (error) {
-    throw new Error(`Failed to load proof: ${error.message}`);
+    throw new ProofVerificationError(`Failed to load proof: ${error.message}`, {
+      cause: error,
+    });
   }
 }
 
+/**
+ * Refuses stale proofs and proofs timestamped in the future
+ * @param {Object} proof - The proof as saved
+ * @param {Object} options - Options for checkFreshness (allowStale, maxAgeS)
+ * @throws {ProofVerificationError} If the proof is too old or too far in the future
+ */
+function enforceFreshness(proof, options) {
+  const result = checkFreshness(proof, options);
+
+  if (!result.fresh) {
+    throw new ProofVerificationError(result.error, {
+      code: ERROR_CODES.PROOF_STALE,
+    });
+  }
+
+  const age = formatDuration(Math.max(0, result.ageS));
+  if (result.stale) {
+    log.warn(
+      `Warning: proof is ${age} old, past its ${formatDuration(result.maxAgeS)} limit; verifying anyway (--allow-stale)`
+    );
+  } else {
+    log.info(`Proof is fresh (issued ${age} ago)`);
+  }
+}
+
+/**
+ * Refuses proofs whose extracted values fail their provider's assertions
+ * @param {Object} proof - The proof as saved
+ * @throws {ValueAssertionError} If a value is implausible
+ */
+function enforceAssertions(proof) {
+  const provider = findProofProvider(proof);
+
+  if (provider?.assertions) {
+    assertExtractedValues(provider, proof.extractedParameterValues);
+    log.info(`Extracted values pass the ${provider.name} assertions`);
+  }
+}
+
+/**
+ * Resolves the witness policy for a network
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @param {Object} overrides - { attestors, minWitnesses } to use instead
+ * @returns {Object} { attestors, minWitnesses }
+ * @throws {Error} If minWitnesses is not a positive integer
+ */
+function resolveWitnessPolicy(stellarConfig, overrides = {}) {
+  const policy = {
+    attestors: overrides.attestors || stellarConfig.ATTESTORS || [],
+    minWitnesses: overrides.minWitnesses ?? stellarConfig.MIN_WITNESSES ?? 1,
+  };
+
+  if (!Number.isInteger(policy.minWitnesses) || policy.minWitnesses < 1) {
+    throw new Error(
+      `Minimum witnesses must be a positive integer, got ${policy.minWitnesses}`
+    );
+  }
+
+  return policy;
+}
+
+/**
+ * Refuses proofs that do not meet the witness policy
+ * @param {Object} proof - The proof as saved
+ * @param {Object} policy - { attestors, minWitnesses }
+ * @returns {Object[]} The qualifying signatures: { index, signer }
+ * @throws {ProofVerificationError} If too few allowed attestors signed the claim
+ */
+function enforceWitnessPolicy(proof, policy) {
+  const result = evaluateWitnessPolicy(proof, policy);
+
+  if (!result.satisfied) {
+    throw new ProofVerificationError(
+      `Witness policy not met: ${formatPolicyFailure(result)}`,
+      { code: ERROR_CODES.WITNESS_POLICY_FAILED }
+    );
+  }
+
+  log.info(
+    `Witness policy met: ${result.qualifying.length} of ${result.required} required attestor signature(s)`
+  );
+  return result.qualifying;
+}
+
 /**
  * Prepares the proof data for blockchain submission
  * @param {Object} proof - The transformed proof
- * @returns {Object} Prepared proof data
+ * @param {number[]} indexes - 1-based positions of the signatures to submit
+ * @returns {Object} Prepared proof data: the message, the first signature and
+ * its recId, and every selected signature under signatures
  */
-function prepareProofData(proof) {
+function prepareProofData(proof, indexes = [1]) {
   try {
-    const recId = utils.getRecId(proof.signedClaim.signatures[0]);
-    const formattedSignature = utils.formatSignature(
-      proof.signedClaim.signatures[0]
-    );
+    const signatures = indexes.map((index) => {
+      const signature = proof.signedClaim.signatures[index - 1];
+      const recId = utils.getRecId(signature);
+      const formattedSignature = utils.formatSignature(signature);
+      return { signature: Buffer.from(formattedSignature, 'hex'), recId };
+    });
     const serializedClaim = utils.getSerializedClaim(proof);
     const message = utils.getHash(serializedClaim);
-    const signature = Buffer.from(formattedSignature, 'hex');
 
     return {
       message,
-      signature,
-      recId,
+      signature: signatures[0].signature,
+      recId: signatures[0].recId,
+      signatures,
     };
   } catch (error) {
     throw new Error(`Failed to prepare proof data: ${error.message}`);
@@ -101,156 +212,552 @@ function prepareProofData(proof) {
 }
 
 /**
- * Creates and submits the verification transaction
- * @param {Object} keypair - Stellar keypair
+ * Builds the contract call, passing every selected signature when the
+ * contract has a multi-signature function
+ * @param {Object} contract - Stellar contract instance
  * @param {Object} proofData - Prepared proof data
  * @param {Object} stellarConfig - Stellar network configuration
- * @param {Object} networkDetails - Network details (passphrase, etc.)
- * @returns {Promise<string>} Transaction hash
+ * @returns {Object} The contract call operation
  */
-async function submitVerificationTransaction(keypair, proofData, stellarConfig, networkDetails) {
-  try {
-    const rpcServer = new StellarSdk.rpc.Server(stellarConfig.SOROBAN_RPC_URL);
-    const publicKey = keypair.publicKey();
+function buildVerifyCall(contract, proofData, stellarConfig) {
+  const message = bytesN(proofData.message, 32);
+  const signatures = proofData.signatures || [proofData];
 
-    console.log(
-      `Connecting to Stellar ${networkDetails.network}: ${networkDetails.networkUrl}`
+  if (stellarConfig.MULTI_SIGNATURE_FUNCTION) {
+    return contract.call(
+      stellarConfig.MULTI_SIGNATURE_FUNCTION,
+      message,
+      StellarSdk.nativeToScVal(
+        signatures.map(({ signature }) => bytesN(signature.slice(0, 64), 64))
+      ),
+      StellarSdk.nativeToScVal(
+        signatures.map(({ recId }) =>
+          StellarSdk.nativeToScVal(recId, { type: 'u32' })
+        )
+      )
     );
+  }
 
-    // Load account
-    const accountResponse = await rpcServer.getAccount(publicKey);
+  if (signatures.length > 1) {
+    log.warn(
+      `Contract takes one signature; submitting 1 of ${signatures.length} qualifying signatures`
+    );
+  }
 
-    // Create contract instance
-    const contract = new StellarSdk.Contract(stellarConfig.CONTRACT_ID);
+  return contract.call(
+    stellarConfig.FUNCTION_NAME,
+    message,
+    bytesN(proofData.signature.slice(0, 64), 64),
+    StellarSdk.nativeToScVal(proofData.recId, { type: 'u32' })
+  );
+}
 
-    // Build transaction
-    const txBuilder = new StellarSdk.TransactionBuilder(accountResponse, {
-      fee: stellarConfig.BASE_FEE,
-      networkPassphrase: networkDetails.networkPassphrase,
-    });
+/**
+ * Builds the unsigned verification transaction
+ * @param {Object} rpcServer - Soroban RPC server
+ * @param {Object} keypair - Stellar keypair of the source account
+ * @param {Object} proofData - Prepared proof data
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @param {Object} networkDetails - Network details (passphrase, etc.)
+ * @returns {Promise<Object>} The transaction
+ */
+async function buildVerificationTransaction(rpcServer, keypair, proofData, stellarConfig, networkDetails) {
+  log.info(
+    `Connecting to Stellar ${networkDetails.network}: ${networkDetails.networkUrl}`
+  );
+
+  // Load account
+  const accountResponse = await rpcServer.getAccount(keypair.publicKey());
+
+  // Create contract instance
+  const contract = new StellarSdk.Contract(stellarConfig.CONTRACT_ID);
+
+  // Build transaction
+  const txBuilder = new StellarSdk.TransactionBuilder(accountResponse, {
+    fee: stellarConfig.BASE_FEE,
+    networkPassphrase: networkDetails.networkPassphrase,
+  });
+
+  return txBuilder
+    .addOperation(buildVerifyCall(contract, proofData, stellarConfig))
+    .setTimeout(StellarSdk.TimeoutInfinite)
+    .build();
+}
 
-    const tx = txBuilder
-      .addOperation(
-        contract.call(
-          stellarConfig.FUNCTION_NAME,
-          bytesN(proofData.message, 32),
-          bytesN(proofData.signature.slice(0, 64), 64),
-          StellarSdk.nativeToScVal(proofData.recId, { type: 'u32' })
-        )
-      )
-      .setTimeout(StellarSdk.TimeoutInfinite)
-      .build();
+/**
+ * Creates and submits the verification transaction
+ * @param {Object} keypair - Stellar keypair
+ * @param {Object} proofData - Prepared proof data
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @param {Object} networkDetails - Network details (passphrase, etc.)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function submitVerificationTransaction(keypair, proofData, stellarConfig, networkDetails) {
+  try {
+    const rpcServer = getRpcServer(stellarConfig);
+    const tx = await buildVerificationTransaction(rpcServer, keypair, proofData, stellarConfig, networkDetails);
 
     // Prepare and sign transaction
     const preparedTransaction = await rpcServer.prepareTransaction(tx);
 
-    console.log('Signing transaction...');
+    log.info('Signing transaction...');
     preparedTransaction.sign(keypair);
 
     // Submit transaction
-    console.log('Submitting transaction to blockchain...');
+    log.info('Submitting transaction to blockchain...');
     const sendResult = await rpcServer.sendTransaction(preparedTransaction);
 
-    console.log('Transaction submitted successfully!');
-    console.log(
-      `Transaction Link: ${stellarConfig.EXPLORER_LINK}${sendResult.hash}`
-    );
+    // PENDING and DUPLICATE were accepted; anything else never reaches a ledger
+    if (!['PENDING', 'DUPLICATE'].includes(sendResult.status)) {
+      const reason = sendResult.errorResult
+        ? `: ${describeTransactionResult(sendResult.errorResult)}`
+        : '';
+      throw new Error(`Transaction rejected with ${sendResult.status}${reason}`);
+    }
+
+    log.info('Transaction submitted');
+    const link = formatExplorerUrl(stellarConfig, sendResult.hash);
+    log.info(link ? `Transaction Link: ${link}` : `Transaction hash: ${sendResult.hash}`);
 
     return sendResult.hash;
   } catch (error) {
-    throw new Error(`Failed to submit transaction: ${error.message}`);
+    throw new ProofVerificationError(
+      `Failed to submit transaction: ${error.message}`,
+      { code: ERROR_CODES.TRANSACTION_FAILED, cause: error }
+    );
+  }
+}
+
+/**
+ * Converts a native value decoded from XDR to JSON-safe data
+ * @param {*} value - The native value
+ * @returns {*} The value, with bigints as strings and bytes as hex
+ */
+const toPlain = (value) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value).toString('hex');
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlain(item)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Converts a contract value to plain JSON-safe data
+ * @param {Object} scVal - The xdr.ScVal, e.g. a contract's return value
+ * @returns {*} The native value, null without one
+ */
+function toPlainValue(scVal) {
+  return scVal ? toPlain(StellarSdk.scValToNative(scVal)) : null;
+}
+
+/**
+ * Describes why a transaction failed, from its result
+ * @param {Object} result - xdr.TransactionResult
+ * @returns {string} The result code, with the host function's when present,
+ * e.g. 'txFailed (invokeHostFunctionTrapped)'
+ */
+function describeTransactionResult(result) {
+  try {
+    const code = result.result().switch().name;
+    let detail;
+    try {
+      detail = result
+        .result()
+        .results()[0]
+        .tr()
+        .invokeHostFunctionResult()
+        .switch().name;
+    } catch {
+      // Not an operation failure
+    }
+    return detail ? `${code} (${detail})` : code;
+  } catch {
+    return 'unknown result';
+  }
+}
+
+/**
+ * Reads the contract's return value and events from a transaction's meta
+ * @param {Object} meta - xdr.TransactionMeta (version 3 or 4)
+ * @returns {Object} { returnValue, events } with events as { contractId,
+ * topics, data }
+ */
+function readContractOutcome(meta) {
+  let soroban;
+  let events = [];
+
+  if (meta?.switch() === 3) {
+    soroban = meta.v3().sorobanMeta();
+    events = soroban?.events() ?? [];
+  } else if (meta?.switch() === 4) {
+    soroban = meta.v4().sorobanMeta();
+    events = meta
+      .v4()
+      .operations()
+      .flatMap((operation) => operation.events());
+  }
+
+  return {
+    returnValue: toPlainValue(soroban?.returnValue()),
+    events: events.map((event) => {
+      const body = event.body().v0();
+      const contractId = event.contractId();
+      return {
+        contractId: contractId
+          ? StellarSdk.StrKey.encodeContract(contractId)
+          : null,
+        topics: body.topics().map(toPlainValue),
+        data: toPlainValue(body.data()),
+      };
+    }),
+  };
+}
+
+/**
+ * Reads the CPU and memory counters from a simulation's diagnostic events
+ * @param {Object[]} events - xdr.DiagnosticEvent list
+ * @returns {Object} Counter values by name, e.g. { cpu_insn, mem_byte }
+ */
+function readCoreMetrics(events = []) {
+  const metrics = {};
+
+  events.forEach((event) => {
+    try {
+      const body = event.event().body().v0();
+      const [topic, name] = body.topics();
+      if (topic?.sym?.().toString() === 'core_metrics' && name) {
+        metrics[name.sym().toString()] = Number(body.data().u64().toString());
+      }
+    } catch {
+      // Not a metrics event
+    }
+  });
+
+  return metrics;
+}
+
+/**
+ * Summarizes a successful simulation
+ * @param {Object} simulation - Parsed simulateTransaction response
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @returns {Object} { returnValue, cpuInstructions, memoryBytes, readBytes,
+ * writeBytes, footprint: { readOnly, readWrite }, resourceFee,
+ * minResourceFee, minFee, latestLedger }; fees are in stroops
+ */
+function summarizeSimulation(simulation, stellarConfig) {
+  const data = simulation.transactionData.build();
+  const resources = data.resources();
+  const metrics = readCoreMetrics(simulation.events);
+  const describeKeys = (keys) =>
+    keys.map((key) => ({ type: key.switch().name, xdr: key.toXDR('base64') }));
+
+  return {
+    returnValue: toPlainValue(simulation.result?.retval),
+    cpuInstructions: metrics.cpu_insn ?? resources.instructions(),
+    memoryBytes: metrics.mem_byte ?? null,
+    readBytes: resources.diskReadBytes(),
+    writeBytes: resources.writeBytes(),
+    footprint: {
+      readOnly: describeKeys(resources.footprint().readOnly()),
+      readWrite: describeKeys(resources.footprint().readWrite()),
+    },
+    resourceFee: data.resourceFee().toString(),
+    minResourceFee: simulation.minResourceFee,
+    minFee: (
+      BigInt(stellarConfig.BASE_FEE) + BigInt(simulation.minResourceFee)
+    ).toString(),
+    latestLedger: simulation.latestLedger,
+  };
+}
+
+/**
+ * Simulates the verification transaction without signing or submitting it
+ * @param {Object} keypair - Stellar keypair of the source account
+ * @param {Object} proofData - Prepared proof data
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @param {Object} networkDetails - Network details (passphrase, etc.)
+ * @returns {Promise<Object>} The simulation report (see summarizeSimulation)
+ * @throws {ProofVerificationError} If the simulation cannot run or the contract call fails
+ */
+async function simulateVerificationTransaction(keypair, proofData, stellarConfig, networkDetails) {
+  let simulation;
+  try {
+    const rpcServer = getRpcServer(stellarConfig);
+    const tx = await buildVerificationTransaction(rpcServer, keypair, proofData, stellarConfig, networkDetails);
+
+    log.info('Simulating transaction...');
+    simulation = await rpcServer.simulateTransaction(tx);
+  } catch (error) {
+    throw new ProofVerificationError(
+      `Failed to simulate transaction: ${error.message}`,
+      { code: ERROR_CODES.TRANSACTION_FAILED, cause: error }
+    );
+  }
+
+  if (StellarSdk.rpc.Api.isSimulationError(simulation)) {
+    throw new ProofVerificationError(`Simulation failed: ${simulation.error}`, {
+      code: ERROR_CODES.TRANSACTION_FAILED,
+    });
   }
+
+  return summarizeSimulation(simulation, stellarConfig);
+}
+
+/**
+ * Prints a simulation report
+ * @param {Object} report - Report returned by verifyProof with simulate
+ */
+export function printSimulationReport(report) {
+  const { readOnly, readWrite } = report.footprint;
+  const xlm = (stroops) => `${stroops} stroops (${Number(stroops) / 1e7} XLM)`;
+
+  log.info('Simulation succeeded; nothing was signed or submitted');
+  log.info(`   Return value: ${JSON.stringify(report.returnValue)}`);
+  log.info(`   CPU instructions: ${report.cpuInstructions}`);
+  log.info(`   Memory bytes: ${report.memoryBytes ?? 'not reported'}`);
+  log.info(
+    `   Ledger footprint: ${readOnly.length} read-only, ${readWrite.length} read-write`
+  );
+  [...readOnly, ...readWrite].forEach(({ type, xdr }) => {
+    log.info(`      ${type} ${xdr}`);
+  });
+  log.info(`   Resource fee: ${xlm(report.resourceFee)}`);
+  log.info(`   Minimum fee: ${xlm(report.minFee)}`);
 }
 
 /**
  * Main function to verify a proof on the Stellar blockchain
  * @param {string} proofPath - Path to the proof file
- * @param {string} network - Network to use ('testnet' or 'mainnet')
+ * @param {string} network - Network profile to use: testnet, mainnet, futurenet, local or one from the network file (see networks.js)
+ * @param {Object} options - Verification options
+ * @param {boolean} options.verifyLocally - Check signatures offline before submitting (default true)
+ * @param {string[]} options.attestors - Allowed attestors (default: the network's ATTESTORS)
+ * @param {number} options.minWitnesses - Distinct attestor signatures required (default: the network's MIN_WITNESSES)
+ * @param {boolean} options.allowStale - Accept proofs older than their max age, to replay historical proofs
+ * @param {number} options.maxAgeS - Max proof age in seconds (default: the provider's maxAgeS)
+ * @param {boolean} options.simulate - Stop after simulating the transaction: nothing is signed or submitted
+ * @param {string} options.signer - Named signer from the signer file (default: STELLAR_SECRET_KEY, else SEEDPHRASE)
+ * @param {number} options.accountIndex - Account of the signer's seed phrase to sign with (default: the signer's, else 0)
+ * @param {boolean} options.waitForConfirmation - Poll until the transaction is in a ledger (default true); without it the receipt has status SUBMITTED and no receipt file is saved
+ * @returns {Promise<Object>} Receipt of the confirmed transaction (see waitForTransaction) with the receiptPath it was saved to (null if saving failed), or with simulate the simulation report: { network, contractId, returnValue, cpuInstructions, memoryBytes, readBytes, writeBytes, footprint, resourceFee, minResourceFee, minFee, latestLedger }
  */
-export async function verifyProof(proofPath = CONFIG.PATHS.PROOF_FILE, network = 'testnet') {
+export async function verifyProof(proofPath = CONFIG.PATHS.PROOF_FILE, network = 'testnet', { verifyLocally = true, attestors, minWitnesses, allowStale = false, maxAgeS, simulate = false, signer, accountIndex, waitForConfirmation = true } = {}) {
   try {
     const { stellarConfig, networkDetails } = getNetworkConfig(network);
-    console.log(`Starting proof verification on ${network.toUpperCase()}...`);
+    log.info(`Starting proof verification on ${network.toUpperCase()}...`);
+    if (!stellarConfig.CONTRACT_ID) {
+      throw new Error(
+        `No verifier contract for network ${network}: set ${envOverrideName(network, 'CONTRACT_ID')} or a profile's contractId in ${CONFIG.PATHS.NETWORKS_FILE}`
+      );
+    }
 
     // Load proof first (validate before wallet creation)
-    const proof = loadProof(proofPath);
+    const { raw, proof } = loadProof(proofPath, { verifyLocally });
+
+    // Refuse stale proofs unless replaying one on purpose
+    enforceFreshness(raw, { allowStale, maxAgeS });
+
+    // Refuse implausible extracted values
+    enforceAssertions(raw);
+
+    // Refuse proofs without enough allowed attestor signatures
+    const policy = resolveWitnessPolicy(stellarConfig, { attestors, minWitnesses });
+    const qualifying = enforceWitnessPolicy(raw, policy);
 
     // Prepare proof data
-    const proofData = prepareProofData(proof);
+    const proofData = prepareProofData(
+      proof,
+      qualifying.map(({ index }) => index)
+    );
 
     // Create wallet
-    const { keypair } = createStellarWallet();
-    console.log(`Wallet address: ${keypair.publicKey()}`);
+    const wallet = await resolveSigner({ signer, accountIndex });
+    const { keypair } = wallet;
+    log.info(`Wallet address: ${keypair.publicKey()} (${describeSigner(wallet)})`);
+
+    // Report what the contract call would do and cost, without submitting
+    if (simulate) {
+      const report = {
+        network,
+        contractId: stellarConfig.CONTRACT_ID,
+        ...(await simulateVerificationTransaction(keypair, proofData, stellarConfig, networkDetails)),
+      };
+      printSimulationReport(report);
+      return report;
+    }
 
     // Submit transaction
     const txHash = await submitVerificationTransaction(keypair, proofData, stellarConfig, networkDetails);
 
-    console.log('Proof verification completed successfully!');
-    return txHash;
+    if (!waitForConfirmation) {
+      log.info(`Transaction ${txHash} submitted; not waiting for confirmation`);
+      return {
+        hash: txHash,
+        status: 'SUBMITTED',
+        ledger: null,
+        createdAt: null,
+        returnValue: null,
+        events: [],
+        feeCharged: null,
+        result: null,
+        receiptPath: null,
+      };
+    }
+
+    // Wait for the ledger's verdict before reporting success
+    const receipt = await waitForTransaction(txHash, network);
+    if (receipt.status === 'NOT_FOUND') {
+      throw new ProofVerificationError(
+        `Transaction ${txHash} was not confirmed in time; check it with the explorer later`,
+        { code: ERROR_CODES.TRANSACTION_FAILED, receipt }
+      );
+    }
+    if (receipt.status === 'FAILED') {
+      throw new ProofVerificationError(
+        `Transaction ${txHash} failed: ${receipt.result}`,
+        { code: ERROR_CODES.TRANSACTION_FAILED, receipt }
+      );
+    }
+    if (receipt.returnValue === false) {
+      throw new ProofVerificationError(
+        `Contract rejected the proof in transaction ${txHash}`,
+        { code: ERROR_CODES.TRANSACTION_FAILED, receipt }
+      );
+    }
+    log.info(
+      `Contract returned ${JSON.stringify(receipt.returnValue)}; fee charged ${receipt.feeCharged} stroops`
+    );
+    receipt.events.forEach(({ topics, data }) => {
+      const names = topics.map((topic) => JSON.stringify(topic)).join(' ');
+      log.info(`   Event ${names}: ${JSON.stringify(data)}`);
+    });
+
+    // Keep a record of the verification next to the proof
+    let receiptPath = null;
+    try {
+      receiptPath = saveReceipt(
+        buildReceipt(raw, {
+          proofPath,
+          network,
+          contractId: stellarConfig.CONTRACT_ID,
+          explorerUrl: formatExplorerUrl(stellarConfig, receipt.hash),
+          receipt,
+        })
+      );
+      log.info(`Receipt saved to ${receiptPath}`);
+    } catch (error) {
+      log.warn(`Warning: ${error.message}`);
+    }
+
+    log.info('Proof verification completed successfully!');
+    return { ...receipt, receiptPath };
   } catch (error) {
-    console.error('Error verifying proof:', error.message);
+    log.error('Error verifying proof:', error.message);
     throw error;
   }
 }
 
 /**
- * Parses CLI arguments for network selection and proof path
- * @returns {Object} { network: 'testnet' | 'mainnet', proofPath: string }
+ * Polls a submitted transaction until it lands in a ledger or the timeout
+ * passes
+ * @param {string} txHash - Transaction hash
+ * @param {string} network - Network profile to use (default 'testnet')
+ * @param {Object} options - Polling options
+ * @param {number} options.timeoutMs - How long to wait (default CONFIG.CONFIRMATION.TIMEOUT_MS)
+ * @param {number} options.intervalMs - Delay between polls (default CONFIG.CONFIRMATION.POLL_INTERVAL_MS)
+ * @returns {Promise<Object>} Receipt: { hash, status, ledger, createdAt, returnValue, events, feeCharged, result }. status is SUCCESS or FAILED, or NOT_FOUND if the timeout passed first (the other fields are then null or empty); feeCharged is in stroops and result is the transaction result code
+ * @throws {ProofVerificationError} If the status still cannot be read when the timeout passes (code TRANSACTION_FAILED)
  */
-function parseCliArgs() {
-  const args = process.argv.slice(2);
-  let network = 'testnet'; // default
-  let proofPath = CONFIG.PATHS.PROOF_FILE;
-
-  for (const arg of args) {
-    if (arg === '--mainnet') {
-      network = 'mainnet';
-    } else if (arg === '--testnet') {
-      network = 'testnet';
-    } else if (!arg.startsWith('--')) {
-      proofPath = arg;
+export async function waitForTransaction(txHash, network = 'testnet', { timeoutMs = CONFIG.CONFIRMATION.TIMEOUT_MS, intervalMs = CONFIG.CONFIRMATION.POLL_INTERVAL_MS } = {}) {
+  const { stellarConfig } = getNetworkConfig(network);
+  const rpcServer = getRpcServer(stellarConfig);
+  const deadline = Date.now() + timeoutMs;
+
+  log.info(`Waiting for transaction ${txHash} to be confirmed...`);
+
+  for (;;) {
+    let response;
+    try {
+      response = await rpcServer.getTransaction(txHash);
+    } catch (error) {
+      // The transaction is already submitted, so a blip in the RPC connection
+      // must not end the wait; only give up at the deadline
+      if (Date.now() >= deadline) {
+        throw new ProofVerificationError(
+          `Failed to get transaction status: ${error.message}; check ${txHash} with the explorer later`,
+          { code: ERROR_CODES.TRANSACTION_FAILED, cause: error }
+        );
+      }
+      log.warn(`Warning: failed to get transaction status: ${error.message}; retrying`);
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      continue;
     }
-  }
 
-  return { network, proofPath };
+    if (response.status !== 'NOT_FOUND') {
+      log.info(`Transaction ${response.status} in ledger ${response.ledger}`);
+      return {
+        hash: txHash,
+        status: response.status,
+        ledger: response.ledger,
+        createdAt: response.createdAt
+          ? new Date(response.createdAt * 1000).toISOString()
+          : null,
+        ...readContractOutcome(response.resultMetaXdr),
+        feeCharged: response.resultXdr?.feeCharged().toString() ?? null,
+        result: response.resultXdr
+          ? describeTransactionResult(response.resultXdr)
+          : null,
+      };
+    }
+
+    if (Date.now() >= deadline) {
+      log.warn(`Transaction not confirmed after ${timeoutMs}ms`);
+      return {
+        hash: txHash,
+        status: 'NOT_FOUND',
+        ledger: null,
+        createdAt: null,
+        returnValue: null,
+        events: [],
+        feeCharged: null,
+        result: null,
+      };
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
 }
 
 /**
  * Gets network configuration based on network name
- * @param {string} network - 'testnet' or 'mainnet'
+ * @param {string} network - Network profile name
  * @returns {Object} { stellarConfig, networkDetails }
+ * @throws {UsageError} If no network has that name
  */
 function getNetworkConfig(network) {
-  if (network === 'mainnet') {
-    return {
-      stellarConfig: CONFIG.STELLAR_MAINNET,
-      networkDetails: CONFIG.MAINNET_DETAILS,
-    };
-  }
-  return {
-    stellarConfig: CONFIG.STELLAR_TESTNET,
-    networkDetails: CONFIG.TESTNET_DETAILS,
-  };
+  const { stellarConfig, networkDetails } = resolveNetwork(network);
+  return { stellarConfig, networkDetails };
 }
 
 /**
- * CLI entry point
+ * Connects to a network's Soroban RPC server
+ * @param {Object} stellarConfig - Stellar network configuration
+ * @returns {Object} The RPC server, allowing plain HTTP for local networks
  */
-async function main() {
-  try {
-    const { network, proofPath } = parseCliArgs();
-    await verifyProof(proofPath, network);
-    process.exit(0);
-  } catch (error) {
-    console.error('Fatal error:', error.message);
-    process.exit(1);
-  }
+function getRpcServer(stellarConfig) {
+  const url = stellarConfig.SOROBAN_RPC_URL;
+  return new StellarSdk.rpc.Server(url, { allowHttp: url.startsWith('http://') });
 }
 
 // Export for testing
-export { main, bytesN, parseCliArgs, getNetworkConfig };
-
-// Run if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
-}
+export { bytesN, getNetworkConfig };
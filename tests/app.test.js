@@ -1,4 +1,4 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { CONFIG } from '../src/config.js';
 
 const fsMocks = vi.hoisted(() => ({
@@ -25,11 +25,14 @@ const loadAccountMock = vi.hoisted(() => vi.fn());
 const prepareTransactionMock = vi.hoisted(() => vi.fn());
 const sendTransactionMock = vi.hoisted(() => vi.fn());
 const contractCallMock = vi.hoisted(() => vi.fn());
+const getTransactionMock = vi.hoisted(() => vi.fn());
+const simulateTransactionMock = vi.hoisted(() => vi.fn());
 
-vi.mock('fs', () => ({
-  default: fsMocks,
-  ...fsMocks,
-}));
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
 
 vi.mock('@reclaimprotocol/zk-fetch', () => ({
   ReclaimClient: ReclaimClientMock,
@@ -78,11 +81,15 @@ const stellarSdkMock = {
   },
   TimeoutInfinite: 'TimeoutInfinite',
   nativeToScVal: vi.fn((value) => value),
+  scValToNative: vi.fn((value) => value),
   rpc: {
+    Api: { isSimulationError: (simulation) => 'error' in simulation },
     Server: class {
       constructor() {
         this.prepareTransaction = prepareTransactionMock;
         this.sendTransaction = sendTransactionMock;
+        this.getTransaction = getTransactionMock;
+        this.simulateTransaction = simulateTransactionMock;
         this.getAccount = vi.fn().mockResolvedValue({ sequence: '12345' });
       }
     },
@@ -96,6 +103,16 @@ vi.mock('stellar-sdk', () => ({
   ...stellarSdkMock,
 }));
 
+// A real zkFetch proof, so local signature checks pass
+const actualFs = await vi.importActual('fs');
+const PROOF_JSON = actualFs.readFileSync(
+  new URL('./fixtures/signed-proof.json', import.meta.url),
+  'utf8'
+);
+// Half a minute after the fixture was signed, so it counts as fresh
+const PROOF_TIME_MS =
+  (JSON.parse(PROOF_JSON).claimData.timestampS + 30) * 1000;
+
 beforeEach(() => {
   vi.clearAllMocks();
   process.env.SEEDPHRASE = 'test seed phrase';
@@ -103,9 +120,7 @@ beforeEach(() => {
   fsMocks.existsSync.mockReturnValue(true);
   fsMocks.statSync.mockReturnValue({ isDirectory: () => true });
   fsMocks.writeFileSync.mockImplementation(() => {});
-  fsMocks.readFileSync.mockImplementation(() =>
-    JSON.stringify({ signatures: ['0xabc'] })
-  );
+  fsMocks.readFileSync.mockImplementation(() => PROOF_JSON);
 
   zkFetchMock.mockResolvedValue({
     extractedParameterValues: { price: '1.23' },
@@ -116,7 +131,9 @@ beforeEach(() => {
     balances: [{ balance: '10' }],
   });
   prepareTransactionMock.mockResolvedValue({ sign: vi.fn() });
-  sendTransactionMock.mockResolvedValue({ hash: 'txhash' });
+  sendTransactionMock.mockResolvedValue({ status: 'PENDING', hash: 'txhash' });
+  getTransactionMock.mockResolvedValue({ status: 'SUCCESS', ledger: 42 });
+  stellarSdkMock.scValToNative.mockImplementation((value) => value);
   contractCallMock.mockReturnValue({ op: 'call' });
 
   transformForOnchainMock.mockReturnValue({
@@ -227,6 +244,9 @@ describe('requestProof', () => {
   });
 
   it('routes remaining proof types', async () => {
+    zkFetchMock.mockResolvedValue({
+      extractedParameterValues: { tempInC: '21', score1: '2', score2: '1' },
+    });
     const { requestProof } = await import('../src/requestProof.js');
     await requestProof('./src/proof.json', 'trading-economics');
     await requestProof('./src/proof.json', 'accuweather');
@@ -249,6 +269,64 @@ describe('requestProof', () => {
     );
   });
 
+  it('saves typed normalizedValues next to the raw proof', async () => {
+    zkFetchMock.mockResolvedValueOnce({
+      claimData: { provider: 'http' },
+      extractedParameterValues: { city: '"New York"', tempInC: '21' },
+    });
+    const { requestProof } = await import('../src/requestProof.js');
+    const proof = await requestProof('./src/proof.json', 'accuweather');
+
+    const saved = JSON.parse(fsMocks.writeFileSync.mock.calls[0][1]);
+    expect(saved).toEqual({
+      claimData: { provider: 'http' },
+      extractedParameterValues: { city: '"New York"', tempInC: '21' },
+      normalizedValues: { city: 'New York', tempInC: 21, tempInF: 69.8 },
+    });
+    expect(proof.normalizedValues).toEqual(saved.normalizedValues);
+  });
+
+  it('saves the proof without normalizedValues when they fail', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { registerProvider } = await import('../src/providers/index.js');
+    registerProvider({
+      name: 'visitor-count',
+      description: 'Visitor count',
+      url: 'https://example.com/visitors',
+      responseMatches: [{ type: 'regex', value: '(?<visitors>\\d+\\.?\\d*)' }],
+      normalize: { visitors: 'integer' },
+    });
+    zkFetchMock.mockResolvedValueOnce({
+      claimData: { provider: 'http' },
+      extractedParameterValues: { visitors: '1.5' },
+    });
+    const { requestProof } = await import('../src/requestProof.js');
+    const proof = await requestProof('./src/proof.json', 'visitor-count');
+
+    const saved = JSON.parse(fsMocks.writeFileSync.mock.calls[0][1]);
+    expect(saved).toEqual({
+      claimData: { provider: 'http' },
+      extractedParameterValues: { visitors: '1.5' },
+    });
+    expect(proof.normalizedValues).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledWith(
+      "Warning: saving the proof without normalizedValues: Failed to normalize visitors: '1.5' is not an integer"
+    );
+  });
+
+  it('refuses to save proofs with implausible values', async () => {
+    zkFetchMock.mockResolvedValueOnce({
+      extractedParameterValues: { price: '250' },
+    });
+    const { requestProof } = await import('../src/requestProof.js');
+    await expect(requestProof('./src/proof.json')).rejects.toMatchObject({
+      code: 'VALUE_ASSERTION_FAILED',
+      message:
+        'Implausible values in stellar proof: price must be at most 10 (max), got "250"',
+    });
+    expect(fsMocks.writeFileSync).not.toHaveBeenCalled();
+  });
+
   it('throws when goal proof generation fails', async () => {
     zkFetchMock.mockRejectedValueOnce(new Error('goal fail'));
     const { requestProof } = await import('../src/requestProof.js');
@@ -324,7 +402,111 @@ describe('requestProof', () => {
   });
 });
 
+describe('requestCustomProof', () => {
+  const customOptions = {
+    url: 'https://api.example.com/data',
+    method: 'post',
+    headers: ['accept: application/json', 'x-trace: a:b'],
+    matches: ['"value":(?<value>\\d+)'],
+    redactions: ['"value":\\d+'],
+    contextMessage: 'example',
+  };
+
+  it('builds the zkFetch call from the custom options', async () => {
+    zkFetchMock.mockResolvedValueOnce({
+      extractedParameterValues: { value: '7' },
+    });
+    const { requestCustomProof } = await import('../src/requestProof.js');
+    const proof = await requestCustomProof('./src/proof.json', customOptions);
+
+    expect(proof.extractedParameterValues).toEqual({ value: '7' });
+    expect(zkFetchMock).toHaveBeenCalledWith(
+      'https://api.example.com/data',
+      {
+        method: 'POST',
+        headers: { accept: 'application/json', 'x-trace': 'a:b' },
+        context: { contextAddress: '0x0', contextMessage: 'example' },
+      },
+      {
+        responseMatches: [{ type: 'regex', value: '"value":(?<value>\\d+)' }],
+        responseRedactions: [{ regex: '"value":\\d+' }],
+      }
+    );
+    expect(fsMocks.writeFileSync).toHaveBeenCalledWith(
+      './src/proof.json',
+      expect.any(String)
+    );
+  });
+
+  it('rejects invalid regexes before any network call', async () => {
+    const { requestCustomProof } = await import('../src/requestProof.js');
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        matches: ['(?<value>[0-9+'],
+      })
+    ).rejects.toThrow("Invalid --match regex '(?<value>[0-9+'");
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        redactions: ['(unclosed'],
+      })
+    ).rejects.toThrow('Invalid --redact regex');
+    expect(ReclaimClientMock).not.toHaveBeenCalled();
+    expect(zkFetchMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects match regexes without a named capture group', async () => {
+    const { requestCustomProof } = await import('../src/requestProof.js');
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        matches: ['(?<=price)(\\d+)'],
+      })
+    ).rejects.toThrow('must contain a named capture group');
+    expect(ReclaimClientMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid url, method, headers and missing matches', async () => {
+    const { requestCustomProof } = await import('../src/requestProof.js');
+    await expect(
+      requestCustomProof('./src/proof.json', { ...customOptions, url: 'nope' })
+    ).rejects.toThrow('Invalid --url: nope');
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        url: 'ftp://example.com',
+      })
+    ).rejects.toThrow('Unsupported URL protocol: ftp:');
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        method: 'FETCH',
+      })
+    ).rejects.toThrow('Unsupported HTTP method: FETCH');
+    await expect(
+      requestCustomProof('./src/proof.json', {
+        ...customOptions,
+        headers: ['no separator'],
+      })
+    ).rejects.toThrow("Invalid header 'no separator'");
+    await expect(
+      requestCustomProof('./src/proof.json', { url: customOptions.url })
+    ).rejects.toThrow('At least one --match regex is required');
+    expect(zkFetchMock).not.toHaveBeenCalled();
+  });
+
+});
+
 describe('verifyProof', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'], now: PROOF_TIME_MS });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
   it('throws if proof file is missing', async () => {
     fsMocks.existsSync.mockReturnValue(false);
     const { verifyProof } = await import('../src/verifyProof.js');
@@ -387,15 +569,447 @@ describe('verifyProof', () => {
     );
   });
 
-  it('verifies proof and returns transaction hash', async () => {
+  it('rejects proofs that fail local verification before submitting', async () => {
+    const proof = JSON.parse(PROOF_JSON);
+    proof.claimData.epoch = 2;
+    fsMocks.readFileSync.mockImplementationOnce(() => JSON.stringify(proof));
+    const { verifyProof } = await import('../src/verifyProof.js');
+    await expect(verifyProof('./src/proof.json')).rejects.toThrow(
+      'Failed to load proof: Local verification failed: Signature 1 was signed by'
+    );
+    expect(transformForOnchainMock).not.toHaveBeenCalled();
+    expect(sendTransactionMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects proofs whose parameters were edited with a diff', async () => {
+    const proof = JSON.parse(PROOF_JSON);
+    proof.claimData.parameters = proof.claimData.parameters.replace(
+      'ids=stellar',
+      'ids=bitcoin'
+    );
+    fsMocks.readFileSync.mockImplementationOnce(() => JSON.stringify(proof));
+    const { verifyProof } = await import('../src/verifyProof.js');
+    const error = await verifyProof('./src/proof.json').catch((e) => e);
+
+    expect(error.message).toContain(
+      'Failed to load proof: Proof does not match its signed claim:\n' +
+        '  claimData.identifier (claimData.provider, parameters or context was modified)\n' +
+        `  - "${proof.claimData.identifier}"\n  + "0x`
+    );
+    expect(sendTransactionMock).not.toHaveBeenCalled();
+  });
+
+  it('skips local verification when disabled', async () => {
+    const proof = JSON.parse(PROOF_JSON);
+    proof.witnesses = [];
+    fsMocks.readFileSync.mockImplementationOnce(() => JSON.stringify(proof));
+    const { verifyProof } = await import('../src/verifyProof.js');
+    const receipt = await verifyProof('./src/proof.json', 'testnet', {
+      verifyLocally: false,
+    });
+
+    expect(receipt.hash).toBe('txhash');
+  });
+
+  it('refuses proofs below the witness threshold before building a transaction', async () => {
+    const { verifyProof } = await import('../src/verifyProof.js');
+    await expect(
+      verifyProof('./src/proof.json', 'testnet', { minWitnesses: 2 })
+    ).rejects.toThrow(
+      'Witness policy not met: 1 of 2 required attestor signature(s)'
+    );
+    expect(contractCallMock).not.toHaveBeenCalled();
+    expect(prepareTransactionMock).not.toHaveBeenCalled();
+  });
+
+  it('refuses proofs signed by attestors outside the allowlist', async () => {
+    const { verifyProof } = await import('../src/verifyProof.js');
+    await expect(
+      verifyProof('./src/proof.json', 'mainnet', {
+        attestors: ['0x0000000000000000000000000000000000000001'],
+      })
+    ).rejects.toThrow(
+      'Witness policy not met: 0 of 1 required attestor signature(s); ' +
+        'signature 1 from 0x244897572368eadf65bfbc5aec98d8e5443a9072: not an allowed attestor'
+    );
+    await expect(
+      verifyProof('./src/proof.json', 'testnet', { minWitnesses: 0 })
+    ).rejects.toThrow('Minimum witnesses must be a positive integer, got 0');
+    expect(contractCallMock).not.toHaveBeenCalled();
+  });
+
+  it('submits every qualifying signature to a multi-signature function', async () => {
+    CONFIG.STELLAR_TESTNET.MULTI_SIGNATURE_FUNCTION = 'verify_proof_multi';
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    try {
+      await verifyProof('./src/proof.json');
+    } finally {
+      CONFIG.STELLAR_TESTNET.MULTI_SIGNATURE_FUNCTION = null;
+    }
+
+    const [fn, message, signatures, recIds] = contractCallMock.mock.calls[0];
+    expect(fn).toBe('verify_proof_multi');
+    expect(message).toHaveLength(32);
+    expect(signatures).toEqual([Buffer.from('a'.repeat(128), 'hex')]);
+    expect(recIds).toEqual([0]);
+  });
+
+  it('refuses to submit proofs with implausible values', async () => {
+    const proof = JSON.parse(PROOF_JSON);
+    proof.extractedParameterValues.price = '25';
+    fsMocks.readFileSync.mockImplementationOnce(() => JSON.stringify(proof));
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(
+      verifyProof('./src/proof.json', 'testnet', { verifyLocally: false })
+    ).rejects.toThrow(
+      'Implausible values in stellar proof: price must be at most 10 (max), got "25"'
+    );
+    expect(contractCallMock).not.toHaveBeenCalled();
+  });
+
+  it('refuses stale proofs unless replaying them on purpose', async () => {
+    vi.setSystemTime(PROOF_TIME_MS + 3600 * 1000);
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(verifyProof('./src/proof.json')).rejects.toThrow(
+      'Proof is stale: issued 1h 30s ago'
+    );
+    expect(contractCallMock).not.toHaveBeenCalled();
+
+    const receipt = await verifyProof('./src/proof.json', 'testnet', {
+      allowStale: true,
+    });
+    expect(receipt.hash).toBe('txhash');
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Warning: proof is 1h 30s old, past its 1m limit; verifying anyway (--allow-stale)'
+    );
+    warnSpy.mockRestore();
+  });
+
+  it('reports the simulated result and fees without submitting', async () => {
+    const { default: ActualSdk } = await vi.importActual('stellar-sdk');
+    const { xdr } = ActualSdk;
+    const metric = (name, value) =>
+      new xdr.DiagnosticEvent({
+        inSuccessfulContractCall: true,
+        event: new xdr.ContractEvent({
+          ext: new xdr.ExtensionPoint(0),
+          contractId: null,
+          type: xdr.ContractEventType.diagnostic(),
+          body: new xdr.ContractEventBody(
+            0,
+            new xdr.ContractEventV0({
+              topics: [
+                xdr.ScVal.scvSymbol('core_metrics'),
+                xdr.ScVal.scvSymbol(name),
+              ],
+              data: xdr.ScVal.scvU64(new xdr.Uint64(value)),
+            })
+          ),
+        }),
+      });
+    const footprintKey = xdr.LedgerKey.contractCode(
+      new xdr.LedgerKeyContractCode({ hash: Buffer.alloc(32) })
+    );
+    simulateTransactionMock.mockResolvedValue({
+      latestLedger: 42,
+      minResourceFee: '51234',
+      result: { retval: true },
+      events: [metric('cpu_insn', 1200000), metric('mem_byte', 345678)],
+      transactionData: new ActualSdk.SorobanDataBuilder()
+        .setResources(1300000, 2048, 0)
+        .setReadOnly([footprintKey])
+        .setResourceFee(51234),
+    });
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    const report = await verifyProof('./src/proof.json', 'mainnet', {
+      simulate: true,
+    });
+
+    expect(report).toEqual({
+      network: 'mainnet',
+      contractId: CONFIG.STELLAR_MAINNET.CONTRACT_ID,
+      returnValue: true,
+      cpuInstructions: 1200000,
+      memoryBytes: 345678,
+      readBytes: 2048,
+      writeBytes: 0,
+      footprint: {
+        readOnly: [{ type: 'contractCode', xdr: footprintKey.toXDR('base64') }],
+        readWrite: [],
+      },
+      resourceFee: '51234',
+      minResourceFee: '51234',
+      minFee: '51334',
+      latestLedger: 42,
+    });
+    expect(prepareTransactionMock).not.toHaveBeenCalled();
+    expect(sendTransactionMock).not.toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledWith(
+      '   Minimum fee: 51334 stroops (0.0051334 XLM)'
+    );
+    logSpy.mockRestore();
+  });
+
+  it('fails when the simulated contract call fails', async () => {
+    simulateTransactionMock.mockResolvedValue({
+      latestLedger: 42,
+      events: [],
+      error: 'HostError: Error(Contract, #1)',
+    });
     const { verifyProof } = await import('../src/verifyProof.js');
-    const txHash = await verifyProof('./src/proof.json');
 
-    expect(txHash).toBe('txhash');
+    await expect(
+      verifyProof('./src/proof.json', 'testnet', { simulate: true })
+    ).rejects.toMatchObject({
+      code: 'TRANSACTION_FAILED',
+      message: 'Simulation failed: HostError: Error(Contract, #1)',
+    });
+    expect(sendTransactionMock).not.toHaveBeenCalled();
+  });
+
+  it('refuses networks without a verifier contract', async () => {
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(verifyProof('./src/proof.json', 'local')).rejects.toThrow(
+      "No verifier contract for network local: set LOCAL_CONTRACT_ID or a profile's contractId in ./zkfetch.networks.json"
+    );
+    expect(sendTransactionMock).not.toHaveBeenCalled();
+  });
+
+  it('verifies proof and returns the receipt', async () => {
+    const { verifyProof } = await import('../src/verifyProof.js');
+    const receipt = await verifyProof('./src/proof.json');
+
+    expect(receipt).toMatchObject({
+      hash: 'txhash',
+      status: 'SUCCESS',
+      ledger: 42,
+      receiptPath: './src/proof.testnet.txhash.receipt.json',
+    });
+    expect(fsMocks.writeFileSync).toHaveBeenCalledWith(
+      './src/proof.testnet.txhash.receipt.json',
+      expect.stringContaining('"transactionHash": "txhash"')
+    );
     expect(transformForOnchainMock).toHaveBeenCalled();
     expect(prepareTransactionMock).toHaveBeenCalled();
     expect(sendTransactionMock).toHaveBeenCalled();
   });
+
+  it('returns once submitted without waitForConfirmation', async () => {
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(
+      verifyProof('./src/proof.json', 'testnet', { waitForConfirmation: false })
+    ).resolves.toMatchObject({
+      hash: 'txhash',
+      status: 'SUBMITTED',
+      ledger: null,
+      receiptPath: null,
+    });
+    expect(sendTransactionMock).toHaveBeenCalled();
+    expect(getTransactionMock).not.toHaveBeenCalled();
+    expect(fsMocks.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  it('decodes the return value, events and fee of the transaction', async () => {
+    const { default: ActualSdk } = await vi.importActual('stellar-sdk');
+    const { xdr } = ActualSdk;
+    stellarSdkMock.scValToNative.mockImplementation(ActualSdk.scValToNative);
+    stellarSdkMock.StrKey = ActualSdk.StrKey;
+    const event = new xdr.ContractEvent({
+      ext: new xdr.ExtensionPoint(0),
+      contractId: Buffer.alloc(32, 1),
+      type: xdr.ContractEventType.contract(),
+      body: new xdr.ContractEventBody(
+        0,
+        new xdr.ContractEventV0({
+          topics: [xdr.ScVal.scvSymbol('verified')],
+          data: xdr.ScVal.scvU64(new xdr.Uint64(7)),
+        })
+      ),
+    });
+    getTransactionMock.mockResolvedValue({
+      status: 'SUCCESS',
+      ledger: 42,
+      createdAt: 1767607200,
+      resultMetaXdr: new xdr.TransactionMeta(
+        3,
+        new xdr.TransactionMetaV3({
+          ext: new xdr.ExtensionPoint(0),
+          txChangesBefore: [],
+          operations: [],
+          txChangesAfter: [],
+          sorobanMeta: new xdr.SorobanTransactionMeta({
+            ext: new xdr.SorobanTransactionMetaExt(0),
+            events: [event],
+            returnValue: xdr.ScVal.scvBool(true),
+            diagnosticEvents: [],
+          }),
+        })
+      ),
+      resultXdr: new xdr.TransactionResult({
+        feeCharged: new xdr.Int64(51334),
+        result: xdr.TransactionResultResult.txSuccess([]),
+        ext: new xdr.TransactionResultExt(0),
+      }),
+    });
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(verifyProof('./src/proof.json')).resolves.toEqual({
+      hash: 'txhash',
+      status: 'SUCCESS',
+      ledger: 42,
+      createdAt: '2026-01-05T10:00:00.000Z',
+      returnValue: true,
+      events: [
+        {
+          contractId: ActualSdk.StrKey.encodeContract(Buffer.alloc(32, 1)),
+          topics: ['verified'],
+          data: '7',
+        },
+      ],
+      feeCharged: '51334',
+      result: 'txSuccess',
+      receiptPath: './src/proof.testnet.txhash.receipt.json',
+    });
+    expect(logSpy).toHaveBeenCalledWith(
+      'Contract returned true; fee charged 51334 stroops'
+    );
+    logSpy.mockRestore();
+  });
+
+  it('fails when the transaction is refused or fails in the ledger', async () => {
+    const { default: ActualSdk } = await vi.importActual('stellar-sdk');
+    const { xdr } = ActualSdk;
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    sendTransactionMock.mockResolvedValueOnce({
+      status: 'TRY_AGAIN_LATER',
+      hash: 'txhash',
+    });
+    await expect(verifyProof('./src/proof.json')).rejects.toMatchObject({
+      code: 'TRANSACTION_FAILED',
+      message: 'Failed to submit transaction: Transaction rejected with TRY_AGAIN_LATER',
+    });
+    expect(getTransactionMock).not.toHaveBeenCalled();
+
+    getTransactionMock.mockResolvedValue({
+      status: 'FAILED',
+      ledger: 43,
+      resultXdr: new xdr.TransactionResult({
+        feeCharged: new xdr.Int64(100),
+        result: xdr.TransactionResultResult.txFailed([
+          xdr.OperationResult.opInner(
+            xdr.OperationResultTr.invokeHostFunction(
+              xdr.InvokeHostFunctionResult.invokeHostFunctionTrapped()
+            )
+          ),
+        ]),
+        ext: new xdr.TransactionResultExt(0),
+      }),
+    });
+    const error = await verifyProof('./src/proof.json').catch((e) => e);
+    expect(error).toMatchObject({
+      code: 'TRANSACTION_FAILED',
+      message: 'Transaction txhash failed: txFailed (invokeHostFunctionTrapped)',
+      receipt: { status: 'FAILED', ledger: 43, feeCharged: '100' },
+    });
+  });
+
+  it('fails when the contract rejects the proof', async () => {
+    const { default: ActualSdk } = await vi.importActual('stellar-sdk');
+    stellarSdkMock.scValToNative.mockImplementation(ActualSdk.scValToNative);
+    getTransactionMock.mockResolvedValue({
+      status: 'SUCCESS',
+      ledger: 42,
+      resultMetaXdr: {
+        switch: () => 3,
+        v3: () => ({
+          sorobanMeta: () => ({
+            events: () => [],
+            returnValue: () => ActualSdk.xdr.ScVal.scvBool(false),
+          }),
+        }),
+      },
+    });
+    const { verifyProof } = await import('../src/verifyProof.js');
+
+    await expect(verifyProof('./src/proof.json')).rejects.toMatchObject({
+      code: 'TRANSACTION_FAILED',
+      message: 'Contract rejected the proof in transaction txhash',
+      receipt: { returnValue: false },
+    });
+  });
+});
+
+describe('waitForTransaction', () => {
+  it('polls until the transaction is in a ledger', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    getTransactionMock
+      .mockResolvedValueOnce({ status: 'NOT_FOUND' })
+      .mockResolvedValueOnce({ status: 'SUCCESS', ledger: 42 });
+    const { waitForTransaction } = await import('../src/verifyProof.js');
+
+    await expect(
+      waitForTransaction('txhash', 'testnet', { intervalMs: 0 })
+    ).resolves.toMatchObject({ hash: 'txhash', status: 'SUCCESS', ledger: 42 });
+    expect(getTransactionMock).toHaveBeenCalledTimes(2);
+    expect(getTransactionMock).toHaveBeenCalledWith('txhash');
+  });
+
+  it('gives up after the timeout', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    getTransactionMock.mockResolvedValue({ status: 'NOT_FOUND' });
+    const { waitForTransaction } = await import('../src/verifyProof.js');
+
+    await expect(
+      waitForTransaction('txhash', 'mainnet', { timeoutMs: 0 })
+    ).resolves.toEqual({
+      hash: 'txhash',
+      status: 'NOT_FOUND',
+      ledger: null,
+      createdAt: null,
+      returnValue: null,
+      events: [],
+      feeCharged: null,
+      result: null,
+    });
+    expect(warnSpy).toHaveBeenCalledWith('Transaction not confirmed after 0ms');
+  });
+
+  it('keeps polling through RPC errors until the timeout', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    getTransactionMock
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 'SUCCESS', ledger: 42 });
+    const { waitForTransaction } = await import('../src/verifyProof.js');
+
+    await expect(
+      waitForTransaction('txhash', 'testnet', { intervalMs: 0 })
+    ).resolves.toMatchObject({ status: 'SUCCESS', ledger: 42 });
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Warning: failed to get transaction status: socket hang up; retrying'
+    );
+
+    getTransactionMock.mockRejectedValue(new Error('rpc down'));
+    await expect(
+      waitForTransaction('txhash', 'testnet', { timeoutMs: 0 })
+    ).rejects.toMatchObject({
+      name: 'ProofVerificationError',
+      code: 'TRANSACTION_FAILED',
+      message:
+        'Failed to get transaction status: rpc down; check txhash with the explorer later',
+    });
+  });
 });
 
 describe('ZkFetchStellarApp', () => {
@@ -453,7 +1067,9 @@ describe('ZkFetchStellarApp', () => {
   it('runs complete workflow successfully', async () => {
     vi.resetModules();
     const requestProofMock = vi.fn().mockResolvedValue({ ok: true });
-    const verifyProofMock = vi.fn().mockResolvedValue('txhash');
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValue({ hash: 'txhash', status: 'SUCCESS' });
 
     vi.doMock('../src/requestProof.js', () => ({
       requestProof: requestProofMock,
@@ -466,13 +1082,110 @@ describe('ZkFetchStellarApp', () => {
     const app = new ZkFetchStellarApp();
     const result = await app.runCompleteWorkflow('./proof.json');
 
-    expect(result).toEqual({
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'stellar',
+      network: 'testnet',
+      proofPath: './proof.json',
       proof: { ok: true },
+      verification: { valid: true },
       transactionHash: 'txhash',
+      status: 'SUCCESS',
+      receipt: { hash: 'txhash', status: 'SUCCESS' },
+    });
+    expect(verifyProofMock).toHaveBeenCalledWith('./proof.json', 'testnet', {
+      verifyLocally: false,
+      waitForConfirmation: true,
+    });
+  });
+
+  it('runs the workflow for any provider and network', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const requestProofMock = vi.fn().mockResolvedValue({ ok: true });
+    const failed = { hash: 'txhash', status: 'FAILED', ledger: 8 };
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValueOnce({ hash: 'txhash', status: 'SUCCESS', ledger: 7 })
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Transaction txhash failed: txFailed'), {
+          code: 'TRANSACTION_FAILED',
+          receipt: failed,
+        })
+      );
+
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: requestProofMock,
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: verifyProofMock,
+    }));
+
+    const { ZkFetchStellarApp } = await import('../src/index.js');
+    const app = new ZkFetchStellarApp();
+    const options = {
+      provider: 'coingecko',
+      params: { coin: 'bitcoin' },
+      network: 'mainnet',
+      outputPath: './btc.json',
+      verifyLocally: false,
+    };
+
+    await expect(app.runCompleteWorkflow(options)).resolves.toMatchObject({
       success: true,
+      provider: 'coingecko',
+      network: 'mainnet',
+      verification: null,
+      status: 'SUCCESS',
+    });
+    expect(requestProofMock).toHaveBeenCalledWith('./btc.json', 'coingecko', {
+      coin: 'bitcoin',
+    });
+    expect(verifyProofMock).toHaveBeenCalledWith('./btc.json', 'mainnet', {
+      verifyLocally: false,
+      waitForConfirmation: true,
+    });
+    expect(fsMocks.readFileSync).not.toHaveBeenCalled();
+
+    await expect(app.runCompleteWorkflow(options)).resolves.toMatchObject({
+      success: false,
+      transactionHash: 'txhash',
+      status: 'FAILED',
+      receipt: failed,
+      error: 'Transaction txhash failed: txFailed',
+      code: 'TRANSACTION_FAILED',
     });
   });
 
+  it('does not submit proofs that fail local verification', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const verifyProofMock = vi.fn();
+    const tampered = JSON.parse(PROOF_JSON);
+    tampered.claimData.epoch = 2;
+    fsMocks.readFileSync.mockReturnValue(JSON.stringify(tampered));
+
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn().mockResolvedValue(tampered),
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: verifyProofMock,
+    }));
+
+    const { ZkFetchStellarApp } = await import('../src/index.js');
+    const result = await new ZkFetchStellarApp().runCompleteWorkflow();
+
+    expect(result).toMatchObject({
+      success: false,
+      verification: { valid: false },
+      transactionHash: null,
+      code: 'PROOF_INVALID',
+    });
+    expect(result.error).toContain('Local verification failed');
+    expect(verifyProofMock).not.toHaveBeenCalled();
+  });
+
   it('returns error result when workflow fails', async () => {
     vi.resetModules();
     const requestProofMock = vi.fn().mockRejectedValue(new Error('fail'));
@@ -489,7 +1202,11 @@ describe('ZkFetchStellarApp', () => {
     const app = new ZkFetchStellarApp();
     const result = await app.runCompleteWorkflow('./proof.json');
 
-    expect(result).toEqual({ error: 'fail', success: false });
+    expect(result).toMatchObject({
+      success: false,
+      proof: null,
+      error: 'fail',
+    });
     expect(verifyProofMock).not.toHaveBeenCalled();
   });
 
@@ -507,8 +1224,62 @@ describe('ZkFetchStellarApp', () => {
     const app = new ZkFetchStellarApp();
     app.displayInfo();
 
-    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('zkFetch'));
+    const [info] = logSpy.mock.calls[0];
+    expect(info).toContain('\nzkFetch Stellar Example\n');
+    expect(info).toContain(
+      '\nFeatures:\n- Generate ZK proofs for AccuWeather forecast data\n'
+    );
     logSpy.mockRestore();
   });
-});
 
+  it('requests proofs for any registered provider', async () => {
+    vi.resetModules();
+    const requestProofMock = vi.fn().mockResolvedValue({ ok: true });
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: requestProofMock,
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+
+    const { ZkFetchStellarApp } = await import('../src/index.js');
+    const app = new ZkFetchStellarApp();
+    app.registerProvider({
+      name: 'team-source',
+      description: 'Team source',
+      url: 'https://example.com',
+      responseMatches: [{ type: 'regex', value: '(?<v>.*)' }],
+    });
+
+    expect(app.listProviders().map(({ name }) => name)).toContain(
+      'team-source'
+    );
+    await expect(
+      app.requestProviderProof('team-source', './team.json')
+    ).resolves.toEqual({ ok: true });
+    expect(requestProofMock).toHaveBeenCalledWith('./team.json', 'team-source');
+  });
+
+  it('sends all output to a custom logger', async () => {
+    vi.resetModules();
+    vi.doUnmock('../src/requestProof.js');
+    vi.doUnmock('../src/verifyProof.js');
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+    const { ZkFetchStellarApp } = await import('../src/index.js');
+    const app = new ZkFetchStellarApp({ logger });
+    await app.requestProviderProof('stellar', './stellar.json');
+    app.verifyProofLocally('./stellar.json');
+
+    expect(logger.info).toHaveBeenCalledWith(
+      'Requesting Stellar price proof...'
+    );
+    expect(logger.info).toHaveBeenCalledWith('Proof saved to: ./stellar.json');
+    expect(logger.info).toHaveBeenCalledWith(
+      'Proof signatures verified locally'
+    );
+    expect(logSpy).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest';
+import {
+  assertExtractedValues,
+  evaluateAssertions,
+  validateAssertions,
+} from '../src/assertions.js';
+import { ERROR_CODES, ValueAssertionError } from '../src/errors.js';
+import { getProvider } from '../src/providers/index.js';
+
+const provider = {
+  name: 'example',
+  assertions: {
+    price: { type: 'number', min: 0.01, max: 10 },
+    score: { type: 'integer', min: 0 },
+    city: { pattern: /^[A-Z][a-z]+$/, required: true },
+  },
+};
+
+describe('evaluateAssertions', () => {
+  it('passes plausible values', () => {
+    expect(
+      evaluateAssertions(provider, { price: '0.17', score: '3', city: 'Oslo' })
+    ).toEqual([]);
+  });
+
+  it('names the parameter, the rule and the actual value', () => {
+    expect(
+      evaluateAssertions(provider, { price: '12.5', score: '-1', city: 'x' })
+    ).toEqual([
+      {
+        param: 'price',
+        rule: 'max',
+        expected: 10,
+        actual: '12.5',
+        message: 'price must be at most 10 (max), got "12.5"',
+      },
+      {
+        param: 'score',
+        rule: 'min',
+        expected: 0,
+        actual: '-1',
+        message: 'score must be at least 0 (min), got "-1"',
+      },
+      {
+        param: 'city',
+        rule: 'pattern',
+        expected: /^[A-Z][a-z]+$/,
+        actual: 'x',
+        message: 'city must match /^[A-Z][a-z]+$/ (pattern), got "x"',
+      },
+    ]);
+  });
+
+  it('checks types before ranges', () => {
+    const messages = evaluateAssertions(provider, {
+      price: 'N/A',
+      score: '2.5',
+      city: 'Oslo',
+    }).map(({ message }) => message);
+
+    expect(messages).toEqual([
+      'price must be a number (type), got "N/A"',
+      'score must be an integer (type), got "2.5"',
+    ]);
+  });
+
+  it('only fails missing values that are required', () => {
+    expect(evaluateAssertions(provider, {})).toEqual([
+      {
+        param: 'city',
+        rule: 'required',
+        expected: true,
+        actual: undefined,
+        message: 'city is missing (required)',
+      },
+    ]);
+    expect(evaluateAssertions({ name: 'plain' }, { value: '1' })).toEqual([]);
+  });
+});
+
+describe('assertExtractedValues', () => {
+  it('throws a typed error listing every failure', () => {
+    let error;
+    try {
+      assertExtractedValues(provider, { price: '0', city: 'Oslo' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValueAssertionError);
+    expect(error.code).toBe(ERROR_CODES.VALUE_ASSERTION_FAILED);
+    expect(error.retryable).toBe(false);
+    expect(error.message).toBe(
+      'Implausible values in example proof: price must be at least 0.01 (min), got "0"'
+    );
+    expect(error.failures).toHaveLength(1);
+  });
+});
+
+describe('built-in providers', () => {
+  const missing = (name, values) =>
+    evaluateAssertions(getProvider(name), values).map(({ message }) => message);
+
+  it('refuse proofs without their main value', () => {
+    expect(() => assertExtractedValues(getProvider('stellar'), {})).toThrow(
+      'Implausible values in stellar proof: price is missing (required)'
+    );
+    expect(missing('coingecko', {})).toEqual(['price is missing (required)']);
+    expect(missing('accuweather', { city: '"New York"' })).toEqual([
+      'tempInC is missing (required)',
+    ]);
+    expect(missing('goal', { team1: 'Arsenal', score1: '2' })).toEqual([
+      'score2 is missing (required)',
+    ]);
+  });
+});
+
+describe('validateAssertions', () => {
+  const withRules = (rules) => ({ name: 'x', assertions: { value: rules } });
+
+  it('accepts the built-in rule set', () => {
+    expect(() => validateAssertions(provider)).not.toThrow();
+  });
+
+  it('rejects malformed rules', () => {
+    expect(() => validateAssertions(withRules({ below: 3 }))).toThrow(
+      'Provider x assertion for value has unknown rule: below'
+    );
+    expect(() => validateAssertions(withRules({ type: 'float' }))).toThrow(
+      'Provider x assertion for value type must be one of: number, integer, string'
+    );
+    expect(() => validateAssertions(withRules({ max: '10' }))).toThrow(
+      'Provider x assertion for value max must be a number'
+    );
+    expect(() => validateAssertions(withRules({ pattern: '^a' }))).toThrow(
+      'Provider x assertion for value pattern must be a RegExp'
+    );
+  });
+});
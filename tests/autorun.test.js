@@ -24,12 +24,14 @@ const fromMnemonicMock = vi.hoisted(() =>
 const loadAccountMock = vi.hoisted(() => vi.fn());
 const prepareTransactionMock = vi.hoisted(() => vi.fn());
 const sendTransactionMock = vi.hoisted(() => vi.fn());
+const getTransactionMock = vi.hoisted(() => vi.fn());
 const contractCallMock = vi.hoisted(() => vi.fn());
 
-vi.mock('fs', () => ({
-  default: fsMocks,
-  ...fsMocks,
-}));
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
 
 vi.mock('@reclaimprotocol/zk-fetch', () => ({
   ReclaimClient: ReclaimClientMock,
@@ -83,6 +85,7 @@ vi.mock('@stellar/stellar-sdk', () => ({
       constructor() {
         this.prepareTransaction = prepareTransactionMock;
         this.sendTransaction = sendTransactionMock;
+        this.getTransaction = getTransactionMock;
       }
     },
   },
@@ -106,7 +109,8 @@ beforeEach(() => {
     balances: [{ balance: '10' }],
   });
   prepareTransactionMock.mockResolvedValue({ sign: vi.fn() });
-  sendTransactionMock.mockResolvedValue({ hash: 'txhash' });
+  sendTransactionMock.mockResolvedValue({ status: 'PENDING', hash: 'txhash' });
+  getTransactionMock.mockResolvedValue({ status: 'SUCCESS', ledger: 42 });
   contractCallMock.mockReturnValue({ op: 'call' });
   transformForOnchainMock.mockReturnValue({
     signedClaim: {
@@ -122,18 +126,8 @@ beforeEach(() => {
 });
 
 describe('autorun branches', () => {
-  it('runs requestProof when executed directly', async () => {
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    const requestProofPath = fileURLToPath(
-      new URL('../src/requestProof.js', import.meta.url)
-    );
-    process.argv = ['node', requestProofPath, 'stellar', './src/proof.json'];
-
-    await import('../src/requestProof.js');
-    expect(exitSpy).toHaveBeenCalledWith(0);
-  });
-
   it('runs index CLI when executed directly', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
     vi.doMock('../src/requestProof.js', () => ({
       requestProof: vi.fn(),
     }));
@@ -144,6 +138,7 @@ describe('autorun branches', () => {
     process.argv = ['node', indexPath, 'info'];
 
     await import('../src/index.js');
+    await vi.waitFor(() => expect(logSpy).toHaveBeenCalled());
   });
 });
 
@@ -0,0 +1,199 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  existsSync: vi.fn(),
+  statSync: vi.fn(),
+  writeFileSync: vi.fn(),
+  readFileSync: vi.fn(),
+  mkdirSync: vi.fn(),
+}));
+
+const zkFetchMock = vi.hoisted(() => vi.fn());
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+vi.mock('@reclaimprotocol/zk-fetch', () => ({
+  ReclaimClient: vi.fn().mockImplementation(() => ({ zkFetch: zkFetchMock })),
+}));
+
+// Satisfies the required assertions of stellar, coingecko and goal
+const extractedParameterValues = { price: '0.5', score1: '2', score2: '1' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.resetModules();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  fsMocks.existsSync.mockReturnValue(true);
+  fsMocks.statSync.mockReturnValue({ isDirectory: () => true });
+  zkFetchMock.mockResolvedValue({ extractedParameterValues });
+});
+
+describe('requestProofs', () => {
+  it('writes each proof to its own file', async () => {
+    const { requestProofs } = await import('../src/requestProof.js');
+
+    const summary = await requestProofs(
+      ['stellar', 'coingecko:coin=bitcoin,vs=eur', 'forbes'],
+      { outputDir: './nightly' }
+    );
+
+    expect(summary).toEqual(
+      expect.objectContaining({ succeeded: 3, failed: 0 })
+    );
+    expect(summary.results.map(({ outputPath }) => outputPath)).toEqual([
+      'nightly/stellar.json',
+      'nightly/coingecko-bitcoin-eur.json',
+      'nightly/forbes.json',
+    ]);
+    expect(
+      fsMocks.writeFileSync.mock.calls.map(([file]) => file).sort()
+    ).toEqual([
+      'nightly/coingecko-bitcoin-eur.json',
+      'nightly/forbes.json',
+      'nightly/stellar.json',
+    ]);
+    expect(zkFetchMock.mock.calls[1][0]).toContain('ids=bitcoin');
+  });
+
+  it('runs at most `concurrency` requests at a time', async () => {
+    const { requestProofs } = await import('../src/requestProof.js');
+    let inFlight = 0;
+    let maxInFlight = 0;
+    zkFetchMock.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return { extractedParameterValues };
+    });
+
+    const summary = await requestProofs(
+      ['stellar', 'forbes', 'goal', 'ipapi', 'wikipedia'],
+      { concurrency: 2 }
+    );
+
+    expect(summary.succeeded).toBe(5);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('records failures without aborting the other providers', async () => {
+    const { requestProofs } = await import('../src/requestProof.js');
+    zkFetchMock.mockImplementation(async (url) => {
+      if (url.includes('forbes')) throw new Error('attestor timeout');
+      return { extractedParameterValues };
+    });
+
+    const summary = await requestProofs(['stellar', 'forbes', 'goal', 'nope'], {
+      concurrency: 4,
+    });
+
+    expect(summary.succeeded).toBe(2);
+    expect(summary.failed).toBe(2);
+    expect(summary.results[1]).toEqual(
+      expect.objectContaining({
+        provider: 'forbes',
+        success: false,
+        error: 'Failed to generate Forbes proof: attestor timeout',
+      })
+    );
+    expect(summary.results[3].error).toContain('Unknown proof type: nope');
+    summary.results.forEach(({ durationMs }) => {
+      expect(durationMs).toBeGreaterThanOrEqual(0);
+    });
+    expect(summary.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('creates the output directory when missing', async () => {
+    const { requestProofs } = await import('../src/requestProof.js');
+    fsMocks.existsSync.mockReturnValueOnce(false);
+
+    await requestProofs(['stellar'], { outputDir: './proofs' });
+
+    expect(fsMocks.mkdirSync).toHaveBeenCalledWith('./proofs', {
+      recursive: true,
+    });
+  });
+
+  it('validates the list before requesting anything', async () => {
+    const { requestProofs } = await import('../src/requestProof.js');
+
+    await expect(requestProofs([])).rejects.toThrow(
+      'Batch list must contain at least one provider'
+    );
+    await expect(
+      requestProofs(['stellar'], { concurrency: 0 })
+    ).rejects.toThrow('Concurrency must be a positive integer: 0');
+    await expect(requestProofs(['stellar', 'stellar'])).rejects.toThrow(
+      'Duplicate batch output path: proofs/stellar.json'
+    );
+    await expect(requestProofs(['coingecko:bitcoin'])).rejects.toThrow(
+      "Invalid batch entry 'coingecko:bitcoin'. Expected name:param=value"
+    );
+    expect(zkFetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('readBatchFile', () => {
+  it('reads a list of batch entries', async () => {
+    const { readBatchFile } = await import('../src/requestProof.js');
+    fsMocks.readFileSync.mockReturnValue(
+      JSON.stringify(['stellar', { provider: 'accuweather' }])
+    );
+
+    expect(readBatchFile('nightly.json')).toEqual([
+      'stellar',
+      { provider: 'accuweather' },
+    ]);
+    expect(fsMocks.readFileSync).toHaveBeenCalledWith('nightly.json', 'utf8');
+  });
+
+  it('rejects unreadable files and non-arrays', async () => {
+    const { readBatchFile } = await import('../src/requestProof.js');
+
+    fsMocks.readFileSync.mockImplementation(() => {
+      throw new Error('ENOENT');
+    });
+    expect(() => readBatchFile('missing.json')).toThrow(
+      'Failed to read batch file missing.json: ENOENT'
+    );
+
+    fsMocks.readFileSync.mockReturnValue('{"provider":"stellar"}');
+    expect(() => readBatchFile('list.json')).toThrow(
+      'Batch file list.json must contain a JSON array'
+    );
+  });
+});
+
+describe('printBatchSummary', () => {
+  it('prints one line per provider', async () => {
+    const { printBatchSummary } = await import('../src/requestProof.js');
+
+    printBatchSummary({
+      results: [
+        {
+          provider: 'stellar',
+          success: true,
+          outputPath: 'proofs/stellar.json',
+          durationMs: 1200,
+        },
+        { provider: 'goal', success: false, error: 'boom', durationMs: 30 },
+      ],
+      succeeded: 1,
+      failed: 1,
+      durationMs: 1250,
+    });
+
+    expect(console.log).toHaveBeenCalledWith(
+      'Batch completed: 1 succeeded, 1 failed in 1250ms'
+    );
+    expect(console.log).toHaveBeenCalledWith(
+      '  OK   stellar   1200ms  proofs/stellar.json'
+    );
+    expect(console.log).toHaveBeenCalledWith('  FAIL goal        30ms  boom');
+  });
+});
@@ -5,6 +5,7 @@ const fsMocks = vi.hoisted(() => ({
   statSync: vi.fn(),
   writeFileSync: vi.fn(),
   readFileSync: vi.fn(),
+  readdirSync: vi.fn(),
 }));
 
 const zkFetchMock = vi.hoisted(() => vi.fn());
@@ -23,6 +24,7 @@ const fromMnemonicMock = vi.hoisted(() =>
 const loadAccountMock = vi.hoisted(() => vi.fn());
 const prepareTransactionMock = vi.hoisted(() => vi.fn());
 const sendTransactionMock = vi.hoisted(() => vi.fn());
+const getTransactionMock = vi.hoisted(() => vi.fn());
 const contractCallMock = vi.hoisted(() => vi.fn());
 
 vi.mock('fs', () => ({
@@ -82,11 +84,22 @@ vi.mock('@stellar/stellar-sdk', () => ({
       constructor() {
         this.prepareTransaction = prepareTransactionMock;
         this.sendTransaction = sendTransactionMock;
+        this.getTransaction = getTransactionMock;
       }
     },
   },
 }));
 
+// A real zkFetch proof, so local signature checks pass
+const actualFs = await vi.importActual('fs');
+const PROOF_JSON = actualFs.readFileSync(
+  new URL('./fixtures/signed-proof.json', import.meta.url),
+  'utf8'
+);
+// Half a minute after the fixture was signed, so it counts as fresh
+const PROOF_TIME_MS =
+  (JSON.parse(PROOF_JSON).claimData.timestampS + 30) * 1000;
+
 const originalArgv = process.argv.slice();
 
 beforeEach(() => {
@@ -98,9 +111,9 @@ beforeEach(() => {
   fsMocks.existsSync.mockReturnValue(true);
   fsMocks.statSync.mockReturnValue({ isDirectory: () => true });
   fsMocks.writeFileSync.mockImplementation(() => {});
-  fsMocks.readFileSync.mockImplementation(() =>
-    JSON.stringify({ signatures: ['0xabc'] })
-  );
+  fsMocks.readFileSync.mockImplementation(() => PROOF_JSON);
+  // The provider registry lists its directory
+  fsMocks.readdirSync.mockImplementation(actualFs.readdirSync);
   zkFetchMock.mockResolvedValue({
     extractedParameterValues: { price: '1.23' },
   });
@@ -109,7 +122,8 @@ beforeEach(() => {
     balances: [{ balance: '10' }],
   });
   prepareTransactionMock.mockResolvedValue({ sign: vi.fn() });
-  sendTransactionMock.mockResolvedValue({ hash: 'txhash' });
+  sendTransactionMock.mockResolvedValue({ status: 'PENDING', hash: 'txhash' });
+  getTransactionMock.mockResolvedValue({ status: 'SUCCESS', ledger: 42 });
   contractCallMock.mockReturnValue({ op: 'call' });
   transformForOnchainMock.mockReturnValue({
     signedClaim: {
@@ -129,27 +143,6 @@ afterEach(() => {
   vi.restoreAllMocks();
 });
 
-describe('requestProof CLI', () => {
-  it('runs CLI and exits with code 0 on success', async () => {
-    vi.resetModules();
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    process.argv = ['node', 'requestProof.js', 'stellar', './src/proof.json'];
-    const { main } = await import('../src/requestProof.js');
-    await main();
-    expect(exitSpy).toHaveBeenCalledWith(0);
-  });
-
-  it('runs CLI and exits with code 1 on error', async () => {
-    vi.resetModules();
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    fsMocks.existsSync.mockReturnValue(false);
-    process.argv = ['node', 'requestProof.js', 'stellar', './missing/proof.json'];
-    const { main } = await import('../src/requestProof.js');
-    await main();
-    expect(exitSpy).toHaveBeenCalledWith(1);
-  });
-});
-
 describe('bytesN function', () => {
   it('accepts Uint8Array input', async () => {
     vi.resetModules();
@@ -196,165 +189,6 @@ describe('bytesN function', () => {
   });
 });
 
-describe('verifyProof CLI', () => {
-  it('runs CLI and exits with code 1 on error', async () => {
-    vi.resetModules();
-    vi.doMock('../src/config.js', async () => {
-      const actual = await vi.importActual('../src/config.js');
-      return {
-        ...actual,
-        validateEnvironment: () => {},
-      };
-    });
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    fsMocks.existsSync.mockReturnValue(false);
-    process.argv = ['node', 'verifyProof.js', './missing.json'];
-    const { main } = await import('../src/verifyProof.js');
-    await main();
-    expect(exitSpy).toHaveBeenCalledWith(1);
-  });
-
-  it('runs CLI and exits with code 0 on success', async () => {
-    vi.resetModules();
-    vi.doMock('../src/config.js', async () => {
-      const actual = await vi.importActual('../src/config.js');
-      return {
-        ...actual,
-        validateEnvironment: () => {},
-      };
-    });
-    vi.doMock('stellar-hd-wallet', () => ({
-      default: {
-        fromMnemonic: vi.fn().mockReturnValue({
-          getSecret: vi.fn().mockReturnValue('SSECRET'),
-        }),
-      },
-    }));
-    vi.doMock('stellar-sdk', () => ({
-      default: {
-        Keypair: {
-          fromSecret: vi.fn(() => ({
-            publicKey: () => 'GTESTPUBLICKEY',
-          })),
-        },
-        Contract: class {
-          call(...args) {
-            return contractCallMock(...args);
-          }
-        },
-        TransactionBuilder: class {
-          constructor() {
-            this.addOperation = vi.fn().mockReturnThis();
-            this.setTimeout = vi.fn().mockReturnThis();
-            this.build = vi.fn().mockReturnValue({});
-          }
-        },
-        TimeoutInfinite: 'TimeoutInfinite',
-        nativeToScVal: vi.fn((value) => value),
-        rpc: {
-          Server: class {
-            constructor() {
-              this.prepareTransaction = prepareTransactionMock;
-              this.sendTransaction = sendTransactionMock;
-              this.getAccount = vi.fn().mockResolvedValue({ sequence: '12345' });
-            }
-          },
-        },
-      },
-    }));
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    fsMocks.existsSync.mockReturnValue(true);
-    fsMocks.readFileSync.mockReturnValue(JSON.stringify({ signatures: ['0xabc'] }));
-    transformForOnchainMock.mockReturnValue({
-      signedClaim: {
-        signatures: [`0x${'a'.repeat(128)}1b`],
-        claim: {
-          identifier: 'id',
-          owner: 'owner',
-          timestampS: 1,
-          epoch: 1,
-        },
-      },
-    });
-    prepareTransactionMock.mockResolvedValue({ sign: vi.fn() });
-    sendTransactionMock.mockResolvedValue({ hash: 'txhash' });
-    process.argv = ['node', 'verifyProof.js', './proof.json'];
-    const { main } = await import('../src/verifyProof.js');
-    await main();
-    expect(exitSpy).toHaveBeenCalledWith(0);
-  });
-
-  it('uses default proof path when no CLI argument provided', async () => {
-    vi.resetModules();
-    vi.doMock('../src/config.js', async () => {
-      const actual = await vi.importActual('../src/config.js');
-      return {
-        ...actual,
-        validateEnvironment: () => {},
-      };
-    });
-    vi.doMock('stellar-hd-wallet', () => ({
-      default: {
-        fromMnemonic: vi.fn().mockReturnValue({
-          getSecret: vi.fn().mockReturnValue('SSECRET'),
-        }),
-      },
-    }));
-    vi.doMock('stellar-sdk', () => ({
-      default: {
-        Keypair: {
-          fromSecret: vi.fn(() => ({
-            publicKey: () => 'GTESTPUBLICKEY',
-          })),
-        },
-        Contract: class {
-          call(...args) {
-            return contractCallMock(...args);
-          }
-        },
-        TransactionBuilder: class {
-          constructor() {
-            this.addOperation = vi.fn().mockReturnThis();
-            this.setTimeout = vi.fn().mockReturnThis();
-            this.build = vi.fn().mockReturnValue({});
-          }
-        },
-        TimeoutInfinite: 'TimeoutInfinite',
-        nativeToScVal: vi.fn((value) => value),
-        rpc: {
-          Server: class {
-            constructor() {
-              this.prepareTransaction = prepareTransactionMock;
-              this.sendTransaction = sendTransactionMock;
-              this.getAccount = vi.fn().mockResolvedValue({ sequence: '12345' });
-            }
-          },
-        },
-      },
-    }));
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    fsMocks.existsSync.mockReturnValue(true);
-    fsMocks.readFileSync.mockReturnValue(JSON.stringify({ signatures: ['0xabc'] }));
-    transformForOnchainMock.mockReturnValue({
-      signedClaim: {
-        signatures: [`0x${'a'.repeat(128)}1b`],
-        claim: {
-          identifier: 'id',
-          owner: 'owner',
-          timestampS: 1,
-          epoch: 1,
-        },
-      },
-    });
-    prepareTransactionMock.mockResolvedValue({ sign: vi.fn() });
-    sendTransactionMock.mockResolvedValue({ hash: 'txhash' });
-    process.argv = ['node', 'verifyProof.js'];
-    const { main } = await import('../src/verifyProof.js');
-    await main();
-    expect(exitSpy).toHaveBeenCalledWith(0);
-  });
-});
-
 describe('index CLI', () => {
   it('executes default usage output', async () => {
     vi.resetModules();
@@ -502,5 +336,885 @@ describe('index CLI', () => {
       'forbes'
     );
   });
+
+  it('lists providers from the registry', async () => {
+    vi.resetModules();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn(),
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = ['node', 'index.js', 'providers'];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^forbes\s+/));
+  });
+
+  it('prints usage for request commands of unknown providers', async () => {
+    vi.resetModules();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const requestProofMock = vi.fn();
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: requestProofMock,
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = ['node', 'index.js', 'request-nothing'];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(requestProofMock).not.toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledWith(
+      expect.stringContaining('request-goal')
+    );
+  });
+
+  it('handles request-custom command', async () => {
+    vi.resetModules();
+    const requestCustomProofMock = vi.fn();
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn(),
+      requestCustomProof: requestCustomProofMock,
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = [
+      'node',
+      'index.js',
+      'request-custom',
+      '--url',
+      'https://example.com',
+      '--header',
+      'a: 1',
+      '--header=b: 2',
+      '--match',
+      '(?<v>.*)',
+      '--method=POST',
+      '--out',
+      './custom.json',
+    ];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(requestCustomProofMock).toHaveBeenCalledWith('./custom.json', {
+      url: 'https://example.com',
+      method: 'POST',
+      headers: ['a: 1', 'b: 2'],
+      matches: ['(?<v>.*)'],
+      redactions: [],
+    });
+
+    requestCustomProofMock.mockClear();
+    process.argv = ['node', 'index.js', 'request-custom', '--mtch', 'x'];
+    expect(await main()).toBe(2);
+    expect(requestCustomProofMock).not.toHaveBeenCalled();
+  });
+
+  it('passes template parameters to requestProof', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const requestProofMock = vi.fn();
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: requestProofMock,
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = [
+      'node',
+      'index.js',
+      'request',
+      'coingecko',
+      '--coin',
+      'bitcoin',
+      '--vs=eur',
+      '--out',
+      './btc.json',
+    ];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(requestProofMock).toHaveBeenCalledWith('./btc.json', 'coingecko', {
+      coin: 'bitcoin',
+      vs: 'eur',
+    });
+
+    requestProofMock.mockClear();
+    process.argv = [
+      'node',
+      'index.js',
+      'request-accuweather',
+      '--location',
+      '328328',
+    ];
+    await main();
+    expect(requestProofMock).toHaveBeenCalledWith(undefined, 'accuweather', {
+      location: '328328',
+    });
+  });
+
+  it('handles request-batch command', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const summary = { results: [], succeeded: 2, failed: 0, durationMs: 5 };
+    const requestProofsMock = vi.fn().mockResolvedValue(summary);
+    const printBatchSummaryMock = vi.fn();
+    vi.doMock('../src/requestProof.js', async () => {
+      const actual = await vi.importActual('../src/requestProof.js');
+      return {
+        requestProof: vi.fn(),
+        requestProofs: requestProofsMock,
+        printBatchSummary: printBatchSummaryMock,
+        readBatchFile: actual.readBatchFile,
+      };
+    });
+    fsMocks.readFileSync.mockReturnValue(JSON.stringify(['goal']));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = [
+      'node',
+      'index.js',
+      'request-batch',
+      'stellar',
+      '--concurrency',
+      '2',
+      'forbes',
+      '--file',
+      'nightly.json',
+    ];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(requestProofsMock).toHaveBeenCalledWith(
+      ['stellar', 'forbes', 'goal'],
+      { concurrency: 2 }
+    );
+    expect(printBatchSummaryMock).toHaveBeenCalledWith(summary);
+  });
+
+  it('handles test-provider command', async () => {
+    vi.resetModules();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn(),
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    fsMocks.readFileSync.mockReturnValue('{"stellar":{"usd":0.17778}}');
+    process.argv = [
+      'node',
+      'index.js',
+      'test-provider',
+      'stellar',
+      '--fixture',
+      './stellar.json',
+    ];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(fsMocks.readFileSync).toHaveBeenCalledWith('./stellar.json', 'utf8');
+    expect(logSpy).toHaveBeenCalledWith('   price: 0.17778');
+  });
+
+  it('handles verify-local command', async () => {
+    vi.resetModules();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const verifyProofMock = vi.fn();
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn(),
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: verifyProofMock,
+    }));
+    process.argv = ['node', 'index.js', 'verify-local', './saved.json'];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(fsMocks.readFileSync).toHaveBeenCalledWith('./saved.json', 'utf8');
+    expect(logSpy).toHaveBeenCalledWith('Proof signatures verified locally');
+    expect(verifyProofMock).not.toHaveBeenCalled();
+  });
+
+  it('handles check-freshness command', async () => {
+    vi.resetModules();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.doMock('../src/requestProof.js', () => ({
+      requestProof: vi.fn(),
+    }));
+    vi.doMock('../src/verifyProof.js', () => ({
+      verifyProof: vi.fn(),
+    }));
+    process.argv = [
+      'node',
+      'index.js',
+      'check-freshness',
+      './saved.json',
+      '--allow-stale',
+    ];
+    const { main } = await import('../src/index.js');
+    await main();
+    expect(fsMocks.readFileSync).toHaveBeenCalledWith('./saved.json', 'utf8');
+    expect(logSpy).toHaveBeenCalledWith(
+      'Proof is stale; accepted because --allow-stale was given'
+    );
+  });
 });
 
+describe('cli argument parsing', () => {
+  const command = {
+    name: 'verify',
+    args: ['[proof]'],
+    summary: 'Verify a proof on Stellar',
+    flags: {
+      proof: { type: 'string', value: '<path>', description: 'Proof file' },
+      network: { type: 'string', description: 'Network' },
+      'min-witnesses': { type: 'number', description: 'Witnesses' },
+      header: { type: 'list', description: 'Header' },
+      'allow-stale': { type: 'boolean', description: 'Allow stale' },
+    },
+  };
+
+  it('parses typed flags, inline values and positionals', async () => {
+    const { parseCommandArgs } = await import('../src/cli.js');
+    expect(
+      parseCommandArgs(command, [
+        './proof.json',
+        '--network=mainnet',
+        '--min-witnesses',
+        '2',
+        '--header',
+        'a',
+        '--header=b',
+        '--allow-stale',
+        '-h',
+      ])
+    ).toEqual({
+      positionals: ['./proof.json'],
+      flags: {
+        network: 'mainnet',
+        'min-witnesses': 2,
+        header: ['a', 'b'],
+        'allow-stale': true,
+        help: true,
+      },
+      params: {},
+    });
+  });
+
+  it('rejects malformed command lines with usage errors', async () => {
+    const { parseCommandArgs } = await import('../src/cli.js');
+    const { UsageError } = await import('../src/errors.js');
+
+    expect(() => parseCommandArgs(command, ['--netwrk', 'x'])).toThrow(
+      'Unknown option --netwrk for verify. Did you mean --network?'
+    );
+    expect(() => parseCommandArgs(command, ['--proof'])).toThrow(
+      'Missing value for --proof'
+    );
+    expect(() => parseCommandArgs(command, ['--min-witnesses', 'two'])).toThrow(
+      "--min-witnesses must be a whole number, got 'two'"
+    );
+    expect(() => parseCommandArgs(command, ['a.json', 'b.json'])).toThrow(
+      'Unexpected argument for verify: b.json'
+    );
+    expect(() => parseCommandArgs(command, ['--allow-stale=yes'])).toThrow(
+      UsageError
+    );
+  });
+
+  it('collects template parameters and repeated arguments', async () => {
+    const { parseCommandArgs } = await import('../src/cli.js');
+
+    expect(
+      parseCommandArgs(
+        { name: 'request', args: ['[provider]'], params: true },
+        ['coingecko', '--coin', 'bitcoin', '--json']
+      )
+    ).toMatchObject({
+      positionals: ['coingecko'],
+      params: { coin: 'bitcoin' },
+      flags: { json: true },
+    });
+    expect(
+      parseCommandArgs(
+        {
+          name: 'request-batch',
+          args: ['<provider>...'],
+          flags: { concurrency: { type: 'number' } },
+        },
+        ['stellar', 'forbes', '--concurrency', '2', '--quiet', 'goal']
+      )
+    ).toMatchObject({
+      positionals: ['stellar', 'forbes', 'goal'],
+      flags: { concurrency: 2, quiet: true },
+    });
+  });
+
+  it('suggests close matches only', async () => {
+    const { suggest } = await import('../src/cli.js');
+    const names = ['request', 'verify', 'verify-local', 'inspect'];
+
+    expect(suggest('verfy', names)).toBe('verify');
+    expect(suggest('insepct', names)).toBe('inspect');
+    expect(suggest('verify-l', names)).toBe('verify-local');
+    expect(suggest('deploy', names)).toBeUndefined();
+  });
+
+  it('maps error codes to exit codes', async () => {
+    const { exitCodeFor } = await import('../src/cli.js');
+    const { ERROR_CODES, ProofVerificationError, UsageError } =
+      await import('../src/errors.js');
+
+    expect(exitCodeFor(new UsageError('bad'))).toBe(2);
+    expect(
+      exitCodeFor(
+        new ProofVerificationError('old', { code: ERROR_CODES.PROOF_STALE })
+      )
+    ).toBe(9);
+    expect(exitCodeFor(ERROR_CODES.TRANSACTION_FAILED)).toBe(11);
+    expect(exitCodeFor(new Error('plain'))).toBe(1);
+  });
+
+  it('formats per-command help', async () => {
+    const { formatCommandHelp } = await import('../src/cli.js');
+    const help = formatCommandHelp(command);
+
+    expect(help).toContain('Usage: node src/index.js verify [proof] [options]');
+    expect(help).toContain('--proof <path>');
+    expect(help).toContain('--header <value>...');
+    expect(help).toContain('-h, --help');
+  });
+});
+
+describe('unified CLI', () => {
+  const loadMain = async ({
+    requestProof = vi.fn(),
+    verifyProof = vi.fn(),
+  } = {}) => {
+    vi.doMock('../src/requestProof.js', () => ({ requestProof }));
+    vi.doMock('../src/verifyProof.js', () => ({ verifyProof }));
+    const { main } = await import('../src/index.js');
+    return main;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'], now: PROOF_TIME_MS });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('suggests a command for a mistyped one and exits with 2', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const main = await loadMain();
+
+    expect(await main(['verfy'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Unknown command: verfy. Did you mean verify?'
+    );
+  });
+
+  it('prints per-command help without running the command', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const verifyProofMock = vi.fn();
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(await main(['verify', '--help'])).toBe(0);
+    expect(await main(['help', 'inspect'])).toBe(0);
+    expect(verifyProofMock).not.toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledWith(
+      expect.stringContaining('--network <name>')
+    );
+    expect(logSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Usage: node src/index.js inspect [proof]')
+    );
+  });
+
+  it('passes verify flags through to verifyProof', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValue({ hash: 'txhash', status: 'SUCCESS', ledger: 42 });
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    const code = await main([
+      'verify',
+      '--proof',
+      './saved.json',
+      '--network',
+      'mainnet',
+      '--min-witnesses',
+      '2',
+    ]);
+
+    expect(code).toBe(0);
+    expect(verifyProofMock).toHaveBeenCalledWith('./saved.json', 'mainnet', {
+      verifyLocally: true,
+      minWitnesses: 2,
+      allowStale: false,
+      maxAgeS: undefined,
+    });
+  });
+
+  it('passes the signer and account index through to verifyProof', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValue({ hash: 'txhash', status: 'SUCCESS', ledger: 42 });
+    fsMocks.readFileSync.mockImplementation((file) =>
+      file === './zkfetch.signers.json'
+        ? JSON.stringify({ signers: { treasury: { accountIndex: 1 } } })
+        : PROOF_JSON
+    );
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(
+      await main(['verify', '--signer', 'treasury', '--account-index', '3'])
+    ).toBe(0);
+    expect(verifyProofMock).toHaveBeenCalledWith(
+      undefined,
+      undefined,
+      expect.objectContaining({ signer: 'treasury', accountIndex: 3 })
+    );
+
+    expect(await main(['verify', '--signer', 'tresury'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Unknown signer: tresury. Did you mean treasury?'
+    );
+    expect(verifyProofMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('simulates verification without submitting with --simulate', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const simulation = { returnValue: true, minFee: '51334' };
+    const verifyProofMock = vi.fn().mockResolvedValue(simulation);
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    const code = await main([
+      'verify',
+      './saved.json',
+      '--network',
+      'mainnet',
+      '--simulate',
+      '--json',
+    ]);
+
+    expect(code).toBe(0);
+    expect(verifyProofMock).toHaveBeenCalledWith(
+      './saved.json',
+      'mainnet',
+      expect.objectContaining({ simulate: true })
+    );
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      command: 'verify',
+      transactionHash: null,
+      explorerLink: null,
+      result: { simulation },
+    });
+  });
+
+  it('rejects unknown networks and providers with suggestions', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const requestProofMock = vi.fn();
+    fsMocks.readFileSync.mockImplementation((file) => {
+      throw Object.assign(new Error(`ENOENT: no such file, open '${file}'`), {
+        code: 'ENOENT',
+      });
+    });
+    const main = await loadMain({ requestProof: requestProofMock });
+
+    expect(await main(['verify', '--network', 'mainet'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Unknown network: mainet. Did you mean mainnet?'
+    );
+    expect(await main(['request', 'coingeko'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Unknown provider: coingeko. Did you mean coingecko?'
+    );
+    expect(requestProofMock).not.toHaveBeenCalled();
+  });
+
+  it('exits with the code of the error type', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { ERROR_CODES, ProofVerificationError } =
+      await import('../src/errors.js');
+    const verifyProofMock = vi.fn().mockRejectedValue(
+      new ProofVerificationError('Witness policy not met', {
+        code: ERROR_CODES.WITNESS_POLICY_FAILED,
+      })
+    );
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(await main(['verify'])).toBe(10);
+  });
+
+  it('exits non-zero when a check fails', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const main = await loadMain();
+    vi.setSystemTime(PROOF_TIME_MS + 3600 * 1000);
+
+    expect(await main(['check-freshness', '--proof', './saved.json'])).toBe(9);
+    expect(
+      await main(['check-freshness', './saved.json', '--allow-stale'])
+    ).toBe(0);
+  });
+
+  it('prints a single JSON document with --json', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const proof = { extractedParameterValues: { price: '1.23' } };
+    const main = await loadMain({
+      requestProof: vi.fn().mockResolvedValue(proof),
+    });
+
+    expect(
+      await main(['request', 'stellar', '--out', './out.json', '--json'])
+    ).toBe(0);
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      command: 'request',
+      success: true,
+      provider: 'stellar',
+      extractedValues: { price: '1.23' },
+      proofPath: './out.json',
+      transactionHash: null,
+      timings: { durationMs: expect.any(Number) },
+      error: null,
+      exitCode: 0,
+      result: proof,
+    });
+    expect(errorSpy).toHaveBeenCalledWith('Requesting Stellar price proof...');
+  });
+
+  it('reports the transaction and error code with --json', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { ERROR_CODES, ProofVerificationError } =
+      await import('../src/errors.js');
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValueOnce({ hash: 'txhash', status: 'SUCCESS', ledger: 42 })
+      .mockRejectedValueOnce(
+        new ProofVerificationError('Failed to submit transaction: boom', {
+          code: ERROR_CODES.TRANSACTION_FAILED,
+        })
+      );
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(await main(['verify', './saved.json', '--json'])).toBe(0);
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      provider: 'stellar',
+      extractedValues: { price: '0.17778' },
+      proofPath: './saved.json',
+      transactionHash: 'txhash',
+      explorerLink: 'https://stellar.expert/explorer/testnet/tx/txhash',
+      result: { receipt: { status: 'SUCCESS', ledger: 42 } },
+    });
+
+    expect(await main(['verify', '--network=mainnet', '--json'])).toBe(11);
+    expect(JSON.parse(logSpy.mock.calls[1][0])).toMatchObject({
+      success: false,
+      error: {
+        code: 'TRANSACTION_FAILED',
+        message: 'Failed to submit transaction: boom',
+      },
+      exitCode: 11,
+    });
+  });
+
+  it('reads --json only where it is a flag', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const requestProofMock = vi.fn().mockResolvedValue({});
+    const main = await loadMain({ requestProof: requestProofMock });
+
+    expect(await main(['request', 'stellar', '--out', '--json'])).toBe(0);
+    expect(requestProofMock).toHaveBeenCalledWith('--json', 'stellar');
+    await main(['inspect', '--', '--json']);
+    expect(logSpy).not.toHaveBeenCalledWith(expect.stringMatching(/^\{/));
+
+    expect(await main(['--json', 'request', 'stellar'])).toBe(0);
+    expect(JSON.parse(logSpy.mock.calls.at(-1)[0])).toMatchObject({
+      command: 'request',
+      success: true,
+    });
+  });
+
+  it('prints nothing but warnings and errors with --quiet', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const verifyProofMock = vi.fn(async () => {
+      const { log } = await import('../src/logger.js');
+      log.info('Submitting transaction...');
+      log.warn('Warning: fee above the usual');
+      return { hash: 'txhash', status: 'SUCCESS', ledger: 42 };
+    });
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(await main(['verify-local', './saved.json', '--quiet'])).toBe(0);
+    expect(await main(['verify', '--quiet'])).toBe(0);
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(warnSpy).toHaveBeenCalledWith('Warning: fee above the usual');
+  });
+
+  it('runs the workflow for a provider and network', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const requestProofMock = vi.fn().mockResolvedValue({
+      extractedParameterValues: { price: '64000' },
+    });
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValue({ hash: 'txhash', status: 'SUCCESS', ledger: 42 });
+    const main = await loadMain({
+      requestProof: requestProofMock,
+      verifyProof: verifyProofMock,
+    });
+
+    const code = await main([
+      'workflow',
+      'coingecko',
+      '--coin',
+      'bitcoin',
+      '--network',
+      'mainnet',
+      '--out',
+      './btc.json',
+      '--no-wait',
+      '--json',
+    ]);
+
+    expect(code).toBe(0);
+    expect(requestProofMock).toHaveBeenCalledWith('./btc.json', 'coingecko', {
+      coin: 'bitcoin',
+    });
+    expect(verifyProofMock).toHaveBeenCalledWith('./btc.json', 'mainnet', {
+      verifyLocally: false,
+      waitForConfirmation: false,
+    });
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      command: 'workflow',
+      provider: 'coingecko',
+      extractedValues: { price: '64000' },
+      proofPath: './btc.json',
+      transactionHash: 'txhash',
+      explorerLink: 'https://stellar.expert/explorer/public/tx/txhash',
+      result: { status: 'SUCCESS', verification: { valid: true } },
+    });
+  });
+
+  it('runs a pipeline job and exits with its first failure', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const pipeline = JSON.stringify({
+      jobs: {
+        nightly: {
+          steps: [
+            { step: 'verify-local', proof: './saved.json' },
+            { step: 'submit', network: 'mainnet' },
+            { step: 'verify-local' },
+          ],
+        },
+      },
+    });
+    fsMocks.readFileSync.mockImplementation((file) =>
+      file === './jobs.json' ? pipeline : PROOF_JSON
+    );
+    const { ERROR_CODES, ProofVerificationError } =
+      await import('../src/errors.js');
+    const verifyProofMock = vi
+      .fn()
+      .mockResolvedValueOnce({ hash: 'txhash', status: 'SUCCESS', ledger: 42 })
+      .mockRejectedValueOnce(
+        new ProofVerificationError('Insufficient balance', {
+          code: ERROR_CODES.TRANSACTION_FAILED,
+        })
+      );
+    const main = await loadMain({ verifyProof: verifyProofMock });
+
+    expect(
+      await main(['run', 'nightly', '--file', './jobs.json', '--json'])
+    ).toBe(0);
+    expect(verifyProofMock).toHaveBeenCalledWith('./saved.json', 'mainnet', {});
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      command: 'run',
+      proofPath: './saved.json',
+      transactionHash: 'txhash',
+      explorerLink: 'https://stellar.expert/explorer/public/tx/txhash',
+      result: { job: 'nightly', passed: 3 },
+    });
+
+    expect(await main(['run', 'nightly', '--file', './jobs.json'])).toBe(11);
+    expect(logSpy).toHaveBeenCalledWith(
+      'Job nightly completed: 1 passed, 1 failed, 1 skipped in 0ms'
+    );
+  });
+
+  it('inspects a saved proof', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const main = await loadMain();
+
+    expect(await main(['inspect', './saved.json'])).toBe(0);
+    expect(logSpy).toHaveBeenCalledWith('Provider: stellar');
+    expect(logSpy).toHaveBeenCalledWith('   price: "0.17778"');
+    expect(logSpy).toHaveBeenCalledWith('Proof signatures verified locally');
+  });
+
+  it('lists receipts matching the filters', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const receipt = (network, closedAt) => ({
+      provider: 'stellar',
+      network,
+      proofPath: './saved.json',
+      closedAt,
+      explorerUrl: 'https://stellar.expert/explorer/public/tx/txhash',
+    });
+    const receipts = {
+      'archive/saved.mainnet.aaa.receipt.json': receipt(
+        'mainnet',
+        '2026-01-05T10:00:00.000Z'
+      ),
+      'archive/saved.testnet.bbb.receipt.json': receipt(
+        'testnet',
+        '2026-01-05T11:00:00.000Z'
+      ),
+    };
+    fsMocks.readdirSync.mockImplementation((dir, options) =>
+      dir === 'archive'
+        ? Object.keys(receipts).map((file) => ({
+            name: file.slice('archive/'.length),
+            isDirectory: () => false,
+          }))
+        : actualFs.readdirSync(dir, options)
+    );
+    fsMocks.readFileSync.mockImplementation((file) =>
+      JSON.stringify(receipts[file])
+    );
+    const main = await loadMain();
+
+    expect(
+      await main([
+        'receipts',
+        '--dir',
+        './archive',
+        '--network',
+        'mainnet',
+        '--since',
+        '2026-01-01',
+        '--json',
+      ])
+    ).toBe(0);
+    expect(JSON.parse(logSpy.mock.calls[0][0]).result).toEqual([
+      {
+        ...receipts['archive/saved.mainnet.aaa.receipt.json'],
+        receiptPath: 'archive/saved.mainnet.aaa.receipt.json',
+      },
+    ]);
+    expect(await main(['receipts', '--until', 'yesterday'])).toBe(2);
+  });
+
+  it("lists a signer's accounts with their balances", async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    // Derive real keys from the SEP-0005 test mnemonic
+    vi.doMock('stellar-hd-wallet', () => vi.importActual('stellar-hd-wallet'));
+    vi.doMock('stellar-sdk', () => vi.importActual('stellar-sdk'));
+    process.env.SEEDPHRASE =
+      'illness spike retreat truth genius clock brain pass fit cave bargain toe';
+    loadAccountMock.mockResolvedValue({
+      balances: [{ asset_type: 'native', balance: '25.0000000' }],
+    });
+    const main = await loadMain();
+
+    expect(await main(['accounts', '--count', '2', '--json'])).toBe(0);
+    expect(JSON.parse(logSpy.mock.calls[0][0]).result).toEqual([
+      {
+        index: 0,
+        publicKey: 'GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6',
+        selected: true,
+        balance: '25.0000000',
+      },
+      {
+        index: 1,
+        publicKey: 'GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX',
+        selected: false,
+        balance: '25.0000000',
+      },
+    ]);
+  });
+
+  it('lists built-in and user-defined networks', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    fsMocks.readFileSync.mockReturnValue(
+      JSON.stringify({
+        networks: {
+          staging: {
+            rpcUrl: 'https://rpc.staging.example.com',
+            contractId: 'CSTAGING',
+          },
+        },
+      })
+    );
+    const main = await loadMain();
+
+    expect(await main(['networks'])).toBe(0);
+    expect(logSpy).toHaveBeenCalledWith(
+      'local        http://localhost:8000/soroban/rpc  no contract'
+    );
+    expect(logSpy).toHaveBeenCalledWith(
+      'staging      https://rpc.staging.example.com  CSTAGING'
+    );
+  });
+
+  it('prints an exported key once, in the JSON result', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const writeSpy = vi
+      .spyOn(process.stdout, 'write')
+      .mockImplementation(() => true);
+    vi.doMock('stellar-hd-wallet', () => vi.importActual('stellar-hd-wallet'));
+    vi.doMock('stellar-sdk', () => vi.importActual('stellar-sdk'));
+    const mnemonic =
+      'illness spike retreat truth genius clock brain pass fit cave bargain toe';
+    const { encryptKeystore } = await import('../src/keystore.js');
+    const keystore = await encryptKeystore(mnemonic, 'correct horse', {
+      scryptN: 1024,
+    });
+    fsMocks.readFileSync.mockReturnValue(JSON.stringify(keystore));
+    vi.stubEnv('KEYSTORE_PASSPHRASE', 'correct horse');
+    const main = await loadMain();
+
+    expect(await main(['keystore', 'export', '--json'])).toBe(0);
+    const printed = [...logSpy.mock.calls, ...writeSpy.mock.calls]
+      .flat()
+      .join('\n');
+    expect(printed.split(mnemonic)).toHaveLength(2);
+    expect(JSON.parse(logSpy.mock.calls[0][0]).result.secret).toBe(mnemonic);
+
+    logSpy.mockClear();
+    expect(await main(['keystore', 'export'])).toBe(0);
+    expect(logSpy).not.toHaveBeenCalledWith(mnemonic);
+    expect(writeSpy).toHaveBeenCalledWith(`${mnemonic}\n`);
+    vi.unstubAllEnvs();
+  });
+
+  it('rejects missing and unknown keystore actions', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const main = await loadMain();
+
+    expect(await main(['keystore'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Missing action. Actions: create, import, export, change-password'
+    );
+    expect(await main(['keystore', 'change-pasword'])).toBe(2);
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Error: Unknown keystore action: change-pasword. Did you mean change-password?'
+    );
+  });
+});
@@ -32,7 +32,7 @@ describe('config helpers', () => {
     const { validateEnvironment } = await import('../src/config.js');
 
     expect(() => validateEnvironment()).toThrow(
-      'Missing required environment variables'
+      'Missing required environment variables: SEEDPHRASE or STELLAR_SECRET_KEY'
     );
   });
 
@@ -43,6 +43,15 @@ describe('config helpers', () => {
     expect(() => validateEnvironment()).not.toThrow();
   });
 
+  it('validateEnvironment accepts a secret key instead of a seed phrase', async () => {
+    delete process.env.SEEDPHRASE;
+    vi.stubEnv('STELLAR_SECRET_KEY', 'SSECRET');
+    const { validateEnvironment } = await import('../src/config.js');
+
+    expect(() => validateEnvironment()).not.toThrow();
+    vi.unstubAllEnvs();
+  });
+
   it('getStellarServer uses the configured network URL', async () => {
     const { CONFIG, getStellarServer } = await import('../src/config.js');
     await getStellarServer();
@@ -51,5 +60,12 @@ describe('config helpers', () => {
       CONFIG.TESTNET_DETAILS.networkUrl
     );
   });
+
+  it('getStellarServer connects to the requested network', async () => {
+    const { getStellarServer } = await import('../src/config.js');
+    await getStellarServer('local');
+
+    expect(serverCtorMock).toHaveBeenCalledWith('http://localhost:8000');
+  });
 });
 
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  AttestorUnavailableError,
+  ERROR_CODES,
+  ProofGenerationError,
+  ProofVerificationError,
+  ResponseMatchError,
+  UpstreamHttpError,
+  ValueAssertionError,
+  classifyZkFetchError,
+  prefixError,
+} from '../src/errors.js';
+
+describe('classifyZkFetchError', () => {
+  it.each([
+    [
+      'WebSocket was closed before the connection was established',
+      AttestorUnavailableError,
+    ],
+    ['connect ECONNREFUSED 127.0.0.1:8001', AttestorUnavailableError],
+    ['Request timed out after 30000ms', AttestorUnavailableError],
+    ['Provider returned error 429 Too Many Requests', UpstreamHttpError],
+    ['Failed to fetch https://x with status 503', UpstreamHttpError],
+    ['Invalid receipt. Regex "(?<price>.*)" didn\'t match', ResponseMatchError],
+    ['something unexpected', ProofGenerationError],
+  ])('classifies "%s"', (message, ErrorClass) => {
+    const error = classifyZkFetchError(new Error(message));
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.message).toBe(message);
+    expect(error.cause.message).toBe(message);
+  });
+
+  it('recognizes network error codes', () => {
+    const original = Object.assign(new Error('read failed'), {
+      code: 'ECONNRESET',
+    });
+
+    expect(classifyZkFetchError(original).code).toBe(
+      ERROR_CODES.ATTESTOR_UNAVAILABLE
+    );
+  });
+
+  it('only retries 429 and 5xx upstream statuses', () => {
+    const tooMany = classifyZkFetchError(new Error('status code 429'));
+    const serverError = classifyZkFetchError(new Error('HTTP 502'));
+    const notFound = classifyZkFetchError(new Error('status 404'));
+
+    expect(tooMany).toEqual(
+      expect.objectContaining({ status: 429, retryable: true })
+    );
+    expect(serverError).toEqual(
+      expect.objectContaining({ status: 502, retryable: true })
+    );
+    expect(notFound).toEqual(
+      expect.objectContaining({
+        status: 404,
+        retryable: false,
+        code: ERROR_CODES.UPSTREAM_HTTP_ERROR,
+      })
+    );
+  });
+
+  it('keeps errors that are already typed', () => {
+    const error = new ResponseMatchError('no match');
+
+    expect(classifyZkFetchError(error)).toBe(error);
+  });
+});
+
+describe('prefixError', () => {
+  it('prefixes the message and keeps type, code and status', () => {
+    const original = new Error('status 503');
+    const error = prefixError(original, 'Failed to generate proof: ');
+
+    expect(error).toBeInstanceOf(UpstreamHttpError);
+    expect(error.message).toBe('Failed to generate proof: status 503');
+    expect(error.name).toBe('UpstreamHttpError');
+    expect(error.status).toBe(503);
+    expect(error.cause).toBe(original);
+  });
+
+  it('keeps the code, failures and receipt of typed errors', () => {
+    const receipt = { hash: 'txhash', status: 'FAILED' };
+    const rejected = prefixError(
+      new ProofVerificationError('contract call failed', {
+        code: ERROR_CODES.TRANSACTION_FAILED,
+        receipt,
+      }),
+      'Failed to verify proof: '
+    );
+    expect(rejected).toBeInstanceOf(ProofVerificationError);
+    expect(rejected.message).toBe(
+      'Failed to verify proof: contract call failed'
+    );
+    expect(rejected.code).toBe(ERROR_CODES.TRANSACTION_FAILED);
+    expect(rejected.receipt).toBe(receipt);
+
+    const failures = [{ rule: 'min', value: -1 }];
+    const asserted = prefixError(
+      new ValueAssertionError('price out of range', { failures }),
+      'Failed to generate proof: '
+    );
+    expect(asserted.code).toBe(ERROR_CODES.VALUE_ASSERTION_FAILED);
+    expect(asserted.failures).toBe(failures);
+  });
+});
@@ -0,0 +1,153 @@
+import * as fs from 'fs';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  checkFreshness,
+  checkProofFileFreshness,
+  findProofProvider,
+  formatDuration,
+  validateFreshness,
+} from '../src/freshness.js';
+
+const PROOF_PATH = new URL('./fixtures/signed-proof.json', import.meta.url)
+  .pathname;
+const proof = JSON.parse(fs.readFileSync(PROOF_PATH, 'utf8'));
+const SIGNED_MS = proof.claimData.timestampS * 1000;
+
+const withUrl = (url) => ({
+  claimData: { ...proof.claimData, parameters: JSON.stringify({ url }) },
+});
+
+describe('formatDuration', () => {
+  it('shows the two largest units', () => {
+    expect(formatDuration(0)).toBe('0s');
+    expect(formatDuration(45)).toBe('45s');
+    expect(formatDuration(310)).toBe('5m 10s');
+    expect(formatDuration(3600)).toBe('1h');
+    expect(formatDuration(7 * 86400 + 3 * 3600 + 59)).toBe('7d 3h');
+  });
+});
+
+describe('findProofProvider', () => {
+  it('matches the url the proof was generated for', () => {
+    expect(findProofProvider(proof).name).toBe('stellar');
+    expect(
+      findProofProvider(
+        withUrl(
+          'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=eur'
+        )
+      ).name
+    ).toBe('coingecko');
+  });
+
+  it('returns undefined for unknown urls and malformed claims', () => {
+    expect(findProofProvider(withUrl('https://example.com/'))).toBeUndefined();
+    expect(
+      findProofProvider({ claimData: { parameters: 'not json' } })
+    ).toBeUndefined();
+  });
+});
+
+describe('checkFreshness', () => {
+  it('accepts proofs within the provider max age', () => {
+    expect(checkFreshness(proof, { now: SIGNED_MS + 30000 })).toEqual({
+      fresh: true,
+      stale: false,
+      provider: 'stellar',
+      timestampS: proof.claimData.timestampS,
+      ageS: 30,
+      maxAgeS: 60,
+      clockSkewS: 60,
+    });
+  });
+
+  it('rejects stale proofs unless allowStale is set', () => {
+    const now = SIGNED_MS + 7 * 86400 * 1000;
+
+    expect(checkFreshness(proof, { now }).error).toBe(
+      'Proof is stale: issued 7d ago (2026-02-04T09:10:40.000Z), stellar proofs ' +
+        'are valid for 1m. Use --allow-stale to verify it anyway'
+    );
+
+    const replay = checkFreshness(proof, { now, allowStale: true });
+    expect(replay.fresh).toBe(true);
+    expect(replay.stale).toBe(true);
+    expect(replay.error).toBeUndefined();
+  });
+
+  it('rejects timestamps in the future beyond the clock skew', () => {
+    expect(checkFreshness(proof, { now: SIGNED_MS - 45000 }).fresh).toBe(true);
+
+    const result = checkFreshness(proof, {
+      now: SIGNED_MS - 300000,
+      allowStale: true,
+    });
+    expect(result.fresh).toBe(false);
+    expect(result.error).toBe(
+      'Proof timestamp is 5m in the future (2026-02-04T09:10:40.000Z), ' +
+        'beyond the allowed clock skew of 1m'
+    );
+  });
+
+  it('uses explicit limits and the default for unknown providers', () => {
+    const now = SIGNED_MS + 2 * 3600 * 1000;
+
+    expect(checkFreshness(proof, { now, provider: 'forbes' }).fresh).toBe(
+      false
+    );
+    expect(checkFreshness(proof, { now, maxAgeS: 10800 }).fresh).toBe(true);
+    expect(
+      checkFreshness(withUrl('https://example.com/'), { now }).maxAgeS
+    ).toBe(86400);
+    expect(() => checkFreshness(proof, { provider: 'nope' })).toThrow(
+      'Unknown provider: nope'
+    );
+    expect(() => checkFreshness({ claimData: {} })).toThrow(
+      'Proof has no claimData.timestampS'
+    );
+  });
+
+  it('fails proofs without a timestamp with the staleness error code', async () => {
+    const { ERROR_CODES, ProofVerificationError } =
+      await import('../src/errors.js');
+    const { exitCodeFor } = await import('../src/cli.js');
+    let error;
+    try {
+      checkFreshness({ claimData: {} });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ProofVerificationError);
+    expect(error.code).toBe(ERROR_CODES.PROOF_STALE);
+    expect(exitCodeFor(error)).toBe(9);
+  });
+});
+
+describe('validateFreshness', () => {
+  it('requires maxAgeS to be a positive integer', () => {
+    expect(() => validateFreshness({ name: 'a', maxAgeS: 60 })).not.toThrow();
+    expect(() => validateFreshness({ name: 'a', maxAgeS: 0 })).toThrow(
+      'Provider a maxAgeS must be a positive integer'
+    );
+  });
+});
+
+describe('checkProofFileFreshness', () => {
+  it('loads the proof and prints the result', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = checkProofFileFreshness(PROOF_PATH, {
+      now: SIGNED_MS + 90000,
+    });
+
+    expect(result.fresh).toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(
+      'Proof from stellar is 1m 30s old (max age 1m)'
+    );
+    expect(logSpy).toHaveBeenCalledWith(result.error);
+    expect(() => checkProofFileFreshness('./missing-proof.json')).toThrow(
+      'Failed to load proof'
+    );
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,213 @@
+import {
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from 'vitest';
+import { CONFIG } from '../src/config.js';
+
+const fsMocks = vi.hoisted(() => ({
+  existsSync: vi.fn(),
+  readFileSync: vi.fn(),
+  writeFileSync: vi.fn(),
+}));
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+// SEP-0005 test vector: the mnemonic and the accounts it derives
+const MNEMONIC =
+  'illness spike retreat truth genius clock brain pass fit cave bargain toe';
+const ACCOUNT_0 = 'GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6';
+const ACCOUNT_1 = 'GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX';
+const SECRET_0 = 'SBGWSG6BTNCKCOB3DIFBGCVMUPQFYPA2G4O34RMTB343OYPXU5DJDVMN';
+const FILE = './zkfetch.keystore.json';
+
+let files;
+
+beforeAll(() => {
+  // Cheap key derivation, so the tests stay fast
+  CONFIG.KEYSTORE.SCRYPT_N = 1024;
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  files = {};
+  fsMocks.existsSync.mockImplementation((file) => file in files);
+  fsMocks.readFileSync.mockImplementation((file) => {
+    if (!(file in files)) {
+      throw Object.assign(new Error(`ENOENT: no such file, open '${file}'`), {
+        code: 'ENOENT',
+      });
+    }
+    return files[file];
+  });
+  fsMocks.writeFileSync.mockImplementation((file, data, { flag }) => {
+    if (flag === 'wx' && file in files) {
+      throw Object.assign(new Error(`EEXIST: file already exists`), {
+        code: 'EEXIST',
+      });
+    }
+    files[file] = data;
+  });
+  vi.stubEnv('SEEDPHRASE', '');
+  vi.stubEnv('STELLAR_SECRET_KEY', '');
+  vi.stubEnv('KEYSTORE_PASSPHRASE', 'correct horse battery');
+  vi.stubEnv('KEYSTORE_NEW_PASSPHRASE', '');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('keystore', () => {
+  it('encrypts seed phrases and secret keys under a passphrase', async () => {
+    const { decryptKeystore, encryptKeystore } =
+      await import('../src/keystore.js');
+
+    const keystore = await encryptKeystore(MNEMONIC, 'correct horse battery', {
+      scryptN: 1024,
+    });
+    expect(keystore).toMatchObject({
+      version: 1,
+      type: 'seedphrase',
+      publicKey: ACCOUNT_0,
+      crypto: { kdf: 'scrypt', cipher: 'aes-256-gcm' },
+    });
+    expect(JSON.stringify(keystore)).not.toContain('illness');
+    expect(await decryptKeystore(keystore, 'correct horse battery')).toBe(
+      MNEMONIC
+    );
+    await expect(decryptKeystore(keystore, 'wrong horse')).rejects.toThrow(
+      'Wrong passphrase, or the keystore was modified'
+    );
+    await expect(
+      decryptKeystore(
+        { ...keystore, publicKey: ACCOUNT_1 },
+        'correct horse battery'
+      )
+    ).rejects.toThrow('Wrong passphrase, or the keystore was modified');
+
+    const secret = await encryptKeystore(SECRET_0, 'correct horse battery');
+    expect(secret).toMatchObject({ type: 'secret', publicKey: ACCOUNT_0 });
+    await expect(encryptKeystore('not a key', 'passphrase')).rejects.toThrow(
+      'Not a seed phrase or an S... secret key'
+    );
+  });
+
+  it('imports, exports and re-encrypts the key', async () => {
+    const { KEYSTORE_ACTIONS, readKeystore } =
+      await import('../src/keystore.js');
+    vi.stubEnv('SEEDPHRASE', MNEMONIC);
+
+    expect(await KEYSTORE_ACTIONS.import({ fromEnv: true })).toEqual({
+      file: FILE,
+      type: 'seedphrase',
+      publicKey: ACCOUNT_0,
+    });
+    expect(fsMocks.writeFileSync).toHaveBeenCalledWith(
+      FILE,
+      expect.any(String),
+      { mode: 0o600, flag: 'wx' }
+    );
+    await expect(KEYSTORE_ACTIONS.import({ fromEnv: true })).rejects.toThrow(
+      `Keystore ${FILE} already exists; use --force to replace it`
+    );
+    const reveal = vi.fn();
+    expect((await KEYSTORE_ACTIONS.export({ reveal })).secret).toBe(MNEMONIC);
+    expect(reveal).toHaveBeenCalledOnce();
+    expect(reveal).toHaveBeenCalledWith(MNEMONIC);
+    // The key never goes through the logger
+    expect(console.log).not.toHaveBeenCalledWith(MNEMONIC);
+
+    const before = readKeystore();
+    vi.stubEnv('KEYSTORE_NEW_PASSPHRASE', 'battery staple');
+    await KEYSTORE_ACTIONS['change-password']({});
+    expect(readKeystore().crypto.kdfparams.salt).not.toBe(
+      before.crypto.kdfparams.salt
+    );
+    await expect(KEYSTORE_ACTIONS.export({})).rejects.toThrow(
+      'Wrong passphrase, or the keystore was modified'
+    );
+    vi.stubEnv('KEYSTORE_PASSPHRASE', 'battery staple');
+    expect((await KEYSTORE_ACTIONS.export({ reveal })).secret).toBe(MNEMONIC);
+  });
+
+  it('creates a new seed phrase and shows it before saving it', async () => {
+    const { KEYSTORE_ACTIONS, unlockKeystore } =
+      await import('../src/keystore.js');
+    const writeSpy = vi
+      .spyOn(process.stdout, 'write')
+      .mockImplementation(() => {
+        // Nothing is saved until the phrase has been shown
+        expect(files).toEqual({});
+        return true;
+      });
+
+    const result = await KEYSTORE_ACTIONS.create({});
+    const { secret } = await unlockKeystore();
+
+    expect(secret.split(' ')).toHaveLength(24);
+    expect(result).toMatchObject({ type: 'seedphrase', secret });
+    expect(result.publicKey).toMatch(/^G[A-Z2-7]{55}$/);
+    expect(writeSpy).toHaveBeenCalledOnce();
+    expect(writeSpy).toHaveBeenCalledWith(
+      `Recovery phrase (write it down; it is not shown again):\n  ${secret}\n`
+    );
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('refuses weak, missing and mismatched passphrases and bad files', async () => {
+    const { KEYSTORE_ACTIONS, readKeystore, unlockKeystore } =
+      await import('../src/keystore.js');
+
+    vi.stubEnv('KEYSTORE_PASSPHRASE', 'short');
+    await expect(KEYSTORE_ACTIONS.create({})).rejects.toThrow(
+      'Passphrase must be at least 8 characters'
+    );
+    expect(files).toEqual({});
+
+    vi.stubEnv('KEYSTORE_PASSPHRASE', '');
+    await expect(KEYSTORE_ACTIONS.create({})).rejects.toThrow(
+      'No terminal to enter the passphrase in; set KEYSTORE_PASSPHRASE'
+    );
+    await expect(KEYSTORE_ACTIONS.export({})).rejects.toThrow(
+      `No keystore at ${FILE}; create one with "keystore create" or "keystore import"`
+    );
+    expect(await unlockKeystore()).toBeNull();
+
+    files[FILE] = JSON.stringify({ version: 2 });
+    expect(() => readKeystore()).toThrow(
+      `Invalid keystore ${FILE}: Unsupported keystore version: 2`
+    );
+  });
+
+  it('signs with the keystore when no plaintext key is set', async () => {
+    const { KEYSTORE_ACTIONS } = await import('../src/keystore.js');
+    const { describeSigner, resolveSigner } = await import('../src/signers.js');
+    vi.stubEnv('SEEDPHRASE', MNEMONIC);
+    await KEYSTORE_ACTIONS.import({ fromEnv: true });
+    vi.stubEnv('SEEDPHRASE', '');
+    console.warn.mockClear();
+
+    const signer = await resolveSigner({ accountIndex: 1 });
+
+    expect(signer.keypair.publicKey()).toBe(ACCOUNT_1);
+    expect(describeSigner(signer)).toBe(`keystore ${FILE} account 1`);
+    expect(console.warn).not.toHaveBeenCalled();
+
+    vi.stubEnv('KEYSTORE_PASSPHRASE', 'wrong horse');
+    await expect(resolveSigner()).rejects.toThrow(
+      'Failed to create Stellar wallet: Wrong passphrase, or the keystore was modified'
+    );
+  });
+});
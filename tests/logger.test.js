@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createLogger, getLogger, log, withLogger } from '../src/logger.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  delete process.env.LOG_LEVEL;
+});
+
+describe('createLogger', () => {
+  it('prints info on stdout and warnings and errors on stderr', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const logger = createLogger();
+
+    logger.debug('hidden');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error', 'detail');
+
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(logSpy).toHaveBeenCalledWith('info');
+    expect(warnSpy).toHaveBeenCalledWith('warn');
+    expect(errorSpy).toHaveBeenCalledWith('error', 'detail');
+  });
+
+  it('filters by level, from LOG_LEVEL by default', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    createLogger({ level: 'error' }).info('quiet');
+    process.env.LOG_LEVEL = 'debug';
+    createLogger().debug('verbose');
+
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(logSpy).toHaveBeenCalledWith('verbose');
+    expect(errorSpy).not.toHaveBeenCalled();
+    expect(() => createLogger({ level: 'loud' })).toThrow(
+      'Unknown log level: loud. Supported: debug, info, warn, error, silent'
+    );
+  });
+
+  it('sends every level to stderr when asked', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    createLogger({ stderr: true }).info('progress');
+
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalledWith('progress');
+  });
+});
+
+describe('withLogger', () => {
+  it('routes log calls to the given logger, across awaits', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const messages = [];
+    const logger = { info: (message) => messages.push(message) };
+
+    await withLogger(logger, async () => {
+      log.info('before');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      log.info('after');
+      log.warn('dropped, the logger has no warn');
+    });
+    log.info('outside');
+
+    expect(messages).toEqual(['before', 'after']);
+    expect(logSpy).toHaveBeenCalledWith('outside');
+  });
+
+  it('falls back to a console logger outside withLogger', () => {
+    expect(Object.keys(getLogger())).toEqual([
+      'debug',
+      'info',
+      'warn',
+      'error',
+    ]);
+  });
+});
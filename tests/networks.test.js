@@ -0,0 +1,231 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  readFileSync: vi.fn(),
+}));
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+const OVERRIDES = ['NETWORK_URL', 'SOROBAN_RPC_URL', 'CONTRACT_ID'].flatMap(
+  (name) =>
+    ['', 'TESTNET_', 'MAINNET_', 'FUTURENET_', 'STAGING_EU_'].map(
+      (prefix) => `${prefix}${name}`
+    )
+);
+
+let networksFile;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  networksFile = undefined;
+  fsMocks.readFileSync.mockImplementation((file) => {
+    if (networksFile === undefined) {
+      throw Object.assign(new Error(`ENOENT: no such file, open '${file}'`), {
+        code: 'ENOENT',
+      });
+    }
+    return JSON.stringify(networksFile);
+  });
+  OVERRIDES.forEach((name) => vi.stubEnv(name, ''));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('network profiles', () => {
+  it('resolves the built-in networks without reading the network file', async () => {
+    const { resolveNetwork } = await import('../src/networks.js');
+    const { CONFIG } = await import('../src/config.js');
+
+    expect(resolveNetwork('mainnet')).toEqual({
+      name: 'mainnet',
+      stellarConfig: CONFIG.STELLAR_MAINNET,
+      networkDetails: CONFIG.MAINNET_DETAILS,
+    });
+    expect(resolveNetwork('local')).toMatchObject({
+      stellarConfig: {
+        CONTRACT_ID: null,
+        SOROBAN_RPC_URL: 'http://localhost:8000/soroban/rpc',
+      },
+      networkDetails: {
+        network: 'LOCAL',
+        networkPassphrase: 'Standalone Network ; February 2017',
+      },
+    });
+    expect(resolveNetwork().name).toBe('testnet');
+    expect(fsMocks.readFileSync).not.toHaveBeenCalled();
+  });
+
+  it('applies environment overrides to their own network only', async () => {
+    const { resolveNetwork } = await import('../src/networks.js');
+    const { CONFIG } = await import('../src/config.js');
+    vi.stubEnv('FUTURENET_NETWORK_URL', 'http://horizon.internal');
+    vi.stubEnv('FUTURENET_SOROBAN_RPC_URL', 'http://rpc.internal');
+    vi.stubEnv('FUTURENET_CONTRACT_ID', 'CFUTURECONTRACT');
+    vi.stubEnv('CONTRACT_ID', 'CTESTCONTRACT');
+    vi.stubEnv('SOROBAN_RPC_URL', 'http://rpc.test.internal');
+
+    expect(resolveNetwork('futurenet')).toMatchObject({
+      stellarConfig: {
+        CONTRACT_ID: 'CFUTURECONTRACT',
+        SOROBAN_RPC_URL: 'http://rpc.internal',
+      },
+      networkDetails: {
+        networkUrl: 'http://horizon.internal',
+        networkPassphrase: 'Test SDF Future Network ; October 2022',
+      },
+    });
+    // The unprefixed variables are testnet's
+    expect(resolveNetwork('testnet').stellarConfig).toMatchObject({
+      CONTRACT_ID: 'CTESTCONTRACT',
+      SOROBAN_RPC_URL: 'http://rpc.test.internal',
+    });
+    expect(resolveNetwork('mainnet').stellarConfig).toEqual(
+      CONFIG.STELLAR_MAINNET
+    );
+
+    vi.stubEnv('TESTNET_CONTRACT_ID', 'CPREFIXEDCONTRACT');
+    vi.stubEnv('MAINNET_CONTRACT_ID', 'CMAINCONTRACT');
+    expect(resolveNetwork('testnet').stellarConfig.CONTRACT_ID).toBe(
+      'CPREFIXEDCONTRACT'
+    );
+    expect(resolveNetwork('mainnet').stellarConfig).toMatchObject({
+      CONTRACT_ID: 'CMAINCONTRACT',
+      SOROBAN_RPC_URL: CONFIG.STELLAR_MAINNET.SOROBAN_RPC_URL,
+    });
+  });
+
+  it('names overrides after user-defined profiles', async () => {
+    const { envOverrideName, resolveNetwork } =
+      await import('../src/networks.js');
+    networksFile = { networks: { 'staging-eu': { extends: 'testnet' } } };
+    vi.stubEnv('STAGING_EU_CONTRACT_ID', 'CSTAGINGCONTRACT');
+    vi.stubEnv('CONTRACT_ID', 'CTESTCONTRACT');
+
+    expect(envOverrideName('staging-eu', 'CONTRACT_ID')).toBe(
+      'STAGING_EU_CONTRACT_ID'
+    );
+    expect(resolveNetwork('staging-eu').stellarConfig.CONTRACT_ID).toBe(
+      'CSTAGINGCONTRACT'
+    );
+  });
+
+  it('loads user-defined profiles on top of the network they extend', async () => {
+    const {
+      describeNetworks,
+      formatExplorerUrl,
+      listNetworks,
+      resolveNetwork,
+    } = await import('../src/networks.js');
+    const { CONFIG } = await import('../src/config.js');
+    networksFile = {
+      networks: {
+        archive: {
+          extends: 'mainnet',
+          rpcUrl: 'https://rpc.archive.example.com',
+          explorerUrl: 'https://explorer.example.com/tx/{hash}?net=public',
+          baseFee: 200,
+        },
+      },
+    };
+
+    const { stellarConfig, networkDetails } = resolveNetwork('archive');
+
+    expect(stellarConfig).toMatchObject({
+      CONTRACT_ID: CONFIG.STELLAR_MAINNET.CONTRACT_ID,
+      SOROBAN_RPC_URL: 'https://rpc.archive.example.com',
+      BASE_FEE: '200',
+      ATTESTORS: CONFIG.STELLAR_MAINNET.ATTESTORS,
+    });
+    expect(networkDetails).toEqual({
+      network: 'archive',
+      networkUrl: CONFIG.MAINNET_DETAILS.networkUrl,
+      networkPassphrase: CONFIG.MAINNET_DETAILS.networkPassphrase,
+    });
+    expect(formatExplorerUrl(stellarConfig, 'abc')).toBe(
+      'https://explorer.example.com/tx/abc?net=public'
+    );
+    expect(formatExplorerUrl(CONFIG.STELLAR_TESTNET, 'abc')).toBe(
+      'https://stellar.expert/explorer/testnet/tx/abc'
+    );
+    expect(formatExplorerUrl(CONFIG.STELLAR_LOCAL, 'abc')).toBeNull();
+    expect(listNetworks()).toEqual([
+      'testnet',
+      'mainnet',
+      'futurenet',
+      'local',
+      'archive',
+    ]);
+    expect(describeNetworks()[4]).toEqual({
+      name: 'archive',
+      rpcUrl: 'https://rpc.archive.example.com',
+      horizonUrl: CONFIG.MAINNET_DETAILS.networkUrl,
+      networkPassphrase: CONFIG.MAINNET_DETAILS.networkPassphrase,
+      contractId: CONFIG.STELLAR_MAINNET.CONTRACT_ID,
+      explorerUrl: 'https://explorer.example.com/tx/{hash}?net=public',
+      baseFee: '200',
+    });
+  });
+
+  it('refuses unknown networks and malformed profiles', async () => {
+    const { loadNetworkProfiles, resolveNetwork } =
+      await import('../src/networks.js');
+    const invalid = (networks) => {
+      networksFile = { networks };
+      return () => loadNetworkProfiles();
+    };
+
+    networksFile = { networks: { staging: {} } };
+    expect(() => resolveNetwork('stagin')).toThrow(
+      'Unknown network: stagin. Did you mean staging?'
+    );
+    expect(invalid({ mainnet: {} })).toThrow(
+      'Network mainnet is built in; give the profile another name and "extends": "mainnet"'
+    );
+    expect(invalid({ staging: { rpcURL: 'https://x' } })).toThrow(
+      'Network staging has unknown option: rpcURL. Did you mean rpcUrl?'
+    );
+    expect(invalid({ staging: { extends: 'pubnet' } })).toThrow(
+      'Network staging extends unknown network: pubnet'
+    );
+    expect(invalid({ staging: { contractId: 42 } })).toThrow(
+      'Network staging contractId must be a string'
+    );
+    expect(invalid([])).toThrow(
+      'Invalid network file ./zkfetch.networks.json: Network file must have a networks object'
+    );
+
+    fsMocks.readFileSync.mockReturnValue('{');
+    expect(() => loadNetworkProfiles()).toThrow(
+      'Failed to read network file ./zkfetch.networks.json'
+    );
+  });
+
+  it('does not mistake Object.prototype members for networks', async () => {
+    const { loadNetworkProfiles, resolveNetwork } =
+      await import('../src/networks.js');
+    const { UsageError } = await import('../src/errors.js');
+
+    networksFile = { networks: {} };
+    expect(() => resolveNetwork('constructor')).toThrow(UsageError);
+    expect(() => resolveNetwork('toString')).toThrow(
+      'Unknown network: toString'
+    );
+
+    networksFile = {
+      networks: { constructor: { extends: 'mainnet', contractId: 'CX' } },
+    };
+    expect(Object.keys(loadNetworkProfiles())).toEqual(['constructor']);
+    expect(resolveNetwork('constructor').stellarConfig.CONTRACT_ID).toBe('CX');
+
+    networksFile = { networks: { staging: { extends: 'toString' } } };
+    expect(() => loadNetworkProfiles()).toThrow(
+      'Network staging extends unknown network: toString'
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import {
+  normalizeValue,
+  normalizeValues,
+  parseNumber,
+  validateNormalization,
+} from '../src/normalize.js';
+import { getProvider } from '../src/providers/index.js';
+
+describe('parseNumber', () => {
+  it('parses separators, suffixes and currency signs', () => {
+    expect(parseNumber('0.17778')).toBe(0.17778);
+    expect(parseNumber('1,630,322,579')).toBe(1630322579);
+    expect(parseNumber('19.96M')).toBe(19960000);
+    expect(parseNumber('211k')).toBe(211000);
+    expect(parseNumber('4.261T')).toBe(4261000000000);
+    expect(parseNumber('2.5b')).toBe(2500000000);
+    expect(parseNumber('-$1.50')).toBe(-1.5);
+    expect(parseNumber(' "12" ')).toBe(12);
+    expect(parseNumber('1.2e3')).toBe(1200);
+  });
+
+  it('rejects values that are not numbers', () => {
+    expect(() => parseNumber('N/A')).toThrow("'N/A' is not a number");
+    expect(() => parseNumber('12 apples')).toThrow('is not a number');
+    expect(() => parseNumber('')).toThrow('is not a number');
+  });
+});
+
+describe('normalizeValue', () => {
+  it('strips JSON quotes from strings', () => {
+    expect(normalizeValue('"New York"', { type: 'string' })).toBe('New York');
+    expect(normalizeValue('"Caf\\u00e9"', {})).toBe('Café');
+    expect(normalizeValue('  plain ', {})).toBe('plain');
+  });
+
+  it('converts units and rounds', () => {
+    expect(normalizeValue('21', { type: 'number', convert: 'C->F' })).toBe(
+      69.8
+    );
+    expect(normalizeValue('-40', { type: 'number', convert: 'F->C' })).toBe(
+      -40
+    );
+    expect(
+      normalizeValue('10', { type: 'number', convert: 'km->mi', decimals: 2 })
+    ).toBe(6.21);
+  });
+
+  it('requires integers to be whole numbers', () => {
+    expect(normalizeValue('1.2k', { type: 'integer' })).toBe(1200);
+    expect(() => normalizeValue('2.5', { type: 'integer' })).toThrow(
+      "'2.5' is not an integer"
+    );
+  });
+});
+
+describe('normalizeValues', () => {
+  it('builds typed values from the provider declaration', () => {
+    const accuweather = getProvider('accuweather');
+
+    expect(
+      normalizeValues(accuweather, { city: '"New York"', tempInC: '12' })
+    ).toEqual({ city: 'New York', tempInC: 12, tempInF: 53.6 });
+  });
+
+  it('leaves out missing values and skips providers without a declaration', () => {
+    expect(
+      normalizeValues(getProvider('accuweather'), { city: '"Oslo"' })
+    ).toEqual({ city: 'Oslo' });
+    expect(normalizeValues(getProvider('forbes'), { name1: 'x' })).toBe(
+      undefined
+    );
+  });
+
+  it('names the value that failed to parse', () => {
+    expect(() =>
+      normalizeValues(getProvider('stellar'), { price: 'N/A' })
+    ).toThrow("Failed to normalize price: 'N/A' is not a number");
+  });
+});
+
+describe('validateNormalization', () => {
+  const withSpec = (spec) => ({ name: 'x', normalize: { value: spec } });
+
+  it('rejects unknown types and conversions', () => {
+    expect(() => validateNormalization(withSpec('number'))).not.toThrow();
+    expect(() => validateNormalization(withSpec('float'))).toThrow(
+      'Provider x normalize value type must be one of: number, integer, string'
+    );
+    expect(() =>
+      validateNormalization(withSpec({ type: 'number', convert: 'C->R' }))
+    ).toThrow('Provider x normalize value has unknown conversion C->R');
+    expect(() => validateNormalization(withSpec({ convert: 'C->F' }))).toThrow(
+      'Provider x normalize value converts units, so its type must be numeric'
+    );
+  });
+});
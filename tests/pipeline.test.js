@@ -0,0 +1,313 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  existsSync: vi.fn(),
+  readFileSync: vi.fn(),
+  mkdirSync: vi.fn(),
+  copyFileSync: vi.fn(),
+}));
+
+const requestProofMock = vi.hoisted(() => vi.fn());
+const verifyProofMock = vi.hoisted(() => vi.fn());
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+vi.mock('../src/requestProof.js', () => ({ requestProof: requestProofMock }));
+
+vi.mock('../src/verifyProof.js', () => ({
+  verifyProof: verifyProofMock,
+}));
+
+// A real zkFetch proof (Stellar price 0.17778), so local checks pass
+const actualFs = await vi.importActual('fs');
+const PROOF_JSON = actualFs.readFileSync(
+  new URL('./fixtures/signed-proof.json', import.meta.url),
+  'utf8'
+);
+
+let files;
+
+/**
+ * Serves a pipeline file and proofs from memory
+ * @param {Object} pipeline - The pipeline definition
+ */
+const givenPipeline = (pipeline) => {
+  files['./zkfetch.pipeline.json'] = JSON.stringify(pipeline);
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  files = {};
+  fsMocks.readFileSync.mockImplementation((file) => {
+    if (files[file] === undefined) {
+      throw Object.assign(new Error(`ENOENT: no such file, open '${file}'`), {
+        code: 'ENOENT',
+      });
+    }
+    return files[file];
+  });
+  requestProofMock.mockImplementation(async (outputPath) => {
+    files[outputPath] = PROOF_JSON;
+    return JSON.parse(PROOF_JSON);
+  });
+  verifyProofMock.mockResolvedValue({
+    hash: 'txhash',
+    status: 'SUCCESS',
+    ledger: 7,
+    returnValue: true,
+    feeCharged: '51334',
+  });
+});
+
+describe('runPipeline', () => {
+  it('runs each step on the proof of the step before', async () => {
+    const { runPipeline } = await import('../src/pipeline.js');
+    givenPipeline({
+      jobs: {
+        prices: {
+          steps: [
+            { step: 'request', provider: 'stellar' },
+            { step: 'assert', values: { price: { type: 'number', min: 0.1 } } },
+            { step: 'verify-local' },
+            { step: 'submit', network: 'mainnet' },
+            { step: 'export', to: './archive' },
+          ],
+        },
+      },
+    });
+
+    const summary = await runPipeline('prices');
+
+    expect(requestProofMock).toHaveBeenCalledWith(
+      'proofs/prices-stellar.json',
+      'stellar',
+      {}
+    );
+    expect(verifyProofMock).toHaveBeenCalledWith(
+      'proofs/prices-stellar.json',
+      'mainnet',
+      {}
+    );
+    expect(fsMocks.copyFileSync).toHaveBeenCalledWith(
+      'proofs/prices-stellar.json',
+      'archive/prices-stellar.json'
+    );
+    expect(summary).toMatchObject({
+      job: 'prices',
+      success: true,
+      passed: 5,
+      failed: 0,
+      skipped: 0,
+    });
+    expect(summary.steps[3].result).toEqual({
+      proofPath: 'proofs/prices-stellar.json',
+      network: 'mainnet',
+      transactionHash: 'txhash',
+      status: 'SUCCESS',
+      ledger: 7,
+      returnValue: true,
+      feeCharged: '51334',
+    });
+  });
+
+  it('acts on proofs by request id or path', async () => {
+    const { runPipeline } = await import('../src/pipeline.js');
+    files['./saved.json'] = PROOF_JSON;
+    givenPipeline({
+      jobs: {
+        pair: {
+          steps: [
+            {
+              step: 'request',
+              id: 'xlm',
+              provider: 'stellar',
+              out: './x.json',
+            },
+            { step: 'request', id: 'btc', provider: 'coingecko' },
+            {
+              step: 'submit',
+              proof: 'xlm',
+              verifyLocally: false,
+              accountIndex: 2,
+            },
+            { step: 'verify-local', proof: './saved.json' },
+          ],
+        },
+      },
+    });
+
+    const summary = await runPipeline('pair');
+
+    expect(verifyProofMock).toHaveBeenCalledWith('./x.json', 'testnet', {
+      verifyLocally: false,
+      accountIndex: 2,
+    });
+    expect(summary.steps[1].result.proofPath).toBe('proofs/pair-btc.json');
+    expect(summary.steps[3].result.proofPath).toBe('./saved.json');
+    expect(summary.success).toBe(true);
+  });
+
+  it('stops at the first failed step unless told to continue', async () => {
+    const { runPipeline } = await import('../src/pipeline.js');
+    givenPipeline({
+      jobs: {
+        prices: {
+          steps: [
+            { step: 'request', provider: 'stellar' },
+            { step: 'assert', values: { price: { min: 1 } } },
+            { step: 'submit' },
+          ],
+        },
+      },
+    });
+
+    const summary = await runPipeline('prices');
+
+    expect(summary).toMatchObject({
+      success: false,
+      passed: 1,
+      failed: 1,
+      skipped: 1,
+    });
+    expect(summary.steps[1]).toMatchObject({
+      status: 'failed',
+      code: 'VALUE_ASSERTION_FAILED',
+      error: expect.stringContaining('price must be at least 1'),
+    });
+    expect(summary.steps[2]).toMatchObject({
+      status: 'skipped',
+      reason: 'Stopped after a failed step',
+    });
+    expect(verifyProofMock).not.toHaveBeenCalled();
+
+    const continued = await runPipeline('prices', { continueOnError: true });
+
+    expect(continued).toMatchObject({ passed: 2, failed: 1, skipped: 0 });
+    expect(verifyProofMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips steps whose proof was not generated', async () => {
+    const { runPipeline } = await import('../src/pipeline.js');
+    requestProofMock.mockRejectedValueOnce(
+      Object.assign(new Error('Attestor unavailable'), {
+        code: 'ATTESTOR_UNAVAILABLE',
+      })
+    );
+    givenPipeline({
+      jobs: {
+        nightly: {
+          continueOnError: true,
+          steps: [
+            { step: 'request', id: 'a', provider: 'stellar' },
+            { step: 'request', id: 'b', provider: 'forbes' },
+            { step: 'verify-local', proof: 'a' },
+            { step: 'verify-local', proof: 'b' },
+          ],
+        },
+      },
+    });
+
+    const summary = await runPipeline('nightly');
+
+    expect(summary.steps.map(({ status }) => status)).toEqual([
+      'failed',
+      'passed',
+      'skipped',
+      'passed',
+    ]);
+    expect(summary.steps[0].code).toBe('ATTESTOR_UNAVAILABLE');
+    expect(summary.steps[2].reason).toBe(
+      'Proof proofs/nightly-a.json was not generated'
+    );
+  });
+
+  it('refuses malformed pipelines and unknown jobs', async () => {
+    const { loadPipeline, runPipeline } = await import('../src/pipeline.js');
+    const invalid = (steps) => {
+      givenPipeline({ jobs: { bad: { steps } } });
+      return () => loadPipeline();
+    };
+
+    expect(invalid([{ step: 'fetch' }])).toThrow(
+      'Job bad step 1 has unknown type: fetch. Supported: request, assert, verify-local, submit, export'
+    );
+    expect(invalid([{ step: 'submit', netwrok: 'mainnet' }])).toThrow(
+      'Job bad step 1 (submit) has unknown option: netwrok. Did you mean network?'
+    );
+    expect(invalid([{ step: 'request' }])).toThrow('needs a provider');
+    expect(invalid([{ step: 'export' }])).toThrow("needs a 'to' path");
+    expect(invalid([{ step: 'submit', network: 'mainet' }])).toThrow(
+      'Job bad step 1 (submit): Unknown network: mainet. Did you mean mainnet?'
+    );
+    expect(invalid([{ step: 'submit', signer: 'ci' }])).toThrow(
+      'Job bad step 1 (submit): Unknown signer: ci. Declare signers in ./zkfetch.signers.json'
+    );
+    expect(
+      invalid([{ step: 'assert', values: { price: { min: '1' } } }])
+    ).toThrow('min must be a number');
+    expect(invalid([])).toThrow('Job bad must have at least one step');
+    expect(() => loadPipeline('./missing.json')).toThrow(
+      'Failed to read pipeline file ./missing.json'
+    );
+    expect(() => loadPipeline('./jobs.yaml')).toThrow(
+      'Pipeline files must be JSON'
+    );
+
+    givenPipeline({ jobs: { prices: { steps: [{ step: 'verify-local' }] } } });
+    await expect(runPipeline('price')).rejects.toMatchObject({
+      code: 'USAGE',
+      message: 'Unknown job: price. Did you mean prices?',
+    });
+    await expect(runPipeline()).rejects.toThrow(
+      'Missing job. Jobs in ./zkfetch.pipeline.json: prices'
+    );
+  });
+
+  it('prints a line per step', async () => {
+    const { printPipelineSummary } = await import('../src/pipeline.js');
+
+    printPipelineSummary({
+      job: 'prices',
+      passed: 1,
+      failed: 1,
+      skipped: 1,
+      durationMs: 42,
+      steps: [
+        {
+          index: 1,
+          step: 'request',
+          status: 'passed',
+          durationMs: 40,
+          result: { proofPath: './a.json' },
+        },
+        {
+          index: 2,
+          step: 'submit',
+          status: 'failed',
+          durationMs: 2,
+          error: 'boom',
+        },
+        {
+          index: 3,
+          step: 'export',
+          status: 'skipped',
+          reason: 'Stopped after a failed step',
+        },
+      ],
+    });
+
+    const lines = console.log.mock.calls.map(([line]) => line);
+    expect(lines).toEqual([
+      'Job prices completed: 1 passed, 1 failed, 1 skipped in 42ms',
+      '  OK    1 request     40ms  ./a.json',
+      '  FAIL  2 submit       2ms  boom',
+      '  SKIP  3 export            Stopped after a failed step',
+    ]);
+  });
+});
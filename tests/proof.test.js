@@ -13,6 +13,9 @@ import { CONFIG } from '../src/config.js';
 
 let proof;
 
+const signedProof = () =>
+  JSON.parse(fs.readFileSync('./tests/fixtures/signed-proof.json', 'utf8'));
+
 describe('Proof Validation Tests', () => {
   beforeAll(() => {
     try {
@@ -240,6 +243,85 @@ describe('Utility Functions Tests', () => {
     });
   });
 
+  describe('getClaimIdentifier', () => {
+    it('should recompute the identifier of a signed claim', () => {
+      const { claimData } = signedProof();
+      expect(utils.getClaimIdentifier(claimData)).toBe(claimData.identifier);
+    });
+
+    it('should not depend on the key order of the context', () => {
+      const { claimData } = signedProof();
+      const context = JSON.parse(claimData.context);
+      const reordered = {
+        ...claimData,
+        context: JSON.stringify({
+          providerHash: context.providerHash,
+          extractedParameters: context.extractedParameters,
+        }),
+      };
+
+      expect(utils.getClaimIdentifier(reordered)).toBe(claimData.identifier);
+    });
+
+    it('should throw error for incomplete claims', () => {
+      expect(() => utils.getClaimIdentifier(null)).toThrow(
+        'Claim data must be an object'
+      );
+      expect(() => utils.getClaimIdentifier({ provider: 'http' })).toThrow(
+        'Missing required claim field: parameters'
+      );
+      expect(() =>
+        utils.getClaimIdentifier({
+          provider: 'http',
+          parameters: '{}',
+          context: 'not json',
+        })
+      ).toThrow('Claim context must be JSON');
+    });
+
+    it('should serialize canonical JSON', () => {
+      expect(
+        utils.canonicalStringify({
+          b: [1, undefined, 'x'],
+          a: { d: null, c: true },
+        })
+      ).toBe('{"a":{"c":true,"d":null},"b":[1,null,"x"]}');
+    });
+  });
+
+  describe('diffClaimData', () => {
+    it('should find nothing to report for an untouched proof', () => {
+      expect(utils.diffClaimData(signedProof())).toEqual([]);
+    });
+
+    it('should report edited parameters and extracted values', () => {
+      const tampered = signedProof();
+      tampered.claimData.parameters = tampered.claimData.parameters.replace(
+        'vs_currencies=usd',
+        'vs_currencies=eur'
+      );
+      tampered.extractedParameterValues.price = '1.00';
+
+      const mismatches = utils.diffClaimData(tampered);
+
+      expect(mismatches).toEqual([
+        {
+          field: 'claimData.identifier',
+          recorded: tampered.claimData.identifier,
+          expected: expect.stringMatching(/^0x[0-9a-f]{64}$/),
+        },
+        {
+          field: 'extractedParameterValues.price',
+          recorded: '1.00',
+          expected: '0.17778',
+        },
+      ]);
+      expect(utils.formatClaimDiff(mismatches.slice(1))).toBe(
+        '  extractedParameterValues.price\n  - "1.00"\n  + "0.17778"'
+      );
+    });
+  });
+
   describe('validateProofStructure', () => {
     it('should validate correct proof structure', () => {
       const validProof = {
@@ -0,0 +1,114 @@
+import * as fs from 'fs';
+import { describe, expect, it } from 'vitest';
+import { normalizeValues } from '../src/normalize.js';
+import { getProvider } from '../src/providers/index.js';
+import { matchResponse } from '../src/responseMatcher.js';
+import { buildResponseOptions } from '../src/selectors.js';
+
+const FIXTURES_DIR = new URL('./fixtures/providers/', import.meta.url);
+
+const readFixture = (file) =>
+  fs.readFileSync(new URL(file, FIXTURES_DIR), 'utf8');
+
+const cases = [
+  ['coinmarketcap', 'coinmarketcap.html', { cap: '19.96M' }],
+  ['yahoo-finance', 'yahoo-finance.html', { marketCap: '4.261T' }],
+  ['github-stars', 'github-stars.html', { stars: '211k' }],
+  [
+    'internet-live-stats',
+    'internet-live-stats.html',
+    { websites: '1,630,322,579' },
+  ],
+  ['flightaware', 'flightaware.html', { temperature: '21' }],
+  ['social-counts', 'social-counts.html', { count: '103,488,793,716' }],
+  ['planet-osm', 'planet-osm.html', { users: '10045083' }],
+  ['rotten-tomatoes', 'rotten-tomatoes.html', { show: 'Pluribus' }],
+  ['ipapi', 'ipapi.json', { ip: '14.244.194.106' }],
+  [
+    'solana-status',
+    'solana-status.html',
+    { status: 'All Systems Operational' },
+  ],
+  ['speedtest', 'speedtest.html', { mobileSpeed: '179.55' }],
+  [
+    'arxiv',
+    'arxiv.html',
+    {
+      title: 'On the Minimal Knowledge Required for Solving Stellar Consensus',
+    },
+  ],
+  ['npm-registry', 'npm-registry.html', { version: '14.4.2' }],
+  ['unix-timestamp', 'unix-timestamp.html', { timestamp: '1765773231' }],
+  ['wikipedia', 'wikipedia.html', { count: '7,105,949' }],
+  ['worldometers', 'worldometers.html', { population: '1,463,865,525' }],
+  ['random-number', 'random-number.json', { data: '34' }],
+  [
+    'github-rate-limit',
+    'github-rate-limit.json',
+    {
+      limit: '60',
+      remaining: '60',
+      reset: '1765806768',
+      used: '0',
+      resource: 'core',
+    },
+  ],
+  ['usgs-earthquakes', 'usgs-earthquakes.json', { count: '9077' }],
+  [
+    'opendota',
+    'opendota.json',
+    { steamId: '76561197961562353', name: 'Newsham', country: 'US' },
+  ],
+  ['postman-echo', 'postman-echo.json', { userAgent: 'reclaim/0.0.1' }],
+  ['crossref', 'crossref.json', { referenceCount: '30' }],
+];
+
+describe('built-in provider fixtures', () => {
+  it.each(cases)(
+    '%s extracts parameters from %s',
+    (name, fixture, expected) => {
+      const provider = getProvider(name);
+      const { responseMatches } = buildResponseOptions(provider);
+      const values = matchResponse(readFixture(fixture), responseMatches);
+
+      expect(values).toEqual(expected);
+
+      const lines = provider.format(values);
+      Object.values(expected).forEach((value) => {
+        expect(lines.join('\n')).toContain(value);
+      });
+    }
+  );
+
+  it.each(cases)('%s fails on an unrelated response', (name) => {
+    const provider = getProvider(name);
+
+    const { responseMatches } = buildResponseOptions(provider);
+
+    expect(() =>
+      matchResponse(
+        '<html><body>Service unavailable</body></html>',
+        responseMatches
+      )
+    ).toThrow('did not match');
+  });
+
+  it.each([
+    ['coinmarketcap', 'coinmarketcap.html', { cap: 19960000 }],
+    ['yahoo-finance', 'yahoo-finance.html', { marketCap: 4261000000000 }],
+    ['github-stars', 'github-stars.html', { stars: 211000 }],
+    [
+      'internet-live-stats',
+      'internet-live-stats.html',
+      { websites: 1630322579 },
+    ],
+    ['wikipedia', 'wikipedia.html', { count: 7105949 }],
+    ['speedtest', 'speedtest.html', { mobileSpeed: 179.55 }],
+  ])('%s normalizes the values from %s', (name, fixture, expected) => {
+    const provider = getProvider(name);
+    const { responseMatches } = buildResponseOptions(provider);
+    const values = matchResponse(readFixture(fixture), responseMatches);
+
+    expect(normalizeValues(provider, values)).toEqual(expected);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, expect, it, vi } from 'vitest';
+import { getProvider } from '../src/providers/index.js';
+import {
+  findBacktrackingRisks,
+  printProviderTestReport,
+  testProvider,
+  testProviderFixture,
+} from '../src/providerTester.js';
+import { makeRegex } from '../src/responseMatcher.js';
+import { buildResponseOptions } from '../src/selectors.js';
+
+const fixture = (file) =>
+  new URL(`./fixtures/providers/${file}`, import.meta.url).pathname;
+
+describe('testProvider', () => {
+  it('reports the values zkFetch would extract', () => {
+    const report = testProvider(
+      getProvider('stellar'),
+      '{"stellar":{"usd":0.17778}}'
+    );
+
+    expect(report.passed).toBe(true);
+    expect(report.values).toEqual({ price: '0.17778' });
+    expect(report.matches[0]).toEqual(
+      expect.objectContaining({ index: 1, passed: true, warnings: [] })
+    );
+  });
+
+  it('shows which match failed', () => {
+    const report = testProvider(
+      {
+        name: 'example',
+        url: 'https://example.com',
+        responseMatches: [
+          { type: 'regex', value: '"a":(?<a>\\d+)' },
+          { type: 'regex', value: '"b":(?<b>\\d+)' },
+        ],
+      },
+      '{"a":1}'
+    );
+
+    expect(report.passed).toBe(false);
+    expect(report.values).toEqual({ a: '1' });
+    expect(report.matches.map(({ passed }) => passed)).toEqual([true, false]);
+  });
+
+  it('evaluates selector redactions', () => {
+    const report = testProvider(
+      getProvider('stellar'),
+      '{"stellar":{"usd":0.17778}}'
+    );
+
+    expect(report.redactions[0]).toEqual(
+      expect.objectContaining({
+        passed: true,
+        notes: ['jsonPath $.stellar.usd found'],
+        revealed: ['"usd":0.17778'],
+      })
+    );
+    expect(
+      testProvider(getProvider('stellar'), '{"stellar":{"eur":0.16}}').passed
+    ).toBe(false);
+  });
+
+  it('extracts every Forbes entry with its own selectors', () => {
+    const body = JSON.stringify({
+      personList: {
+        personsLists: [1, 2, 3, 4, 5, 6].map((rank) => ({
+          personName: `Person ${rank}`,
+          rank,
+          finalWorth: 1000 - rank * 100.5,
+        })),
+      },
+    });
+
+    const { passed, values, matches } = testProvider(
+      getProvider('forbes'),
+      body
+    );
+
+    expect(passed).toBe(true);
+    expect(values).toEqual(
+      expect.objectContaining({
+        name1: 'Person 1',
+        rank1: '1',
+        worth1: '899.5',
+        name5: 'Person 5',
+        rank5: '5',
+        worth5: '497.5',
+      })
+    );
+    expect(Object.keys(values)).toHaveLength(15);
+    expect(matches.flatMap(({ warnings }) => warnings)).toEqual([]);
+  });
+
+  it('keeps each Forbes value with its own entry', () => {
+    const people = [1, 2, 3, 4, 5].map((rank) => ({
+      personName: `Person ${rank}`,
+      rank,
+      finalWorth: 100 * (6 - rank),
+    }));
+    delete people[1].finalWorth;
+    const { values } = testProvider(
+      getProvider('forbes'),
+      JSON.stringify({ personList: { personsLists: people } })
+    );
+
+    expect(values).not.toHaveProperty('name2');
+    expect(values).toEqual(
+      expect.objectContaining({ name3: 'Person 3', rank3: '3', worth3: '300' })
+    );
+
+    // The redaction regex matches inside the single entry its jsonPath picks
+    const { responseRedactions } = buildResponseOptions(getProvider('forbes'));
+    expect(responseRedactions[3].jsonPath).toBe('$.personList.personsLists[3]');
+    expect(
+      JSON.stringify(people[3]).match(makeRegex(responseRedactions[3].regex))
+    ).not.toBeNull();
+  });
+
+  it('extracts Goal.com scores and the AccuWeather forecast from HTML', () => {
+    const team = (name) =>
+      `<div class="fco-team-name fco-long-name">${name}</div>`;
+    const score = (side, goals) =>
+      `<div class="fco-match-score" data-side="team-${side}">${goals}</div>`;
+    const scores = testProvider(
+      getProvider('goal'),
+      `<div class="fco-match-team-and-score">${team('Arsenal')}${team('Chelsea')}` +
+        `${score('a', 2)}\n${score('b', 1)}</div>`
+    );
+    const forecast = testProvider(
+      getProvider('accuweather'),
+      '<script>window.dl = {"englishName":"New York","key":"349727"};</script>' +
+        '<div class="temp">-3&#xB0;<span class="after-temp">C</span></div>'
+    );
+
+    expect(scores.values).toEqual({
+      team1: 'Arsenal',
+      team2: 'Chelsea',
+      score1: '2',
+      score2: '1',
+    });
+    expect(forecast.values).toEqual({ city: 'New York', tempInC: '-3' });
+  });
+
+  it('tests registered providers against fixture files', () => {
+    const report = testProviderFixture(
+      'github-stars',
+      fixture('github-stars.html')
+    );
+
+    expect(report.values).toEqual({ stars: '211k' });
+    expect(() => testProviderFixture('nope', 'x.html')).toThrow(
+      "Unknown provider: nope. Supported providers: 'accuweather'"
+    );
+    expect(() => testProviderFixture('stellar')).toThrow(
+      'A --fixture file is required'
+    );
+    expect(() =>
+      testProviderFixture('stellar', fixture('missing.json'))
+    ).toThrow('Failed to read fixture');
+  });
+
+  it('applies template parameters', () => {
+    const { values } = testProviderFixture(
+      'coingecko',
+      fixture('coingecko.json'),
+      { coin: 'bitcoin', vs: 'eur' }
+    );
+
+    expect(values).toEqual({ price: '92851.5' });
+  });
+});
+
+describe('findBacktrackingRisks', () => {
+  it('flags the chained wildcards in the Trading Economics regex', () => {
+    const [match] = getProvider('trading-economics').responseMatches;
+    expect(findBacktrackingRisks(match.value)).toEqual([
+      expect.stringMatching(/^chains 4 unbounded wildcards \(\.\*\?\)/),
+    ]);
+  });
+
+  it('flags repeated unbounded groups', () => {
+    expect(findBacktrackingRisks('^(a+)+$')).toEqual([
+      'repeats a group that is itself unbounded: (a+)+',
+    ]);
+    expect(findBacktrackingRisks('(?:x.*?y){0,1}')).toEqual([]);
+    expect(findBacktrackingRisks('[(a+)]+')).toEqual([]);
+  });
+
+  it('accepts bounded patterns', () => {
+    expect(findBacktrackingRisks('"price":(?<price>[\\d.]+)')).toEqual([]);
+  });
+});
+
+describe('printProviderTestReport', () => {
+  it('prints failed matches and warnings', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    printProviderTestReport(
+      testProvider(getProvider('trading-economics'), '<table></table>')
+    );
+
+    expect(logSpy).toHaveBeenCalledWith(
+      'Testing provider trading-economics offline'
+    );
+    expect(logSpy).toHaveBeenCalledWith(
+      expect.stringMatching(/^ {2}FAIL Response match 1 \(regex\)/)
+    );
+    // Warnings go to stderr, so --quiet does not hide them
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringMatching(/^ {7}Warning: chains 4 unbounded wildcards/)
+    );
+    expect(logSpy).not.toHaveBeenCalledWith(expect.stringMatching(/Warning:/));
+    expect(logSpy).toHaveBeenCalledWith(
+      'Provider test failed: no proof would be generated'
+    );
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,389 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  existsSync: vi.fn(),
+  statSync: vi.fn(),
+  writeFileSync: vi.fn(),
+  readFileSync: vi.fn(),
+}));
+
+const zkFetchMock = vi.hoisted(() => vi.fn());
+const ReclaimClientMock = vi.hoisted(() =>
+  vi.fn().mockImplementation(() => ({ zkFetch: zkFetchMock }))
+);
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+vi.mock('@reclaimprotocol/zk-fetch', () => ({
+  ReclaimClient: ReclaimClientMock,
+}));
+
+const customProvider = {
+  name: 'example',
+  label: 'Example',
+  description: 'Example API',
+  url: 'https://example.com/api',
+  method: 'POST',
+  headers: { accept: 'application/json' },
+  contextMessage: 'example context',
+  responseMatches: [{ type: 'regex', value: '"value":(?<value>\\d+)' }],
+  format: (values) => [`Extracted value: ${values.value}`],
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.resetModules();
+  fsMocks.existsSync.mockReturnValue(true);
+  fsMocks.statSync.mockReturnValue({ isDirectory: () => true });
+  fsMocks.writeFileSync.mockImplementation(() => {});
+  zkFetchMock.mockResolvedValue({
+    extractedParameterValues: { value: '42' },
+  });
+});
+
+describe('provider registry', () => {
+  it('loads every module in src/providers in file name order', async () => {
+    const { getProviderNames } = await import('../src/providers/index.js');
+
+    const names = getProviderNames();
+
+    expect(names.slice(0, 5)).toEqual([
+      'accuweather',
+      'arxiv',
+      'coingecko',
+      'coinmarketcap',
+      'crossref',
+    ]);
+    expect(names).toContain('github-stars');
+    // One provider per module, with nothing to register by hand
+    const { readdirSync } = await vi.importActual('fs');
+    const modules = readdirSync(new URL('../src/providers/', import.meta.url));
+    expect(names).toHaveLength(
+      modules.filter((file) => file !== 'index.js').length
+    );
+  });
+
+  it('looks up providers by name', async () => {
+    const { getProvider } = await import('../src/providers/index.js');
+
+    expect(getProvider('forbes')).toEqual(
+      expect.objectContaining({ name: 'forbes', label: 'Forbes' })
+    );
+    expect(getProvider('missing')).toBeUndefined();
+  });
+
+  it('rejects invalid definitions', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+
+    expect(() => registerProvider(null)).toThrow(
+      'Provider definition must be an object'
+    );
+    expect(() => registerProvider({ url: 'https://x' })).toThrow(
+      'Provider definition must have a name'
+    );
+    expect(() => registerProvider({ name: 'x' })).toThrow(
+      'Provider x must have a url'
+    );
+    expect(() =>
+      registerProvider({ name: 'x', url: 'https://x', responseMatches: [] })
+    ).toThrow('Provider x must have at least one response match');
+    expect(() =>
+      registerProvider({
+        ...customProvider,
+        name: 'x',
+        format: 'not a function',
+      })
+    ).toThrow('Provider x format must be a function');
+  });
+
+  it('rejects duplicate provider names', async () => {
+    const { registerProvider, getProvider } =
+      await import('../src/providers/index.js');
+
+    expect(() => registerProvider({ ...getProvider('stellar') })).toThrow(
+      'Provider already registered: stellar'
+    );
+  });
+
+  it('formats extracted values for every built-in provider', async () => {
+    const { listProviders } = await import('../src/providers/index.js');
+
+    listProviders().forEach((provider) => {
+      expect(Array.isArray(provider.format({}))).toBe(true);
+    });
+  });
+});
+
+describe('requestProof with registered providers', () => {
+  it('builds the zkFetch call from the provider definition', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    registerProvider(customProvider);
+
+    const proof = await requestProof('./src/proof.json', 'example');
+
+    expect(proof.extractedParameterValues).toEqual({ value: '42' });
+    expect(zkFetchMock).toHaveBeenCalledWith(
+      'https://example.com/api',
+      {
+        method: 'POST',
+        headers: { accept: 'application/json' },
+        context: { contextAddress: '0x0', contextMessage: 'example context' },
+      },
+      { responseMatches: customProvider.responseMatches }
+    );
+    expect(logSpy).toHaveBeenCalledWith('Example proof generated successfully');
+    expect(logSpy).toHaveBeenCalledWith('Extracted value: 42');
+    logSpy.mockRestore();
+  });
+
+  it('lists registered providers in the unknown type error', async () => {
+    const { requestProof } = await import('../src/requestProof.js');
+
+    await expect(requestProof('./src/proof.json', 'nope')).rejects.toThrow(
+      "Supported types: 'accuweather', 'arxiv', 'coingecko', 'coinmarketcap', 'crossref', 'flightaware', 'forbes'"
+    );
+    expect(ReclaimClientMock).not.toHaveBeenCalled();
+  });
+
+  it('passes selector redactions to zkFetch', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    registerProvider({
+      name: 'selector-example',
+      description: 'Selector example',
+      url: 'https://example.com/price.json',
+      selectors: [{ name: 'price', jsonPath: '$.stellar.usd' }],
+    });
+
+    await requestProof('./src/proof.json', 'selector-example');
+
+    const [, , matchOptions] = zkFetchMock.mock.calls[0];
+    expect(matchOptions.responseRedactions).toEqual([
+      {
+        jsonPath: '$.stellar.usd',
+        regex: matchOptions.responseMatches[0].value,
+      },
+    ]);
+    expect(matchOptions.responseMatches[0].value).toContain('(?<price>');
+  });
+
+  it('rejects providers with invalid selectors', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+
+    expect(() =>
+      registerProvider({
+        name: 'broken',
+        url: 'https://example.com',
+        selectors: [{ name: 'a', xPath: '//div' }],
+      })
+    ).toThrow('Provider broken: XPath selector a must declare a regex');
+    expect(() =>
+      registerProvider({
+        name: 'broken',
+        url: 'https://example.com',
+        responseMatches: 'nope',
+      })
+    ).toThrow('Provider broken responseMatches must be an array');
+  });
+
+  it('keeps secret values out of the saved proof', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubEnv('EXAMPLE_API_KEY', 'sk-live-secret-123');
+    registerProvider({
+      ...customProvider,
+      name: 'authenticated',
+      url: 'https://example.com/api?key={{apiKey}}',
+      secrets: {
+        headers: {
+          Authorization: { env: 'EXAMPLE_API_KEY', prefix: 'Bearer ' },
+        },
+        cookies: { session: 'EXAMPLE_API_KEY' },
+        params: { apiKey: 'EXAMPLE_API_KEY' },
+      },
+    });
+    // Like the attestor, only public options end up in claimData.parameters
+    zkFetchMock.mockImplementation(async (url, publicOptions) => ({
+      claimData: { parameters: JSON.stringify({ url, ...publicOptions }) },
+      extractedParameterValues: { value: '42' },
+    }));
+
+    await requestProof('./src/proof.json', 'authenticated');
+
+    const [url, publicOptions, privateOptions] = zkFetchMock.mock.calls[0];
+    expect(url).toBe('https://example.com/api?key={{apiKey}}');
+    expect(JSON.stringify(publicOptions)).not.toContain('sk-live-secret-123');
+    expect(privateOptions).toEqual(
+      expect.objectContaining({
+        headers: { Authorization: 'Bearer sk-live-secret-123' },
+        cookieStr: 'session=sk-live-secret-123',
+        paramValues: { apiKey: 'sk-live-secret-123' },
+      })
+    );
+    const [, saved] = fsMocks.writeFileSync.mock.calls[0];
+    expect(saved).toContain('{{apiKey}}');
+    expect(saved).not.toContain('sk-live-secret-123');
+    vi.unstubAllEnvs();
+  });
+
+  it('fails before fetching when a secret is not configured', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubEnv('EXAMPLE_API_KEY', '');
+    registerProvider({
+      ...customProvider,
+      name: 'authenticated',
+      secrets: { headers: { 'X-Api-Key': 'EXAMPLE_API_KEY' } },
+    });
+
+    await expect(
+      requestProof('./src/proof.json', 'authenticated')
+    ).rejects.toThrow(
+      'Failed to generate Example proof: Missing environment variable EXAMPLE_API_KEY for authenticated secret headers X-Api-Key'
+    );
+    expect(zkFetchMock).not.toHaveBeenCalled();
+    vi.unstubAllEnvs();
+  });
+});
+
+describe('templated providers', () => {
+  it('substitutes parameters into the url and selectors', async () => {
+    const { requestProof } = await import('../src/requestProof.js');
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    zkFetchMock.mockResolvedValue({
+      extractedParameterValues: { price: '92851.5' },
+    });
+
+    await requestProof('./src/proof.json', 'coingecko', {
+      coin: 'bitcoin',
+      vs: 'eur',
+    });
+    const regex = '"bitcoin"\\s*:\\s*\\{[^}]*"eur"\\s*:\\s*(?<price>[\\d.]+)';
+
+    expect(zkFetchMock).toHaveBeenCalledWith(
+      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=eur',
+      { method: 'GET' },
+      {
+        responseMatches: [{ type: 'regex', value: regex }],
+        responseRedactions: [{ jsonPath: "$['bitcoin']", regex }],
+      }
+    );
+    expect(logSpy).toHaveBeenCalledWith('Extracted bitcoin price: 92851.5 EUR');
+  });
+
+  it('defaults to the original endpoints', async () => {
+    const { requestProof } = await import('../src/requestProof.js');
+    const { CONFIG } = await import('../src/config.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    zkFetchMock.mockResolvedValue({
+      extractedParameterValues: { tempInC: '21', price: '0.17' },
+    });
+
+    await requestProof('./src/proof.json', 'accuweather');
+    await requestProof('./src/proof.json', 'coingecko');
+
+    expect(zkFetchMock.mock.calls[0][0]).toBe(CONFIG.API.ACCUWEATHER_NYC);
+    expect(zkFetchMock.mock.calls[0][1].context.contextMessage).toBe(
+      'accuweather 349727'
+    );
+    expect(zkFetchMock.mock.calls[1][0]).toBe(
+      CONFIG.API.COINGECKO_STELLAR_PRICE
+    );
+  });
+
+  it('validates parameters before calling zkFetch', async () => {
+    const { requestProof } = await import('../src/requestProof.js');
+
+    await expect(
+      requestProof('./src/proof.json', 'accuweather', { location: 'nyc' })
+    ).rejects.toThrow(
+      "Invalid value 'nyc' for --location (AccuWeather location key, e.g. 328328 for London): must match /^\\d+$/"
+    );
+    await expect(
+      requestProof('./src/proof.json', 'coingecko', { currency: 'eur' })
+    ).rejects.toThrow(
+      'Unknown parameter --currency for coingecko. Supported parameters: --coin, --vs'
+    );
+    await expect(
+      requestProof('./src/proof.json', 'forbes', { year: '2024' })
+    ).rejects.toThrow(
+      'Unknown parameter --year for forbes. It takes no parameters'
+    );
+    expect(ReclaimClientMock).not.toHaveBeenCalled();
+    expect(zkFetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('retries and typed errors', () => {
+  const flakyProvider = {
+    ...customProvider,
+    name: 'flaky',
+    retry: { retries: 2, baseDelayMs: 0, maxDelayMs: 0 },
+  };
+
+  it('retries transient attestor failures', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    registerProvider(flakyProvider);
+    zkFetchMock
+      .mockRejectedValueOnce(new Error('WebSocket connection closed'))
+      .mockRejectedValueOnce(new Error('Provider returned error 503'));
+
+    const proof = await requestProof('./src/proof.json', 'flaky');
+
+    expect(proof.extractedParameterValues).toEqual({ value: '42' });
+    expect(zkFetchMock).toHaveBeenCalledTimes(3);
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Attempt 1 failed (ATTESTOR_UNAVAILABLE): WebSocket connection closed. Retrying in 0ms...'
+    );
+  });
+
+  it('fails fast with a typed error when the response does not match', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    const { ResponseMatchError } = await import('../src/errors.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    registerProvider(flakyProvider);
+    zkFetchMock.mockRejectedValue(new Error('Regex "value" did not match'));
+
+    const error = await requestProof('./src/proof.json', 'flaky').catch(
+      (e) => e
+    );
+
+    expect(error).toBeInstanceOf(ResponseMatchError);
+    expect(error.code).toBe('RESPONSE_MATCH_FAILED');
+    expect(error.message).toBe(
+      'Failed to generate Example proof: Regex "value" did not match'
+    );
+    expect(zkFetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports the last error once retries are exhausted', async () => {
+    const { registerProvider } = await import('../src/providers/index.js');
+    const { requestProof } = await import('../src/requestProof.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    registerProvider(flakyProvider);
+    zkFetchMock.mockRejectedValue(new Error('status 429'));
+
+    await expect(requestProof('./src/proof.json', 'flaky')).rejects.toEqual(
+      expect.objectContaining({
+        name: 'UpstreamHttpError',
+        code: 'UPSTREAM_HTTP_ERROR',
+        status: 429,
+      })
+    );
+    expect(zkFetchMock).toHaveBeenCalledTimes(3);
+  });
+});
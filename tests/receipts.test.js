@@ -0,0 +1,206 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  readdirSync: vi.fn(),
+  readFileSync: vi.fn(),
+  writeFileSync: vi.fn(),
+}));
+
+vi.mock('fs', () => ({
+  default: fsMocks,
+  ...fsMocks,
+}));
+
+// A real zkFetch proof (Stellar price 0.17778)
+const actualFs = await vi.importActual('fs');
+const PROOF = JSON.parse(
+  actualFs.readFileSync(
+    new URL('./fixtures/signed-proof.json', import.meta.url),
+    'utf8'
+  )
+);
+
+const RECEIPTS = {
+  'proofs/xlm.testnet.aaa.receipt.json': {
+    provider: 'stellar',
+    network: 'testnet',
+    proofPath: 'proofs/xlm.json',
+    closedAt: '2026-01-05T10:00:00.000Z',
+    explorerUrl: 'https://stellar.expert/explorer/testnet/tx/aaa',
+  },
+  'proofs/archive/btc.mainnet.bbb.receipt.json': {
+    provider: 'coingecko',
+    network: 'mainnet',
+    proofPath: 'proofs/archive/btc.json',
+    closedAt: '2026-01-31T23:00:00.000Z',
+    explorerUrl: 'https://stellar.expert/explorer/public/tx/bbb',
+  },
+  'src/proof.mainnet.ccc.receipt.json': {
+    provider: 'stellar',
+    network: 'mainnet',
+    proofPath: './src/proof.json',
+    closedAt: '2026-02-01T00:00:00.000Z',
+    explorerUrl: 'https://stellar.expert/explorer/public/tx/ccc',
+  },
+  // The same proof verified again on the same network
+  'src/proof.mainnet.ddd.receipt.json': {
+    provider: 'stellar',
+    network: 'mainnet',
+    proofPath: './src/proof.json',
+    closedAt: '2026-02-02T00:00:00.000Z',
+    explorerUrl: 'https://stellar.expert/explorer/public/tx/ddd',
+  },
+};
+
+/**
+ * Builds a directory entry as returned by readdirSync with withFileTypes
+ * @param {string} name - Entry name
+ * @param {boolean} directory - Whether it is a directory
+ * @returns {Object} The entry
+ */
+const entry = (name, directory = false) => ({
+  name,
+  isDirectory: () => directory,
+});
+
+const DIRS = {
+  src: [
+    entry('proof.json'),
+    entry('proof.mainnet.ccc.receipt.json'),
+    entry('proof.mainnet.ddd.receipt.json'),
+  ],
+  proofs: [
+    entry('xlm.json'),
+    entry('xlm.testnet.aaa.receipt.json'),
+    entry('archive', true),
+  ],
+  'proofs/archive': [entry('btc.mainnet.bbb.receipt.json')],
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  // Other directories, such as the provider registry's, are read for real
+  fsMocks.readdirSync.mockImplementation(
+    (dir, options) => DIRS[dir] ?? actualFs.readdirSync(dir, options)
+  );
+  fsMocks.readFileSync.mockImplementation((file) =>
+    JSON.stringify(RECEIPTS[file])
+  );
+});
+
+describe('receipts', () => {
+  it('records the verification next to the proof', async () => {
+    const { buildReceipt, saveReceipt } = await import('../src/receipts.js');
+
+    const receipt = buildReceipt(PROOF, {
+      proofPath: './proofs/xlm.json',
+      network: 'mainnet',
+      contractId: 'CCONTRACT',
+      explorerUrl: 'https://stellar.expert/explorer/public/tx/txhash',
+      receipt: {
+        hash: 'txhash',
+        status: 'SUCCESS',
+        ledger: 42,
+        createdAt: '2026-01-05T10:00:00.000Z',
+        feeCharged: '51334',
+      },
+    });
+
+    expect(receipt).toEqual({
+      proofPath: './proofs/xlm.json',
+      proofIdentifier: PROOF.claimData.identifier,
+      provider: 'stellar',
+      extractedValues: { price: '0.17778' },
+      network: 'mainnet',
+      contractId: 'CCONTRACT',
+      transactionHash: 'txhash',
+      ledger: 42,
+      closedAt: '2026-01-05T10:00:00.000Z',
+      feeCharged: '51334',
+      explorerUrl: 'https://stellar.expert/explorer/public/tx/txhash',
+    });
+    expect(saveReceipt(receipt)).toBe(
+      './proofs/xlm.mainnet.txhash.receipt.json'
+    );
+    expect(fsMocks.writeFileSync).toHaveBeenCalledWith(
+      './proofs/xlm.mainnet.txhash.receipt.json',
+      JSON.stringify(receipt, null, 2)
+    );
+
+    fsMocks.writeFileSync.mockImplementationOnce(() => {
+      throw new Error('EACCES');
+    });
+    expect(() => saveReceipt(receipt)).toThrow(
+      'Failed to save receipt: EACCES'
+    );
+  });
+
+  it('lists receipts oldest first and filters them', async () => {
+    const { listReceipts } = await import('../src/receipts.js');
+    const paths = (receipts) => receipts.map(({ receiptPath }) => receiptPath);
+
+    expect(paths(listReceipts())).toEqual([
+      'proofs/xlm.testnet.aaa.receipt.json',
+      'proofs/archive/btc.mainnet.bbb.receipt.json',
+      'src/proof.mainnet.ccc.receipt.json',
+      'src/proof.mainnet.ddd.receipt.json',
+    ]);
+    expect(
+      paths(listReceipts({ network: 'mainnet', provider: 'stellar' }))
+    ).toEqual([
+      'src/proof.mainnet.ccc.receipt.json',
+      'src/proof.mainnet.ddd.receipt.json',
+    ]);
+    expect(
+      paths(listReceipts({ since: '2026-01-06', until: '2026-01-31' }))
+    ).toEqual(['proofs/archive/btc.mainnet.bbb.receipt.json']);
+    expect(
+      paths(listReceipts({ dirs: ['proofs/archive', 'missing'] }))
+    ).toEqual(['proofs/archive/btc.mainnet.bbb.receipt.json']);
+    expect(() => listReceipts({ since: 'last week' })).toThrow(
+      'Invalid since date: last week'
+    );
+  });
+
+  it('skips receipts it cannot read', async () => {
+    const { listReceipts } = await import('../src/receipts.js');
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    fsMocks.readFileSync.mockImplementation((file) =>
+      file.startsWith('src/') ? '{' : JSON.stringify(RECEIPTS[file])
+    );
+
+    expect(listReceipts()).toHaveLength(2);
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Skipping src/proof.mainnet.ccc.receipt.json:')
+    );
+    warnSpy.mockRestore();
+  });
+
+  it('prints a line per receipt', async () => {
+    const { listReceipts, printReceipts } = await import('../src/receipts.js');
+
+    printReceipts(listReceipts({ network: 'mainnet' }));
+    printReceipts([]);
+
+    expect(console.log.mock.calls.map(([line]) => line)).toEqual([
+      '3 receipt(s):',
+      '  2026-01-31T23:00:00.000Z  mainnet  coingecko  proofs/archive/btc.json  https://stellar.expert/explorer/public/tx/bbb',
+      '  2026-02-01T00:00:00.000Z  mainnet  stellar    ./src/proof.json  https://stellar.expert/explorer/public/tx/ccc',
+      '  2026-02-02T00:00:00.000Z  mainnet  stellar    ./src/proof.json  https://stellar.expert/explorer/public/tx/ddd',
+      'No receipts found',
+    ]);
+  });
+
+  it('prints receipts with missing fields', async () => {
+    const { printReceipts } = await import('../src/receipts.js');
+
+    printReceipts([{ transactionHash: 'eee', explorerUrl: null }]);
+
+    expect(console.log.mock.calls.map(([line]) => line)).toEqual([
+      '1 receipt(s):',
+      '  unknown  -        custom  -  -',
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyResponseMatch,
+  makeRegex,
+  matchResponse,
+} from '../src/responseMatcher.js';
+
+describe('responseMatcher', () => {
+  it('compiles regexes with dotAll and global flags', () => {
+    const regex = makeRegex('a.b');
+    expect(regex.flags).toBe('gs');
+    expect(regex.test('a\nb')).toBe(true);
+  });
+
+  it('supports the (?i) case-insensitive prefix', () => {
+    const regex = makeRegex('(?i)hello');
+    expect(regex.flags).toBe('gis');
+    expect(regex.test('HELLO')).toBe(true);
+  });
+
+  it('rejects non-string patterns', () => {
+    expect(() => makeRegex(42)).toThrow('Regex pattern must be a string');
+  });
+
+  it('applies contains and inverted matches', () => {
+    expect(
+      applyResponseMatch('price: 1', { type: 'contains', value: 'price' })
+    ).toEqual({});
+    expect(
+      applyResponseMatch('price: 1', {
+        type: 'contains',
+        value: 'error',
+        invert: true,
+      })
+    ).toEqual({});
+    expect(
+      applyResponseMatch('price: 1', {
+        type: 'regex',
+        value: 'error',
+        invert: true,
+      })
+    ).toEqual({});
+    expect(
+      applyResponseMatch('error', { type: 'regex', value: 'err', invert: true })
+    ).toBeNull();
+  });
+
+  it('throws for unsupported match types', () => {
+    expect(() => applyResponseMatch('x', { type: 'jq', value: '.' })).toThrow(
+      'Unsupported response match type: jq'
+    );
+  });
+
+  it('merges named captures across matches and skips unmatched groups', () => {
+    const values = matchResponse('{"a":1,"b":2}', [
+      { type: 'regex', value: '"a":(?<a>\\d+)(?<missing>x)?' },
+      { type: 'regex', value: '"b":(?<b>\\d+)' },
+    ]);
+
+    expect(values).toEqual({ a: '1', b: '2' });
+  });
+
+  it('reports which match failed', () => {
+    expect(() =>
+      matchResponse('{"a":1}', [
+        { type: 'regex', value: '"a":(?<a>\\d+)' },
+        { type: 'regex', value: '"b":(?<b>\\d+)' },
+      ])
+    ).toThrow('Response match 2 (regex) did not match: "b":(?<b>\\d+)');
+  });
+
+  it('requires a string body', () => {
+    expect(() => matchResponse(null, [])).toThrow(
+      'Response body must be a string'
+    );
+  });
+});
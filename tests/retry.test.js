@@ -0,0 +1,96 @@
+import { describe, expect, it, vi } from 'vitest';
+import { AttestorUnavailableError, ResponseMatchError } from '../src/errors.js';
+import {
+  computeBackoffDelay,
+  resolveRetryPolicy,
+  validateRetryPolicy,
+  withRetry,
+} from '../src/retry.js';
+
+const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+describe('computeBackoffDelay', () => {
+  it('doubles the delay per attempt up to the maximum', () => {
+    const noJitter = () => 1;
+
+    expect(computeBackoffDelay(1, policy, noJitter)).toBe(100);
+    expect(computeBackoffDelay(2, policy, noJitter)).toBe(200);
+    expect(computeBackoffDelay(3, policy, noJitter)).toBe(400);
+    expect(computeBackoffDelay(10, policy, noJitter)).toBe(1000);
+  });
+
+  it('randomizes the upper half of the delay', () => {
+    expect(computeBackoffDelay(3, policy, () => 0)).toBe(200);
+    expect(computeBackoffDelay(3, policy, () => 0.5)).toBe(300);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable errors with backoff until success', async () => {
+    const wait = vi.fn().mockResolvedValue();
+    const onRetry = vi.fn();
+    const operation = vi
+      .fn()
+      .mockRejectedValueOnce(new AttestorUnavailableError('socket closed'))
+      .mockRejectedValueOnce(new AttestorUnavailableError('socket closed'))
+      .mockResolvedValue('proof');
+
+    await expect(
+      withRetry(operation, { retries: 2, ...policy, wait, onRetry })
+    ).resolves.toBe('proof');
+
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(operation).toHaveBeenLastCalledWith(3);
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.any(AttestorUnavailableError),
+      1,
+      wait.mock.calls[0][0]
+    );
+    expect(wait.mock.calls[1][0]).toBeGreaterThanOrEqual(100);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const wait = vi.fn().mockResolvedValue();
+    const operation = vi
+      .fn()
+      .mockRejectedValue(new AttestorUnavailableError('down'));
+
+    await expect(
+      withRetry(operation, { retries: 1, ...policy, wait })
+    ).rejects.toThrow('down');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry permanent errors', async () => {
+    const wait = vi.fn();
+    const operation = vi
+      .fn()
+      .mockRejectedValue(new ResponseMatchError('no match'));
+
+    await expect(
+      withRetry(operation, { retries: 3, ...policy, wait })
+    ).rejects.toBeInstanceOf(ResponseMatchError);
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+});
+
+describe('retry policy', () => {
+  it('merges provider overrides over the defaults', () => {
+    expect(resolveRetryPolicy({ retry: { retries: 5 } })).toEqual({
+      retries: 5,
+      baseDelayMs: 1000,
+      maxDelayMs: 15000,
+    });
+  });
+
+  it('validates provider overrides', () => {
+    expect(() =>
+      validateRetryPolicy({ name: 'x', retry: { retries: -1 } })
+    ).toThrow('Provider x retry retries must be a non-negative integer');
+    expect(() =>
+      validateRetryPolicy({ name: 'x', retry: { attempts: 2 } })
+    ).toThrow('Provider x has unknown retry option: attempts');
+  });
+});
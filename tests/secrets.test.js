@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getUrlPlaceholders,
+  resolveSecrets,
+  validateSecrets,
+} from '../src/secrets.js';
+
+const provider = {
+  name: 'example',
+  url: 'https://example.com/data?key={{apiKey}}',
+  secrets: {
+    headers: {
+      Authorization: { env: 'EXAMPLE_TOKEN', prefix: 'Bearer ' },
+      'X-Trace': { env: 'EXAMPLE_TRACE', optional: true },
+    },
+    cookies: { session: 'EXAMPLE_SESSION', theme: 'EXAMPLE_THEME' },
+    params: { apiKey: 'EXAMPLE_API_KEY' },
+  },
+};
+
+const env = {
+  EXAMPLE_TOKEN: 'token-1',
+  EXAMPLE_SESSION: 'abc',
+  EXAMPLE_THEME: 'dark',
+  EXAMPLE_API_KEY: 'key-2',
+};
+
+describe('resolveSecrets', () => {
+  it('builds private zkFetch options from environment variables', () => {
+    expect(resolveSecrets(provider, env)).toEqual({
+      headers: { Authorization: 'Bearer token-1' },
+      cookieStr: 'session=abc; theme=dark',
+      paramValues: { apiKey: 'key-2' },
+    });
+  });
+
+  it('returns no options for providers without secrets', () => {
+    expect(resolveSecrets({ name: 'plain', url: 'https://x' }, env)).toEqual(
+      {}
+    );
+  });
+
+  it('requires non-optional environment variables', () => {
+    expect(() =>
+      resolveSecrets(provider, { ...env, EXAMPLE_API_KEY: '' })
+    ).toThrow(
+      'Missing environment variable EXAMPLE_API_KEY for example secret params apiKey'
+    );
+  });
+});
+
+describe('validateSecrets', () => {
+  it('lists url placeholders', () => {
+    expect(getUrlPlaceholders(provider.url)).toEqual(['apiKey']);
+  });
+
+  it('accepts well-formed declarations', () => {
+    expect(() => validateSecrets(provider)).not.toThrow();
+  });
+
+  it('rejects malformed declarations', () => {
+    expect(() =>
+      validateSecrets({ name: 'x', url: 'https://x', secrets: 'TOKEN' })
+    ).toThrow('Provider x secrets must be an object');
+    expect(() =>
+      validateSecrets({
+        name: 'x',
+        url: 'https://x',
+        secrets: { body: { a: 'A' } },
+      })
+    ).toThrow('Provider x has unknown secret kind: body');
+    expect(() =>
+      validateSecrets({
+        name: 'x',
+        url: 'https://x',
+        secrets: { headers: { Authorization: {} } },
+      })
+    ).toThrow(
+      'Provider x secret headers Authorization must name an environment variable'
+    );
+    expect(() =>
+      validateSecrets({ name: 'x', url: 'https://x/?key={{key}}' })
+    ).toThrow('Provider x url placeholder {{key}} has no secret param');
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, expect, it } from 'vitest';
+import { matchResponse } from '../src/responseMatcher.js';
+import {
+  buildResponseOptions,
+  cssToXPath,
+  parseJsonPath,
+  selectorToOptions,
+  validateSelector,
+} from '../src/selectors.js';
+
+const FORBES_BODY = JSON.stringify({
+  personList: {
+    personsLists: [
+      { rank: 1, personName: 'Elon Musk', finalWorth: 478500.5 },
+      { rank: 2, personName: 'Larry Ellison', finalWorth: 297200 },
+    ],
+  },
+  count: 2,
+});
+
+describe('parseJsonPath', () => {
+  it('splits dotted, indexed and quoted segments', () => {
+    expect(
+      parseJsonPath("$.personList.personsLists[0]['final-worth']")
+    ).toEqual(['personList', 'personsLists', 0, 'final-worth']);
+    expect(parseJsonPath('$')).toEqual([]);
+  });
+
+  it('rejects unsupported paths', () => {
+    expect(() => parseJsonPath('personList')).toThrow('Invalid JSONPath');
+    expect(() => parseJsonPath('$..rank')).toThrow(
+      'Unsupported JSONPath segment in $..rank at position 1'
+    );
+  });
+});
+
+describe('cssToXPath', () => {
+  it('converts tags, ids, classes and attributes', () => {
+    expect(cssToXPath('div.temp')).toBe(
+      "//div[contains(concat(' ', normalize-space(@class), ' '), ' temp ')]"
+    );
+    expect(cssToXPath('#main > span[data-side="team-a"]')).toBe(
+      "//*[@id='main']/span[@data-side='team-a']"
+    );
+    expect(cssToXPath('table td[data-order]')).toBe('//table//td[@data-order]');
+  });
+
+  it('rejects unsupported selectors', () => {
+    expect(() => cssToXPath('div:first-child')).toThrow(
+      'Unsupported CSS selector: div:first-child'
+    );
+    expect(() => cssToXPath('  ')).toThrow('Invalid CSS selector');
+  });
+});
+
+describe('selectorToOptions', () => {
+  it('maps a JSONPath selector to a scoped redaction and key-anchored match', () => {
+    const { match, redaction } = selectorToOptions({
+      name: 'price',
+      jsonPath: '$.stellar.usd',
+    });
+
+    expect(redaction).toEqual({
+      jsonPath: '$.stellar.usd',
+      regex: match.value,
+    });
+    expect(matchResponse('{"stellar":{"usd":0.17778}}', [match])).toEqual({
+      price: '0.17778',
+    });
+  });
+
+  it('captures JSON strings without their quotes', () => {
+    const { match } = selectorToOptions({
+      name: 'city',
+      jsonPath: '$.location.englishName',
+    });
+
+    expect(
+      matchResponse('{"location":{"englishName": "New \\"York\\""}}', [match])
+    ).toEqual({ city: 'New \\"York\\"' });
+  });
+
+  it('maps a CSS selector to XPath and matches the element text', () => {
+    const { match, redaction } = selectorToOptions({
+      name: 'tempInC',
+      css: 'div.temp',
+    });
+
+    expect(redaction.xPath).toBe(cssToXPath('div.temp'));
+    expect(
+      matchResponse(
+        '<div class="temp-wrapper"><div class="big temp"> 21 </div></div>',
+        [match]
+      )
+    ).toEqual({ tempInC: '21' });
+  });
+
+  it('keeps explicit regexes for XPath selectors', () => {
+    const regex = '<div class="temp">(?<tempInC>-?\\d+)&#xB0;';
+    const { match, redaction } = selectorToOptions({
+      name: 'tempInC',
+      xPath: "//div[@class='temp']",
+      regex,
+    });
+
+    expect(match).toEqual({ type: 'regex', value: regex });
+    expect(redaction).toEqual({ xPath: "//div[@class='temp']", regex });
+  });
+
+  it('extracts multiple named values from a JSON API', () => {
+    const { responseMatches } = buildResponseOptions({
+      selectors: [
+        {
+          name: 'name1',
+          jsonPath: '$.personList.personsLists[0]',
+          regex: '"personName":"(?<name1>[^"]+)"',
+        },
+        { name: 'count', jsonPath: '$.count' },
+      ],
+    });
+
+    expect(matchResponse(FORBES_BODY, responseMatches)).toEqual({
+      name1: 'Elon Musk',
+      count: '2',
+    });
+  });
+});
+
+describe('validateSelector', () => {
+  it('rejects malformed selectors', () => {
+    expect(() => validateSelector({ name: '1bad', jsonPath: '$.a' })).toThrow(
+      'Selector name must be a valid capture group name'
+    );
+    expect(() => validateSelector({ name: 'a' })).toThrow(
+      'must declare exactly one of jsonPath, xPath or css'
+    );
+    expect(() =>
+      validateSelector({ name: 'a', jsonPath: '$.a', css: 'div' })
+    ).toThrow('must declare exactly one of jsonPath, xPath or css');
+    expect(() => validateSelector({ name: 'a', xPath: '//div' })).toThrow(
+      'XPath selector a must declare a regex'
+    );
+    expect(() =>
+      validateSelector({ name: 'a', css: 'div', regex: '(?<b>.*)' })
+    ).toThrow('Selector a regex must capture (?<a>...)');
+    expect(() =>
+      selectorToOptions({ name: 'a', jsonPath: '$.list[0]' })
+    ).toThrow('Selector a must end in an object key or declare a regex');
+  });
+});
+
+describe('buildResponseOptions', () => {
+  it('leaves regex-only providers unchanged', () => {
+    const responseMatches = [{ type: 'regex', value: '(?<a>.)' }];
+
+    expect(buildResponseOptions({ responseMatches })).toEqual({
+      responseMatches,
+    });
+  });
+
+  it('appends selector matches and redactions after regex ones', () => {
+    const options = buildResponseOptions({
+      responseMatches: [{ type: 'regex', value: '(?<a>.)' }],
+      responseRedactions: [{ regex: '(?<a>.)' }],
+      selectors: [{ name: 'b', jsonPath: '$.b' }],
+    });
+
+    expect(options.responseMatches).toHaveLength(2);
+    expect(options.responseRedactions).toEqual([
+      { regex: '(?<a>.)' },
+      { jsonPath: '$.b', regex: options.responseMatches[1].value },
+    ]);
+  });
+});
@@ -7,10 +7,11 @@ const fsMocks = vi.hoisted(() => ({
 
 const execSyncMock = vi.hoisted(() => vi.fn());
 
-vi.mock('fs', () => ({
-  default: fsMocks,
-  ...fsMocks,
-}));
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
 
 vi.mock('child_process', () => ({
   execSync: execSyncMock,
@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const fsMocks = vi.hoisted(() => ({
+  existsSync: vi.fn(),
+  readFileSync: vi.fn(),
+}));
+
+const loadAccountMock = vi.hoisted(() => vi.fn());
+
+vi.mock('fs', async (importOriginal) => {
+  // The provider registry lists its directory with the real readdirSync
+  const { readdirSync } = await importOriginal();
+  return { default: { ...fsMocks, readdirSync }, ...fsMocks, readdirSync };
+});
+
+vi.mock('@stellar/stellar-sdk', () => ({
+  Horizon: {
+    Server: class {
+      constructor() {
+        return { loadAccount: loadAccountMock };
+      }
+    },
+  },
+}));
+
+// SEP-0005 test vector: the mnemonic and the accounts it derives
+const MNEMONIC =
+  'illness spike retreat truth genius clock brain pass fit cave bargain toe';
+const ACCOUNTS = [
+  'GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6',
+  'GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX',
+  'GAY5PRAHJ2HIYBYCLZXTHID6SPVELOOYH2LBPH3LD4RUMXUW3DOYTLXW',
+];
+const SECRET_0 = 'SBGWSG6BTNCKCOB3DIFBGCVMUPQFYPA2G4O34RMTB343OYPXU5DJDVMN';
+
+let signersFile;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  signersFile = undefined;
+  fsMocks.readFileSync.mockImplementation((file) => {
+    if (signersFile === undefined) {
+      throw Object.assign(new Error(`ENOENT: no such file, open '${file}'`), {
+        code: 'ENOENT',
+      });
+    }
+    return JSON.stringify(signersFile);
+  });
+  fsMocks.existsSync.mockReturnValue(false);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.stubEnv('SEEDPHRASE', MNEMONIC);
+  vi.stubEnv('STELLAR_SECRET_KEY', '');
+  vi.stubEnv('KEYSTORE_PASSPHRASE', '');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('signers', () => {
+  it('derives the account the index selects from SEEDPHRASE', async () => {
+    const { describeSigner, resolveSigner } = await import('../src/signers.js');
+
+    const signer = await resolveSigner();
+    expect(signer.keypair.publicKey()).toBe(ACCOUNTS[0]);
+    expect(describeSigner(signer)).toBe('SEEDPHRASE account 0');
+    expect((await resolveSigner({ accountIndex: 2 })).keypair.publicKey()).toBe(
+      ACCOUNTS[2]
+    );
+    expect(fsMocks.readFileSync).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(
+      'Warning: SEEDPHRASE holds a plaintext key; encrypt it with "node src/index.js keystore import --from-env"'
+    );
+  });
+
+  it('prefers STELLAR_SECRET_KEY unless an account index is given', async () => {
+    const { describeSigner, resolveSigner } = await import('../src/signers.js');
+    vi.stubEnv('STELLAR_SECRET_KEY', SECRET_0);
+    vi.stubEnv('SEEDPHRASE', '');
+
+    const signer = await resolveSigner();
+    expect(signer.keypair.publicKey()).toBe(ACCOUNTS[0]);
+    expect(describeSigner(signer)).toBe('STELLAR_SECRET_KEY');
+    await expect(resolveSigner({ accountIndex: 1 })).rejects.toThrow(
+      'Failed to create Stellar wallet: ./zkfetch.keystore.json does not exist (signer default)'
+    );
+
+    vi.stubEnv('STELLAR_SECRET_KEY', 'SNOTAKEY');
+    await expect(resolveSigner()).rejects.toThrow(
+      'Failed to create Stellar wallet'
+    );
+
+    vi.stubEnv('STELLAR_SECRET_KEY', '');
+    await expect(resolveSigner()).rejects.toThrow(
+      'Missing required environment variables: SEEDPHRASE or STELLAR_SECRET_KEY'
+    );
+  });
+
+  it('resolves named signers from the signer file', async () => {
+    const { resolveSigner } = await import('../src/signers.js');
+    signersFile = {
+      signers: {
+        'mainnet-funds': { accountIndex: 1 },
+        ops: { seedphraseEnv: 'OPS_SEEDPHRASE', accountIndex: 2 },
+        ci: { secretKeyEnv: 'CI_STELLAR_SECRET_KEY' },
+      },
+    };
+    vi.stubEnv('OPS_SEEDPHRASE', MNEMONIC);
+    vi.stubEnv('CI_STELLAR_SECRET_KEY', SECRET_0);
+
+    const key = async (options) =>
+      (await resolveSigner(options)).keypair.publicKey();
+    expect(await key({ signer: 'mainnet-funds' })).toBe(ACCOUNTS[1]);
+    expect(await key({ signer: 'mainnet-funds', accountIndex: 0 })).toBe(
+      ACCOUNTS[0]
+    );
+    expect(await resolveSigner({ signer: 'ops' })).toMatchObject({
+      name: 'ops',
+      label: 'OPS_SEEDPHRASE',
+      accountIndex: 2,
+    });
+    expect(await key({ signer: 'ci' })).toBe(ACCOUNTS[0]);
+    await expect(
+      resolveSigner({ signer: 'ci', accountIndex: 1 })
+    ).rejects.toThrow(
+      'Signer ci uses a secret key; an account index only applies to seed phrases'
+    );
+    await expect(resolveSigner({ signer: 'opps' })).rejects.toThrow(
+      'Unknown signer: opps. Did you mean ops?'
+    );
+
+    vi.stubEnv('OPS_SEEDPHRASE', '');
+    await expect(resolveSigner({ signer: 'ops' })).rejects.toThrow(
+      'Failed to create Stellar wallet: OPS_SEEDPHRASE is not set (signer ops)'
+    );
+  });
+
+  it('refuses malformed signer files', async () => {
+    const { loadSignerProfiles } = await import('../src/signers.js');
+    const invalid = (signers) => {
+      signersFile = { signers };
+      return () => loadSignerProfiles();
+    };
+
+    expect(invalid({ ci: { secretKey: 'S...' } })).toThrow(
+      'Signer ci has unknown option: secretKey. Did you mean secretKeyEnv?'
+    );
+    expect(invalid({ ops: { accountIndex: -1 } })).toThrow(
+      'Signer ops accountIndex must be a whole number, got -1'
+    );
+    expect(
+      invalid({ ci: { secretKeyEnv: 'CI_KEY', accountIndex: 1 } })
+    ).toThrow('Signer ci uses a secret key');
+    expect(invalid(null)).toThrow(
+      'Invalid signer file ./zkfetch.signers.json: Signer file must have a signers object'
+    );
+  });
+
+  it('lists derived accounts with their balances', async () => {
+    const { listAccounts, printAccounts } = await import('../src/signers.js');
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    loadAccountMock.mockImplementation(async (publicKey) => {
+      if (publicKey === ACCOUNTS[2]) {
+        throw Object.assign(new Error('Not Found'), {
+          response: { status: 404 },
+        });
+      }
+      return {
+        balances: [
+          { asset_type: 'credit_alphanum4', balance: '5.0000000' },
+          { asset_type: 'native', balance: '100.5000000' },
+        ],
+      };
+    });
+
+    const accounts = await listAccounts({ count: 3 });
+    expect(accounts).toEqual([
+      {
+        index: 0,
+        publicKey: ACCOUNTS[0],
+        selected: true,
+        balance: '100.5000000',
+      },
+      {
+        index: 1,
+        publicKey: ACCOUNTS[1],
+        selected: false,
+        balance: '100.5000000',
+      },
+      { index: 2, publicKey: ACCOUNTS[2], selected: false, balance: null },
+    ]);
+
+    printAccounts(accounts);
+    expect(logSpy.mock.calls.map(([line]) => line)).toEqual([
+      'Accounts on testnet:',
+      `*   0  ${ACCOUNTS[0]}  100.5000000 XLM`,
+      `    1  ${ACCOUNTS[1]}  100.5000000 XLM`,
+      `    2  ${ACCOUNTS[2]}  not funded`,
+    ]);
+
+    loadAccountMock.mockRejectedValue(new Error('socket hang up'));
+    await expect(listAccounts({ count: 1 })).rejects.toThrow(
+      `Failed to load account ${ACCOUNTS[0]}: socket hang up`
+    );
+    await expect(listAccounts({ count: 0 })).rejects.toThrow(
+      'Account count must be at least 1, got 0'
+    );
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyTemplate,
+  resolveParams,
+  validateTemplate,
+} from '../src/templates.js';
+
+const provider = {
+  name: 'league',
+  url: 'https://example.com/scores?league=${league}&season=${season}',
+  contextMessage: '${league} scores',
+  params: {
+    league: { description: 'league name', pattern: /^[\w .]+$/ },
+    season: { default: '2025', pattern: /^\d{4}$/ },
+  },
+  responseMatches: [{ type: 'regex', value: '"${league}":\\s*(?<score>\\d+)' }],
+  responseRedactions: [{ regex: '"${league}":\\s*\\d+' }],
+  selectors: [{ name: 'season', jsonPath: '$.seasons.${season}' }],
+  format: (values, params) => [`${params.league}: ${values.score}`],
+};
+
+describe('resolveParams', () => {
+  it('applies defaults and keeps given values', () => {
+    expect(resolveParams(provider, { league: 'Serie A' })).toEqual({
+      league: 'Serie A',
+      season: '2025',
+    });
+  });
+
+  it('rejects missing and invalid values', () => {
+    expect(() => resolveParams(provider, {})).toThrow(
+      'Missing parameter --league for league'
+    );
+    expect(() =>
+      resolveParams(provider, { league: 'EPL', season: '25' })
+    ).toThrow("Invalid value '25' for --season: must match /^\\d{4}$/");
+  });
+});
+
+describe('applyTemplate', () => {
+  it('encodes url values and escapes regex values', () => {
+    const concrete = applyTemplate(provider, { league: 'St. Pauli' });
+
+    expect(concrete.url).toBe(
+      'https://example.com/scores?league=St.%20Pauli&season=2025'
+    );
+    expect(concrete.contextMessage).toBe('St. Pauli scores');
+    expect(concrete.responseMatches[0].value).toBe(
+      '"St\\. Pauli":\\s*(?<score>\\d+)'
+    );
+    expect(concrete.responseRedactions[0].regex).toBe('"St\\. Pauli":\\s*\\d+');
+    expect(concrete.selectors[0].jsonPath).toBe('$.seasons.2025');
+    expect(concrete.parameters).toEqual({
+      league: 'St. Pauli',
+      season: '2025',
+    });
+    expect(concrete.format({ score: '3' })).toEqual(['St. Pauli: 3']);
+  });
+
+  it('returns providers without parameters unchanged', () => {
+    const plain = { name: 'plain', url: 'https://example.com' };
+
+    expect(applyTemplate(plain)).toBe(plain);
+  });
+});
+
+describe('validateTemplate', () => {
+  it('requires placeholders to be declared', () => {
+    expect(() =>
+      validateTemplate({ name: 'x', url: 'https://x/${id}', params: {} })
+    ).toThrow('Provider x uses undeclared parameter ${id}');
+  });
+
+  it('checks patterns and defaults', () => {
+    expect(() =>
+      validateTemplate({
+        name: 'x',
+        url: 'https://x',
+        params: { id: { pattern: '^\\d+$' } },
+      })
+    ).toThrow('Provider x parameter id pattern must be a RegExp');
+    expect(() =>
+      validateTemplate({
+        name: 'x',
+        url: 'https://x',
+        params: { id: { pattern: /^\d+$/, default: 'abc' } },
+      })
+    ).toThrow('Provider x parameter id default does not match its pattern');
+    expect(() => validateTemplate(provider)).not.toThrow();
+  });
+});
@@ -0,0 +1,212 @@
+import { Wallet } from 'ethers';
+import * as fs from 'fs';
+import { describe, expect, it, vi } from 'vitest';
+import { getSerializedClaim } from '../src/utils.js';
+import {
+  evaluateWitnessPolicy,
+  formatPolicyFailure,
+  printOfflineReport,
+  recoverSignerAddress,
+  verifyProofFileOffline,
+  verifyProofOffline,
+} from '../src/verifyLocal.js';
+
+const PROOF_PATH = new URL('./fixtures/signed-proof.json', import.meta.url)
+  .pathname;
+const WITNESS = '0x244897572368eadf65bfbc5aec98d8e5443a9072';
+
+const loadFixture = () => JSON.parse(fs.readFileSync(PROOF_PATH, 'utf8'));
+
+describe('recoverSignerAddress', () => {
+  it('recovers the attestor address from the claim signature', () => {
+    const proof = loadFixture();
+
+    expect(recoverSignerAddress(proof.claimData, proof.signatures[0])).toBe(
+      WITNESS
+    );
+  });
+
+  it('rejects malformed signatures', () => {
+    const proof = loadFixture();
+
+    expect(() => recoverSignerAddress(proof.claimData, '0x1234')).toThrow(
+      'Invalid signature'
+    );
+  });
+});
+
+describe('verifyProofOffline', () => {
+  it('accepts a proof signed by its witness', () => {
+    const report = verifyProofOffline(loadFixture());
+
+    expect(report).toEqual({
+      valid: true,
+      identifier: loadFixture().claimData.identifier,
+      witnesses: [WITNESS],
+      signatures: [
+        {
+          index: 1,
+          signature: loadFixture().signatures[0],
+          signer: WITNESS,
+          witness: true,
+        },
+      ],
+      errors: [],
+    });
+  });
+
+  it('rejects a proof whose signed claim was edited', () => {
+    const proof = loadFixture();
+    proof.claimData.timestampS += 1;
+
+    const report = verifyProofOffline(proof);
+
+    expect(report.valid).toBe(false);
+    expect(report.signatures[0].witness).toBe(false);
+    expect(report.errors).toEqual([
+      expect.stringMatching(
+        /^Signature 1 was signed by 0x[0-9a-f]{40}, which is not a witness of this proof$/
+      ),
+      `Witness ${WITNESS} did not sign the claim`,
+    ]);
+  });
+
+  it('rejects a proof whose context was edited', () => {
+    const proof = loadFixture();
+    proof.claimData.context = proof.claimData.context.replace('0.17778', '1.5');
+
+    const { valid, errors } = verifyProofOffline(proof);
+
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(
+      /^claimData\.identifier does not match the signed claim: recorded 0x25bb\w+, expected 0x\w+$/
+    );
+    expect(errors[1]).toBe(
+      'extractedParameterValues.price does not match the signed claim: recorded 0.17778, expected 1.5'
+    );
+  });
+
+  it('rejects proofs without witnesses or with mismatched identifiers', () => {
+    const proof = loadFixture();
+    proof.witnesses = [];
+    proof.identifier = '0x00';
+
+    const { valid, errors } = verifyProofOffline(proof);
+
+    expect(valid).toBe(false);
+    expect(errors).toContain(
+      'Proof has no witnesses to check signatures against'
+    );
+    expect(errors).toContain(
+      `Proof identifier 0x00 does not match claimData.identifier ${proof.claimData.identifier}`
+    );
+  });
+
+  it('reports malformed proofs and signatures', () => {
+    expect(verifyProofOffline(null).errors).toEqual([
+      'Proof must be an object',
+    ]);
+
+    const proof = loadFixture();
+    proof.signatures = ['0xdeadbeef'];
+    const report = verifyProofOffline(proof);
+
+    expect(report.signatures[0].error).toContain('Invalid signature');
+    expect(report.errors[0]).toMatch(/^Signature 1: Invalid signature/);
+  });
+});
+
+describe('evaluateWitnessPolicy', () => {
+  // A second attestor, to build proofs with more than one witness
+  const SECOND = new Wallet(`0x${'11'.repeat(32)}`);
+
+  const withSecondWitness = async () => {
+    const proof = loadFixture();
+    const serializedClaim = getSerializedClaim({
+      signedClaim: { claim: proof.claimData },
+    });
+    proof.signatures.push(await SECOND.signMessage(serializedClaim));
+    proof.witnesses.push({ id: SECOND.address, url: 'wss://second' });
+    return proof;
+  };
+
+  it('counts distinct allowed attestors', async () => {
+    const proof = await withSecondWitness();
+    const second = SECOND.address.toLowerCase();
+
+    expect(
+      evaluateWitnessPolicy(proof, {
+        attestors: [WITNESS, SECOND.address],
+        minWitnesses: 2,
+      })
+    ).toEqual({
+      satisfied: true,
+      required: 2,
+      attestors: [WITNESS, second],
+      qualifying: [
+        { index: 1, signer: WITNESS },
+        { index: 2, signer: second },
+      ],
+      rejected: [],
+    });
+
+    const allowlisted = evaluateWitnessPolicy(proof, {
+      attestors: [WITNESS],
+      minWitnesses: 2,
+    });
+    expect(allowlisted.satisfied).toBe(false);
+    expect(formatPolicyFailure(allowlisted)).toBe(
+      `1 of 2 required attestor signature(s); signature 2 from ${second}: not an allowed attestor`
+    );
+  });
+
+  it("falls back to the proof's witnesses without an allowlist", () => {
+    const proof = loadFixture();
+    proof.signatures.push(proof.signatures[0], '0x12');
+
+    const result = evaluateWitnessPolicy(proof, { minWitnesses: 2 });
+
+    expect(result.attestors).toEqual([WITNESS]);
+    expect(result.qualifying).toEqual([{ index: 1, signer: WITNESS }]);
+    expect(result.rejected).toEqual([
+      { index: 2, signer: WITNESS, reason: 'duplicate attestor' },
+      {
+        index: 3,
+        signer: null,
+        reason: expect.stringContaining('Invalid signature'),
+      },
+    ]);
+  });
+});
+
+describe('verifyProofFileOffline', () => {
+  it('loads, verifies and prints the report', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const report = verifyProofFileOffline(PROOF_PATH);
+
+    expect(report.valid).toBe(true);
+    expect(logSpy).toHaveBeenCalledWith(`  OK   Signature 1: ${WITNESS}`);
+    expect(logSpy).toHaveBeenCalledWith('Proof signatures verified locally');
+    expect(() => verifyProofFileOffline('./missing-proof.json')).toThrow(
+      'Failed to load proof'
+    );
+    logSpy.mockRestore();
+  });
+
+  it('prints why verification failed', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    printOfflineReport({
+      valid: false,
+      identifier: '0x01',
+      signatures: [{ index: 1, signer: '0xabc', witness: false }],
+      errors: ['Signature 1 was signed by 0xabc'],
+    });
+
+    expect(logSpy).toHaveBeenCalledWith('  FAIL Signature 1: 0xabc');
+    expect(logSpy).toHaveBeenCalledWith('Local verification failed:');
+    expect(logSpy).toHaveBeenCalledWith('   Signature 1 was signed by 0xabc');
+    logSpy.mockRestore();
+  });
+});